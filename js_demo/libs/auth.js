@@ -0,0 +1,251 @@
+const crypto = require('crypto');
+
+/**
+ * Access control for the proxy
+ *
+ * Callers authenticate with a bearer token: either a configured API token or
+ * a session token issued by POST /api/auth/login for a configured user.
+ * Session tokens and WebSocket connection IDs are HMAC-signed and expire, so
+ * the server does not keep any state for them. Without AUTH_SECRET a random
+ * secret is generated on startup and session tokens do not survive a restart.
+ *
+ * Users (password or token) named in ADMIN_USERS are administrators: they see
+ * and can end everyone's sessions and read everyone's transcripts, recordings
+ * and usage. Everyone else only gets at their own.
+ */
+
+const DEFAULT_SESSION_HOURS = 12;
+// The client connects right after creating a session, the ID only has to live that long
+const DEFAULT_CONNECTION_ID_TTL_MS = 60 * 1000;
+
+function base64url(buffer) {
+  return Buffer.from(buffer).toString('base64url');
+}
+
+// Compare secrets without leaking their length or content through timing
+function safeEqual(a, b) {
+  const hashA = crypto.createHash('sha256').update(String(a)).digest();
+  const hashB = crypto.createHash('sha256').update(String(b)).digest();
+  return crypto.timingSafeEqual(hashA, hashB);
+}
+
+/**
+ * Parse "name:secret,name:secret" lists as used by AUTH_USERS and AUTH_TOKENS
+ * @param {string} value - The environment variable
+ * @param {string} variable - Its name, for error messages
+ * @returns {Array<{name: string, secret: string}>} - The entries
+ */
+function parseCredentialList(value, variable) {
+  if (!value) return [];
+  return value.split(',').map(entry => entry.trim()).filter(Boolean).map(entry => {
+    const separator = entry.indexOf(':');
+    if (separator <= 0 || separator === entry.length - 1) {
+      throw new Error(`${variable} entries must look like name:secret`);
+    }
+    return { name: entry.slice(0, separator), secret: entry.slice(separator + 1) };
+  });
+}
+
+class Authenticator {
+  /**
+   * @param {Object} options
+   * @param {boolean} [options.enabled=true] - false lets every request through as 'anonymous'
+   * @param {Array<{name, secret}>} [options.users] - Users that can log in with a password
+   * @param {Array<{name, secret}>} [options.tokens] - API tokens and the user they act as
+   * @param {string[]} [options.admins] - Names of the users and tokens with the admin role
+   * @param {string} [options.secret] - Key for signing session tokens and connection IDs
+   * @param {number} [options.sessionTtlMs] - Lifetime of session tokens
+   * @param {number} [options.connectionIdTtlMs] - Lifetime of unused connection IDs
+   * @param {string[]} [options.allowedOrigins] - Origins allowed to open WebSockets, same origin if empty
+   */
+  constructor(options = {}) {
+    this.enabled = options.enabled !== false;
+    this.users = options.users || [];
+    this.tokens = options.tokens || [];
+    this.admins = options.admins || [];
+    this.secret = options.secret || crypto.randomBytes(32).toString('hex');
+    this.sessionTtlMs = options.sessionTtlMs || DEFAULT_SESSION_HOURS * 60 * 60 * 1000;
+    this.connectionIdTtlMs = options.connectionIdTtlMs || DEFAULT_CONNECTION_ID_TTL_MS;
+    this.allowedOrigins = options.allowedOrigins || [];
+    this.generatedToken = null;
+
+    // Never fall back to an open proxy: without credentials, generate a token for this run
+    if (this.enabled && this.users.length === 0 && this.tokens.length === 0) {
+      this.generatedToken = crypto.randomBytes(24).toString('base64url');
+      this.tokens = [{ name: 'admin', secret: this.generatedToken }];
+      this.admins = ['admin'];
+    }
+  }
+
+  /**
+   * @param {string} name - A user or token name
+   * @returns {boolean} - Whether it has the admin role
+   */
+  isAdmin(name) {
+    return this.admins.includes(name);
+  }
+
+  sign(value) {
+    return base64url(crypto.createHmac('sha256', this.secret).update(value).digest());
+  }
+
+  /**
+   * @returns {Object} - What the browser needs to know to show the right login form
+   */
+  describe() {
+    return {
+      enabled: this.enabled,
+      methods: this.enabled
+        ? [...(this.users.length > 0 ? ['password'] : []), 'token']
+        : []
+    };
+  }
+
+  /**
+   * Check a username and password and issue a session token
+   * @param {string} username - The user name
+   * @param {string} password - The password
+   * @returns {Object|null} - {token, expiresAt, user}, or null if the credentials are wrong
+   */
+  login(username, password) {
+    // Check every user so the response time doesn't reveal which names exist
+    let user = null;
+    for (const candidate of this.users) {
+      const nameMatches = safeEqual(candidate.name, username);
+      const passwordMatches = safeEqual(candidate.secret, password);
+      if (nameMatches && passwordMatches && !user) user = candidate;
+    }
+    if (!user) return null;
+
+    const expiresAt = Date.now() + this.sessionTtlMs;
+    const payload = base64url(JSON.stringify({ sub: user.name, exp: expiresAt }));
+    return {
+      token: `${payload}.${this.sign(`session:${payload}`)}`,
+      expiresAt: new Date(expiresAt).toISOString(),
+      user: user.name
+    };
+  }
+
+  /**
+   * Resolve a bearer token to the user it belongs to
+   * @param {string} token - An API token or a session token from login()
+   * @returns {Object|null} - {name, method, admin}, or null if the token is invalid or expired
+   */
+  verifyToken(token) {
+    if (typeof token !== 'string' || token.length === 0) return null;
+
+    let apiUser = null;
+    for (const candidate of this.tokens) {
+      if (safeEqual(candidate.secret, token) && !apiUser) apiUser = candidate;
+    }
+    if (apiUser) return { name: apiUser.name, method: 'token', admin: this.isAdmin(apiUser.name) };
+
+    const [payload, signature, ...rest] = token.split('.');
+    if (!payload || !signature || rest.length > 0 || !safeEqual(this.sign(`session:${payload}`), signature)) {
+      return null;
+    }
+    try {
+      const { sub, exp } = JSON.parse(Buffer.from(payload, 'base64url').toString());
+      if (typeof sub !== 'string' || !(exp > Date.now())) return null;
+      // A user removed from the configuration loses access right away
+      if (!this.users.some(user => user.name === sub)) return null;
+      return { name: sub, method: 'password', admin: this.isAdmin(sub) };
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Authenticate an HTTP request by its Authorization: Bearer header
+   * @param {http.IncomingMessage} req - The request
+   * @returns {Object|null} - {name, method, admin}, or null if the request is not authenticated
+   */
+  authenticate(req) {
+    // Without authentication there is no telling users apart, everyone may do everything
+    if (!this.enabled) return { name: 'anonymous', method: 'none', admin: true };
+
+    const match = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '');
+    return match ? this.verifyToken(match[1]) : null;
+  }
+
+  /**
+   * @returns {string} - A random, signed connection ID that expires after connectionIdTtlMs
+   */
+  createConnectionId() {
+    const value = `${crypto.randomBytes(16).toString('base64url')}.${(Date.now() + this.connectionIdTtlMs).toString(36)}`;
+    return `${value}.${this.sign(`connection:${value}`)}`;
+  }
+
+  /**
+   * @param {string} connectionId - A connection ID from the WebSocket URL
+   * @returns {boolean} - Whether the ID was issued by this server and has not expired
+   */
+  verifyConnectionId(connectionId) {
+    const parts = typeof connectionId === 'string' ? connectionId.split('.') : [];
+    if (parts.length !== 3) return false;
+
+    const [nonce, expires, signature] = parts;
+    return safeEqual(this.sign(`connection:${nonce}.${expires}`), signature) && parseInt(expires, 36) > Date.now();
+  }
+
+  /**
+   * Check the Origin of a WebSocket upgrade, protecting against cross-site WebSocket hijacking
+   *
+   * Browsers always send an Origin, other clients may not. Without ALLOWED_ORIGINS
+   * they are let through (the connection ID still has to be valid), with it every
+   * upgrade has to come from a listed origin.
+   *
+   * @param {string|undefined} origin - The Origin header
+   * @param {string} host - The Host header
+   * @returns {boolean} - Whether the origin may connect
+   */
+  isOriginAllowed(origin, host) {
+    if (this.allowedOrigins.length > 0) return Boolean(origin) && this.allowedOrigins.includes(origin);
+    if (!origin) return true;
+    try {
+      return new URL(origin).host === host;
+    } catch (e) {
+      return false;
+    }
+  }
+}
+
+/**
+ * Read the auth configuration from the environment
+ *
+ * AUTH_ENABLED=false              turn authentication off (local development only)
+ * AUTH_USERS=alice:pw,bob:pw      users that can log in with a password
+ * AUTH_TOKENS=ci:token            API tokens, used as "Authorization: Bearer <token>"
+ * ADMIN_USERS=alice,ops           users and token names with the admin role
+ * AUTH_SECRET                     signing key, random on each start if unset
+ * AUTH_SESSION_HOURS              lifetime of login sessions (default 12)
+ * ALLOWED_ORIGINS                 comma separated origins allowed to open WebSockets,
+ *                                 upgrades without an Origin are refused once it is set
+ *
+ * @param {Object} env - process.env
+ * @returns {Object} - Options for the Authenticator constructor
+ */
+function authOptionsFromEnv(env) {
+  const list = value => (value || '').split(',').map(entry => entry.trim()).filter(Boolean);
+  const users = parseCredentialList(env.AUTH_USERS, 'AUTH_USERS');
+  const tokens = parseCredentialList(env.AUTH_TOKENS, 'AUTH_TOKENS');
+  const admins = list(env.ADMIN_USERS);
+  const unknownAdmins = admins.filter(name => !users.some(user => user.name === name) && !tokens.some(token => token.name === name));
+  if (unknownAdmins.length > 0) {
+    throw new Error(`ADMIN_USERS names unknown users or tokens: ${unknownAdmins.join(', ')}`);
+  }
+  return {
+    enabled: env.AUTH_ENABLED !== 'false',
+    users,
+    tokens,
+    admins,
+    secret: env.AUTH_SECRET || undefined,
+    sessionTtlMs: Number(env.AUTH_SESSION_HOURS) > 0 ? Number(env.AUTH_SESSION_HOURS) * 60 * 60 * 1000 : undefined,
+    allowedOrigins: list(env.ALLOWED_ORIGINS)
+  };
+}
+
+module.exports = {
+  Authenticator,
+  authOptionsFromEnv
+};
@@ -0,0 +1,544 @@
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const WebSocket = require('ws');
+const { sendRequest } = require('./httpClient');
+const { encodeWav, resample, floatToPcm16, pcm16ToFloat } = require('./wav');
+const { G711_SAMPLE_RATE, decodeG711, isG711 } = require('./g711');
+const { INPUT_AUDIO_FORMATS, DEFAULT_SESSION_CONFIG, toSessionPayload } = require('./sessionConfig');
+const logger = require('./logger').logger.child({ component: 'batch' });
+
+/**
+ * Batch transcription provider
+ *
+ * Emulates the OpenAI realtime transcription WebSocket on top of an
+ * OpenAI-compatible /audio/transcriptions endpoint (Groq, whisper-1, ...).
+ * G.711 input is decoded and upsampled to 24 kHz PCM16 on arrival.
+ * Audio appended by the client is segmented with a simple energy-based VAD
+ * (or committed manually when turn detection is off), wrapped as WAV and
+ * uploaded once per turn. A turn is cut at MAX_SEGMENT_MS, speech without a
+ * pause (or audio that is never committed) is uploaded in pieces rather than
+ * buffered without bound. Results are emitted as the same
+ * conversation.item.input_audio_transcription.delta/.completed events the
+ * realtime API sends, so the browser does not need to know which backend
+ * is in use.
+ */
+
+const SAMPLE_RATE = 24000;
+const BYTES_PER_SAMPLE = 2;
+const FRAME_SAMPLES = 480; // 20 ms at 24 kHz
+const MIN_COMMIT_MS = 100;
+// Longer turns are committed at this length, an upload stays well below the 25 MB API limit
+const MAX_SEGMENT_MS = 60 * 1000;
+const MAX_SEGMENT_BYTES = MAX_SEGMENT_MS / 1000 * SAMPLE_RATE * BYTES_PER_SAMPLE;
+
+// VAD threshold 0..1 is scaled to an RMS level (0.5 -> 0.02, roughly -34 dBFS)
+const RMS_THRESHOLD_SCALE = 0.04;
+
+const BATCH_CAPABILITIES = {
+  inputAudioFormats: INPUT_AUDIO_FORMATS,
+  turnDetectionTypes: ['server_vad'],
+  supportsNoiseReduction: false,
+  logprobsModels: []
+};
+
+/**
+ * Generate an ID in the style of the realtime API (e.g. item_3f2a...)
+ * @param {string} prefix - The ID prefix
+ * @returns {string} - A random ID
+ */
+function generateId(prefix) {
+  return `${prefix}_${crypto.randomBytes(10).toString('hex')}`;
+}
+
+/**
+ * Convert a byte length of PCM16 mono audio to milliseconds
+ * @param {number} bytes - Number of bytes
+ * @returns {number} - Duration in milliseconds
+ */
+function bytesToMs(bytes) {
+  return Math.round(bytes / BYTES_PER_SAMPLE / SAMPLE_RATE * 1000);
+}
+
+/**
+ * Convert appended audio to the 24 kHz PCM16 the VAD and uploads work with
+ * @param {Buffer} audio - Audio in the session's input format
+ * @param {string} format - The session's input audio format
+ * @returns {Buffer} - PCM16 little-endian samples at 24 kHz
+ */
+function toPcm16(audio, format) {
+  if (!isG711(format)) {
+    return audio;
+  }
+  const samples = pcm16ToFloat(decodeG711(audio, format));
+  return floatToPcm16(resample(samples, G711_SAMPLE_RATE, SAMPLE_RATE));
+}
+
+/**
+ * Root mean square level of a PCM16 frame, normalized to 0..1
+ * @param {Buffer} frame - PCM16 little-endian samples
+ * @returns {number} - The RMS level
+ */
+function rmsLevel(frame) {
+  const samples = frame.length / BYTES_PER_SAMPLE;
+  if (samples === 0) return 0;
+
+  let sum = 0;
+  for (let i = 0; i < frame.length - 1; i += BYTES_PER_SAMPLE) {
+    const s = frame.readInt16LE(i) / 32768;
+    sum += s * s;
+  }
+  return Math.sqrt(sum / samples);
+}
+
+/**
+ * Validates an API key against an OpenAI-compatible models endpoint
+ * @param {string} baseUrl - The API base URL (e.g. https://api.groq.com/openai/v1)
+ * @param {string} apiKey - The API key to validate
+ * @returns {Promise<boolean>} - Whether the API key is valid
+ */
+async function validateApiKey(baseUrl, apiKey) {
+  logger.debug(`Validating API key against ${baseUrl}/models...`);
+  try {
+    const res = await sendRequest(`${baseUrl}/models`, {
+      method: 'GET',
+      headers: {
+        'Authorization': `Bearer ${apiKey}`
+      }
+    });
+    if (res.statusCode === 200) {
+      logger.debug('API key is valid');
+      return true;
+    }
+    logger.warn(`API key validation failed with status code: ${res.statusCode}`);
+    return false;
+  } catch (error) {
+    logger.error(`Error validating API key: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Build a multipart/form-data body
+ * @param {Object} fields - Text fields
+ * @param {Object} file - The file part ({name, filename, contentType, data})
+ * @returns {{boundary: string, body: Buffer}} - The boundary and encoded body
+ */
+function buildMultipartBody(fields, file) {
+  const boundary = `----sheptun${crypto.randomBytes(12).toString('hex')}`;
+  const parts = [];
+
+  for (const [name, value] of Object.entries(fields)) {
+    parts.push(Buffer.from(
+      `--${boundary}\r\n` +
+      `Content-Disposition: form-data; name="${name}"\r\n\r\n` +
+      `${value}\r\n`
+    ));
+  }
+
+  parts.push(Buffer.from(
+    `--${boundary}\r\n` +
+    `Content-Disposition: form-data; name="${file.name}"; filename="${file.filename}"\r\n` +
+    `Content-Type: ${file.contentType}\r\n\r\n`
+  ));
+  parts.push(file.data);
+  parts.push(Buffer.from(`\r\n--${boundary}--\r\n`));
+
+  return { boundary, body: Buffer.concat(parts) };
+}
+
+/**
+ * Transcribe a WAV file with an OpenAI-compatible /audio/transcriptions endpoint
+ * @param {string} baseUrl - The API base URL
+ * @param {string} apiKey - The API key
+ * @param {Buffer} wav - The WAV file contents
+ * @param {Object} config - The session config (model, language, prompt)
+ * @returns {Promise<string>} - The transcribed text
+ */
+async function transcribeAudio(baseUrl, apiKey, wav, config) {
+  const fields = {
+    model: config.model,
+    response_format: 'json'
+  };
+  if (config.language) {
+    fields.language = config.language;
+  }
+  if (config.prompt) {
+    fields.prompt = config.prompt;
+  }
+
+  const { boundary, body } = buildMultipartBody(fields, {
+    name: 'file',
+    filename: 'audio.wav',
+    contentType: 'audio/wav',
+    data: wav
+  });
+
+  logger.debug(`Uploading ${wav.length} bytes to ${baseUrl}/audio/transcriptions (model: ${config.model})`);
+  const res = await sendRequest(`${baseUrl}/audio/transcriptions`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': `multipart/form-data; boundary=${boundary}`,
+      'Authorization': `Bearer ${apiKey}`,
+      'Content-Length': body.length
+    }
+  }, body);
+
+  if (res.statusCode !== 200) {
+    throw new Error(`Transcription request failed: ${res.statusCode} ${res.body}`);
+  }
+
+  try {
+    return JSON.parse(res.body).text || '';
+  } catch (error) {
+    throw new Error(`Failed to parse transcription response: ${error.message}`);
+  }
+}
+
+/**
+ * WebSocket-like upstream for batch providers
+ *
+ * Exposes the subset of the ws API the proxy in server.js uses
+ * (readyState, send, close and the open/message/close events).
+ */
+class BatchTranscriptionSocket extends EventEmitter {
+  /**
+   * @param {Object} provider - The batch provider (see createBatchProvider)
+   * @param {Object} connection - The connection entry ({sessionId, config, logger})
+   */
+  constructor(provider, connection) {
+    super();
+    this.provider = provider;
+    this.sessionId = connection.sessionId;
+    this.logger = connection.logger || logger.child({ sessionId: connection.sessionId });
+    this.config = connection.config || DEFAULT_SESSION_CONFIG;
+    this.readyState = WebSocket.CONNECTING;
+
+    // Audio state
+    this.totalBytes = 0;
+    this.bufferChunks = [];
+    this.bufferBytes = 0;
+    this.lastItemId = null;
+
+    // VAD state
+    const turnDetection = this.config.turnDetection;
+    this.vadEnabled = Boolean(turnDetection);
+    this.rmsThreshold = turnDetection ? turnDetection.threshold * RMS_THRESHOLD_SCALE : 0;
+    this.prefixPaddingBytes = turnDetection ? Math.round(turnDetection.prefixPaddingMs * SAMPLE_RATE / 1000) * BYTES_PER_SAMPLE : 0;
+    this.silenceDurationMs = turnDetection ? turnDetection.silenceDurationMs : 0;
+    this.speaking = false;
+    this.speechItemId = null;
+    this.silenceMs = 0;
+    this.prefixFrames = [];
+    this.prefixBytes = 0;
+
+    setImmediate(() => this.open());
+  }
+
+  open() {
+    if (this.readyState !== WebSocket.CONNECTING) return;
+
+    this.readyState = WebSocket.OPEN;
+    this.logger.info(`Batch session opened (provider: ${this.provider.name})`);
+
+    const payload = toSessionPayload(this.config);
+    this.emitEvent({
+      type: 'transcription_session.created',
+      session: {
+        id: this.sessionId,
+        object: 'realtime.transcription_session',
+        expires_at: Math.floor(Date.now() / 1000) + 30 * 60,
+        input_audio_noise_reduction: null,
+        turn_detection: payload.turn_detection,
+        input_audio_format: payload.input_audio_format,
+        input_audio_transcription: payload.input_audio_transcription,
+        client_secret: null,
+        include: null
+      }
+    });
+    this.emit('open');
+  }
+
+  /**
+   * Emit a server event to the proxy as a JSON text message
+   * @param {Object} event - The event without an event_id
+   */
+  emitEvent(event) {
+    if (this.readyState !== WebSocket.OPEN) return;
+    this.emit('message', JSON.stringify({ event_id: generateId('event'), ...event }), false);
+  }
+
+  emitError(code, message) {
+    this.emitEvent({
+      type: 'error',
+      error: {
+        type: 'invalid_request_error',
+        code: code,
+        message: message
+      }
+    });
+  }
+
+  /**
+   * Handle a client event forwarded by the proxy
+   * @param {string|Buffer} data - The raw JSON client event
+   */
+  send(data) {
+    if (this.readyState !== WebSocket.OPEN) {
+      throw new Error('Batch session is not open');
+    }
+
+    let event;
+    try {
+      event = JSON.parse(data.toString());
+    } catch (error) {
+      this.emitError('invalid_json', `Invalid JSON in client event: ${error.message}`);
+      return;
+    }
+
+    switch (event.type) {
+      case 'input_audio_buffer.append':
+        this.appendAudio(toPcm16(Buffer.from(event.audio || '', 'base64'), this.config.inputAudioFormat));
+        break;
+
+      case 'input_audio_buffer.commit':
+        this.commitBuffer();
+        break;
+
+      case 'input_audio_buffer.clear':
+        this.clearBuffer();
+        break;
+
+      case 'transcription_session.update':
+        this.emitError('unsupported_event', `transcription_session.update is not supported by the ${this.provider.name} provider`);
+        break;
+
+      default:
+        this.emitError('invalid_event', `Unsupported client event type: ${event.type}`);
+    }
+  }
+
+  appendAudio(pcm) {
+    if (!this.vadEnabled) {
+      this.bufferChunks.push(pcm);
+      this.bufferBytes += pcm.length;
+      this.totalBytes += pcm.length;
+      if (this.bufferBytes >= MAX_SEGMENT_BYTES) {
+        this.logger.info(`Committing ${bytesToMs(this.bufferBytes)} ms of uncommitted audio, the segment limit is ${MAX_SEGMENT_MS} ms`);
+        this.commitSegment(generateId('item'));
+      }
+      return;
+    }
+
+    const frameBytes = FRAME_SAMPLES * BYTES_PER_SAMPLE;
+    for (let offset = 0; offset < pcm.length; offset += frameBytes) {
+      const frame = pcm.subarray(offset, Math.min(offset + frameBytes, pcm.length));
+      this.totalBytes += frame.length;
+      this.processFrame(frame);
+    }
+  }
+
+  processFrame(frame) {
+    const isSpeech = rmsLevel(frame) >= this.rmsThreshold;
+
+    if (!this.speaking) {
+      if (isSpeech) {
+        this.startSpeech(frame);
+        return;
+      }
+
+      // Keep the most recent audio so the segment includes the prefix padding
+      this.prefixFrames.push(frame);
+      this.prefixBytes += frame.length;
+      while (this.prefixFrames.length > 0 && this.prefixBytes - this.prefixFrames[0].length >= this.prefixPaddingBytes) {
+        this.prefixBytes -= this.prefixFrames.shift().length;
+      }
+      return;
+    }
+
+    this.bufferChunks.push(frame);
+    this.bufferBytes += frame.length;
+    this.silenceMs = isSpeech ? 0 : this.silenceMs + bytesToMs(frame.length);
+
+    if (this.silenceMs >= this.silenceDurationMs) {
+      this.stopSpeech();
+    } else if (this.bufferBytes >= MAX_SEGMENT_BYTES) {
+      // The next speech frame starts a new segment
+      this.logger.info(`Cutting a turn at the segment limit of ${MAX_SEGMENT_MS} ms`);
+      this.stopSpeech();
+    }
+  }
+
+  startSpeech(frame) {
+    this.speaking = true;
+    this.silenceMs = 0;
+    this.speechItemId = generateId('item');
+    this.bufferChunks = this.prefixFrames.concat(frame);
+    this.bufferBytes = this.prefixBytes + frame.length;
+    this.prefixFrames = [];
+    this.prefixBytes = 0;
+
+    this.emitEvent({
+      type: 'input_audio_buffer.speech_started',
+      audio_start_ms: bytesToMs(this.totalBytes - this.bufferBytes),
+      item_id: this.speechItemId
+    });
+  }
+
+  stopSpeech() {
+    const itemId = this.speechItemId;
+    this.speaking = false;
+    this.speechItemId = null;
+    this.silenceMs = 0;
+
+    this.emitEvent({
+      type: 'input_audio_buffer.speech_stopped',
+      audio_end_ms: bytesToMs(this.totalBytes),
+      item_id: itemId
+    });
+
+    this.commitSegment(itemId);
+  }
+
+  commitBuffer() {
+    if (this.speaking) {
+      this.stopSpeech();
+      return;
+    }
+
+    if (bytesToMs(this.bufferBytes) < MIN_COMMIT_MS) {
+      this.emitError('input_audio_buffer_commit_empty',
+        `Error committing input audio buffer: buffer too small. Expected at least ${MIN_COMMIT_MS}ms of audio, but buffer only has ${bytesToMs(this.bufferBytes)}ms of audio.`);
+      return;
+    }
+
+    this.commitSegment(generateId('item'));
+  }
+
+  clearBuffer() {
+    this.bufferChunks = [];
+    this.bufferBytes = 0;
+    this.prefixFrames = [];
+    this.prefixBytes = 0;
+    this.speaking = false;
+    this.speechItemId = null;
+    this.silenceMs = 0;
+    this.emitEvent({ type: 'input_audio_buffer.cleared' });
+  }
+
+  /**
+   * Commit the buffered audio as a conversation item and transcribe it
+   * @param {string} itemId - The item ID for the segment
+   */
+  commitSegment(itemId) {
+    const pcm = Buffer.concat(this.bufferChunks);
+    this.bufferChunks = [];
+    this.bufferBytes = 0;
+
+    const previousItemId = this.lastItemId;
+    this.lastItemId = itemId;
+
+    this.emitEvent({
+      type: 'input_audio_buffer.committed',
+      previous_item_id: previousItemId,
+      item_id: itemId
+    });
+    this.emitEvent({
+      type: 'conversation.item.created',
+      previous_item_id: previousItemId,
+      item: {
+        id: itemId,
+        object: 'realtime.item',
+        type: 'message',
+        status: 'completed',
+        role: 'user',
+        content: [{ type: 'input_audio', transcript: null }]
+      }
+    });
+
+    this.provider.transcribe(encodeWav(pcm, SAMPLE_RATE), this.config)
+      .then((text) => {
+        // The proxy has no client to relay it to anymore
+        if (this.readyState !== WebSocket.OPEN) {
+          this.logger.warn(`Dropped the transcript of item ${itemId} (${text.length} characters), it arrived after the session closed`);
+          return;
+        }
+        this.emitEvent({
+          type: 'conversation.item.input_audio_transcription.delta',
+          item_id: itemId,
+          content_index: 0,
+          delta: text
+        });
+        this.emitEvent({
+          type: 'conversation.item.input_audio_transcription.completed',
+          item_id: itemId,
+          content_index: 0,
+          transcript: text
+        });
+      })
+      .catch((error) => {
+        this.logger.error(`Batch transcription failed for item ${itemId}${this.readyState === WebSocket.OPEN ? '' : ' after the session closed'}: ${error.message}`);
+        this.emitEvent({
+          type: 'conversation.item.input_audio_transcription.failed',
+          item_id: itemId,
+          content_index: 0,
+          error: {
+            type: 'transcription_error',
+            code: 'batch_request_failed',
+            message: error.message
+          }
+        });
+      });
+  }
+
+  close(code = 1000, reason = '') {
+    if (this.readyState === WebSocket.CLOSED) return;
+
+    this.readyState = WebSocket.CLOSED;
+    this.bufferChunks = [];
+    this.bufferBytes = 0;
+    this.prefixFrames = [];
+    this.logger.debug(`Batch session closed: ${code} ${reason}`);
+    this.emit('close', code, Buffer.from(String(reason)));
+  }
+}
+
+/**
+ * Create a batch transcription provider for an OpenAI-compatible API
+ * @param {Object} options - Provider options
+ * @param {string} options.name - Registry name (e.g. 'groq')
+ * @param {string} options.label - Human readable name
+ * @param {string} options.baseUrl - API base URL
+ * @param {string} options.apiKey - API key
+ * @param {string[]} options.models - Supported transcription models
+ * @param {string} options.defaultModel - Model used when none is selected (default: first model)
+ * @returns {Object} - The provider
+ */
+function createBatchProvider({ name, label, baseUrl, apiKey, models, defaultModel }) {
+  const provider = {
+    name: name,
+    label: label,
+    kind: 'batch',
+    capabilities: {
+      ...BATCH_CAPABILITIES,
+      models: models,
+      defaultModel: defaultModel || models[0]
+    },
+    validateApiKey: () => validateApiKey(baseUrl, apiKey),
+    // There is no upstream session to create, the ID only identifies the proxy session
+    createSession: async () => ({
+      sessionId: generateId('sess'),
+      clientSecret: null
+    }),
+    connect: (connection) => new BatchTranscriptionSocket(provider, connection),
+    transcribe: (wav, config) => transcribeAudio(baseUrl, apiKey, wav, config)
+  };
+  return provider;
+}
+
+module.exports = {
+  BATCH_CAPABILITIES,
+  MAX_SEGMENT_MS,
+  BatchTranscriptionSocket,
+  createBatchProvider,
+  transcribeAudio
+};
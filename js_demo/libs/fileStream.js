@@ -0,0 +1,151 @@
+const { EventEmitter } = require('events');
+const { decodeWav, resample, floatToPcm16 } = require('./wav');
+const { G711_SAMPLE_RATE, encodeG711, isG711 } = require('./g711');
+
+/**
+ * Streams an uploaded recording into a transcription session
+ *
+ * The audio is converted to the session's input format up front (24 kHz mono
+ * PCM16, or 8 kHz G.711) and then sent in 100 ms input_audio_buffer.append
+ * chunks, either paced like live microphone input ('realtime') or as fast as
+ * the event loop allows ('fast').
+ *
+ * Events:
+ * - 'progress' ({sentMs, durationMs}) about once per second of audio
+ * - 'end' ({durationMs}) after the last chunk was sent
+ */
+
+const PCM16_SAMPLE_RATE = 24000;
+const CHUNK_MS = 100;
+const PROGRESS_INTERVAL_MS = 1000;
+
+const PACING_MODES = ['realtime', 'fast'];
+
+/**
+ * @param {string} format - The session's input audio format
+ * @returns {number} - Bytes per millisecond of audio in that format
+ */
+function bytesPerMs(format) {
+  // G.711 is one byte per sample at 8 kHz, PCM16 two bytes per sample at 24 kHz
+  return isG711(format) ? G711_SAMPLE_RATE / 1000 : PCM16_SAMPLE_RATE / 1000 * 2;
+}
+
+/**
+ * Resample and encode float samples in the session's input format
+ * @param {Float32Array} samples - Mono samples
+ * @param {number} sampleRate - Sample rate of the samples in Hz
+ * @param {string} format - 'pcm16', 'g711_ulaw' or 'g711_alaw'
+ * @returns {Buffer} - The encoded audio
+ */
+function encodeForSession(samples, sampleRate, format) {
+  if (isG711(format)) {
+    return encodeG711(floatToPcm16(resample(samples, sampleRate, G711_SAMPLE_RATE)), format);
+  }
+  return floatToPcm16(resample(samples, sampleRate, PCM16_SAMPLE_RATE));
+}
+
+/**
+ * Decode a WAV upload to the format the session expects
+ * @param {Buffer} buffer - The uploaded WAV file
+ * @param {string} format - The session's input audio format (default: pcm16)
+ * @param {number} maxDurationMs - Longest file accepted, checked before it is decoded (default: no limit)
+ * @returns {{audio: Buffer, durationMs: number, source: Object}} - The encoded audio and details of the original file
+ */
+function prepareWavUpload(buffer, format = 'pcm16', maxDurationMs = Infinity) {
+  const { sampleRate, channels, encoding, samples } = decodeWav(buffer, { maxDurationMs });
+  if (samples.length === 0) {
+    throw new Error('WAV file contains no audio');
+  }
+
+  const audio = encodeForSession(samples, sampleRate, format);
+  return {
+    audio: audio,
+    durationMs: Math.round(audio.length / bytesPerMs(format)),
+    source: { sampleRate, channels, encoding }
+  };
+}
+
+class AudioFileStream extends EventEmitter {
+  /**
+   * @param {Buffer} audio - Audio in the session's input format (see prepareWavUpload)
+   * @param {Object} options - Stream options
+   * @param {string} options.format - The session's input audio format
+   * @param {string} options.pacing - 'realtime' or 'fast'
+   * @param {number} options.trailingSilenceMs - Silence appended after the audio so VAD ends the last turn
+   */
+  constructor(audio, { format = 'pcm16', pacing = 'realtime', trailingSilenceMs = 0 } = {}) {
+    super();
+    this.bytesPerMs = bytesPerMs(format);
+    this.chunkBytes = CHUNK_MS * this.bytesPerMs;
+    // Digital silence is not all zero bytes in G.711, encode it like the audio
+    const silence = trailingSilenceMs > 0
+      ? encodeForSession(new Float32Array(Math.round(trailingSilenceMs * PCM16_SAMPLE_RATE / 1000)), PCM16_SAMPLE_RATE, format)
+      : Buffer.alloc(0);
+    this.audio = Buffer.concat([audio, silence]);
+    this.durationMs = Math.round(audio.length / this.bytesPerMs);
+    this.pacing = pacing;
+    this.offset = 0;
+    this.startedAt = null;
+    this.lastProgressMs = 0;
+    this.timer = null;
+    this.stopped = false;
+  }
+
+  /**
+   * Start sending chunks
+   * @param {Function} sendChunk - Called with each chunk (Buffer)
+   */
+  start(sendChunk) {
+    this.sendChunk = sendChunk;
+    this.startedAt = Date.now();
+    this.sendNext();
+  }
+
+  sendNext() {
+    this.timer = null;
+    if (this.stopped) return;
+
+    if (this.offset >= this.audio.length) {
+      if (this.lastProgressMs < this.durationMs) {
+        this.emit('progress', { sentMs: this.durationMs, durationMs: this.durationMs });
+      }
+      this.emit('end', { durationMs: this.durationMs });
+      return;
+    }
+
+    const chunk = this.audio.subarray(this.offset, this.offset + this.chunkBytes);
+    this.offset += chunk.length;
+    this.sendChunk(chunk);
+
+    const sentMs = Math.min(this.durationMs, Math.round(this.offset / this.bytesPerMs));
+    if (sentMs - this.lastProgressMs >= PROGRESS_INTERVAL_MS) {
+      this.lastProgressMs = sentMs;
+      this.emit('progress', { sentMs, durationMs: this.durationMs });
+    }
+
+    if (this.pacing === 'fast') {
+      this.timer = setImmediate(() => this.sendNext());
+      return;
+    }
+
+    // Schedule against the start time so timer drift doesn't add up over long files
+    const audioSentMs = this.offset / this.bytesPerMs;
+    const delay = Math.max(0, this.startedAt + audioSentMs - Date.now());
+    this.timer = setTimeout(() => this.sendNext(), delay);
+  }
+
+  stop() {
+    this.stopped = true;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      clearImmediate(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+module.exports = {
+  PACING_MODES,
+  prepareWavUpload,
+  AudioFileStream
+};
@@ -0,0 +1,136 @@
+/**
+ * G.711 µ-law and A-law companding
+ *
+ * The realtime API accepts g711_ulaw and g711_alaw input at 8 kHz. The proxy
+ * decodes it for recordings and batch providers and encodes uploaded files to
+ * match the session format. public/g711.js is the browser's copy of the encoders.
+ */
+
+const G711_SAMPLE_RATE = 8000;
+const G711_FORMATS = ['g711_ulaw', 'g711_alaw'];
+
+// Upper bounds of the eight segments (Sun reference implementation)
+const SEG_UEND = [0x3F, 0x7F, 0xFF, 0x1FF, 0x3FF, 0x7FF, 0xFFF, 0x1FFF];
+const SEG_AEND = [0x1F, 0x3F, 0x7F, 0xFF, 0x1FF, 0x3FF, 0x7FF, 0xFFF];
+const ULAW_BIAS = 0x84;
+const ULAW_CLIP = 8159;
+
+function segmentOf(value, table) {
+  for (let i = 0; i < table.length; i++) {
+    if (value <= table[i]) return i;
+  }
+  return table.length;
+}
+
+/**
+ * @param {number} sample - 16-bit signed sample
+ * @returns {number} - µ-law byte
+ */
+function linearToMulaw(sample) {
+  let value = sample >> 2;
+  let mask = 0xFF;
+  if (value < 0) {
+    value = -value;
+    mask = 0x7F;
+  }
+  value = Math.min(value, ULAW_CLIP) + (ULAW_BIAS >> 2);
+
+  const segment = segmentOf(value, SEG_UEND);
+  if (segment >= 8) return 0x7F ^ mask;
+  return ((segment << 4) | ((value >> (segment + 1)) & 0x0F)) ^ mask;
+}
+
+/**
+ * @param {number} byte - µ-law byte
+ * @returns {number} - 16-bit signed sample
+ */
+function mulawToLinear(byte) {
+  const value = ~byte & 0xFF;
+  let t = ((value & 0x0F) << 3) + ULAW_BIAS;
+  t <<= (value & 0x70) >> 4;
+  return (value & 0x80) ? ULAW_BIAS - t : t - ULAW_BIAS;
+}
+
+/**
+ * @param {number} sample - 16-bit signed sample
+ * @returns {number} - A-law byte
+ */
+function linearToAlaw(sample) {
+  let value = sample >> 3;
+  let mask = 0xD5;
+  if (value < 0) {
+    value = -value - 1;
+    mask = 0x55;
+  }
+
+  const segment = segmentOf(value, SEG_AEND);
+  if (segment >= 8) return 0x7F ^ mask;
+  const mantissa = segment < 2 ? (value >> 1) & 0x0F : (value >> segment) & 0x0F;
+  return ((segment << 4) | mantissa) ^ mask;
+}
+
+/**
+ * @param {number} byte - A-law byte
+ * @returns {number} - 16-bit signed sample
+ */
+function alawToLinear(byte) {
+  const value = byte ^ 0x55;
+  let t = (value & 0x0F) << 4;
+  const segment = (value & 0x70) >> 4;
+  if (segment === 0) {
+    t += 8;
+  } else {
+    t = (t + 0x108) << (segment - 1);
+  }
+  return (value & 0x80) ? t : -t;
+}
+
+/**
+ * Encode little-endian PCM16 as G.711 (one byte per sample, no resampling)
+ * @param {Buffer} pcm - PCM16 samples, already at 8 kHz
+ * @param {string} format - 'g711_ulaw' or 'g711_alaw'
+ * @returns {Buffer} - The encoded audio
+ */
+function encodeG711(pcm, format) {
+  const encode = format === 'g711_alaw' ? linearToAlaw : linearToMulaw;
+  const output = Buffer.alloc(pcm.length >> 1);
+  for (let i = 0; i < output.length; i++) {
+    output[i] = encode(pcm.readInt16LE(i * 2));
+  }
+  return output;
+}
+
+/**
+ * Decode G.711 to little-endian PCM16 (8 kHz, no resampling)
+ * @param {Buffer} audio - G.711 bytes
+ * @param {string} format - 'g711_ulaw' or 'g711_alaw'
+ * @returns {Buffer} - The PCM16 samples
+ */
+function decodeG711(audio, format) {
+  const decode = format === 'g711_alaw' ? alawToLinear : mulawToLinear;
+  const output = Buffer.alloc(audio.length * 2);
+  for (let i = 0; i < audio.length; i++) {
+    output.writeInt16LE(decode(audio[i]), i * 2);
+  }
+  return output;
+}
+
+/**
+ * @param {string} format - An input audio format
+ * @returns {boolean} - Whether the format is one of the G.711 variants
+ */
+function isG711(format) {
+  return G711_FORMATS.includes(format);
+}
+
+module.exports = {
+  G711_SAMPLE_RATE,
+  G711_FORMATS,
+  linearToMulaw,
+  mulawToLinear,
+  linearToAlaw,
+  alawToLinear,
+  encodeG711,
+  decodeG711,
+  isG711
+};
@@ -0,0 +1,92 @@
+const http = require('http');
+const https = require('https');
+
+const REQUEST_TIMEOUT_MS = 30000;
+
+/**
+ * Convert an HTTP(S) API base URL to the matching WebSocket URL
+ * @param {string} baseUrl - e.g. https://api.openai.com/v1
+ * @returns {string} - e.g. wss://api.openai.com/v1
+ */
+function toWebSocketUrl(baseUrl) {
+  return baseUrl.replace(/^http(s?):\/\//, 'ws$1://');
+}
+
+/**
+ * Send an HTTP(S) request and collect the response body
+ * @param {string} requestUrl - The full URL
+ * @param {Object} options - Options for http.request (method, headers)
+ * @param {Buffer} body - Optional request body
+ * @returns {Promise<{statusCode: number, body: string}>} - The response
+ */
+function sendRequest(requestUrl, options, body) {
+  return new Promise((resolve, reject) => {
+    const target = new URL(requestUrl);
+    const transport = target.protocol === 'http:' ? http : https;
+
+    const req = transport.request(target, options, (res) => {
+      let responseData = '';
+      res.on('data', (chunk) => {
+        responseData += chunk;
+      });
+      res.on('end', () => {
+        resolve({ statusCode: res.statusCode, body: responseData });
+      });
+    });
+
+    req.setTimeout(REQUEST_TIMEOUT_MS, () => {
+      req.destroy(new Error(`Request timed out after ${REQUEST_TIMEOUT_MS}ms`));
+    });
+
+    req.on('error', (error) => {
+      reject(new Error(`Request error: ${error.message}`));
+    });
+
+    if (body) {
+      req.write(body);
+    }
+    req.end();
+  });
+}
+
+/**
+ * Send a request to an OpenAI-compatible /chat/completions endpoint
+ * @param {string} baseUrl - The API base URL
+ * @param {string|null} apiKey - Bearer token, null for endpoints without authentication
+ * @param {Object} payload - The request body (model, messages, ...)
+ * @returns {Promise<string>} - The message content of the first choice
+ */
+async function requestChatCompletion(baseUrl, apiKey, payload) {
+  const body = Buffer.from(JSON.stringify(payload));
+  const headers = {
+    'Content-Type': 'application/json',
+    'Content-Length': body.length
+  };
+  if (apiKey) {
+    headers['Authorization'] = `Bearer ${apiKey}`;
+  }
+
+  const res = await sendRequest(`${baseUrl}/chat/completions`, { method: 'POST', headers }, body);
+  if (res.statusCode !== 200) {
+    const error = new Error(`Chat completion request failed: ${res.statusCode} ${res.body}`);
+    error.statusCode = res.statusCode;
+    throw error;
+  }
+
+  let content;
+  try {
+    content = JSON.parse(res.body).choices[0].message.content;
+  } catch (error) {
+    throw new Error(`Failed to parse chat completion response: ${error.message}`);
+  }
+  if (typeof content !== 'string') {
+    throw new Error('Chat completion response has no text');
+  }
+  return content.trim();
+}
+
+module.exports = {
+  requestChatCompletion,
+  sendRequest,
+  toWebSocketUrl
+};
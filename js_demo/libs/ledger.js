@@ -0,0 +1,197 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Usage ledger
+ *
+ * One JSON line per finished session is appended to the ledger file:
+ * {sessionId, user, provider, model, language, source, connectedAt,
+ *  disconnectedAt, audioSeconds, segmentCount, errorCount}
+ *
+ * The file is only ever appended to, reports read it in full and group the
+ * entries by day (UTC, of connectedAt), user and model. Costs are estimates
+ * from a per-minute price table, real bills depend on the provider's pricing.
+ */
+
+// Estimated USD per minute of audio, override with USAGE_PRICES
+const DEFAULT_PRICES_PER_MINUTE = {
+  'gpt-4o-transcribe': 0.006,
+  'gpt-4o-mini-transcribe': 0.003,
+  'whisper-1': 0.006,
+  'whisper-large-v3': 0.111 / 60,
+  'whisper-large-v3-turbo': 0.04 / 60
+};
+
+const CSV_COLUMNS = ['day', 'user', 'model', 'sessions', 'audioMinutes', 'segments', 'errors', 'estimatedCost'];
+
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+class UsageLedger {
+  /**
+   * @param {string} filePath - The ledger file, created with its directory on the first write
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+    // Appends are chained so concurrent sessions never interleave their lines
+    this.pending = Promise.resolve();
+  }
+
+  /**
+   * Append a finished session
+   * @param {Object} entry - The session's usage
+   * @returns {Promise<void>}
+   */
+  record(entry) {
+    this.pending = this.pending
+      .catch(() => {})
+      .then(async () => {
+        await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+        await fs.promises.appendFile(this.filePath, JSON.stringify(entry) + '\n');
+      });
+    return this.pending;
+  }
+
+  /**
+   * Read the entries, optionally filtered
+   * @param {Object} filter
+   * @param {string} [filter.from] - First day to include (YYYY-MM-DD, UTC)
+   * @param {string} [filter.to] - Last day to include (YYYY-MM-DD, UTC)
+   * @param {string} [filter.user] - Only this user
+   * @returns {Promise<Object[]>} - The entries, each with its day
+   */
+  async read({ from, to, user } = {}) {
+    let content;
+    try {
+      content = await fs.promises.readFile(this.filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const entries = [];
+    for (const line of content.split('\n')) {
+      if (!line.trim()) continue;
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (e) {
+        // A line cut short by a crash, the rest of the ledger is still usable
+        continue;
+      }
+      const day = typeof entry.connectedAt === 'string' ? entry.connectedAt.slice(0, 10) : null;
+      if (!day || (from && day < from) || (to && day > to) || (user && entry.user !== user)) continue;
+      entries.push({ ...entry, day });
+    }
+    return entries;
+  }
+}
+
+const roundTo = (value, digits) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+/**
+ * Group ledger entries by day, user and model
+ * @param {Object[]} entries - Entries from UsageLedger.read
+ * @param {Object} prices - USD per minute of audio by model
+ * @returns {Object} - {groups, totals, unpricedModels}
+ */
+function summarizeUsage(entries, prices) {
+  const groups = new Map();
+  const unpricedModels = new Set();
+
+  for (const entry of entries) {
+    const key = JSON.stringify([entry.day, entry.user, entry.model]);
+    let group = groups.get(key);
+    if (!group) {
+      group = { day: entry.day, user: entry.user, model: entry.model, sessions: 0, audioSeconds: 0, segments: 0, errors: 0 };
+      groups.set(key, group);
+    }
+    group.sessions++;
+    group.audioSeconds += entry.audioSeconds || 0;
+    group.segments += entry.segmentCount || 0;
+    group.errors += entry.errorCount || 0;
+  }
+
+  const rows = Array.from(groups.values())
+    .sort((a, b) => a.day.localeCompare(b.day) || String(a.user).localeCompare(String(b.user)) || String(a.model).localeCompare(String(b.model)))
+    .map(group => {
+      const price = prices[group.model];
+      if (price === undefined) unpricedModels.add(group.model);
+      return {
+        ...group,
+        audioSeconds: roundTo(group.audioSeconds, 1),
+        audioMinutes: roundTo(group.audioSeconds / 60, 2),
+        // Unknown models are reported without a cost rather than as free
+        estimatedCost: price === undefined ? null : roundTo(group.audioSeconds / 60 * price, 4)
+      };
+    });
+
+  const totals = rows.reduce((sum, row) => ({
+    sessions: sum.sessions + row.sessions,
+    audioMinutes: roundTo(sum.audioMinutes + row.audioMinutes, 2),
+    segments: sum.segments + row.segments,
+    errors: sum.errors + row.errors,
+    estimatedCost: roundTo(sum.estimatedCost + (row.estimatedCost || 0), 4)
+  }), { sessions: 0, audioMinutes: 0, segments: 0, errors: 0, estimatedCost: 0 });
+
+  return { groups: rows, totals, unpricedModels: Array.from(unpricedModels) };
+}
+
+function csvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * @param {Object[]} groups - Groups from summarizeUsage
+ * @returns {string} - CSV with a header row
+ */
+function usageToCsv(groups) {
+  const lines = [CSV_COLUMNS.join(',')];
+  for (const group of groups) {
+    lines.push(CSV_COLUMNS.map(column => csvField(group[column])).join(','));
+  }
+  return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * @param {string} value - A query parameter
+ * @returns {boolean} - Whether it is a YYYY-MM-DD date
+ */
+function isValidDay(value) {
+  return typeof value === 'string' && DAY_PATTERN.test(value) && !Number.isNaN(Date.parse(value));
+}
+
+/**
+ * Read the price table: USAGE_PRICES is a JSON object of USD per audio minute
+ * by model, merged over DEFAULT_PRICES_PER_MINUTE
+ * @param {Object} env - process.env
+ * @returns {Object} - USD per minute by model
+ */
+function pricesFromEnv(env) {
+  if (!env.USAGE_PRICES) return { ...DEFAULT_PRICES_PER_MINUTE };
+
+  let prices;
+  try {
+    prices = JSON.parse(env.USAGE_PRICES);
+  } catch (e) {
+    throw new Error(`USAGE_PRICES must be valid JSON: ${e.message}`);
+  }
+  if (!prices || typeof prices !== 'object' || Array.isArray(prices)) {
+    throw new Error('USAGE_PRICES must be a JSON object of prices by model');
+  }
+  for (const [model, price] of Object.entries(prices)) {
+    if (typeof price !== 'number' || price < 0) {
+      throw new Error(`USAGE_PRICES: the price for ${model} must be a number >= 0`);
+    }
+  }
+  return { ...DEFAULT_PRICES_PER_MINUTE, ...prices };
+}
+
+module.exports = {
+  DEFAULT_PRICES_PER_MINUTE,
+  UsageLedger,
+  summarizeUsage,
+  usageToCsv,
+  isValidDay,
+  pricesFromEnv
+};
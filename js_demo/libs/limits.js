@@ -0,0 +1,208 @@
+/**
+ * Per-user usage limits
+ *
+ * Limits are tracked per key: the user name, or the client IP address when
+ * authentication is disabled. Three limits apply, each disabled with 0:
+ * - concurrent sessions
+ * - session creations per minute (sliding window)
+ * - audio minutes per day (UTC), counted from the audio the proxy relays
+ *
+ * State is kept in memory and starts over when the server restarts.
+ */
+
+const DEFAULT_LIMITS = {
+  maxConcurrentSessions: 3,
+  sessionsPerMinute: 10,
+  audioMinutesPerDay: 120
+};
+
+// WebSocket close code sent to the client when a session runs out of audio quota
+const QUOTA_EXCEEDED_CLOSE_CODE = 4429;
+
+const MINUTE_MS = 60 * 1000;
+
+// Bytes of audio per millisecond for each input format
+const BYTES_PER_MS = {
+  pcm16: 48, // 24 kHz, 16-bit
+  g711_ulaw: 8, // 8 kHz, 8-bit
+  g711_alaw: 8
+};
+
+function utcDay(timestamp) {
+  return new Date(timestamp).toISOString().slice(0, 10);
+}
+
+function msUntilNextUtcDay(timestamp) {
+  const next = new Date(timestamp);
+  next.setUTCHours(24, 0, 0, 0);
+  return next.getTime() - timestamp;
+}
+
+/**
+ * @param {number} bytes - Size of the raw audio
+ * @param {string} format - The session's input audio format
+ * @returns {number} - Duration of the audio in milliseconds
+ */
+function audioDurationMs(bytes, format) {
+  return bytes / (BYTES_PER_MS[format] || BYTES_PER_MS.pcm16);
+}
+
+/**
+ * A rejected request
+ */
+class LimitExceededError extends Error {
+  /**
+   * @param {string} limit - 'concurrent_sessions', 'sessions_per_minute' or 'audio_minutes_per_day'
+   * @param {string} message - Explanation for the client
+   * @param {number|null} retryAfterSeconds - When the request can succeed again, null if unknown
+   */
+  constructor(limit, message, retryAfterSeconds) {
+    super(message);
+    this.name = 'LimitExceededError';
+    this.limit = limit;
+    this.retryAfterSeconds = retryAfterSeconds;
+  }
+}
+
+class UsageLimiter {
+  /**
+   * @param {Object} limits - Overrides for DEFAULT_LIMITS
+   */
+  constructor(limits = {}) {
+    this.limits = { ...DEFAULT_LIMITS, ...limits };
+    // key -> number of open sessions
+    this.activeSessions = new Map();
+    // key -> creation timestamps within the last minute
+    this.recentStarts = new Map();
+    // key -> {day, audioMs}
+    this.dailyAudio = new Map();
+  }
+
+  /**
+   * Check the session limits and count a new session
+   * @param {string} key - The user or IP address
+   * @returns {Function} - Releases the session again, safe to call more than once
+   * @throws {LimitExceededError} - If a limit is reached
+   */
+  startSession(key) {
+    const now = Date.now();
+    const { maxConcurrentSessions, sessionsPerMinute, audioMinutesPerDay } = this.limits;
+
+    const active = this.activeSessions.get(key) || 0;
+    if (maxConcurrentSessions > 0 && active >= maxConcurrentSessions) {
+      throw new LimitExceededError('concurrent_sessions',
+        `Too many concurrent sessions (limit ${maxConcurrentSessions}), stop another session first`, null);
+    }
+
+    const starts = (this.recentStarts.get(key) || []).filter(time => now - time < MINUTE_MS);
+    if (sessionsPerMinute > 0 && starts.length >= sessionsPerMinute) {
+      const retryAfterSeconds = Math.ceil((starts[0] + MINUTE_MS - now) / 1000);
+      throw new LimitExceededError('sessions_per_minute',
+        `Too many new sessions (limit ${sessionsPerMinute} per minute), try again in ${retryAfterSeconds} s`, retryAfterSeconds);
+    }
+
+    if (audioMinutesPerDay > 0 && this.getAudioMsToday(key, now) >= audioMinutesPerDay * MINUTE_MS) {
+      throw new LimitExceededError('audio_minutes_per_day',
+        `Daily audio quota of ${audioMinutesPerDay} minutes used up`, Math.ceil(msUntilNextUtcDay(now) / 1000));
+    }
+
+    starts.push(now);
+    this.recentStarts.set(key, starts);
+    this.activeSessions.set(key, active + 1);
+
+    let released = false;
+    return () => {
+      if (released) return;
+      released = true;
+      const remaining = (this.activeSessions.get(key) || 1) - 1;
+      if (remaining > 0) {
+        this.activeSessions.set(key, remaining);
+      } else {
+        this.activeSessions.delete(key);
+      }
+    };
+  }
+
+  getAudioMsToday(key, now = Date.now()) {
+    const usage = this.dailyAudio.get(key);
+    return usage && usage.day === utcDay(now) ? usage.audioMs : 0;
+  }
+
+  /**
+   * Count relayed audio against the daily quota
+   * @param {string} key - The user or IP address
+   * @param {number} durationMs - Duration of the audio
+   * @returns {boolean} - False once the quota is used up
+   */
+  addAudio(key, durationMs) {
+    const now = Date.now();
+    const audioMs = this.getAudioMsToday(key, now) + durationMs;
+    this.dailyAudio.set(key, { day: utcDay(now), audioMs });
+
+    const { audioMinutesPerDay } = this.limits;
+    return !(audioMinutesPerDay > 0 && audioMs > audioMinutesPerDay * MINUTE_MS);
+  }
+
+  /**
+   * Forget windows and days that no longer matter
+   */
+  prune() {
+    const now = Date.now();
+    for (const [key, starts] of this.recentStarts.entries()) {
+      if (starts.every(time => now - time >= MINUTE_MS)) this.recentStarts.delete(key);
+    }
+    for (const [key, usage] of this.dailyAudio.entries()) {
+      if (usage.day !== utcDay(now)) this.dailyAudio.delete(key);
+    }
+  }
+
+  /**
+   * @param {string} key - The user or IP address
+   * @returns {Object} - The limits and the key's current usage
+   */
+  describe(key) {
+    return {
+      limits: this.limits,
+      usage: {
+        activeSessions: this.activeSessions.get(key) || 0,
+        sessionsLastMinute: (this.recentStarts.get(key) || []).filter(time => Date.now() - time < MINUTE_MS).length,
+        audioMinutesToday: Math.round(this.getAudioMsToday(key) / MINUTE_MS * 100) / 100
+      }
+    };
+  }
+}
+
+/**
+ * Read the limits from the environment: MAX_CONCURRENT_SESSIONS,
+ * SESSIONS_PER_MINUTE and AUDIO_MINUTES_PER_DAY (0 disables a limit)
+ * @param {Object} env - process.env
+ * @returns {Object} - Limits for the UsageLimiter constructor
+ */
+function limitsFromEnv(env) {
+  const limits = {};
+  const numbers = {
+    MAX_CONCURRENT_SESSIONS: 'maxConcurrentSessions',
+    SESSIONS_PER_MINUTE: 'sessionsPerMinute',
+    AUDIO_MINUTES_PER_DAY: 'audioMinutesPerDay'
+  };
+
+  for (const [name, option] of Object.entries(numbers)) {
+    if (env[name] === undefined || env[name] === '') continue;
+    const value = Number(env[name]);
+    if (!Number.isFinite(value) || value < 0) {
+      throw new Error(`${name} must be a number >= 0`);
+    }
+    limits[option] = value;
+  }
+
+  return limits;
+}
+
+module.exports = {
+  DEFAULT_LIMITS,
+  QUOTA_EXCEEDED_CLOSE_CODE,
+  LimitExceededError,
+  UsageLimiter,
+  audioDurationMs,
+  limitsFromEnv
+};
@@ -0,0 +1,230 @@
+/**
+ * Structured logging
+ *
+ * Every line is a JSON object: {time, level, msg, ...fields}. Child loggers add
+ * fields to every line they write, the server uses them to correlate the lines
+ * of an HTTP request (requestId) and of a transcription session (sessionId).
+ *
+ * Fields and messages are redacted before they are written:
+ * - API keys, tokens, passwords, client secrets and audio are always replaced
+ * - transcript text (transcript, delta, text, prompt and logprobs, whose tokens
+ *   spell out the text) is replaced unless LOG_TRANSCRIPTS=true
+ * - values registered with addSecrets() and bearer tokens or API keys that
+ *   show up in messages are masked
+ *
+ * All loggers share the configuration of the root logger, so modules can create
+ * their child loggers when they are loaded and the server configures logging later.
+ */
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const DEFAULT_CONFIG = {
+  level: 'info',
+  format: 'json',
+  logTranscripts: false,
+  // Relayed audio frames are only logged at debug level, every Nth one, 0 for none
+  audioFrameInterval: 0
+};
+
+const SECRET_FIELD = /(authorization|api_?key|secret|password|token|cookie)$|^audio$/i;
+const TRANSCRIPT_FIELD = /^(transcript|delta|text|prompt|logprobs)$/i;
+const REDACTED = '[redacted]';
+// [pattern, replacement] for secrets in free text, e.g. an upstream error that echoes a header
+const SECRET_PATTERNS = [
+  [/\bBearer\s+[A-Za-z0-9._~+/=-]+/gi, `Bearer ${REDACTED}`],
+  [/\b(sk|ek|gsk)[-_][A-Za-z0-9_-]{16,}/g, REDACTED]
+];
+const MAX_DEPTH = 6;
+
+class Logger {
+  /**
+   * @param {Object} [fields] - Fields added to every line
+   * @param {Object} [config] - Shared configuration, created for the root logger
+   */
+  constructor(fields = {}, config = null) {
+    this.fields = fields;
+    this.config = config || { ...DEFAULT_CONFIG, secrets: new Set(), output: line => process.stdout.write(line + '\n') };
+    // name -> number of events seen, for sampled()
+    this.sampleCounts = new Map();
+  }
+
+  /**
+   * @param {Object} fields - Fields to add to every line of the child
+   * @returns {Logger} - A logger with this logger's fields and configuration
+   */
+  child(fields) {
+    return new Logger({ ...this.fields, ...fields }, this.config);
+  }
+
+  /**
+   * Mask these values wherever they appear in log lines, e.g. configured API keys
+   * @param {Array<string>} values - The secrets, empty and very short values are ignored
+   */
+  addSecrets(values) {
+    for (const value of values) {
+      if (typeof value === 'string' && value.length >= 8) this.config.secrets.add(value);
+    }
+  }
+
+  isLevelEnabled(level) {
+    return LEVELS[level] >= LEVELS[this.config.level];
+  }
+
+  debug(message, fields) {
+    this.write('debug', message, fields);
+  }
+
+  info(message, fields) {
+    this.write('info', message, fields);
+  }
+
+  warn(message, fields) {
+    this.write('warn', message, fields);
+  }
+
+  error(message, fields) {
+    this.write('error', message, fields);
+  }
+
+  /**
+   * Log one of a stream of similar events, such as relayed audio frames, at debug
+   * level: only the first and then every Nth (audioFrameInterval) are written
+   * @param {string} name - The kind of event, counted per logger
+   * @param {string} message - The message
+   * @param {Object} [fields] - Extra fields
+   */
+  sampled(name, message, fields) {
+    const count = (this.sampleCounts.get(name) || 0) + 1;
+    this.sampleCounts.set(name, count);
+    const interval = this.config.audioFrameInterval;
+    if (interval > 0 && (count - 1) % interval === 0) {
+      this.write('debug', message, { ...fields, count });
+    }
+  }
+
+  write(level, message, fields = {}) {
+    if (!this.isLevelEnabled(level)) return;
+
+    const entry = {
+      time: new Date().toISOString(),
+      level,
+      msg: this.redactString(String(message)),
+      ...this.redactValue({ ...this.fields, ...fields }, null, 0)
+    };
+    this.config.output(this.config.format === 'text' ? formatText(entry) : JSON.stringify(entry));
+  }
+
+  redactString(value) {
+    let result = value;
+    for (const [pattern, replacement] of SECRET_PATTERNS) {
+      result = result.replace(pattern, replacement);
+    }
+    for (const secret of this.config.secrets) {
+      if (result.includes(secret)) result = result.split(secret).join(REDACTED);
+    }
+    return result;
+  }
+
+  redactValue(value, key, depth) {
+    if (value === null || value === undefined || typeof value === 'boolean' || typeof value === 'number') {
+      return value;
+    }
+    if (key && SECRET_FIELD.test(key)) {
+      return REDACTED;
+    }
+    if (key && TRANSCRIPT_FIELD.test(key) && !this.config.logTranscripts) {
+      if (typeof value !== 'string') return REDACTED;
+      return value ? `[redacted ${value.length} chars]` : value;
+    }
+    if (typeof value === 'string') {
+      return this.redactString(value);
+    }
+    if (Buffer.isBuffer(value)) {
+      return `[${value.length} bytes]`;
+    }
+    if (value instanceof Error) {
+      return this.redactValue({ name: value.name, message: value.message, code: value.code, stack: value.stack }, key, depth);
+    }
+    if (depth >= MAX_DEPTH) {
+      return '[nested]';
+    }
+    if (Array.isArray(value)) {
+      return value.map(item => this.redactValue(item, key, depth + 1));
+    }
+    if (typeof value === 'object') {
+      const result = {};
+      for (const [name, item] of Object.entries(value)) {
+        result[name] = this.redactValue(item, name, depth + 1);
+      }
+      return result;
+    }
+    return String(value);
+  }
+}
+
+// One line for reading in a terminal: time LEVEL message key=value ...
+function formatText({ time, level, msg, ...fields }) {
+  const details = Object.entries(fields)
+    .filter(([, value]) => value !== undefined)
+    .map(([name, value]) => `${name}=${typeof value === 'string' ? value : JSON.stringify(value)}`);
+  return [time, level.toUpperCase().padEnd(5), msg, ...details].join(' ');
+}
+
+const logger = new Logger();
+
+/**
+ * Apply a configuration to the root logger and every logger created from it
+ * @param {Object} options - Overrides for DEFAULT_CONFIG
+ */
+function configureLogging(options) {
+  Object.assign(logger.config, options);
+}
+
+/**
+ * Read the logging configuration from the environment
+ *
+ * LOG_LEVEL=info            debug, info, warn or error
+ * LOG_FORMAT=json           json, or text for reading in a terminal
+ * LOG_TRANSCRIPTS=false     true keeps transcript text and prompts in the logs
+ * LOG_AUDIO_FRAMES=0        log every Nth relayed audio frame at debug level
+ *
+ * @param {Object} env - process.env
+ * @returns {Object} - Options for configureLogging
+ */
+function loggingOptionsFromEnv(env) {
+  const options = {};
+
+  if (env.LOG_LEVEL) {
+    const level = env.LOG_LEVEL.toLowerCase();
+    if (!Object.keys(LEVELS).includes(level)) {
+      throw new Error(`LOG_LEVEL must be one of ${Object.keys(LEVELS).join(', ')}`);
+    }
+    options.level = level;
+  }
+  if (env.LOG_FORMAT) {
+    if (env.LOG_FORMAT !== 'json' && env.LOG_FORMAT !== 'text') {
+      throw new Error('LOG_FORMAT must be json or text');
+    }
+    options.format = env.LOG_FORMAT;
+  }
+  if (env.LOG_TRANSCRIPTS !== undefined) {
+    options.logTranscripts = env.LOG_TRANSCRIPTS === 'true';
+  }
+  if (env.LOG_AUDIO_FRAMES !== undefined && env.LOG_AUDIO_FRAMES !== '') {
+    const interval = Number(env.LOG_AUDIO_FRAMES);
+    if (!Number.isInteger(interval) || interval < 0) {
+      throw new Error('LOG_AUDIO_FRAMES must be a whole number >= 0');
+    }
+    options.audioFrameInterval = interval;
+  }
+
+  return options;
+}
+
+module.exports = {
+  LEVELS,
+  Logger,
+  logger,
+  configureLogging,
+  loggingOptionsFromEnv
+};
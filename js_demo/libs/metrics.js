@@ -0,0 +1,187 @@
+/**
+ * Prometheus metrics
+ *
+ * A minimal registry of counters, gauges and histograms that renders the
+ * Prometheus text exposition format (version 0.0.4) for GET /metrics. Metrics
+ * live in memory and start over when the server restarts, as Prometheus expects.
+ *
+ * Label values must come from a small, fixed set (providers, close codes,
+ * directions): every distinct combination becomes a time series.
+ */
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Latencies of speech services, in seconds
+const DEFAULT_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labelNames, labels, extra = '') {
+  const pairs = labelNames.map(name => `${name}="${escapeLabelValue(labels[name] === undefined ? '' : labels[name])}"`);
+  if (extra) pairs.push(extra);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+class Metric {
+  /**
+   * @param {string} type - counter, gauge or histogram
+   * @param {Object} options
+   * @param {string} options.name - The metric name
+   * @param {string} options.help - One line description
+   * @param {string[]} [options.labelNames] - Names of the labels, in output order
+   */
+  constructor(type, { name, help, labelNames = [] }) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    // JSON of the label values -> {labels, value}
+    this.series = new Map();
+  }
+
+  getSeries(labels, create) {
+    const key = JSON.stringify(this.labelNames.map(name => labels[name]));
+    let series = this.series.get(key);
+    if (!series) {
+      series = { labels: { ...labels }, ...create() };
+      this.series.set(key, series);
+    }
+    return series;
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+    for (const series of this.series.values()) {
+      lines.push(...this.renderSeries(series));
+    }
+    return lines.join('\n');
+  }
+
+  renderSeries(series) {
+    return [`${this.name}${formatLabels(this.labelNames, series.labels)} ${formatValue(series.value)}`];
+  }
+}
+
+class Counter extends Metric {
+  constructor(options) {
+    super('counter', options);
+  }
+
+  /**
+   * @param {Object} [labels] - Label values
+   * @param {number} [value=1] - Amount to add, must not be negative
+   */
+  inc(labels = {}, value = 1) {
+    if (value < 0) throw new Error(`Counter ${this.name} cannot decrease`);
+    this.getSeries(labels, () => ({ value: 0 })).value += value;
+  }
+}
+
+class Gauge extends Metric {
+  /**
+   * @param {Object} options - See Metric, plus:
+   * @param {Function} [options.collect] - Called before rendering, returns the current
+   *   values as [{labels, value}] and replaces all series
+   */
+  constructor(options) {
+    super('gauge', options);
+    this.collect = options.collect || null;
+  }
+
+  set(labels = {}, value) {
+    this.getSeries(labels, () => ({ value: 0 })).value = value;
+  }
+
+  render() {
+    if (this.collect) {
+      this.series.clear();
+      for (const { labels, value } of this.collect()) {
+        this.set(labels, value);
+      }
+    }
+    return super.render();
+  }
+}
+
+class Histogram extends Metric {
+  /**
+   * @param {Object} options - See Metric, plus:
+   * @param {number[]} [options.buckets] - Upper bounds, ascending
+   */
+  constructor(options) {
+    super('histogram', options);
+    this.buckets = [...(options.buckets || DEFAULT_BUCKETS)].sort((a, b) => a - b);
+  }
+
+  /**
+   * @param {Object} labels - Label values
+   * @param {number} value - The observation, e.g. a latency in seconds
+   */
+  observe(labels, value) {
+    const series = this.getSeries(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) series.counts[index]++;
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  renderSeries(series) {
+    const lines = this.buckets.map((bound, index) =>
+      `${this.name}_bucket${formatLabels(this.labelNames, series.labels, `le="${formatValue(bound)}"`)} ${series.counts[index]}`);
+    lines.push(`${this.name}_bucket${formatLabels(this.labelNames, series.labels, 'le="+Inf"')} ${series.count}`);
+    lines.push(`${this.name}_sum${formatLabels(this.labelNames, series.labels)} ${series.sum}`);
+    lines.push(`${this.name}_count${formatLabels(this.labelNames, series.labels)} ${series.count}`);
+    return lines;
+  }
+}
+
+class MetricsRegistry {
+  constructor() {
+    this.metrics = [];
+  }
+
+  register(metric) {
+    if (this.metrics.some(existing => existing.name === metric.name)) {
+      throw new Error(`Metric ${metric.name} is already registered`);
+    }
+    this.metrics.push(metric);
+    return metric;
+  }
+
+  counter(options) {
+    return this.register(new Counter(options));
+  }
+
+  gauge(options) {
+    return this.register(new Gauge(options));
+  }
+
+  histogram(options) {
+    return this.register(new Histogram(options));
+  }
+
+  /**
+   * @returns {string} - All metrics in the Prometheus text format
+   */
+  render() {
+    return this.metrics.map(metric => metric.render()).join('\n') + '\n';
+  }
+}
+
+module.exports = {
+  CONTENT_TYPE,
+  DEFAULT_BUCKETS,
+  Counter,
+  Gauge,
+  Histogram,
+  MetricsRegistry
+};
@@ -0,0 +1,561 @@
+const http = require('http');
+const fs = require('fs');
+const crypto = require('crypto');
+const url = require('url');
+const WebSocket = require('ws');
+
+/**
+ * Mock OpenAI realtime transcription upstream
+ *
+ * Implements just enough of the OpenAI API for the proxy to run offline:
+ * - GET  /v1/models
+ * - POST /v1/realtime/transcription_sessions
+ * - POST /v1/audio/transcriptions (for the batch providers)
+ * - POST /v1/chat/completions (translations are answered with "[<language>] <text>",
+ *   anything else, like the post-processing cleanup, with the user's message)
+ * - WS   /v1/realtime?intent=transcription
+ *
+ * Transcripts come from a script of utterances that is cycled through, one
+ * per turn. With server_vad a turn ends after `utteranceMs` of appended audio,
+ * without turn detection the client ends it with input_audio_buffer.commit.
+ *
+ * Failures are simulated through options (see DEFAULT_MOCK_OPTIONS) that can
+ * also be changed at runtime:
+ * - GET/POST /__mock/config      read or merge options
+ * - POST     /__mock/disconnect  close every open socket ({code, reason})
+ * - POST     /__mock/emit        send a raw server event to every open socket
+ * These are not authenticated, so the mock only listens on the loopback interface.
+ */
+
+const DEFAULT_SCRIPT = [
+  'Hello, this is the mock transcription server.',
+  'Every turn you speak is answered with the next line of the script.',
+  'Use it to develop and test the proxy without a network connection.'
+];
+
+const DEFAULT_MOCK_OPTIONS = {
+  apiKey: null, // Accept any bearer token when null
+  script: DEFAULT_SCRIPT,
+  utteranceMs: 2000, // Audio per turn in server_vad mode
+  latencyMs: 200, // Delay between speech_stopped and the first delta
+  deltaIntervalMs: 50, // Delay between word deltas
+  sessionCreateDelayMs: 0,
+  sessionCreateStatus: 200, // Anything else makes session creation fail
+  failEvery: 0, // Every Nth turn emits ...transcription.failed instead of completed
+  disconnectAfterMs: 0, // Close every socket this long after it connects
+  disconnectCode: 1011
+};
+
+// Bytes of audio per millisecond for each input format
+const BYTES_PER_MS = {
+  pcm16: 48, // 24 kHz, 16-bit
+  g711_ulaw: 8, // 8 kHz, 8-bit
+  g711_alaw: 8
+};
+
+const MIN_COMMIT_MS = 100;
+
+function generateId(prefix) {
+  return `${prefix}_mock${crypto.randomBytes(8).toString('hex')}`;
+}
+
+/**
+ * Deterministic fake log probability for a token
+ * @param {string} token - The token text
+ * @returns {number} - A log probability <= 0
+ */
+function fakeLogprob(token) {
+  let hash = 0;
+  for (let i = 0; i < token.length; i++) {
+    hash = (hash * 31 + token.charCodeAt(i)) % 1000;
+  }
+  // Long words are occasionally uncertain, short ones almost never
+  const spread = token.trim().length > 6 ? 2.5 : 0.2;
+  return -Math.round((hash / 1000) * spread * 1000) / 1000;
+}
+
+function sendJson(res, statusCode, data) {
+  res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(data));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+function bearerToken(req) {
+  const header = req.headers.authorization || '';
+  return header.startsWith('Bearer ') ? header.slice(7) : null;
+}
+
+/**
+ * One mocked realtime WebSocket session
+ */
+class MockRealtimeSession {
+  constructor(mock, ws, session) {
+    this.mock = mock;
+    this.ws = ws;
+    this.session = session;
+    this.timers = new Set();
+
+    this.totalMs = 0;
+    this.bufferMs = 0;
+    this.speechItemId = null;
+    this.speechStartMs = 0;
+    this.lastItemId = null;
+    this.turnCount = 0;
+
+    ws.on('message', (data) => this.handleMessage(data));
+    ws.on('close', () => this.dispose());
+
+    this.sendEvent({
+      type: 'transcription_session.created',
+      session: { ...session, client_secret: null }
+    });
+
+    const { disconnectAfterMs, disconnectCode } = mock.options;
+    if (disconnectAfterMs > 0) {
+      this.schedule(() => this.ws.close(disconnectCode, 'Simulated disconnect'), disconnectAfterMs);
+    }
+  }
+
+  schedule(fn, delayMs) {
+    const timer = setTimeout(() => {
+      this.timers.delete(timer);
+      fn();
+    }, delayMs);
+    this.timers.add(timer);
+  }
+
+  dispose() {
+    this.timers.forEach(timer => clearTimeout(timer));
+    this.timers.clear();
+    this.mock.sockets.delete(this.ws);
+  }
+
+  sendEvent(event) {
+    if (this.ws.readyState !== WebSocket.OPEN) return;
+    this.ws.send(JSON.stringify({ event_id: generateId('event'), ...event }));
+  }
+
+  sendError(code, message) {
+    this.sendEvent({
+      type: 'error',
+      error: { type: 'invalid_request_error', code, message }
+    });
+  }
+
+  handleMessage(data) {
+    let event;
+    try {
+      event = JSON.parse(data.toString());
+    } catch (error) {
+      this.sendError('invalid_json', `Invalid JSON: ${error.message}`);
+      return;
+    }
+
+    switch (event.type) {
+      case 'input_audio_buffer.append':
+        this.appendAudio(Buffer.from(event.audio || '', 'base64').length);
+        break;
+
+      case 'input_audio_buffer.commit':
+        this.commitBuffer();
+        break;
+
+      case 'input_audio_buffer.clear':
+        this.bufferMs = 0;
+        this.speechItemId = null;
+        this.sendEvent({ type: 'input_audio_buffer.cleared' });
+        break;
+
+      case 'transcription_session.update':
+        Object.assign(this.session, event.session || {});
+        this.sendEvent({
+          type: 'transcription_session.updated',
+          session: { ...this.session, client_secret: null }
+        });
+        break;
+
+      default:
+        this.sendError('invalid_event', `Unsupported client event type: ${event.type}`);
+    }
+  }
+
+  appendAudio(bytes) {
+    const audioMs = bytes / (BYTES_PER_MS[this.session.input_audio_format] || BYTES_PER_MS.pcm16);
+    this.totalMs += audioMs;
+    this.bufferMs += audioMs;
+
+    if (!this.session.turn_detection) return;
+
+    if (!this.speechItemId) {
+      this.speechItemId = generateId('item');
+      this.speechStartMs = this.totalMs - audioMs;
+      this.bufferMs = audioMs;
+      this.sendEvent({
+        type: 'input_audio_buffer.speech_started',
+        audio_start_ms: Math.round(this.speechStartMs),
+        item_id: this.speechItemId
+      });
+    }
+
+    if (this.bufferMs >= this.mock.options.utteranceMs) {
+      this.stopSpeech();
+    }
+  }
+
+  stopSpeech() {
+    const itemId = this.speechItemId;
+    this.speechItemId = null;
+    this.sendEvent({
+      type: 'input_audio_buffer.speech_stopped',
+      audio_end_ms: Math.round(this.totalMs),
+      item_id: itemId
+    });
+    this.commitItem(itemId);
+  }
+
+  commitBuffer() {
+    if (this.speechItemId) {
+      this.stopSpeech();
+      return;
+    }
+    if (this.bufferMs < MIN_COMMIT_MS) {
+      this.sendError('input_audio_buffer_commit_empty',
+        `Error committing input audio buffer: buffer too small. Expected at least ${MIN_COMMIT_MS}ms of audio, but buffer only has ${Math.round(this.bufferMs)}ms of audio.`);
+      return;
+    }
+    this.commitItem(generateId('item'));
+  }
+
+  commitItem(itemId) {
+    const previousItemId = this.lastItemId;
+    this.lastItemId = itemId;
+    this.bufferMs = 0;
+
+    this.sendEvent({
+      type: 'input_audio_buffer.committed',
+      previous_item_id: previousItemId,
+      item_id: itemId
+    });
+    this.sendEvent({
+      type: 'conversation.item.created',
+      previous_item_id: previousItemId,
+      item: {
+        id: itemId,
+        object: 'realtime.item',
+        type: 'message',
+        status: 'completed',
+        role: 'user',
+        content: [{ type: 'input_audio', transcript: null }]
+      }
+    });
+
+    const turn = this.mock.nextTurn(this);
+    const { latencyMs, deltaIntervalMs, failEvery } = this.mock.options;
+
+    if (failEvery > 0 && turn.index % failEvery === 0) {
+      this.schedule(() => this.sendEvent({
+        type: 'conversation.item.input_audio_transcription.failed',
+        item_id: itemId,
+        content_index: 0,
+        error: {
+          type: 'transcription_error',
+          code: 'mock_failure',
+          message: 'Simulated transcription failure'
+        }
+      }), latencyMs);
+      return;
+    }
+
+    const includeLogprobs = Array.isArray(this.session.include) &&
+      this.session.include.includes('item.input_audio_transcription.logprobs');
+    const tokens = turn.text.split(/(?=\s)/);
+    const toLogprob = (token) => ({
+      token,
+      logprob: fakeLogprob(token),
+      bytes: Array.from(Buffer.from(token))
+    });
+
+    tokens.forEach((token, i) => {
+      this.schedule(() => {
+        const event = {
+          type: 'conversation.item.input_audio_transcription.delta',
+          item_id: itemId,
+          content_index: 0,
+          delta: token
+        };
+        if (includeLogprobs) {
+          event.logprobs = [toLogprob(token)];
+        }
+        this.sendEvent(event);
+      }, latencyMs + i * deltaIntervalMs);
+    });
+
+    this.schedule(() => {
+      const event = {
+        type: 'conversation.item.input_audio_transcription.completed',
+        item_id: itemId,
+        content_index: 0,
+        transcript: turn.text
+      };
+      if (includeLogprobs) {
+        event.logprobs = tokens.map(toLogprob);
+      }
+      this.sendEvent(event);
+    }, latencyMs + tokens.length * deltaIntervalMs);
+  }
+}
+
+/**
+ * Create a mock upstream server
+ * @param {Object} overrides - Options to override DEFAULT_MOCK_OPTIONS
+ * @returns {Object} - The mock ({server, options, listen, close, configure, disconnectAll, broadcast})
+ */
+function createMockUpstream(overrides = {}) {
+  const mock = {
+    options: { ...DEFAULT_MOCK_OPTIONS, ...overrides },
+    sessions: new Map(), // client secret -> session object
+    sockets: new Set(),
+    turnCount: 0
+  };
+
+  // Realtime sessions count their own turns so each one starts at the top of the script
+  mock.nextTurn = (counter = mock) => {
+    const script = mock.options.script.length > 0 ? mock.options.script : DEFAULT_SCRIPT;
+    const index = ++counter.turnCount;
+    return { index, text: script[(index - 1) % script.length] };
+  };
+
+  mock.configure = (partial) => {
+    Object.assign(mock.options, partial);
+    return mock.options;
+  };
+
+  mock.broadcast = (event) => {
+    mock.sockets.forEach(ws => {
+      if (ws.readyState === WebSocket.OPEN) {
+        ws.send(JSON.stringify({ event_id: generateId('event'), ...event }));
+      }
+    });
+  };
+
+  mock.disconnectAll = (code = mock.options.disconnectCode, reason = 'Simulated disconnect') => {
+    mock.sockets.forEach(ws => ws.close(code, reason));
+  };
+
+  const isAuthorized = (req) => {
+    const token = bearerToken(req);
+    return Boolean(token) && (!mock.options.apiKey || token === mock.options.apiKey);
+  };
+
+  const unauthorized = (res) => sendJson(res, 401, {
+    error: { type: 'invalid_request_error', code: 'invalid_api_key', message: 'Incorrect API key provided' }
+  });
+
+  async function handleRequest(req, res) {
+    const pathname = url.parse(req.url).pathname;
+
+    try {
+      if (pathname === '/__mock/config') {
+        if (req.method === 'POST') {
+          const body = await readBody(req);
+          mock.configure(body.length ? JSON.parse(body) : {});
+        }
+        sendJson(res, 200, mock.options);
+        return;
+      }
+
+      if (pathname === '/__mock/disconnect' && req.method === 'POST') {
+        const body = await readBody(req);
+        const { code, reason } = body.length ? JSON.parse(body) : {};
+        const count = mock.sockets.size;
+        mock.disconnectAll(code, reason);
+        sendJson(res, 200, { disconnected: count });
+        return;
+      }
+
+      if (pathname === '/__mock/emit' && req.method === 'POST') {
+        const body = await readBody(req);
+        mock.broadcast(JSON.parse(body));
+        sendJson(res, 200, { sent: mock.sockets.size });
+        return;
+      }
+
+      if (pathname === '/v1/models' && req.method === 'GET') {
+        if (!isAuthorized(req)) return unauthorized(res);
+        sendJson(res, 200, {
+          object: 'list',
+          data: ['gpt-4o-transcribe', 'gpt-4o-mini-transcribe', 'whisper-1'].map(id => ({
+            id, object: 'model', created: 0, owned_by: 'mock'
+          }))
+        });
+        return;
+      }
+
+      if (pathname === '/v1/realtime/transcription_sessions' && req.method === 'POST') {
+        if (!isAuthorized(req)) return unauthorized(res);
+        const body = await readBody(req);
+        const payload = body.length ? JSON.parse(body) : {};
+
+        if (mock.options.sessionCreateDelayMs > 0) {
+          await new Promise(resolve => setTimeout(resolve, mock.options.sessionCreateDelayMs));
+        }
+        if (mock.options.sessionCreateStatus !== 200) {
+          sendJson(res, mock.options.sessionCreateStatus, {
+            error: { type: 'server_error', message: 'Simulated session creation failure' }
+          });
+          return;
+        }
+
+        const expiresAt = Math.floor(Date.now() / 1000) + 30 * 60;
+        const session = {
+          id: generateId('sess'),
+          object: 'realtime.transcription_session',
+          expires_at: expiresAt,
+          input_audio_noise_reduction: payload.input_audio_noise_reduction || null,
+          turn_detection: payload.turn_detection === undefined ? null : payload.turn_detection,
+          input_audio_format: payload.input_audio_format || 'pcm16',
+          input_audio_transcription: payload.input_audio_transcription || null,
+          client_secret: { value: generateId('ek'), expires_at: expiresAt },
+          include: payload.include || null
+        };
+        mock.sessions.set(session.client_secret.value, session);
+        sendJson(res, 200, session);
+        return;
+      }
+
+      if (pathname === '/v1/audio/transcriptions' && req.method === 'POST') {
+        if (!isAuthorized(req)) return unauthorized(res);
+        await readBody(req);
+        const turn = mock.nextTurn();
+        await new Promise(resolve => setTimeout(resolve, mock.options.latencyMs));
+        if (mock.options.failEvery > 0 && turn.index % mock.options.failEvery === 0) {
+          sendJson(res, 500, { error: { type: 'server_error', message: 'Simulated transcription failure' } });
+          return;
+        }
+        sendJson(res, 200, { text: turn.text });
+        return;
+      }
+
+      if (pathname === '/v1/chat/completions' && req.method === 'POST') {
+        if (!isAuthorized(req)) return unauthorized(res);
+        const body = await readBody(req);
+        const payload = body.length ? JSON.parse(body) : {};
+        const messages = Array.isArray(payload.messages) ? payload.messages : [];
+        const system = messages.find(message => message.role === 'system');
+        const user = messages.filter(message => message.role === 'user').pop();
+        // The language the system prompt asks for, e.g. "into German (de)"
+        const match = system ? /into .*?\(([a-z]{2})\)/.exec(system.content) : null;
+        const text = user ? user.content : '';
+        const content = match ? `[${match[1]}] ${text}` : text;
+
+        await new Promise(resolve => setTimeout(resolve, mock.options.latencyMs));
+        sendJson(res, 200, {
+          id: generateId('chatcmpl'),
+          object: 'chat.completion',
+          created: Math.floor(Date.now() / 1000),
+          model: payload.model || 'mock',
+          choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }]
+        });
+        return;
+      }
+
+      sendJson(res, 404, { error: { type: 'invalid_request_error', message: `Unknown endpoint: ${req.method} ${pathname}` } });
+    } catch (error) {
+      sendJson(res, 400, { error: { type: 'invalid_request_error', message: error.message } });
+    }
+  }
+
+  const server = http.createServer(handleRequest);
+  const wss = new WebSocket.Server({ noServer: true });
+
+  server.on('upgrade', (req, socket, head) => {
+    const pathname = url.parse(req.url).pathname;
+    const session = mock.sessions.get(bearerToken(req));
+
+    if (pathname !== '/v1/realtime' || !session) {
+      socket.write('HTTP/1.1 401 Unauthorized\r\n\r\n');
+      socket.destroy();
+      return;
+    }
+
+    wss.handleUpgrade(req, socket, head, (ws) => {
+      mock.sockets.add(ws);
+      new MockRealtimeSession(mock, ws, session);
+    });
+  });
+
+  mock.server = server;
+
+  /**
+   * Start listening
+   * @param {number} port - Port to listen on (0 picks a free port)
+   * @returns {Promise<string>} - The base URL to use as OPENAI_BASE_URL
+   */
+  mock.listen = (port = 0) => new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, '127.0.0.1', () => {
+      resolve(`http://127.0.0.1:${server.address().port}/v1`);
+    });
+  });
+
+  mock.close = () => new Promise((resolve) => {
+    mock.disconnectAll(1001, 'Mock server shutting down');
+    wss.close();
+    server.close(() => resolve());
+  });
+
+  return mock;
+}
+
+/**
+ * Read mock options from environment variables (MOCK_*)
+ * @param {Object} env - Environment variables (usually process.env)
+ * @returns {Object} - Options for createMockUpstream
+ */
+function mockOptionsFromEnv(env) {
+  const options = {};
+  const numbers = {
+    MOCK_UTTERANCE_MS: 'utteranceMs',
+    MOCK_LATENCY_MS: 'latencyMs',
+    MOCK_DELTA_INTERVAL_MS: 'deltaIntervalMs',
+    MOCK_SESSION_CREATE_DELAY_MS: 'sessionCreateDelayMs',
+    MOCK_SESSION_CREATE_STATUS: 'sessionCreateStatus',
+    MOCK_FAIL_EVERY: 'failEvery',
+    MOCK_DISCONNECT_AFTER_MS: 'disconnectAfterMs',
+    MOCK_DISCONNECT_CODE: 'disconnectCode'
+  };
+
+  for (const [name, option] of Object.entries(numbers)) {
+    if (env[name] !== undefined && env[name] !== '') {
+      options[option] = Number(env[name]);
+    }
+  }
+
+  if (env.MOCK_API_KEY) {
+    options.apiKey = env.MOCK_API_KEY;
+  }
+
+  // A JSON array of strings or a plain text file with one utterance per line
+  if (env.MOCK_SCRIPT) {
+    const content = fs.readFileSync(env.MOCK_SCRIPT, 'utf8');
+    options.script = env.MOCK_SCRIPT.endsWith('.json')
+      ? JSON.parse(content)
+      : content.split('\n').map(line => line.trim()).filter(Boolean);
+  }
+
+  return options;
+}
+
+module.exports = {
+  DEFAULT_MOCK_OPTIONS,
+  createMockUpstream,
+  mockOptionsFromEnv
+};
@@ -1,36 +1,51 @@
+const http = require('http');
 const https = require('https');
 const WebSocket = require('ws');
+const { toWebSocketUrl } = require('./httpClient');
+const { DEFAULT_SESSION_CONFIG, REALTIME_CAPABILITIES, toSessionPayload } = require('./sessionConfig');
+const logger = require('./logger').logger.child({ component: 'openai' });
+
+// Base URL of the OpenAI API, override to point at a proxy or the bundled mock
+const DEFAULT_BASE_URL = 'https://api.openai.com/v1';
+
+/**
+ * Pick the http or https module for a URL
+ * @param {URL} target - The request URL
+ * @returns {Object} - The transport module
+ */
+function transportFor(target) {
+  return target.protocol === 'http:' ? http : https;
+}
 
 /**
  * Validates an OpenAI API key by making a request to the models endpoint
  * @param {string} apiKey - The OpenAI API key to validate
+ * @param {string} baseUrl - The API base URL (default: https://api.openai.com/v1)
  * @returns {Promise<boolean>} - Whether the API key is valid
  */
-function validateApiKey(apiKey) {
-  console.log('Validating OpenAI API key...');
+function validateApiKey(apiKey, baseUrl = DEFAULT_BASE_URL) {
+  logger.debug(`Validating OpenAI API key against ${baseUrl}...`);
   return new Promise((resolve) => {
+    const target = new URL(`${baseUrl}/models`);
     const options = {
-      hostname: 'api.openai.com',
-      path: '/v1/models',
       method: 'GET',
       headers: {
         'Authorization': `Bearer ${apiKey}`
       }
     };
 
-    console.log('Sending request to OpenAI models endpoint...');
-    const req = https.request(options, (res) => {
+    const req = transportFor(target).request(target, options, (res) => {
       if (res.statusCode === 200) {
-        console.log('✓ API key is valid');
+        logger.debug('API key is valid');
         resolve(true);
       } else {
-        console.error(`✗ API key validation failed with status code: ${res.statusCode}`);
+        logger.warn(`API key validation failed with status code: ${res.statusCode}`);
         resolve(false);
       }
     });
 
     req.on('error', (error) => {
-      console.error('✗ Error validating API key:', error.message);
+      logger.error(`Error validating API key: ${error.message}`);
       resolve(false);
     });
 
@@ -41,37 +56,20 @@ function validateApiKey(apiKey) {
 /**
  * Creates a transcription session with OpenAI
  * @param {string} apiKey - The OpenAI API key
- * @param {string} language - The language code for transcription (default: 'en')
+ * @param {Object} config - A session config returned by validateSessionConfig
+ * @param {string} baseUrl - The API base URL (default: https://api.openai.com/v1)
  * @returns {Promise<Object>} - The session info with sessionId and clientSecret
  */
-async function createTranscriptionSession(apiKey, language = 'en') {
-  console.log(`Creating transcription session with language: ${language}`);
+async function createTranscriptionSession(apiKey, config = DEFAULT_SESSION_CONFIG, baseUrl = DEFAULT_BASE_URL) {
+  logger.info(`Creating transcription session with model: ${config.model}, language: ${config.language || 'auto'}`);
   return new Promise((resolve, reject) => {
-    const data = JSON.stringify({
-      input_audio_format: 'pcm16',
-      input_audio_transcription: {
-        model: 'gpt-4o-transcribe',
-        language: language,
-        prompt: ''
-      },
-      turn_detection: {
-        type: 'server_vad',
-        threshold: 0.5,
-        prefix_padding_ms: 300,
-        silence_duration_ms: 500
-      },
-      input_audio_noise_reduction: {
-        type: 'near_field'
-      },
-      include: [
-        'item.input_audio_transcription.logprobs'
-      ]
-    });
+    const payload = toSessionPayload(config);
+    const data = JSON.stringify(payload);
 
-    console.log('Request payload:', data);
+    // The prompt is redacted like transcripts
+    logger.debug('Session request payload', { payload });
+    const target = new URL(`${baseUrl}/realtime/transcription_sessions`);
     const options = {
-      hostname: 'api.openai.com',
-      path: '/v1/realtime/transcription_sessions',
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
@@ -80,8 +78,7 @@ async function createTranscriptionSession(apiKey, language = 'en') {
       }
     };
 
-    console.log('Sending session creation request to OpenAI...');
-    const req = https.request(options, (res) => {
+    const req = transportFor(target).request(target, options, (res) => {
       let responseData = '';
 
       res.on('data', (chunk) => {
@@ -89,28 +86,29 @@ async function createTranscriptionSession(apiKey, language = 'en') {
       });
 
       res.on('end', () => {
-        console.log(`Session creation response status: ${res.statusCode}`);
         if (res.statusCode === 200) {
           try {
             const session = JSON.parse(responseData);
-            console.log(`Session created successfully with ID: ${session.id}`);
+            logger.info('Session created', { sessionId: session.id });
             resolve({
               sessionId: session.id,
               clientSecret: session.client_secret.value
             });
           } catch (error) {
-            console.error('Failed to parse session response:', error);
+            logger.error(`Failed to parse session response: ${error.message}`);
             reject(new Error(`Failed to parse session response: ${error.message}`));
           }
         } else {
-          console.error(`Failed to create session: ${res.statusCode}`, responseData);
-          reject(new Error(`Failed to create session: ${res.statusCode} ${responseData}`));
+          logger.error(`Failed to create session: ${res.statusCode}`, { response: responseData });
+          const error = new Error(`Failed to create session: ${res.statusCode} ${responseData}`);
+          error.statusCode = res.statusCode;
+          reject(error);
         }
       });
     });
 
     req.on('error', (error) => {
-      console.error('Error sending session creation request:', error);
+      logger.error(`Error sending session creation request: ${error.message}`);
       reject(new Error(`Request error: ${error.message}`));
     });
 
@@ -122,15 +120,16 @@ async function createTranscriptionSession(apiKey, language = 'en') {
 /**
  * Create a WebSocket connection to OpenAI's real-time API
  * @param {string} clientSecret - The client secret for the session
- * @param {WebSocket} clientWs - The client WebSocket to proxy to/from
+ * @param {string} baseUrl - The API base URL (default: https://api.openai.com/v1)
+ * @param {Logger} log - Logger for the connection, e.g. one with the session ID
  * @returns {WebSocket} - The OpenAI WebSocket connection
  */
-function createOpenAIWebSocketConnection(clientSecret, clientWs) {
-  console.log('Creating WebSocket connection to OpenAI...');
+function createOpenAIWebSocketConnection(clientSecret, baseUrl = DEFAULT_BASE_URL, log = logger) {
+  log.debug('Creating WebSocket connection to OpenAI...');
   
   // Fix: Use proper WebSocket initialization with correct protocols
   const openaiWs = new WebSocket(
-    'wss://api.openai.com/v1/realtime?intent=transcription',
+    `${toWebSocketUrl(baseUrl)}/realtime?intent=transcription`,
     {
       headers: {
         'Authorization': `Bearer ${clientSecret}`
@@ -139,35 +138,37 @@ function createOpenAIWebSocketConnection(clientSecret, clientWs) {
     }
   );
   
-  console.log('WebSocket connection initialized with protocols:', openaiWs.protocol);
-  
-  // Set up event handlers for the OpenAI WebSocket
+  // Set up event handlers for the OpenAI WebSocket, the proxy logs errors and
+  // closes and reports them to the client, which may be reconnecting at the time
   openaiWs.on('open', () => {
-    console.log('WebSocket connection to OpenAI opened');
-  });
-  
-  openaiWs.on('error', (error) => {
-    console.error(`OpenAI WebSocket error:`, error);
-    if (clientWs.readyState === WebSocket.OPEN) {
-      clientWs.send(JSON.stringify({
-        type: 'error',
-        event_id: 'server_error',
-        error: {
-          type: 'server_error',
-          message: `Server proxy error: ${error.message}`
-        }
-      }));
-    }
-  });
-  
-  openaiWs.on('close', (code, reason) => {
-    console.log(`OpenAI WebSocket closed: ${code} ${reason}`);
+    log.info('WebSocket connection to OpenAI opened');
   });
   
   return openaiWs;
 }
 
+/**
+ * Create the OpenAI realtime transcription provider
+ * @param {Object} options - Provider options
+ * @param {string} options.apiKey - The OpenAI API key
+ * @param {string} options.baseUrl - The API base URL (default: https://api.openai.com/v1)
+ * @returns {Object} - The provider (see libs/providers.js)
+ */
+function createRealtimeProvider({ apiKey, baseUrl = DEFAULT_BASE_URL }) {
+  return {
+    name: 'openai',
+    label: 'OpenAI Realtime',
+    kind: 'realtime',
+    capabilities: REALTIME_CAPABILITIES,
+    validateApiKey: () => validateApiKey(apiKey, baseUrl),
+    createSession: (config) => createTranscriptionSession(apiKey, config, baseUrl),
+    connect: (connection) => createOpenAIWebSocketConnection(connection.clientSecret, baseUrl, connection.logger)
+  };
+}
+
 module.exports = {
+  DEFAULT_BASE_URL,
+  createRealtimeProvider,
   validateApiKey,
   createTranscriptionSession,
   createOpenAIWebSocketConnection
@@ -0,0 +1,468 @@
+const fs = require('fs');
+const { requestChatCompletion } = require('./httpClient');
+const { DEFAULT_BASE_URL } = require('./openai');
+const logger = require('./logger').logger.child({ component: 'post-processing' });
+
+/**
+ * Server-side post-processing of transcripts
+ *
+ * A chain of processors, configured in a JSON file (POST_PROCESSING_CONFIG),
+ * rewrites the text of transcription deltas and completed segments before they
+ * reach the client, the viewers and the stored transcript:
+ *
+ *   {
+ *     "processors": [
+ *       { "type": "regex", "rules": [{ "pattern": "\\bum+\\b,? ?", "flags": "gi", "replacement": "" }] },
+ *       { "type": "vocabulary", "terms": ["Kubernetes", "PostgreSQL"], "replacements": { "post gres": "Postgres" } },
+ *       { "type": "profanity", "words": ["darn*"] },
+ *       { "type": "numbers", "minValue": 10, "dates": true },
+ *       { "type": "llm", "model": "gpt-4o-mini" }
+ *     ]
+ *   }
+ *
+ * Processors run in the order listed. All but llm also run on deltas: the
+ * deltas of an item are processed as a whole up to the last complete word,
+ * and the client gets what was added since the previous delta. When a
+ * processor rewrites text that was already sent (e.g. "twenty" followed by
+ * "five"), deltas stop for that item and the completed event sets the text.
+ *
+ * Completed events keep the model's text in original_transcript when the
+ * pipeline changed it, so processed transcripts can be audited.
+ */
+
+const PROCESSOR_TYPES = ['regex', 'vocabulary', 'profanity', 'numbers', 'llm'];
+
+// Used when the profanity processor has no word list of its own. A trailing *
+// matches any ending (fuck -> fucking), other words only match as a whole.
+const DEFAULT_PROFANITY = ['fuck*', 'motherfuck*', 'shit*', 'bullshit', 'bitch*', 'asshole*', 'bastard*', 'cunt*', 'dickhead*'];
+
+const DEFAULT_CLEANUP_MODEL = 'gpt-4o-mini';
+const DEFAULT_CLEANUP_PROMPT = 'You clean up speech transcripts. Fix punctuation, capitalization and obvious ' +
+  'recognition errors in the user\'s message. Do not add, remove, summarize or rephrase content. ' +
+  'Reply with the cleaned up text only.';
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// A phrase as a pattern: case-insensitive words, any whitespace between them
+function phrasePattern(phrase) {
+  return phrase.trim().split(/\s+/).map(escapeRegExp).join('\\s+');
+}
+
+/**
+ * @param {Object} options
+ * @param {Object[]} options.rules - [{pattern, flags, replacement}], flags default to "g"
+ * @returns {Object} - The processor
+ */
+function createRegexProcessor({ rules }) {
+  if (!Array.isArray(rules) || rules.length === 0) {
+    throw new Error('regex processor needs a non-empty rules array');
+  }
+  const compiled = rules.map((rule, index) => {
+    if (!rule || typeof rule.pattern !== 'string' || typeof rule.replacement !== 'string') {
+      throw new Error(`regex rule ${index} needs a pattern and a replacement string`);
+    }
+    const flags = rule.flags === undefined ? 'g' : String(rule.flags);
+    try {
+      return { regex: new RegExp(rule.pattern, flags.includes('g') ? flags : `${flags}g`), replacement: rule.replacement };
+    } catch (error) {
+      throw new Error(`regex rule ${index} is invalid: ${error.message}`);
+    }
+  });
+
+  return {
+    type: 'regex',
+    streaming: true,
+    process: text => compiled.reduce((result, rule) => result.replace(rule.regex, rule.replacement), text)
+  };
+}
+
+/**
+ * @param {Object} options
+ * @param {string[]} [options.terms] - Terms written exactly like this whatever the model's
+ *   capitalization (kubernetes -> Kubernetes)
+ * @param {Object} [options.replacements] - Spelling map, heard phrase -> written form
+ * @returns {Object} - The processor
+ */
+function createVocabularyProcessor({ terms = [], replacements = {} }) {
+  if (!Array.isArray(terms) || terms.some(term => typeof term !== 'string' || !term.trim())) {
+    throw new Error('vocabulary terms must be an array of strings');
+  }
+  if (!replacements || typeof replacements !== 'object' || Array.isArray(replacements) ||
+      Object.values(replacements).some(value => typeof value !== 'string')) {
+    throw new Error('vocabulary replacements must map phrases to strings');
+  }
+
+  // Lower case phrase -> written form, the spelling map wins over a term
+  const written = new Map(terms.map(term => [term.trim().replace(/\s+/g, ' ').toLowerCase(), term.trim()]));
+  for (const [phrase, value] of Object.entries(replacements)) {
+    if (phrase.trim()) written.set(phrase.trim().replace(/\s+/g, ' ').toLowerCase(), value);
+  }
+  if (written.size === 0) {
+    throw new Error('vocabulary processor needs terms or replacements');
+  }
+
+  // Longest first, so "post gres sql" is matched before "post gres"
+  const phrases = Array.from(written.keys()).sort((a, b) => b.length - a.length);
+  const regex = new RegExp(`(?<![\\p{L}\\p{N}])(?:${phrases.map(phrasePattern).join('|')})(?![\\p{L}\\p{N}])`, 'giu');
+
+  return {
+    type: 'vocabulary',
+    streaming: true,
+    process: text => text.replace(regex, match => written.get(match.replace(/\s+/g, ' ').toLowerCase()) || match)
+  };
+}
+
+/**
+ * @param {Object} options
+ * @param {string[]} [options.words] - Words to mask, a trailing * matches any ending
+ * @param {boolean} [options.keepFirstLetter] - Mask as f*** rather than ****
+ * @returns {Object} - The processor
+ */
+function createProfanityProcessor({ words = DEFAULT_PROFANITY, keepFirstLetter = true }) {
+  if (!Array.isArray(words) || words.length === 0 || words.some(word => typeof word !== 'string' || !word.replace(/\*$/, '').trim())) {
+    throw new Error('profanity words must be a non-empty array of strings');
+  }
+  const patterns = words.map(word => word.endsWith('*')
+    ? `${escapeRegExp(word.slice(0, -1).trim())}[\\p{L}]*`
+    : escapeRegExp(word.trim()));
+  const regex = new RegExp(`(?<![\\p{L}\\p{N}])(?:${patterns.join('|')})(?![\\p{L}\\p{N}])`, 'giu');
+
+  return {
+    type: 'profanity',
+    streaming: true,
+    process: text => text.replace(regex, match => keepFirstLetter
+      ? match[0] + '*'.repeat(match.length - 1)
+      : '*'.repeat(match.length))
+  };
+}
+
+const SMALL_NUMBERS = {
+  zero: 0, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9,
+  ten: 10, eleven: 11, twelve: 12, thirteen: 13, fourteen: 14, fifteen: 15, sixteen: 16,
+  seventeen: 17, eighteen: 18, nineteen: 19
+};
+const TENS = { twenty: 20, thirty: 30, forty: 40, fifty: 50, sixty: 60, seventy: 70, eighty: 80, ninety: 90 };
+const SCALES = { thousand: 1e3, million: 1e6, billion: 1e9 };
+const NUMBER_WORD_PATTERN = [...Object.keys(SMALL_NUMBERS), ...Object.keys(TENS), 'hundred', ...Object.keys(SCALES)].join('|');
+// A run of English number words, e.g. "two hundred and forty-five"
+const NUMBER_RUN = new RegExp(
+  `\\b(?:${NUMBER_WORD_PATTERN})(?:(?:[\\s-]+|\\s+and\\s+)(?:${NUMBER_WORD_PATTERN}))*\\b`, 'gi');
+
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august',
+  'september', 'october', 'november', 'december'];
+const MONTH_PATTERN = MONTHS.join('|');
+const DAY_PATTERN = '(\\d{1,2})(?:st|nd|rd|th)?';
+// "March 5th, 2024" and "5th of March 2024"
+const MONTH_FIRST_DATE = new RegExp(`\\b(${MONTH_PATTERN})\\s+${DAY_PATTERN},?\\s+(\\d{4})\\b`, 'gi');
+const DAY_FIRST_DATE = new RegExp(`\\b${DAY_PATTERN}\\s+(?:of\\s+)?(${MONTH_PATTERN}),?\\s+(\\d{4})\\b`, 'gi');
+
+/**
+ * Value of a run of number words, null if the words don't form one number
+ * ("five five", "hundred")
+ * @param {string[]} words - Lower case number words, without "and"
+ * @returns {number|null} - The value
+ */
+function parseNumberWords(words) {
+  let total = 0;
+  let current = 0;
+  let previous = null;
+
+  for (const word of words) {
+    if (word in SMALL_NUMBERS) {
+      if (previous === 'small' || (previous === 'tens' && SMALL_NUMBERS[word] >= 10)) return null;
+      current += SMALL_NUMBERS[word];
+      previous = 'small';
+    } else if (word in TENS) {
+      if (previous === 'small' || previous === 'tens') return null;
+      current += TENS[word];
+      previous = 'tens';
+    } else if (word === 'hundred') {
+      if (current === 0 || current >= 100) return null;
+      current *= 100;
+      previous = 'hundred';
+    } else if (word in SCALES) {
+      if (current === 0) return null;
+      total += current * SCALES[word];
+      current = 0;
+      previous = 'scale';
+    } else {
+      return null;
+    }
+  }
+  return total + current;
+}
+
+function toIsoDate(year, month, day) {
+  const monthIndex = MONTHS.indexOf(month.toLowerCase());
+  const dayNumber = Number(day);
+  if (dayNumber < 1 || dayNumber > new Date(Date.UTC(Number(year), monthIndex + 1, 0)).getUTCDate()) return null;
+  return `${year}-${String(monthIndex + 1).padStart(2, '0')}-${String(dayNumber).padStart(2, '0')}`;
+}
+
+/**
+ * English number and date normalization
+ * @param {Object} options
+ * @param {number} [options.minValue] - Smaller numbers stay words ("one of them")
+ * @param {boolean} [options.dates] - Write dates as YYYY-MM-DD ("March 5th, 2024" -> "2024-03-05")
+ * @returns {Object} - The processor
+ */
+function createNumberProcessor({ minValue = 10, dates = true }) {
+  if (!Number.isInteger(minValue) || minValue < 0) {
+    throw new Error('numbers minValue must be a whole number >= 0');
+  }
+  if (typeof dates !== 'boolean') {
+    throw new Error('numbers dates must be a boolean');
+  }
+
+  return {
+    type: 'numbers',
+    streaming: true,
+    process: text => {
+      const convert = run => {
+        const words = run.toLowerCase().split(/[\s-]+/).filter(word => word !== 'and');
+        const value = parseNumberWords(words);
+        return value !== null && value >= minValue ? String(value) : null;
+      };
+      let result = text.replace(NUMBER_RUN, run => {
+        const converted = convert(run);
+        if (converted !== null) return converted;
+        // "twenty one and thirty two" are two numbers
+        return run.split(/(\s+and\s+)/i).map(part => /^\s+and\s+$/i.test(part) ? part : convert(part) || part).join('');
+      });
+      if (dates) {
+        result = result
+          .replace(MONTH_FIRST_DATE, (match, month, day, year) => toIsoDate(year, month, day) || match)
+          .replace(DAY_FIRST_DATE, (match, day, month, year) => toIsoDate(year, month, day) || match);
+      }
+      return result;
+    }
+  };
+}
+
+/**
+ * Clean up completed segments with an OpenAI-compatible chat model. Deltas are
+ * left alone, and a failed request keeps the text as it is.
+ * @param {Object} options
+ * @param {string} options.baseUrl - Base URL of the API
+ * @param {string|null} options.apiKey - Bearer token
+ * @param {string} [options.model] - The chat model
+ * @param {string} [options.prompt] - System prompt, replaces the default cleanup instructions
+ * @returns {Object} - The processor
+ */
+function createLlmProcessor({ baseUrl, apiKey, model = DEFAULT_CLEANUP_MODEL, prompt = DEFAULT_CLEANUP_PROMPT }) {
+  if (typeof model !== 'string' || !model || typeof prompt !== 'string' || !prompt.trim()) {
+    throw new Error('llm model and prompt must be non-empty strings');
+  }
+
+  return {
+    type: 'llm',
+    streaming: false,
+    process: async text => {
+      if (!text.trim()) return text;
+      try {
+        const cleaned = await requestChatCompletion(baseUrl, apiKey, {
+          model,
+          temperature: 0,
+          messages: [
+            { role: 'system', content: prompt },
+            { role: 'user', content: text }
+          ]
+        });
+        return cleaned || text;
+      } catch (error) {
+        logger.warn(`LLM cleanup failed, keeping the text: ${error.message}`);
+        return text;
+      }
+    }
+  };
+}
+
+/**
+ * Create a processor from its config entry
+ * @param {Object} definition - {type, ...options}
+ * @param {Object} env - process.env, for the llm processor's endpoint
+ * @returns {Object} - The processor: {type, streaming, process(text) -> string|Promise<string>}
+ */
+function createProcessor(definition, env) {
+  if (!definition || typeof definition !== 'object' || !PROCESSOR_TYPES.includes(definition.type)) {
+    throw new Error(`processor type must be one of: ${PROCESSOR_TYPES.join(', ')}`);
+  }
+  const { type, ...options } = definition;
+  switch (type) {
+    case 'regex':
+      return createRegexProcessor(options);
+    case 'vocabulary':
+      return createVocabularyProcessor(options);
+    case 'profanity':
+      return createProfanityProcessor(options);
+    case 'numbers':
+      return createNumberProcessor(options);
+    case 'llm':
+      return createLlmProcessor({
+        baseUrl: (options.baseUrl || env.POST_PROCESSING_BASE_URL || env.OPENAI_BASE_URL || DEFAULT_BASE_URL).replace(/\/+$/, ''),
+        apiKey: env.POST_PROCESSING_API_KEY || env.OPENAI_API_KEY || null,
+        model: options.model,
+        prompt: options.prompt
+      });
+  }
+}
+
+class PostProcessingPipeline {
+  /**
+   * @param {Object[]} processors - Processors from createProcessor, applied in order
+   */
+  constructor(processors) {
+    this.processors = processors;
+    this.streamingProcessors = processors.filter(processor => processor.streaming);
+  }
+
+  /**
+   * @returns {string[]} - The processor types in order, for logs and /api/providers
+   */
+  describe() {
+    return this.processors.map(processor => processor.type);
+  }
+
+  /**
+   * Run the processors that work on deltas
+   * @param {string} text - The text so far
+   * @returns {string} - The processed text
+   */
+  processPartial(text) {
+    return this.streamingProcessors.reduce((result, processor) => processor.process(result), text);
+  }
+
+  /**
+   * Run all processors on a completed segment
+   * @param {string} text - The segment text
+   * @returns {Promise<string>} - The processed text
+   */
+  async processCompleted(text) {
+    let result = text;
+    for (const processor of this.processors) {
+      result = await processor.process(result);
+    }
+    return result;
+  }
+
+  /**
+   * @returns {TranscriptProcessor} - Per-session state for the deltas of each item
+   */
+  createSession() {
+    return new TranscriptProcessor(this);
+  }
+}
+
+/**
+ * Applies a pipeline to the transcription events of one session
+ */
+class TranscriptProcessor {
+  constructor(pipeline) {
+    this.pipeline = pipeline;
+    // Item ID -> {raw, sent, logprobs, stopped}: the deltas so far, the processed
+    // text the client has, held back logprobs and whether deltas stopped
+    this.items = new Map();
+  }
+
+  /**
+   * Process a delta event
+   * @param {Object} event - A conversation.item.input_audio_transcription.delta event
+   * @returns {Object|null} - The event to relay, null to hold the text back for now
+   */
+  processDelta(event) {
+    let item = this.items.get(event.item_id);
+    if (!item) {
+      item = { raw: '', sent: '', logprobs: [], stopped: false };
+      this.items.set(event.item_id, item);
+    }
+    item.raw += event.delta || '';
+    if (Array.isArray(event.logprobs)) item.logprobs.push(...event.logprobs);
+    if (item.stopped) return null;
+
+    // The last word may still grow, "post" can become "postgres"
+    const boundary = item.raw.search(/\s\S*$/);
+    if (boundary <= 0) return null;
+    const processed = this.pipeline.processPartial(item.raw.slice(0, boundary));
+    if (!processed.startsWith(item.sent)) {
+      item.stopped = true;
+      return null;
+    }
+    if (processed.length === item.sent.length) return null;
+
+    const delta = processed.slice(item.sent.length);
+    item.sent = processed;
+    const processedEvent = { ...event, delta };
+    if (item.logprobs.length > 0 || Array.isArray(event.logprobs)) {
+      processedEvent.logprobs = item.logprobs;
+      item.logprobs = [];
+    }
+    return processedEvent;
+  }
+
+  /**
+   * Process a completed event
+   * @param {Object} event - A conversation.item.input_audio_transcription.completed event
+   * @returns {Promise<Object>} - The event with the processed transcript, and the
+   *   model's in original_transcript if it changed
+   */
+  async processCompleted(event) {
+    this.items.delete(event.item_id);
+    const original = event.transcript || '';
+    const transcript = await this.pipeline.processCompleted(original);
+    if (transcript === original) return event;
+    return { ...event, transcript, original_transcript: original };
+  }
+
+  /**
+   * Forget an item, e.g. when its transcription failed
+   * @param {string} itemId - The conversation item ID
+   */
+  discard(itemId) {
+    this.items.delete(itemId);
+  }
+}
+
+/**
+ * Read the post-processing pipeline from the environment
+ *
+ * POST_PROCESSING_CONFIG     path of the JSON pipeline config, see above; no
+ *                            post-processing without it
+ * POST_PROCESSING_BASE_URL   endpoint of the llm processor, defaults to OPENAI_BASE_URL
+ *                            or the OpenAI API
+ * POST_PROCESSING_API_KEY    defaults to OPENAI_API_KEY
+ *
+ * @param {Object} env - process.env
+ * @returns {PostProcessingPipeline|null} - The pipeline, null when none is configured
+ */
+function postProcessingFromEnv(env) {
+  if (!env.POST_PROCESSING_CONFIG) return null;
+
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(env.POST_PROCESSING_CONFIG, 'utf8'));
+  } catch (error) {
+    throw new Error(`POST_PROCESSING_CONFIG could not be read: ${error.message}`);
+  }
+  if (!config || !Array.isArray(config.processors) || config.processors.length === 0) {
+    throw new Error('POST_PROCESSING_CONFIG must contain a non-empty processors array');
+  }
+
+  const processors = config.processors.map((definition, index) => {
+    try {
+      return createProcessor(definition, env);
+    } catch (error) {
+      throw new Error(`POST_PROCESSING_CONFIG processor ${index}: ${error.message}`);
+    }
+  });
+  return new PostProcessingPipeline(processors);
+}
+
+module.exports = {
+  PROCESSOR_TYPES,
+  PostProcessingPipeline,
+  TranscriptProcessor,
+  createProcessor,
+  postProcessingFromEnv
+};
@@ -0,0 +1,331 @@
+const fs = require('fs');
+const path = require('path');
+const { MAX_PROMPT_LENGTH } = require('./sessionConfig');
+
+/**
+ * Vocabulary and prompt profiles
+ *
+ * Named presets for sessions, e.g. the project names of an engineering
+ * standup or the drug names of a clinical team, kept in one JSON file:
+ * {profiles: [{name, description, prompt, terms, language, provider, model,
+ *              createdBy, createdAt, updatedBy, updatedAt}]}
+ *
+ * Every user can use every profile, only the user who created a profile (or an
+ * admin) can change or delete it.
+ *
+ * A session created with {profile: <name>} takes the profile's language unless
+ * the request sets its own, and its provider and model unless the request sets
+ * either of them (a model only exists on some providers, the two go together).
+ * Its prompt is composed from the
+ * profile's prompt, its terms and the request's prompt (see composePrompt).
+ * The composed prompt is what the provider gets as
+ * input_audio_transcription.prompt.
+ */
+
+const PROFILE_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/;
+const MAX_DESCRIPTION_LENGTH = 200;
+const MAX_TERMS = 200;
+const MAX_TERM_LENGTH = 100;
+
+class ProfileError extends Error {
+  /**
+   * @param {string} message - What went wrong
+   * @param {number} statusCode - The HTTP status for the API response
+   * @param {string[]} [details] - Validation messages
+   */
+  constructor(message, statusCode, details = []) {
+    super(message);
+    this.name = 'ProfileError';
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+/**
+ * Validate a profile sent by a client
+ * @param {Object} input - The raw request body
+ * @param {Function} [resolveModels] - Maps a provider name (null for the default provider) to
+ *   the models it offers, or to null for an unknown provider. Any model is accepted for [].
+ * @returns {{profile: Object, errors: string[]}} - The normalized profile and any validation errors
+ */
+function validateProfile(input, resolveModels = () => []) {
+  if (input === null || typeof input !== 'object' || Array.isArray(input)) {
+    return { profile: null, errors: ['Profile must be a JSON object'] };
+  }
+
+  const errors = [];
+  const profile = {
+    name: input.name,
+    description: input.description === undefined ? '' : input.description,
+    prompt: input.prompt === undefined ? '' : input.prompt,
+    terms: input.terms === undefined ? [] : input.terms,
+    // null leaves the choice to the session request
+    language: input.language === undefined ? null : input.language,
+    provider: input.provider === undefined ? null : input.provider,
+    model: input.model === undefined ? null : input.model
+  };
+
+  if (typeof profile.name !== 'string' || !PROFILE_NAME_PATTERN.test(profile.name)) {
+    errors.push('name must be 1-64 lower case letters, digits, "-" or "_", starting with a letter or digit');
+  }
+  if (typeof profile.description !== 'string' || profile.description.length > MAX_DESCRIPTION_LENGTH) {
+    errors.push(`description must be a string of at most ${MAX_DESCRIPTION_LENGTH} characters`);
+  }
+  if (typeof profile.prompt !== 'string' || profile.prompt.length > MAX_PROMPT_LENGTH) {
+    errors.push(`prompt must be a string of at most ${MAX_PROMPT_LENGTH} characters`);
+  }
+
+  if (!Array.isArray(profile.terms) || profile.terms.some(term => typeof term !== 'string')) {
+    errors.push('terms must be an array of strings');
+  } else {
+    // Duplicates and blank entries are dropped rather than rejected
+    const seen = new Set();
+    profile.terms = profile.terms.map(term => term.trim().replace(/\s+/g, ' ')).filter(term => {
+      const key = term.toLowerCase();
+      if (!term || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+    if (profile.terms.length > MAX_TERMS) {
+      errors.push(`terms must have at most ${MAX_TERMS} entries`);
+    }
+    if (profile.terms.some(term => term.length > MAX_TERM_LENGTH)) {
+      errors.push(`terms must be at most ${MAX_TERM_LENGTH} characters each`);
+    }
+  }
+
+  if (profile.language !== null && (typeof profile.language !== 'string' ||
+      (profile.language !== '' && !/^[a-z]{2}$/.test(profile.language)))) {
+    errors.push('language must be an ISO-639-1 code (e.g. "en"), an empty string for auto-detection or null');
+  }
+  if (profile.provider !== null && typeof profile.provider !== 'string') {
+    errors.push('provider must be a provider name or null');
+  } else {
+    // The model is checked against the provider the profile's sessions run on
+    const models = resolveModels(profile.provider);
+    const providerName = profile.provider === null ? 'the default provider' : `provider ${profile.provider}`;
+    if (models === null) {
+      errors.push(`Unknown provider: ${profile.provider}`);
+    } else if (profile.model !== null && (typeof profile.model !== 'string' || (models.length > 0 && !models.includes(profile.model)))) {
+      errors.push(models.length > 0 ? `model must be null or one of the models of ${providerName}: ${models.join(', ')}` : 'model must be a string or null');
+    }
+  }
+
+  if (errors.length === 0 && composePrompt(profile, '').length > MAX_PROMPT_LENGTH) {
+    errors.push(`prompt and terms together must be at most ${MAX_PROMPT_LENGTH} characters`);
+  }
+
+  return { profile, errors };
+}
+
+/**
+ * Compose the transcription prompt of a session
+ * @param {Object} profile - The session's profile
+ * @param {string} prompt - The prompt from the session request
+ * @returns {string} - The profile's prompt, its terms and the request's prompt, one per line
+ */
+function composePrompt(profile, prompt) {
+  const parts = [profile.prompt.trim()];
+  if (profile.terms.length > 0) {
+    parts.push(`Vocabulary: ${profile.terms.join(', ')}.`);
+  }
+  parts.push(typeof prompt === 'string' ? prompt.trim() : '');
+  return parts.filter(Boolean).join('\n');
+}
+
+/**
+ * Apply a profile to a session request before it is validated
+ * @param {Object} requestData - The session config from the client
+ * @param {Object} profile - The profile it selected
+ * @returns {Object} - The session config with the profile's settings filled in
+ */
+function applyProfile(requestData, profile) {
+  const config = { ...requestData, profile: profile.name };
+  if (config.language === undefined && profile.language !== null) {
+    config.language = profile.language;
+  }
+  // Profiles stored before they had a provider run on the default provider
+  if (config.provider === undefined && config.model === undefined) {
+    if (profile.provider) {
+      config.provider = profile.provider;
+    }
+    if (profile.model !== null) {
+      config.model = profile.model;
+    }
+  }
+  // A prompt that is not a string is left for validateSessionConfig to reject
+  if (config.prompt === undefined || typeof config.prompt === 'string') {
+    config.prompt = composePrompt(profile, config.prompt || '');
+  }
+  return config;
+}
+
+// Only the user who created a profile, or an admin, can change it
+function checkOwner(profile, user, isAdmin) {
+  if (!isAdmin && profile.createdBy !== user) {
+    throw new ProfileError(`Profile ${profile.name} belongs to ${profile.createdBy}, only they or an admin can change it`, 403);
+  }
+}
+
+class ProfileStore {
+  /**
+   * @param {string} filePath - The profiles file, created with its directory on the first write
+   * @param {Object} [options]
+   * @param {Function} [options.resolveModels] - The models of a provider, see validateProfile
+   */
+  constructor(filePath, { resolveModels } = {}) {
+    this.filePath = filePath;
+    this.resolveModels = resolveModels;
+    // Name -> profile, read from the file on first use
+    this.profiles = null;
+    // Changes are chained so concurrent requests never lose each other's writes
+    this.pending = Promise.resolve();
+  }
+
+  async load() {
+    if (this.profiles) return this.profiles;
+
+    let content = null;
+    try {
+      content = await fs.promises.readFile(this.filePath, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+    const stored = content ? JSON.parse(content).profiles : [];
+    // Loaded by a concurrent call meanwhile
+    if (!this.profiles) {
+      this.profiles = new Map(stored.map(profile => [profile.name, profile]));
+    }
+    return this.profiles;
+  }
+
+  /**
+   * @param {Map<string, Object>} profiles - The profiles to write
+   */
+  async save(profiles) {
+    const data = JSON.stringify({ profiles: Array.from(profiles.values()) }, null, 2) + '\n';
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+    // Written next to the file and renamed, a crash never leaves half a file
+    const tempPath = `${this.filePath}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tempPath, data);
+    await fs.promises.rename(tempPath, this.filePath);
+  }
+
+  // Run a change after the previous ones. It is made to a copy that replaces the
+  // profiles once it is saved, a failed write leaves them as they are on disk.
+  change(apply) {
+    const result = this.pending.catch(() => {}).then(async () => {
+      const profiles = new Map(await this.load());
+      const value = apply(profiles);
+      await this.save(profiles);
+      this.profiles = profiles;
+      return value;
+    });
+    this.pending = result;
+    return result;
+  }
+
+  /**
+   * @returns {Promise<Object[]>} - All profiles, sorted by name
+   */
+  async list() {
+    const profiles = await this.load();
+    return Array.from(profiles.values()).sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * @param {string} name - The profile name
+   * @returns {Promise<Object|null>} - The profile, null if there is none with that name
+   */
+  async get(name) {
+    const profiles = await this.load();
+    return profiles.get(name) || null;
+  }
+
+  /**
+   * @param {Object} input - The profile from the request body
+   * @param {string} user - Who creates it
+   * @returns {Promise<Object>} - The stored profile
+   * @throws {ProfileError} - 400 when invalid, 409 when the name is taken
+   */
+  async create(input, user) {
+    const profile = this.validate(input);
+    return this.change(profiles => {
+      if (profiles.has(profile.name)) {
+        throw new ProfileError(`Profile ${profile.name} already exists`, 409);
+      }
+      const now = new Date().toISOString();
+      const stored = { ...profile, createdBy: user, createdAt: now, updatedBy: user, updatedAt: now };
+      profiles.set(profile.name, stored);
+      return stored;
+    });
+  }
+
+  /**
+   * Replace a profile
+   * @param {string} name - The profile name from the URL
+   * @param {Object} input - The profile from the request body, its name may be left out
+   * @param {string} user - Who changes it
+   * @param {boolean} [isAdmin] - Whether the user may change other users' profiles
+   * @returns {Promise<Object>} - The stored profile
+   * @throws {ProfileError} - 400 when invalid or renamed, 403 when the profile is someone
+   *   else's, 404 when there is no such profile
+   */
+  async update(name, input, user, isAdmin = false) {
+    if (input && typeof input === 'object' && input.name !== undefined && input.name !== name) {
+      throw new ProfileError('Profiles cannot be renamed, create a new one', 400);
+    }
+    const profile = this.validate(input && typeof input === 'object' ? { ...input, name } : input);
+    return this.change(profiles => {
+      const existing = profiles.get(name);
+      if (!existing) {
+        throw new ProfileError(`Unknown profile: ${name}`, 404);
+      }
+      checkOwner(existing, user, isAdmin);
+      const stored = {
+        ...profile,
+        createdBy: existing.createdBy,
+        createdAt: existing.createdAt,
+        updatedBy: user,
+        updatedAt: new Date().toISOString()
+      };
+      profiles.set(name, stored);
+      return stored;
+    });
+  }
+
+  /**
+   * @param {string} name - The profile name
+   * @param {string} user - Who deletes it
+   * @param {boolean} [isAdmin] - Whether the user may delete other users' profiles
+   * @returns {Promise<void>}
+   * @throws {ProfileError} - 403 when the profile is someone else's, 404 when there is no such profile
+   */
+  async remove(name, user, isAdmin = false) {
+    return this.change(profiles => {
+      const existing = profiles.get(name);
+      if (!existing) {
+        throw new ProfileError(`Unknown profile: ${name}`, 404);
+      }
+      checkOwner(existing, user, isAdmin);
+      profiles.delete(name);
+    });
+  }
+
+  validate(input) {
+    const { profile, errors } = validateProfile(input, this.resolveModels);
+    if (errors.length > 0) {
+      throw new ProfileError('Invalid profile', 400, errors);
+    }
+    return profile;
+  }
+}
+
+module.exports = {
+  PROFILE_NAME_PATTERN,
+  ProfileError,
+  ProfileStore,
+  applyProfile,
+  composePrompt,
+  validateProfile
+};
@@ -0,0 +1,110 @@
+const { DEFAULT_BASE_URL, createRealtimeProvider } = require('./openai');
+const { createBatchProvider } = require('./batchProvider');
+
+/**
+ * Transcription provider registry
+ *
+ * A provider is an object with:
+ * - name, label, kind ('realtime' or 'batch')
+ * - capabilities: models and session options it supports (see REALTIME_CAPABILITIES)
+ * - validateApiKey(): Promise<boolean>
+ * - createSession(config): Promise<{sessionId, clientSecret}>
+ * - connect(connection): a WebSocket-like upstream that emits realtime
+ *   transcription server events. It may be called again for the same
+ *   connection when a resumed session gets a new upstream session
+ */
+
+const providers = new Map();
+
+/**
+ * Register a transcription provider
+ * @param {Object} provider - The provider to register
+ * @returns {Object} - The registered provider
+ */
+function registerProvider(provider) {
+  if (!provider || !provider.name) {
+    throw new Error('Provider must have a name');
+  }
+  for (const method of ['validateApiKey', 'createSession', 'connect']) {
+    if (typeof provider[method] !== 'function') {
+      throw new Error(`Provider ${provider.name} must implement ${method}()`);
+    }
+  }
+  providers.set(provider.name, provider);
+  return provider;
+}
+
+/**
+ * Remove a provider from the registry
+ * @param {string} name - The provider name
+ */
+function unregisterProvider(name) {
+  providers.delete(name);
+}
+
+/**
+ * Look up a provider by name
+ * @param {string} name - The provider name
+ * @returns {Object|null} - The provider or null if it is not registered
+ */
+function getProvider(name) {
+  return providers.get(name) || null;
+}
+
+/**
+ * @returns {Object[]} - All registered providers
+ */
+function listProviders() {
+  return Array.from(providers.values());
+}
+
+/**
+ * Public description of a provider, safe to send to the browser
+ * @param {Object} provider - The provider
+ * @returns {Object} - Name, label, kind and capabilities
+ */
+function describeProvider(provider) {
+  return {
+    name: provider.name,
+    label: provider.label,
+    kind: provider.kind,
+    capabilities: provider.capabilities
+  };
+}
+
+/**
+ * Register the built-in providers that have an API key configured
+ * @param {Object} env - Environment variables (usually process.env)
+ */
+function registerDefaultProviders(env) {
+  if (env.OPENAI_API_KEY) {
+    const openaiBaseUrl = env.OPENAI_BASE_URL || DEFAULT_BASE_URL;
+    registerProvider(createRealtimeProvider({ apiKey: env.OPENAI_API_KEY, baseUrl: openaiBaseUrl }));
+    registerProvider(createBatchProvider({
+      name: 'openai-batch',
+      label: 'OpenAI Whisper (batch)',
+      baseUrl: env.OPENAI_BATCH_BASE_URL || openaiBaseUrl,
+      apiKey: env.OPENAI_API_KEY,
+      models: ['whisper-1', 'gpt-4o-transcribe', 'gpt-4o-mini-transcribe']
+    }));
+  }
+
+  if (env.GROQ_API_KEY) {
+    registerProvider(createBatchProvider({
+      name: 'groq',
+      label: 'Groq Whisper (batch)',
+      baseUrl: env.GROQ_BASE_URL || 'https://api.groq.com/openai/v1',
+      apiKey: env.GROQ_API_KEY,
+      models: ['whisper-large-v3-turbo', 'whisper-large-v3']
+    }));
+  }
+}
+
+module.exports = {
+  registerProvider,
+  unregisterProvider,
+  getProvider,
+  listProviders,
+  describeProvider,
+  registerDefaultProviders
+};
@@ -0,0 +1,223 @@
+const fs = require('fs');
+const path = require('path');
+const { WAV_HEADER_SIZE, createWavHeader } = require('./wav');
+const { G711_SAMPLE_RATE, decodeG711, isG711 } = require('./g711');
+const logger = require('./logger').logger.child({ component: 'recordings' });
+
+/**
+ * Session recordings
+ *
+ * Each recorded session produces two files in the recordings directory:
+ * - <sessionId>.wav   mono PCM16 audio as relayed to the upstream (24 kHz, or 8 kHz for G.711 sessions)
+ * - <sessionId>.json  sidecar with the owner, session config, timings and final segments
+ *
+ * The WAV file is written while the session streams, with a placeholder
+ * header that is patched with the real sizes when the recording finishes.
+ */
+
+const PCM16_SAMPLE_RATE = 24000;
+
+// Session IDs come from the provider, only allow characters that are safe in file names
+const RECORDING_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+/**
+ * @param {string} id - A recording (session) ID
+ * @returns {boolean} - Whether the ID can be used as a file name
+ */
+function isValidRecordingId(id) {
+  return typeof id === 'string' && RECORDING_ID_PATTERN.test(id);
+}
+
+function recordingPaths(dir, id) {
+  if (!isValidRecordingId(id)) {
+    throw new Error(`Invalid recording ID: ${id}`);
+  }
+  return {
+    audioPath: path.join(dir, `${id}.wav`),
+    sidecarPath: path.join(dir, `${id}.json`)
+  };
+}
+
+/**
+ * Streams one session's audio to disk
+ */
+class SessionRecorder {
+  /**
+   * @param {string} dir - The recordings directory
+   * @param {string} sessionId - The session ID, used as the file name
+   * @param {Object} config - The session config, stored in the sidecar
+   * @param {string} user - The user who owns the session, stored in the sidecar
+   */
+  constructor(dir, sessionId, config, user) {
+    const { audioPath, sidecarPath } = recordingPaths(dir, sessionId);
+    fs.mkdirSync(dir, { recursive: true });
+
+    this.sessionId = sessionId;
+    this.config = config;
+    this.user = user;
+    // G.711 is decoded to PCM16 so the WAV files play everywhere
+    this.inputAudioFormat = config.inputAudioFormat || 'pcm16';
+    this.sampleRate = isG711(this.inputAudioFormat) ? G711_SAMPLE_RATE : PCM16_SAMPLE_RATE;
+    this.audioPath = audioPath;
+    this.sidecarPath = sidecarPath;
+    this.startedAt = Date.now();
+    this.bytesWritten = 0;
+    this.finished = false;
+
+    this.stream = fs.createWriteStream(audioPath);
+    // Sizes are unknown until the session ends, finish() rewrites the header
+    this.stream.write(createWavHeader(0, this.sampleRate));
+    this.stream.on('error', (error) => {
+      logger.error(`Recording error: ${error.message}`, { sessionId });
+    });
+  }
+
+  /**
+   * Append audio
+   * @param {Buffer} audio - Audio in the session's input format (PCM16 at 24 kHz or G.711)
+   */
+  write(audio) {
+    if (this.finished || audio.length === 0) return;
+    const pcm = isG711(this.inputAudioFormat) ? decodeG711(audio, this.inputAudioFormat) : audio;
+    this.stream.write(pcm);
+    this.bytesWritten += pcm.length;
+  }
+
+  /**
+   * Close the audio file, fix up the WAV header and write the sidecar
+   * @param {Object[]} segments - Final transcript segments
+   * @returns {Promise<Object>} - The sidecar contents
+   */
+  async finish(segments) {
+    if (this.finished) return null;
+    this.finished = true;
+
+    await new Promise((resolve) => this.stream.end(resolve));
+
+    const handle = await fs.promises.open(this.audioPath, 'r+');
+    try {
+      await handle.write(createWavHeader(this.bytesWritten, this.sampleRate), 0, WAV_HEADER_SIZE, 0);
+    } finally {
+      await handle.close();
+    }
+
+    const sidecar = {
+      id: this.sessionId,
+      sessionId: this.sessionId,
+      user: this.user,
+      config: this.config,
+      startedAt: new Date(this.startedAt).toISOString(),
+      endedAt: new Date().toISOString(),
+      durationMs: Math.round(this.bytesWritten / 2 / this.sampleRate * 1000),
+      audioBytes: WAV_HEADER_SIZE + this.bytesWritten,
+      sampleRate: this.sampleRate,
+      segments: segments
+    };
+    await fs.promises.writeFile(this.sidecarPath, JSON.stringify(sidecar, null, 2));
+    return sidecar;
+  }
+}
+
+/**
+ * List finished recordings, newest first
+ * @param {string} dir - The recordings directory
+ * @returns {Promise<Object[]>} - Sidecar summaries (without segments)
+ */
+async function listRecordings(dir) {
+  let files;
+  try {
+    files = await fs.promises.readdir(dir);
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const recordings = [];
+  for (const file of files) {
+    if (!file.endsWith('.json')) continue;
+    try {
+      const sidecar = JSON.parse(await fs.promises.readFile(path.join(dir, file), 'utf8'));
+      const { segments, ...summary } = sidecar;
+      recordings.push({ ...summary, segmentCount: Array.isArray(segments) ? segments.length : 0 });
+    } catch (error) {
+      logger.warn(`Skipping unreadable recording sidecar ${file}: ${error.message}`);
+    }
+  }
+
+  return recordings.sort((a, b) => b.startedAt.localeCompare(a.startedAt));
+}
+
+/**
+ * @param {string} dir - The recordings directory
+ * @param {string} id - The recording ID
+ * @returns {Promise<Object|null>} - The sidecar, or null if the recording does not exist
+ */
+async function getRecording(dir, id) {
+  if (!isValidRecordingId(id)) return null;
+  const { sidecarPath } = recordingPaths(dir, id);
+  try {
+    return JSON.parse(await fs.promises.readFile(sidecarPath, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+/**
+ * @param {string} dir - The recordings directory
+ * @param {string} id - The recording ID
+ * @returns {string|null} - Path of the WAV file, or null for an invalid ID
+ */
+function getRecordingAudioPath(dir, id) {
+  return isValidRecordingId(id) ? recordingPaths(dir, id).audioPath : null;
+}
+
+/**
+ * Delete a recording's audio and sidecar
+ * @param {string} dir - The recordings directory
+ * @param {string} id - The recording ID
+ * @returns {Promise<boolean>} - True if anything was deleted
+ */
+async function deleteRecording(dir, id) {
+  if (!isValidRecordingId(id)) return false;
+  const { audioPath, sidecarPath } = recordingPaths(dir, id);
+
+  let deleted = false;
+  for (const file of [audioPath, sidecarPath]) {
+    try {
+      await fs.promises.unlink(file);
+      deleted = true;
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+  return deleted;
+}
+
+/**
+ * Delete recordings older than the retention period
+ * @param {string} dir - The recordings directory
+ * @param {number} maxAgeMs - Retention period in milliseconds
+ * @returns {Promise<number>} - Number of recordings deleted
+ */
+async function pruneRecordings(dir, maxAgeMs) {
+  const now = Date.now();
+  let count = 0;
+
+  for (const recording of await listRecordings(dir)) {
+    if (now - Date.parse(recording.endedAt) > maxAgeMs && await deleteRecording(dir, recording.id)) {
+      count++;
+    }
+  }
+  return count;
+}
+
+module.exports = {
+  SessionRecorder,
+  isValidRecordingId,
+  listRecordings,
+  getRecording,
+  getRecordingAudioPath,
+  deleteRecording,
+  pruneRecordings
+};
@@ -0,0 +1,264 @@
+/**
+ * Transcription session configuration
+ *
+ * The browser sends a flat, camelCase session config to
+ * /api/transcription/create-session. This module validates it, fills in
+ * defaults and converts it to the request body expected by
+ * POST /v1/realtime/transcription_sessions.
+ */
+
+const TRANSCRIPTION_MODELS = ['gpt-4o-transcribe', 'gpt-4o-mini-transcribe', 'whisper-1'];
+const INPUT_AUDIO_FORMATS = ['pcm16', 'g711_ulaw', 'g711_alaw'];
+const NOISE_REDUCTION_TYPES = ['near_field', 'far_field'];
+const TURN_DETECTION_TYPES = ['server_vad', 'semantic_vad'];
+const VAD_EAGERNESS = ['low', 'medium', 'high', 'auto'];
+const INCLUDE_OPTIONS = ['item.input_audio_transcription.logprobs'];
+// Logprobs are only produced by the gpt-4o transcription models
+const LOGPROBS_MODELS = ['gpt-4o-transcribe', 'gpt-4o-mini-transcribe'];
+
+const MAX_PROMPT_LENGTH = 4000;
+// Every target language is one chat completion per segment
+const MAX_TRANSLATION_LANGUAGES = 3;
+
+const DEFAULT_SESSION_CONFIG = {
+  model: 'gpt-4o-transcribe',
+  language: 'en',
+  prompt: '',
+  inputAudioFormat: 'pcm16',
+  noiseReduction: 'near_field',
+  turnDetection: {
+    type: 'server_vad',
+    threshold: 0.5,
+    prefixPaddingMs: 300,
+    silenceDurationMs: 500
+  },
+  include: ['item.input_audio_transcription.logprobs'],
+  // Keep a WAV recording of the session on the server (see libs/recordings.js)
+  record: false,
+  // ISO-639-1 codes to translate completed segments into (see libs/translation.js)
+  translateTo: [],
+  // Name of the vocabulary profile the session was created with (see libs/profiles.js)
+  profile: null
+};
+
+/**
+ * Check that a value is a finite number within [min, max]
+ * @param {*} value - The value to check
+ * @param {number} min - Lower bound (inclusive)
+ * @param {number} max - Upper bound (inclusive)
+ * @returns {boolean} - Whether the value is in range
+ */
+function isNumberInRange(value, min, max) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= min && value <= max;
+}
+
+/**
+ * Capabilities of the OpenAI realtime transcription endpoint. Providers
+ * with a narrower feature set (see libs/batchProvider.js) describe
+ * themselves with the same shape.
+ */
+const REALTIME_CAPABILITIES = {
+  models: TRANSCRIPTION_MODELS,
+  defaultModel: 'gpt-4o-transcribe',
+  inputAudioFormats: INPUT_AUDIO_FORMATS,
+  turnDetectionTypes: TURN_DETECTION_TYPES,
+  supportsNoiseReduction: true,
+  // Models that can return logprobs (include), empty when none can
+  logprobsModels: LOGPROBS_MODELS
+};
+
+/**
+ * Validate the turn detection part of a session config
+ * @param {Object|null} input - The turn detection settings from the client
+ * @param {Object} capabilities - What the selected provider supports
+ * @param {string[]} errors - Validation messages are pushed here
+ * @returns {Object|null} - The normalized turn detection settings
+ */
+function validateTurnDetection(input, capabilities, errors) {
+  if (input === null || input === 'none') {
+    return null;
+  }
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    errors.push('turnDetection must be an object or null');
+    return null;
+  }
+
+  const type = input.type === undefined ? DEFAULT_SESSION_CONFIG.turnDetection.type : input.type;
+  if (!capabilities.turnDetectionTypes.includes(type)) {
+    errors.push(`turnDetection.type must be one of: ${capabilities.turnDetectionTypes.join(', ')}`);
+    return null;
+  }
+
+  if (type === 'semantic_vad') {
+    const eagerness = input.eagerness === undefined ? 'auto' : input.eagerness;
+    if (!VAD_EAGERNESS.includes(eagerness)) {
+      errors.push(`turnDetection.eagerness must be one of: ${VAD_EAGERNESS.join(', ')}`);
+    }
+    return { type, eagerness };
+  }
+
+  const defaults = DEFAULT_SESSION_CONFIG.turnDetection;
+  const threshold = input.threshold === undefined ? defaults.threshold : input.threshold;
+  const prefixPaddingMs = input.prefixPaddingMs === undefined ? defaults.prefixPaddingMs : input.prefixPaddingMs;
+  const silenceDurationMs = input.silenceDurationMs === undefined ? defaults.silenceDurationMs : input.silenceDurationMs;
+
+  if (!isNumberInRange(threshold, 0, 1)) {
+    errors.push('turnDetection.threshold must be a number between 0 and 1');
+  }
+  if (!Number.isInteger(prefixPaddingMs) || !isNumberInRange(prefixPaddingMs, 0, 5000)) {
+    errors.push('turnDetection.prefixPaddingMs must be an integer between 0 and 5000');
+  }
+  if (!Number.isInteger(silenceDurationMs) || !isNumberInRange(silenceDurationMs, 0, 10000)) {
+    errors.push('turnDetection.silenceDurationMs must be an integer between 0 and 10000');
+  }
+
+  return { type, threshold, prefixPaddingMs, silenceDurationMs };
+}
+
+/**
+ * Validate a session config sent by the client and fill in defaults
+ * @param {Object} input - The raw request body
+ * @param {Object} provider - The provider the session will run on (see libs/providers.js)
+ * @returns {{config: Object, errors: string[]}} - The normalized config and any validation errors
+ */
+function validateSessionConfig(input, provider) {
+  const errors = [];
+
+  if (input === null || typeof input !== 'object' || Array.isArray(input)) {
+    return { config: null, errors: ['Session config must be a JSON object'] };
+  }
+
+  const capabilities = provider ? provider.capabilities : REALTIME_CAPABILITIES;
+  const defaultNoiseReduction = capabilities.supportsNoiseReduction ? DEFAULT_SESSION_CONFIG.noiseReduction : null;
+  const model = input.model === undefined ? capabilities.defaultModel : input.model;
+  // Logprobs are on by default wherever the model can return them
+  const defaultInclude = capabilities.logprobsModels.includes(model) ? DEFAULT_SESSION_CONFIG.include.slice() : [];
+
+  const config = {
+    provider: provider ? provider.name : 'openai',
+    model: model,
+    language: input.language === undefined ? DEFAULT_SESSION_CONFIG.language : input.language,
+    prompt: input.prompt === undefined ? DEFAULT_SESSION_CONFIG.prompt : input.prompt,
+    inputAudioFormat: input.inputAudioFormat === undefined ? DEFAULT_SESSION_CONFIG.inputAudioFormat : input.inputAudioFormat,
+    noiseReduction: input.noiseReduction === undefined ? defaultNoiseReduction : input.noiseReduction,
+    turnDetection: null,
+    include: input.include === undefined ? defaultInclude : input.include,
+    record: input.record === undefined ? DEFAULT_SESSION_CONFIG.record : input.record,
+    translateTo: input.translateTo === undefined ? DEFAULT_SESSION_CONFIG.translateTo.slice() : input.translateTo,
+    profile: input.profile === undefined ? DEFAULT_SESSION_CONFIG.profile : input.profile
+  };
+
+  if (!capabilities.models.includes(config.model)) {
+    errors.push(`model must be one of: ${capabilities.models.join(', ')}`);
+  }
+
+  // An empty language lets the model detect it automatically
+  if (typeof config.language !== 'string' || (config.language !== '' && !/^[a-z]{2}$/.test(config.language))) {
+    errors.push('language must be an ISO-639-1 code (e.g. "en") or an empty string for auto-detection');
+  }
+
+  if (typeof config.prompt !== 'string') {
+    errors.push('prompt must be a string');
+  } else if (config.prompt.length > MAX_PROMPT_LENGTH) {
+    errors.push(`prompt must be at most ${MAX_PROMPT_LENGTH} characters`);
+  }
+
+  if (!capabilities.inputAudioFormats.includes(config.inputAudioFormat)) {
+    errors.push(`inputAudioFormat must be one of: ${capabilities.inputAudioFormats.join(', ')}`);
+  }
+
+  if (config.noiseReduction === 'none') {
+    config.noiseReduction = null;
+  }
+  if (config.noiseReduction !== null && !capabilities.supportsNoiseReduction) {
+    errors.push(`noiseReduction is not supported by the ${config.provider} provider`);
+  } else if (config.noiseReduction !== null && !NOISE_REDUCTION_TYPES.includes(config.noiseReduction)) {
+    errors.push(`noiseReduction must be one of: ${NOISE_REDUCTION_TYPES.join(', ')} or null`);
+  }
+
+  config.turnDetection = input.turnDetection === undefined
+    ? { ...DEFAULT_SESSION_CONFIG.turnDetection }
+    : validateTurnDetection(input.turnDetection, capabilities, errors);
+
+  if (!Array.isArray(config.include) || config.include.some(item => !INCLUDE_OPTIONS.includes(item))) {
+    errors.push(`include must be an array containing only: ${INCLUDE_OPTIONS.join(', ')}`);
+  } else if (config.include.length > 0 && capabilities.logprobsModels.length === 0) {
+    errors.push(`include is not supported by the ${config.provider} provider`);
+  } else if (config.include.length > 0 && !capabilities.logprobsModels.includes(config.model)) {
+    errors.push(`include is not supported with the ${config.model} model`);
+  }
+
+  if (typeof config.record !== 'boolean') {
+    errors.push('record must be a boolean');
+  }
+
+  if (!Array.isArray(config.translateTo) || config.translateTo.some(code => typeof code !== 'string' || !/^[a-z]{2}$/.test(code))) {
+    errors.push('translateTo must be an array of ISO-639-1 codes (e.g. ["de", "fr"])');
+  } else if (config.translateTo.length > MAX_TRANSLATION_LANGUAGES) {
+    errors.push(`translateTo must have at most ${MAX_TRANSLATION_LANGUAGES} languages`);
+  } else if (new Set(config.translateTo).size !== config.translateTo.length) {
+    errors.push('translateTo must not repeat a language');
+  } else if (config.language && config.translateTo.includes(config.language)) {
+    errors.push('translateTo must not include the spoken language');
+  }
+
+  if (config.profile !== null && typeof config.profile !== 'string') {
+    errors.push('profile must be a profile name or null');
+  }
+
+  return { config, errors };
+}
+
+/**
+ * Convert a validated session config to the OpenAI transcription session request body
+ * @param {Object} config - A config returned by validateSessionConfig
+ * @returns {Object} - The body for POST /v1/realtime/transcription_sessions
+ */
+function toSessionPayload(config) {
+  let turnDetection = null;
+  if (config.turnDetection && config.turnDetection.type === 'semantic_vad') {
+    turnDetection = {
+      type: 'semantic_vad',
+      eagerness: config.turnDetection.eagerness
+    };
+  } else if (config.turnDetection) {
+    turnDetection = {
+      type: 'server_vad',
+      threshold: config.turnDetection.threshold,
+      prefix_padding_ms: config.turnDetection.prefixPaddingMs,
+      silence_duration_ms: config.turnDetection.silenceDurationMs
+    };
+  }
+
+  const transcription = {
+    model: config.model,
+    prompt: config.prompt
+  };
+  if (config.language) {
+    transcription.language = config.language;
+  }
+
+  return {
+    input_audio_format: config.inputAudioFormat,
+    input_audio_transcription: transcription,
+    turn_detection: turnDetection,
+    input_audio_noise_reduction: config.noiseReduction ? { type: config.noiseReduction } : null,
+    include: config.include
+  };
+}
+
+module.exports = {
+  TRANSCRIPTION_MODELS,
+  INPUT_AUDIO_FORMATS,
+  NOISE_REDUCTION_TYPES,
+  TURN_DETECTION_TYPES,
+  VAD_EAGERNESS,
+  INCLUDE_OPTIONS,
+  LOGPROBS_MODELS,
+  MAX_PROMPT_LENGTH,
+  MAX_TRANSLATION_LANGUAGES,
+  DEFAULT_SESSION_CONFIG,
+  REALTIME_CAPABILITIES,
+  validateSessionConfig,
+  toSessionPayload
+};
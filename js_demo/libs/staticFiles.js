@@ -0,0 +1,296 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const url = require('url');
+const util = require('util');
+const zlib = require('zlib');
+
+/**
+ * Static files for the browser app
+ *
+ * Only files inside the public directory are served, never dotfiles, and
+ * symlinks must not lead out of it. Files are kept in memory after the first
+ * request and reread when their size or modification time changes, together
+ * with their gzip and brotli encodings for text types. Compression runs on the
+ * thread pool, and files too large to cache are sent uncompressed, so the
+ * event loop carrying the audio sockets is never blocked by it.
+ *
+ * Responses carry an ETag and Last-Modified, so browsers revalidate with
+ * If-None-Match / If-Modified-Since and get a 304 when nothing changed.
+ */
+
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.mjs': 'text/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.svg': 'image/svg+xml',
+  '.ico': 'image/x-icon'
+};
+
+const COMPRESSIBLE_EXTENSIONS = ['.html', '.css', '.js', '.mjs', '.json', '.svg'];
+// Below this size compression saves less than the headers cost
+const MIN_COMPRESS_BYTES = 1024;
+// Larger files are read on every request instead of being kept in memory, and not compressed
+const MAX_CACHED_FILE_BYTES = 1024 * 1024;
+
+const brotliCompress = util.promisify(zlib.brotliCompress);
+const gzip = util.promisify(zlib.gzip);
+
+// Preferred first
+const ENCODINGS = [
+  { name: 'br', suffix: 'br', compress: data => brotliCompress(data, { params: { [zlib.constants.BROTLI_PARAM_QUALITY]: 9 } }) },
+  { name: 'gzip', suffix: 'gz', compress: data => gzip(data, { level: 9 }) }
+];
+
+/**
+ * @param {string} header - The Accept-Encoding header
+ * @returns {Set<string>} - Encodings the client accepts (q > 0)
+ */
+function parseAcceptEncoding(header) {
+  const accepted = new Set();
+  for (const part of String(header || '').split(',')) {
+    const [name, ...params] = part.trim().toLowerCase().split(';');
+    const quality = params.map(param => param.trim()).find(param => param.startsWith('q='));
+    if (name && !(quality && Number(quality.slice(2)) === 0)) {
+      accepted.add(name);
+    }
+  }
+  return accepted;
+}
+
+/**
+ * @param {string} header - An If-None-Match header
+ * @param {string} etag - The current ETag
+ * @returns {boolean} - Whether the header matches, comparing weakly as RFC 9110 asks for GET
+ */
+function etagMatches(header, etag) {
+  const opaque = tag => tag.trim().replace(/^W\//, '');
+  return header.split(',').some(tag => tag.trim() === '*' || opaque(tag) === opaque(etag));
+}
+
+class StaticFiles {
+  /**
+   * @param {string} rootDir - The public directory
+   * @param {Object} [options]
+   * @param {Object} [options.aliases] - Request paths served by another file, e.g. / by index.html
+   * @param {number} [options.maxAgeSeconds] - Cache lifetime of assets other than HTML,
+   *   0 makes browsers revalidate every time
+   */
+  constructor(rootDir, { aliases = { '/': 'index.html' }, maxAgeSeconds = 0 } = {}) {
+    this.rootDir = path.resolve(rootDir);
+    this.aliases = new Map(Object.entries(aliases));
+    this.maxAgeSeconds = maxAgeSeconds;
+    // Absolute path -> {size, mtimeMs, data, etag, lastModified, encoded: Map<suffix, Promise<Buffer>>}
+    this.cache = new Map();
+  }
+
+  /**
+   * Map a request path to a file in the public directory
+   * @param {string} pathname - The URL path, without the query string
+   * @returns {string|null} - The absolute file path, null if it must not be served
+   */
+  resolvePath(pathname) {
+    let decoded;
+    try {
+      decoded = decodeURIComponent(pathname);
+    } catch (e) {
+      return null;
+    }
+    if (decoded.includes('\0')) return null;
+    if (this.aliases.has(decoded)) decoded = `/${this.aliases.get(decoded)}`;
+
+    const fullPath = path.join(this.rootDir, decoded);
+    const relativePath = path.relative(this.rootDir, fullPath);
+    // Outside the public directory, or dotfiles such as .env
+    if (!relativePath || relativePath.startsWith('..') || path.isAbsolute(relativePath) ||
+        relativePath.split(path.sep).some(part => part.startsWith('.'))) {
+      return null;
+    }
+    return fullPath;
+  }
+
+  /**
+   * Serve a GET or HEAD request
+   * @param {http.IncomingMessage} req - The request
+   * @param {http.ServerResponse} res - The response
+   * @param {Object} [log] - Logger for refused and failed requests
+   * @returns {Promise<void>}
+   */
+  async serve(req, res, log) {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      res.writeHead(405, { 'Content-Type': 'text/plain', 'Allow': 'GET, HEAD, OPTIONS' });
+      res.end('405 Method Not Allowed');
+      return;
+    }
+
+    const fullPath = this.resolvePath(url.parse(req.url).pathname);
+    if (!fullPath) {
+      if (log) log.warn(`Refused to serve ${req.url}`);
+      sendNotFound(res);
+      return;
+    }
+
+    let file;
+    try {
+      file = await this.load(fullPath);
+    } catch (error) {
+      if (error.code === 'ENOENT' || error.code === 'ENOTDIR' || error.code === 'EISDIR' || error.code === 'EACCES') {
+        if (log) log.warn(`File not found: ${req.url}`);
+        sendNotFound(res);
+      } else {
+        if (log) log.error(`Error reading file: ${error.message}`);
+        res.writeHead(500, { 'Content-Type': 'text/plain' });
+        res.end('500 Internal Server Error');
+      }
+      return;
+    }
+
+    const extension = path.extname(fullPath).toLowerCase();
+    const encoding = this.chooseEncoding(file, extension, req.headers['accept-encoding']);
+    let body;
+    try {
+      body = encoding ? await this.encode(file, encoding) : file.data;
+    } catch (error) {
+      if (log) log.error(`Error compressing ${req.url}: ${error.message}`);
+      res.writeHead(500, { 'Content-Type': 'text/plain' });
+      res.end('500 Internal Server Error');
+      return;
+    }
+    const etag = encoding ? file.etag.replace(/"$/, `-${encoding.suffix}"`) : file.etag;
+
+    const headers = {
+      'Content-Type': MIME_TYPES[extension] || 'application/octet-stream',
+      'ETag': etag,
+      'Last-Modified': file.lastModified,
+      'Cache-Control': extension === '.html' || this.maxAgeSeconds === 0
+        ? 'no-cache'
+        : `public, max-age=${this.maxAgeSeconds}`,
+      'X-Content-Type-Options': 'nosniff'
+    };
+    if (COMPRESSIBLE_EXTENSIONS.includes(extension)) {
+      headers['Vary'] = 'Accept-Encoding';
+    }
+
+    if (this.isNotModified(req, etag, file.mtimeMs)) {
+      res.writeHead(304, headers);
+      res.end();
+      return;
+    }
+
+    if (encoding) {
+      headers['Content-Encoding'] = encoding.name;
+    }
+    headers['Content-Length'] = body.length;
+    res.writeHead(200, headers);
+    res.end(req.method === 'HEAD' ? undefined : body);
+  }
+
+  /**
+   * @param {string} fullPath - A path from resolvePath
+   * @returns {Promise<Object>} - The file's content and validators, from the cache if unchanged
+   */
+  async load(fullPath) {
+    // Symlinks inside the public directory are fine as long as they stay there
+    const realPath = await fs.promises.realpath(fullPath);
+    const realRoot = await fs.promises.realpath(this.rootDir);
+    if (path.relative(realRoot, realPath).startsWith('..')) {
+      throw Object.assign(new Error(`${fullPath} is outside the public directory`), { code: 'EACCES' });
+    }
+
+    const stats = await fs.promises.stat(realPath);
+    if (!stats.isFile()) {
+      throw Object.assign(new Error(`${fullPath} is not a file`), { code: 'EISDIR' });
+    }
+
+    const cached = this.cache.get(fullPath);
+    if (cached && cached.size === stats.size && cached.mtimeMs === stats.mtimeMs) {
+      return cached;
+    }
+
+    const data = await fs.promises.readFile(realPath);
+    const file = {
+      size: stats.size,
+      mtimeMs: stats.mtimeMs,
+      data,
+      etag: `"${crypto.createHash('sha1').update(data).digest('base64url')}"`,
+      lastModified: stats.mtime.toUTCString(),
+      encoded: new Map()
+    };
+    if (data.length <= MAX_CACHED_FILE_BYTES) {
+      this.cache.set(fullPath, file);
+    } else {
+      this.cache.delete(fullPath);
+    }
+    return file;
+  }
+
+  chooseEncoding(file, extension, acceptEncoding) {
+    if (!COMPRESSIBLE_EXTENSIONS.includes(extension) || file.data.length < MIN_COMPRESS_BYTES ||
+        file.data.length > MAX_CACHED_FILE_BYTES) {
+      return null;
+    }
+    const accepted = parseAcceptEncoding(acceptEncoding);
+    return ENCODINGS.find(encoding => accepted.has(encoding.name)) || null;
+  }
+
+  // Compressed once per file version, with the file's cache entry. Concurrent requests
+  // share the pending compression.
+  encode(file, encoding) {
+    let body = file.encoded.get(encoding.suffix);
+    if (!body) {
+      body = encoding.compress(file.data);
+      file.encoded.set(encoding.suffix, body);
+      // A failure is not cached, the next request tries again
+      body.catch(() => file.encoded.delete(encoding.suffix));
+    }
+    return body;
+  }
+
+  isNotModified(req, etag, mtimeMs) {
+    const ifNoneMatch = req.headers['if-none-match'];
+    if (ifNoneMatch) {
+      return etagMatches(ifNoneMatch, etag);
+    }
+    const ifModifiedSince = Date.parse(req.headers['if-modified-since'] || '');
+    // Last-Modified has a resolution of one second
+    return !Number.isNaN(ifModifiedSince) && Math.floor(mtimeMs / 1000) * 1000 <= ifModifiedSince;
+  }
+}
+
+function sendNotFound(res) {
+  res.writeHead(404, { 'Content-Type': 'text/plain' });
+  res.end('404 Not Found');
+}
+
+/**
+ * Read the static file options from the environment
+ *
+ * STATIC_MAX_AGE_SECONDS=0   how long browsers may use scripts and styles without
+ *                            revalidating, HTML is always revalidated
+ *
+ * @param {Object} env - process.env
+ * @returns {Object} - Options for the StaticFiles constructor
+ */
+function staticOptionsFromEnv(env) {
+  const options = {};
+  if (env.STATIC_MAX_AGE_SECONDS !== undefined && env.STATIC_MAX_AGE_SECONDS !== '') {
+    const maxAgeSeconds = Number(env.STATIC_MAX_AGE_SECONDS);
+    if (!Number.isInteger(maxAgeSeconds) || maxAgeSeconds < 0) {
+      throw new Error('STATIC_MAX_AGE_SECONDS must be a whole number >= 0');
+    }
+    options.maxAgeSeconds = maxAgeSeconds;
+  }
+  return options;
+}
+
+module.exports = {
+  MIME_TYPES,
+  StaticFiles,
+  parseAcceptEncoding,
+  staticOptionsFromEnv
+};
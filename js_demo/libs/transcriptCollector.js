@@ -0,0 +1,127 @@
+/**
+ * Server-side transcript for one session
+ *
+ * Follows the realtime server events relayed to the browser and keeps one
+ * segment per conversation item with its audio timings, so transcripts of
+ * finished sessions can be exported (see public/transcriptFormats.mjs). This mirrors
+ * the browser's TranscriptStore without the editing API.
+ */
+class TranscriptCollector {
+  constructor() {
+    this.segments = new Map();
+    this.order = [];
+  }
+
+  ensureSegment(itemId) {
+    let segment = this.segments.get(itemId);
+    if (!segment) {
+      segment = {
+        itemId: itemId,
+        startMs: null,
+        endMs: null,
+        text: '',
+        // The model's text when post-processing changed it (see libs/postProcessing.js)
+        originalText: null,
+        logprobs: null,
+        status: 'in_progress',
+        error: null,
+        // Language code -> {text, error} (see libs/translation.js)
+        translations: {}
+      };
+      this.segments.set(itemId, segment);
+      this.order.push(itemId);
+    }
+    return segment;
+  }
+
+  /**
+   * Update the transcript from a server event
+   * @param {Object} event - A parsed realtime server event
+   */
+  handleEvent(event) {
+    switch (event.type) {
+      case 'input_audio_buffer.speech_started':
+        this.ensureSegment(event.item_id).startMs = event.audio_start_ms;
+        break;
+
+      case 'input_audio_buffer.speech_stopped':
+        this.ensureSegment(event.item_id).endMs = event.audio_end_ms;
+        break;
+
+      case 'conversation.item.created': {
+        if (!event.item || !event.item.id) break;
+        this.ensureSegment(event.item.id);
+        // Keep conversation order when the predecessor is known
+        const previousItemId = event.previous_item_id;
+        if (previousItemId && this.segments.has(previousItemId)) {
+          this.order.splice(this.order.indexOf(event.item.id), 1);
+          this.order.splice(this.order.indexOf(previousItemId) + 1, 0, event.item.id);
+        }
+        break;
+      }
+
+      case 'conversation.item.input_audio_transcription.delta': {
+        const segment = this.ensureSegment(event.item_id);
+        if (segment.status === 'in_progress') {
+          segment.text += event.delta || '';
+        }
+        break;
+      }
+
+      case 'conversation.item.input_audio_transcription.completed': {
+        const segment = this.ensureSegment(event.item_id);
+        segment.text = event.transcript || '';
+        segment.originalText = event.original_transcript || null;
+        segment.logprobs = event.logprobs || null;
+        segment.status = 'completed';
+        break;
+      }
+
+      case 'conversation.item.input_audio_transcription.failed': {
+        const segment = this.ensureSegment(event.item_id);
+        segment.status = 'failed';
+        segment.error = event.error ? event.error.message : 'Transcription failed';
+        break;
+      }
+
+      case 'conversation.item.translation.completed':
+        this.ensureSegment(event.item_id).translations[event.language] = { text: event.text, error: null };
+        break;
+
+      case 'conversation.item.translation.failed':
+        this.ensureSegment(event.item_id).translations[event.language] = {
+          text: '',
+          error: event.error ? event.error.message : 'Translation failed'
+        };
+        break;
+    }
+  }
+
+  /**
+   * @returns {Object[]} All segments in conversation order
+   */
+  getSegments() {
+    return this.order.map(itemId => this.segments.get(itemId));
+  }
+
+  /**
+   * @returns {Object[]} Completed segments in the shape expected by public/transcriptFormats.mjs
+   */
+  getExportSegments() {
+    return this.getSegments()
+      .filter(segment => segment.status === 'completed')
+      .map(segment => ({
+        itemId: segment.itemId,
+        startMs: segment.startMs,
+        endMs: segment.endMs,
+        text: segment.text,
+        originalText: segment.originalText,
+        logprobs: segment.logprobs,
+        edited: false
+      }));
+  }
+}
+
+module.exports = {
+  TranscriptCollector
+};
@@ -0,0 +1,120 @@
+const { requestChatCompletion } = require('./httpClient');
+const { DEFAULT_BASE_URL } = require('./openai');
+const logger = require('./logger').logger.child({ component: 'translation' });
+
+/**
+ * Live translation of completed transcript segments
+ *
+ * Sessions created with translateTo send the text of every completed segment
+ * to an OpenAI-compatible /chat/completions endpoint, once per target
+ * language. The proxy relays the results to the client (and viewers) as
+ * conversation.item.translation.completed / .failed events.
+ *
+ * The endpoint defaults to the OpenAI API, any compatible server works
+ * (a local model, the bundled mock).
+ */
+
+const DEFAULT_TRANSLATION_MODEL = 'gpt-4o-mini';
+
+const languageNames = new Intl.DisplayNames(['en'], { type: 'language' });
+
+/**
+ * @param {string} code - An ISO-639-1 code
+ * @returns {string} - e.g. "German (de)", the model gets both
+ */
+function describeLanguage(code) {
+  const name = languageNames.of(code);
+  return name && name !== code ? `${name} (${code})` : code;
+}
+
+/**
+ * Build the chat completion messages for one translation
+ * @param {string} text - The segment text
+ * @param {string} targetLanguage - ISO-639-1 code to translate into
+ * @param {string} sourceLanguage - ISO-639-1 code of the speech, '' if it was detected
+ * @returns {Object[]} - The messages
+ */
+function buildMessages(text, targetLanguage, sourceLanguage) {
+  const source = sourceLanguage ? `from ${describeLanguage(sourceLanguage)} ` : '';
+  return [
+    {
+      role: 'system',
+      content: `Translate the user's message ${source}into ${describeLanguage(targetLanguage)}. ` +
+        'The message is a transcript of speech and may be a fragment of a sentence. ' +
+        'Reply with the translation only, without quotes or comments.'
+    },
+    { role: 'user', content: text }
+  ];
+}
+
+class Translator {
+  /**
+   * @param {Object} options
+   * @param {string} options.baseUrl - Base URL of the OpenAI-compatible API
+   * @param {string|null} options.apiKey - Bearer token, null for endpoints without authentication
+   * @param {string} [options.model] - The chat model
+   */
+  constructor({ baseUrl, apiKey, model = DEFAULT_TRANSLATION_MODEL }) {
+    this.baseUrl = baseUrl;
+    this.apiKey = apiKey;
+    this.model = model;
+  }
+
+  /**
+   * Translate a segment
+   * @param {string} text - The segment text
+   * @param {string} targetLanguage - ISO-639-1 code to translate into
+   * @param {string} [sourceLanguage] - ISO-639-1 code of the speech, '' if unknown
+   * @returns {Promise<string>} - The translated text
+   */
+  async translate(text, targetLanguage, sourceLanguage = '') {
+    logger.debug(`Translating ${text.length} characters into ${targetLanguage} (model: ${this.model})`);
+    return requestChatCompletion(this.baseUrl, this.apiKey, {
+      model: this.model,
+      temperature: 0,
+      messages: buildMessages(text, targetLanguage, sourceLanguage)
+    });
+  }
+}
+
+/**
+ * Read the translation options from the environment
+ *
+ * TRANSLATION_BASE_URL   OpenAI-compatible API, defaults to OPENAI_BASE_URL or the OpenAI API
+ * TRANSLATION_API_KEY    defaults to OPENAI_API_KEY, may be left out with TRANSLATION_BASE_URL
+ *                        for servers without authentication
+ * TRANSLATION_MODEL      the chat model, gpt-4o-mini by default
+ *
+ * @param {Object} env - process.env
+ * @returns {Object|null} - Options for the Translator constructor, null when translation
+ *   is not configured
+ */
+function translationOptionsFromEnv(env) {
+  const baseUrl = env.TRANSLATION_BASE_URL || env.OPENAI_BASE_URL || DEFAULT_BASE_URL;
+  const apiKey = env.TRANSLATION_API_KEY || env.OPENAI_API_KEY || null;
+  if (!apiKey && !env.TRANSLATION_BASE_URL) {
+    return null;
+  }
+
+  let parsed;
+  try {
+    parsed = new URL(baseUrl);
+  } catch (error) {
+    throw new Error(`TRANSLATION_BASE_URL is not a valid URL: ${baseUrl}`);
+  }
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+    throw new Error('TRANSLATION_BASE_URL must be an http or https URL');
+  }
+
+  return {
+    baseUrl: baseUrl.replace(/\/+$/, ''),
+    apiKey,
+    model: env.TRANSLATION_MODEL || DEFAULT_TRANSLATION_MODEL
+  };
+}
+
+module.exports = {
+  DEFAULT_TRANSLATION_MODEL,
+  Translator,
+  translationOptionsFromEnv
+};
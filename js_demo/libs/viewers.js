@@ -0,0 +1,170 @@
+const crypto = require('crypto');
+const WebSocket = require('ws');
+
+/**
+ * Read-only viewers of a live session
+ *
+ * The owner of a session can share it: POST /api/transcription/sessions/:id/share
+ * creates a share token, and anyone with the link can open /ws/watch/:sessionId
+ * with it. Viewers get a snapshot of the transcript so far, then the transcript
+ * events as the upstream sends them, along with the session's translations.
+ * Nothing else reaches them: no audio, no session config, no errors, and
+ * whatever a viewer sends is ignored.
+ *
+ * Revoking the link closes all viewers and invalidates the token, sharing
+ * again creates a new one.
+ */
+
+const DEFAULT_MAX_VIEWERS = 50;
+
+// WebSocket close codes sent to viewers
+const VIEWER_CLOSE_CODES = {
+  revoked: 4403,
+  // The viewer could not keep up with the transcript
+  tooSlow: 4408
+};
+
+// Viewers that fall this far behind are dropped rather than buffered without end
+const MAX_BUFFERED_BYTES = 1024 * 1024;
+
+// Upstream events viewers need to follow the transcript
+const VIEWER_EVENT_TYPES = new Set([
+  'input_audio_buffer.speech_started',
+  'input_audio_buffer.speech_stopped',
+  'conversation.item.created',
+  'conversation.item.input_audio_transcription.delta',
+  'conversation.item.input_audio_transcription.completed',
+  'conversation.item.input_audio_transcription.failed',
+  'conversation.item.translation.completed',
+  'conversation.item.translation.failed'
+]);
+
+/**
+ * @param {Object} event - A parsed upstream event
+ * @returns {Object|null} - The event as viewers get it, null if they don't get it
+ */
+function toViewerEvent(event) {
+  if (!event || !VIEWER_EVENT_TYPES.has(event.type)) return null;
+  // Logprobs are for the owner's confidence display and the model's text before
+  // post-processing is for auditing, the text is all viewers need
+  const { logprobs, original_transcript, ...viewerEvent } = event;
+  if (event.type === 'conversation.item.input_audio_transcription.failed') {
+    viewerEvent.error = { message: event.error && event.error.message ? event.error.message : 'Transcription failed' };
+  }
+  return viewerEvent;
+}
+
+class ViewerGroup {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.maxViewers] - Viewers allowed at the same time
+   */
+  constructor({ maxViewers = DEFAULT_MAX_VIEWERS } = {}) {
+    this.maxViewers = maxViewers;
+    this.token = null;
+    this.sockets = new Set();
+  }
+
+  get size() {
+    return this.sockets.size;
+  }
+
+  get isShared() {
+    return this.token !== null;
+  }
+
+  /**
+   * @returns {string} - The share token, created on the first call
+   */
+  share() {
+    if (!this.token) {
+      this.token = crypto.randomBytes(24).toString('base64url');
+    }
+    return this.token;
+  }
+
+  /**
+   * Invalidate the share token and close all viewers
+   */
+  revoke() {
+    this.token = null;
+    this.close(VIEWER_CLOSE_CODES.revoked, 'Share link revoked');
+  }
+
+  /**
+   * @param {string} token - A share token from a viewer link
+   * @returns {boolean} - Whether it is the current token
+   */
+  isTokenValid(token) {
+    if (!this.token || typeof token !== 'string') return false;
+    const expected = crypto.createHash('sha256').update(this.token).digest();
+    const actual = crypto.createHash('sha256').update(token).digest();
+    return crypto.timingSafeEqual(expected, actual);
+  }
+
+  /**
+   * Add a viewer and send it the transcript so far
+   * @param {WebSocket} ws - The viewer's socket
+   * @param {Object} snapshot - The transcript.snapshot event
+   * @returns {boolean} - False if the session already has maxViewers
+   */
+  add(ws, snapshot) {
+    if (this.sockets.size >= this.maxViewers) return false;
+
+    this.sockets.add(ws);
+    ws.on('close', () => this.sockets.delete(ws));
+    ws.on('error', () => this.sockets.delete(ws));
+    // Read-only: nothing a viewer sends is forwarded
+    ws.on('message', () => {});
+    ws.send(JSON.stringify(snapshot));
+    return true;
+  }
+
+  /**
+   * Forward an upstream event to all viewers, if it is one they get
+   * @param {Object} event - A parsed upstream event
+   */
+  broadcast(event) {
+    if (this.sockets.size === 0) return;
+    const viewerEvent = toViewerEvent(event);
+    if (viewerEvent) this.send(viewerEvent);
+  }
+
+  /**
+   * Send an event to all viewers
+   * @param {Object} event - The event
+   */
+  send(event) {
+    const message = JSON.stringify(event);
+    for (const ws of this.sockets) {
+      if (ws.readyState !== WebSocket.OPEN) continue;
+      if (ws.bufferedAmount > MAX_BUFFERED_BYTES) {
+        this.sockets.delete(ws);
+        ws.close(VIEWER_CLOSE_CODES.tooSlow, 'Viewer too slow');
+        continue;
+      }
+      ws.send(message);
+    }
+  }
+
+  /**
+   * Close all viewers
+   * @param {number} code - The WebSocket close code
+   * @param {string} reason - The close reason
+   */
+  close(code, reason) {
+    for (const ws of this.sockets) {
+      if (ws.readyState === WebSocket.OPEN || ws.readyState === WebSocket.CONNECTING) {
+        ws.close(code, reason);
+      }
+    }
+    this.sockets.clear();
+  }
+}
+
+module.exports = {
+  DEFAULT_MAX_VIEWERS,
+  VIEWER_CLOSE_CODES,
+  ViewerGroup,
+  toViewerEvent
+};
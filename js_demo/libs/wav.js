@@ -0,0 +1,248 @@
+/**
+ * Minimal WAV (RIFF) helpers for PCM16 audio
+ */
+
+const WAV_HEADER_SIZE = 44;
+
+// Sample rates accepted for decoding and resampling, from telephony to studio audio
+const MIN_SAMPLE_RATE = 8000;
+const MAX_SAMPLE_RATE = 192000;
+
+// fmt chunk audio formats
+const WAVE_FORMAT_PCM = 1;
+const WAVE_FORMAT_IEEE_FLOAT = 3;
+const WAVE_FORMAT_EXTENSIBLE = 0xfffe;
+
+/**
+ * Build a 44-byte WAV header for PCM16 data
+ * @param {number} dataLength - Size of the PCM payload in bytes
+ * @param {number} sampleRate - Sample rate in Hz (default: 24000)
+ * @param {number} channels - Number of channels (default: 1)
+ * @returns {Buffer} - The WAV header
+ */
+function createWavHeader(dataLength, sampleRate = 24000, channels = 1) {
+  const bitsPerSample = 16;
+  const blockAlign = channels * bitsPerSample / 8;
+  const header = Buffer.alloc(WAV_HEADER_SIZE);
+
+  header.write('RIFF', 0, 'ascii');
+  header.writeUInt32LE(36 + dataLength, 4);
+  header.write('WAVE', 8, 'ascii');
+  header.write('fmt ', 12, 'ascii');
+  header.writeUInt32LE(16, 16); // fmt chunk size
+  header.writeUInt16LE(1, 20); // PCM
+  header.writeUInt16LE(channels, 22);
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * blockAlign, 28);
+  header.writeUInt16LE(blockAlign, 32);
+  header.writeUInt16LE(bitsPerSample, 34);
+  header.write('data', 36, 'ascii');
+  header.writeUInt32LE(dataLength, 40);
+
+  return header;
+}
+
+/**
+ * Wrap raw little-endian PCM16 data in a WAV container
+ * @param {Buffer} pcm - The PCM16 samples
+ * @param {number} sampleRate - Sample rate in Hz (default: 24000)
+ * @param {number} channels - Number of channels (default: 1)
+ * @returns {Buffer} - A complete WAV file
+ */
+function encodeWav(pcm, sampleRate = 24000, channels = 1) {
+  return Buffer.concat([createWavHeader(pcm.length, sampleRate, channels), pcm]);
+}
+
+/**
+ * Read one sample as a float in [-1, 1]
+ * @param {Buffer} buffer - The WAV data
+ * @param {number} offset - Byte offset of the sample
+ * @param {string} encoding - 'pcm8', 'pcm16', 'pcm24', 'pcm32', 'float32' or 'float64'
+ * @returns {number} - The sample value
+ */
+function readSample(buffer, offset, encoding) {
+  switch (encoding) {
+    case 'pcm8': return (buffer.readUInt8(offset) - 128) / 128;
+    case 'pcm16': return buffer.readInt16LE(offset) / 32768;
+    case 'pcm24': return buffer.readIntLE(offset, 3) / 8388608;
+    case 'pcm32': return buffer.readInt32LE(offset) / 2147483648;
+    case 'float32': return buffer.readFloatLE(offset);
+    case 'float64': return buffer.readDoubleLE(offset);
+    default: throw new Error(`Unsupported sample encoding: ${encoding}`);
+  }
+}
+
+/**
+ * @param {number} sampleRate - A sample rate in Hz
+ * @returns {boolean} - Whether decodeWav and resample accept it
+ */
+function isSupportedSampleRate(sampleRate) {
+  return Number.isInteger(sampleRate) && sampleRate >= MIN_SAMPLE_RATE && sampleRate <= MAX_SAMPLE_RATE;
+}
+
+/**
+ * Parse a WAV file and mix it down to mono
+ * @param {Buffer} buffer - The complete WAV file
+ * @param {Object} [options]
+ * @param {number} [options.maxDurationMs] - Longest audio accepted, checked against the header before decoding
+ * @returns {{sampleRate: number, channels: number, encoding: string, samples: Float32Array}} - Mono samples in [-1, 1]
+ */
+function decodeWav(buffer, { maxDurationMs = Infinity } = {}) {
+  if (buffer.length < 12 || buffer.toString('ascii', 0, 4) !== 'RIFF' || buffer.toString('ascii', 8, 12) !== 'WAVE') {
+    throw new Error('Not a WAV file (missing RIFF/WAVE header)');
+  }
+
+  let format = null;
+  let data = null;
+  let offset = 12;
+  while (offset + 8 <= buffer.length) {
+    const chunkId = buffer.toString('ascii', offset, offset + 4);
+    const chunkSize = buffer.readUInt32LE(offset + 4);
+    const chunkStart = offset + 8;
+    // Streamed WAV files often leave the data size at 0 or 0xFFFFFFFF, read to the end instead
+    const chunkEnd = Math.min(chunkStart + chunkSize, buffer.length);
+
+    if (chunkId === 'fmt ') {
+      if (chunkSize < 16) {
+        throw new Error('Invalid WAV fmt chunk');
+      }
+      let audioFormat = buffer.readUInt16LE(chunkStart);
+      if (audioFormat === WAVE_FORMAT_EXTENSIBLE && chunkSize >= 26) {
+        // The sub format GUID starts with the actual format code
+        audioFormat = buffer.readUInt16LE(chunkStart + 24);
+      }
+      format = {
+        audioFormat: audioFormat,
+        channels: buffer.readUInt16LE(chunkStart + 2),
+        sampleRate: buffer.readUInt32LE(chunkStart + 4),
+        bitsPerSample: buffer.readUInt16LE(chunkStart + 14)
+      };
+    } else if (chunkId === 'data') {
+      data = buffer.subarray(chunkStart, chunkSize === 0 || chunkSize === 0xffffffff ? buffer.length : chunkEnd);
+    }
+
+    // Chunks are padded to an even size
+    offset = chunkStart + chunkSize + (chunkSize % 2);
+    if (data && format) break;
+  }
+
+  if (!format) {
+    throw new Error('WAV file has no fmt chunk');
+  }
+  if (!data) {
+    throw new Error('WAV file has no data chunk');
+  }
+
+  let encoding;
+  if (format.audioFormat === WAVE_FORMAT_PCM && [8, 16, 24, 32].includes(format.bitsPerSample)) {
+    encoding = `pcm${format.bitsPerSample}`;
+  } else if (format.audioFormat === WAVE_FORMAT_IEEE_FLOAT && [32, 64].includes(format.bitsPerSample)) {
+    encoding = `float${format.bitsPerSample}`;
+  } else {
+    throw new Error(`Unsupported WAV encoding (format ${format.audioFormat}, ${format.bitsPerSample} bits), use PCM or IEEE float`);
+  }
+  if (format.channels < 1) {
+    throw new Error('WAV file has an invalid channel count');
+  }
+  if (!isSupportedSampleRate(format.sampleRate)) {
+    throw new Error(`Unsupported sample rate ${format.sampleRate} Hz, use ${MIN_SAMPLE_RATE} to ${MAX_SAMPLE_RATE} Hz`);
+  }
+
+  const bytesPerSample = format.bitsPerSample / 8;
+  const frameSize = bytesPerSample * format.channels;
+  const frameCount = Math.floor(data.length / frameSize);
+  if (frameCount / format.sampleRate * 1000 > maxDurationMs) {
+    throw new Error(`WAV file is longer than ${maxDurationMs / 1000} s`);
+  }
+  const samples = new Float32Array(frameCount);
+
+  for (let frame = 0; frame < frameCount; frame++) {
+    let sum = 0;
+    for (let channel = 0; channel < format.channels; channel++) {
+      sum += readSample(data, frame * frameSize + channel * bytesPerSample, encoding);
+    }
+    samples[frame] = sum / format.channels;
+  }
+
+  return { sampleRate: format.sampleRate, channels: format.channels, encoding, samples };
+}
+
+/**
+ * Change the sample rate of mono audio
+ *
+ * Downsampling averages the input samples that fall into each output sample,
+ * which is enough of a low-pass filter for speech. Upsampling interpolates linearly.
+ *
+ * @param {Float32Array} samples - Mono samples
+ * @param {number} fromRate - Input sample rate in Hz
+ * @param {number} toRate - Output sample rate in Hz
+ * @returns {Float32Array} - The resampled audio
+ */
+function resample(samples, fromRate, toRate) {
+  if (!isSupportedSampleRate(fromRate) || !isSupportedSampleRate(toRate)) {
+    throw new Error(`Cannot resample from ${fromRate} Hz to ${toRate} Hz, rates must be ${MIN_SAMPLE_RATE} to ${MAX_SAMPLE_RATE} Hz`);
+  }
+  if (fromRate === toRate) {
+    return samples;
+  }
+
+  const ratio = fromRate / toRate;
+  const output = new Float32Array(Math.floor(samples.length / ratio));
+
+  for (let i = 0; i < output.length; i++) {
+    const position = i * ratio;
+    if (ratio > 1) {
+      const start = Math.floor(position);
+      const end = Math.min(Math.floor(position + ratio), samples.length);
+      let sum = 0;
+      for (let j = start; j < end; j++) {
+        sum += samples[j];
+      }
+      output[i] = end > start ? sum / (end - start) : samples[start];
+    } else {
+      const index = Math.floor(position);
+      const next = Math.min(index + 1, samples.length - 1);
+      const fraction = position - index;
+      output[i] = samples[index] + (samples[next] - samples[index]) * fraction;
+    }
+  }
+
+  return output;
+}
+
+/**
+ * Convert float samples to little-endian PCM16
+ * @param {Float32Array} samples - Samples in [-1, 1], clipped if out of range
+ * @returns {Buffer} - The PCM16 data
+ */
+function floatToPcm16(samples) {
+  const pcm = Buffer.alloc(samples.length * 2);
+  for (let i = 0; i < samples.length; i++) {
+    const sample = Math.max(-1, Math.min(1, samples[i]));
+    pcm.writeInt16LE(Math.round(sample < 0 ? sample * 32768 : sample * 32767), i * 2);
+  }
+  return pcm;
+}
+
+/**
+ * Convert little-endian PCM16 to float samples
+ * @param {Buffer} pcm - The PCM16 data
+ * @returns {Float32Array} - Samples in [-1, 1]
+ */
+function pcm16ToFloat(pcm) {
+  const samples = new Float32Array(pcm.length >> 1);
+  for (let i = 0; i < samples.length; i++) {
+    samples[i] = pcm.readInt16LE(i * 2) / 32768;
+  }
+  return samples;
+}
+
+module.exports = {
+  WAV_HEADER_SIZE,
+  createWavHeader,
+  encodeWav,
+  decodeWav,
+  resample,
+  floatToPcm16,
+  pcm16ToFloat
+};
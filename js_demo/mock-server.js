@@ -0,0 +1,22 @@
+require('dotenv').config();
+const { createMockUpstream, mockOptionsFromEnv } = require('./libs/mockUpstream');
+
+const MOCK_PORT = process.env.MOCK_PORT || 4010;
+
+// Standalone mock of the OpenAI realtime transcription API.
+// Point the proxy at it with OPENAI_BASE_URL=http://127.0.0.1:4010/v1
+const mock = createMockUpstream(mockOptionsFromEnv(process.env));
+
+mock.listen(MOCK_PORT)
+  .then(baseUrl => {
+    console.log(`Mock OpenAI upstream running at ${baseUrl}`);
+    console.log(`Start the proxy with OPENAI_BASE_URL=${baseUrl} OPENAI_API_KEY=mock npm start`);
+  })
+  .catch(error => {
+    console.error(`Failed to start mock upstream: ${error.message}`);
+    process.exit(1);
+  });
+
+process.on('SIGINT', () => {
+  mock.close().then(() => process.exit(0));
+});
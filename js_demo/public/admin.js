@@ -0,0 +1,253 @@
+import AuthClient from './authClient.js';
+
+// The list is reloaded this often while "Live" is checked
+const REFRESH_INTERVAL_MS = 2000;
+
+/**
+ * Admin page: lists the server's live sessions (GET /api/sessions) and lets
+ * an operator inspect and end them (GET and DELETE /api/sessions/:id).
+ * Users without the admin role only see their own sessions and cannot end them.
+ */
+class AdminApp {
+  constructor() {
+    this.authBar = document.getElementById('authBar');
+    this.authUserElement = document.getElementById('authUser');
+    this.logoutButton = document.getElementById('logoutButton');
+    this.loginForm = document.getElementById('loginForm');
+    this.usernameField = document.getElementById('usernameField');
+    this.passwordField = document.getElementById('passwordField');
+    this.usernameInput = document.getElementById('usernameInput');
+    this.passwordInput = document.getElementById('passwordInput');
+    this.tokenLabel = document.getElementById('tokenLabel');
+    this.tokenInput = document.getElementById('tokenInput');
+    this.loginError = document.getElementById('loginError');
+    this.sessionsPanel = document.getElementById('sessionsPanel');
+    this.sessionsInfoElement = document.getElementById('sessionsInfo');
+    this.sessionsListElement = document.getElementById('sessionsList');
+    this.sessionDetailsElement = document.getElementById('sessionDetails');
+    this.sessionsErrorElement = document.getElementById('sessionsError');
+    this.autoRefreshCheckbox = document.getElementById('autoRefreshCheckbox');
+
+    this.authMethods = ['token'];
+    this.signedIn = false;
+    this.isAdmin = false;
+    this.refreshTimer = null;
+    // Session whose details are shown, refreshed with the list
+    this.selectedSessionId = null;
+
+    this.authClient = new AuthClient(this.showLogin.bind(this));
+
+    this.loginForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.login();
+    });
+    this.logoutButton.addEventListener('click', () => {
+      this.authClient.logout();
+      this.showLogin();
+    });
+    this.autoRefreshCheckbox.addEventListener('change', () => this.scheduleRefresh());
+
+    this.initialize();
+  }
+
+  async initialize() {
+    try {
+      const session = await this.authClient.getSession();
+      this.authMethods = session.methods;
+      this.isAdmin = session.admin;
+      if (session.enabled && !session.user) {
+        this.showLogin();
+        return;
+      }
+      this.showSignedIn(session.enabled ? session.user : null);
+      await this.loadSessions();
+    } catch (error) {
+      console.error('Error initializing:', error);
+      this.sessionsErrorElement.textContent = error.message;
+    }
+  }
+
+  /**
+   * Show the login form, e.g. when the server rejected the stored token
+   */
+  showLogin() {
+    const hasPassword = this.authMethods.includes('password');
+    this.usernameField.classList.toggle('hidden', !hasPassword);
+    this.passwordField.classList.toggle('hidden', !hasPassword);
+    this.tokenLabel.textContent = hasPassword ? 'Or use an access token' : 'Access token';
+    this.loginForm.classList.remove('hidden');
+    this.authBar.classList.add('hidden');
+    this.sessionsPanel.classList.add('hidden');
+    this.signedIn = false;
+    clearTimeout(this.refreshTimer);
+  }
+
+  /**
+   * @param {string|null} user The signed in user, null when the server has no authentication
+   */
+  showSignedIn(user) {
+    this.loginForm.classList.add('hidden');
+    this.loginError.textContent = '';
+    this.authBar.classList.toggle('hidden', !user);
+    this.authUserElement.textContent = user || '';
+    this.sessionsPanel.classList.remove('hidden');
+    this.signedIn = true;
+  }
+
+  /**
+   * Sign in with the password or the access token from the login form
+   */
+  async login() {
+    const token = this.tokenInput.value.trim();
+    try {
+      this.loginError.textContent = '';
+      if (token) {
+        await this.authClient.useToken(token);
+      } else {
+        await this.authClient.login(this.usernameInput.value.trim(), this.passwordInput.value);
+      }
+      this.passwordInput.value = '';
+      this.tokenInput.value = '';
+      await this.initialize();
+    } catch (error) {
+      console.error('Error signing in:', error);
+      this.loginError.textContent = error.message;
+    }
+  }
+
+  scheduleRefresh() {
+    clearTimeout(this.refreshTimer);
+    if (this.autoRefreshCheckbox.checked && this.signedIn) {
+      this.refreshTimer = setTimeout(() => this.loadSessions(), REFRESH_INTERVAL_MS);
+    }
+  }
+
+  /**
+   * Fetch the live sessions and render the table
+   */
+  async loadSessions() {
+    try {
+      const response = await this.authClient.fetch('/api/sessions');
+      if (response.status === 401) return;
+      if (!response.ok) {
+        throw new Error(`${response.status} ${response.statusText}`);
+      }
+
+      const { sessions } = await response.json();
+      this.sessionsErrorElement.textContent = '';
+      const scope = this.isAdmin ? '' : ' of yours (sessions of other users need the admin role)';
+      this.sessionsInfoElement.textContent = `${sessions.length} live sessions${scope}, updated ${new Date().toLocaleTimeString()}`;
+      this.renderSessions(sessions);
+
+      if (this.selectedSessionId) {
+        await this.showDetails(this.selectedSessionId);
+      }
+    } catch (error) {
+      console.error('Error loading sessions:', error);
+      this.sessionsErrorElement.textContent = `Failed to load sessions: ${error.message}`;
+    }
+    this.scheduleRefresh();
+  }
+
+  /**
+   * @param {Object[]} sessions Session summaries from /api/sessions
+   */
+  renderSessions(sessions) {
+    this.sessionsListElement.innerHTML = '';
+
+    sessions.forEach(session => {
+      const row = document.createElement('tr');
+      row.className = `session-row session-${session.state}`;
+      row.classList.toggle('selected', session.sessionId === this.selectedSessionId);
+
+      const cells = [
+        session.sessionId,
+        session.user,
+        session.state,
+        session.model,
+        session.language || 'auto',
+        session.source,
+        formatDuration(session.ageSeconds),
+        formatDuration(session.audioSeconds),
+        String(session.segmentCount)
+      ];
+      cells.forEach(text => {
+        const cell = document.createElement('td');
+        cell.textContent = text;
+        row.appendChild(cell);
+      });
+      row.addEventListener('click', () => {
+        this.selectedSessionId = session.sessionId;
+        this.showDetails(session.sessionId);
+      });
+
+      const actions = document.createElement('td');
+      if (this.isAdmin) {
+        const endButton = document.createElement('button');
+        endButton.className = 'export-button';
+        endButton.textContent = 'End';
+        endButton.addEventListener('click', (e) => {
+          e.stopPropagation();
+          this.endSession(session);
+        });
+        actions.appendChild(endButton);
+      }
+      row.appendChild(actions);
+
+      this.sessionsListElement.appendChild(row);
+    });
+  }
+
+  /**
+   * @param {string} sessionId The session to describe below the table
+   */
+  async showDetails(sessionId) {
+    const response = await this.authClient.fetch(`/api/sessions/${encodeURIComponent(sessionId)}`);
+    if (response.status === 404) {
+      // Ended since the list was loaded
+      this.selectedSessionId = null;
+      this.sessionDetailsElement.classList.add('hidden');
+      return;
+    }
+    if (!response.ok) return;
+
+    this.sessionDetailsElement.textContent = JSON.stringify(await response.json(), null, 2);
+    this.sessionDetailsElement.classList.remove('hidden');
+    this.sessionsListElement.querySelectorAll('.session-row').forEach(row => {
+      row.classList.toggle('selected', row.firstChild.textContent === sessionId);
+    });
+  }
+
+  /**
+   * @param {Object} session A session summary from /api/sessions
+   */
+  async endSession(session) {
+    if (!confirm(`End session ${session.sessionId} of ${session.user}?`)) return;
+
+    try {
+      const response = await this.authClient.fetch(`/api/sessions/${encodeURIComponent(session.sessionId)}`, { method: 'DELETE' });
+      if (!response.ok && response.status !== 404) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || `${response.status} ${response.statusText}`);
+      }
+      await this.loadSessions();
+    } catch (error) {
+      console.error('Error ending session:', error);
+      this.sessionsErrorElement.textContent = `Failed to end session: ${error.message}`;
+    }
+  }
+}
+
+/**
+ * @param {number} seconds A duration
+ * @returns {string} e.g. "42s" or "3m 05s"
+ */
+function formatDuration(seconds) {
+  const rounded = Math.round(seconds);
+  if (rounded < 60) return `${rounded}s`;
+  return `${Math.floor(rounded / 60)}m ${String(rounded % 60).padStart(2, '0')}s`;
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  new AdminApp();
+});
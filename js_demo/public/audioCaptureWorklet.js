@@ -0,0 +1,51 @@
+import AudioFrameEncoder from './audioFrameEncoder.js';
+
+/**
+ * AudioWorklet processor that captures microphone audio off the main thread
+ *
+ * Resamples from the context rate (the global sampleRate) to the rate of
+ * the session's input format and posts frames of
+ * processorOptions.frameDurationMs to the node's port as transferred
+ * ArrayBuffers. Nothing is posted until the node receives
+ * {type: 'start', format}, {type: 'stop'} pauses capture and drops the
+ * partial frame.
+ */
+class AudioCaptureProcessor extends AudioWorkletProcessor {
+  constructor(options) {
+    super();
+    const { format = 'pcm16', frameDurationMs = 100 } = options.processorOptions || {};
+    this.frameDurationMs = frameDurationMs;
+    this.capturing = false;
+    this.encoder = this.createEncoder(format);
+
+    this.port.onmessage = (event) => {
+      if (event.data.type === 'start') {
+        if (event.data.format && event.data.format !== this.encoder.format) {
+          this.encoder = this.createEncoder(event.data.format);
+        }
+        this.encoder.reset();
+        this.capturing = true;
+      } else if (event.data.type === 'stop') {
+        this.capturing = false;
+        this.encoder.reset();
+      }
+    };
+  }
+
+  createEncoder(format) {
+    return new AudioFrameEncoder(sampleRate, format, this.frameDurationMs, (frame) => {
+      this.port.postMessage(frame.buffer, [frame.buffer]);
+    });
+  }
+
+  process(inputs) {
+    const input = inputs[0];
+    if (this.capturing && input && input.length > 0) {
+      this.encoder.process(input);
+    }
+    // Keep the processor alive while the node is connected
+    return true;
+  }
+}
+
+registerProcessor('audio-capture', AudioCaptureProcessor);
@@ -0,0 +1,80 @@
+import Resampler from './resampler.js';
+import { G711_SAMPLE_RATE, linearToMulaw, linearToAlaw } from './g711.js';
+
+// Output sample rate and frame type of each session input_audio_format
+export const AUDIO_FORMATS = {
+  pcm16: { sampleRate: 24000, ArrayType: Int16Array },
+  g711_ulaw: { sampleRate: G711_SAMPLE_RATE, ArrayType: Uint8Array, encode: linearToMulaw },
+  g711_alaw: { sampleRate: G711_SAMPLE_RATE, ArrayType: Uint8Array, encode: linearToAlaw }
+};
+
+export default class AudioFrameEncoder {
+  /**
+   * Turns captured float audio into fixed-duration frames in a session input format
+   *
+   * pcm16 frames are Int16Arrays at 24 kHz, G.711 frames are Uint8Arrays of
+   * companded samples at 8 kHz. Shared by the AudioWorklet
+   * (audioCaptureWorklet.js) and the ScriptProcessor fallback in
+   * AudioProcessor, so it must not depend on DOM APIs.
+   *
+   * @param {number} inputRate Sample rate of the captured audio in Hz
+   * @param {string} format 'pcm16', 'g711_ulaw' or 'g711_alaw'
+   * @param {number} frameDurationMs Duration of each frame in milliseconds
+   * @param {Function} onFrame Called with each complete frame
+   */
+  constructor(inputRate, format, frameDurationMs, onFrame) {
+    const descriptor = AUDIO_FORMATS[format];
+    if (!descriptor) {
+      throw new Error(`Unsupported audio format: ${format}`);
+    }
+
+    this.format = format;
+    this.descriptor = descriptor;
+    this.resampler = new Resampler(inputRate, descriptor.sampleRate);
+    this.frameSize = Math.round(descriptor.sampleRate * frameDurationMs / 1000);
+    this.onFrame = onFrame;
+    this.frame = new descriptor.ArrayType(this.frameSize);
+    this.frameLength = 0;
+  }
+
+  /**
+   * @param {Float32Array[]} channels Captured channel data, mixed down to mono
+   */
+  process(channels) {
+    if (channels.length === 0) return;
+
+    let mono = channels[0];
+    if (channels.length > 1) {
+      mono = new Float32Array(channels[0].length);
+      for (const channel of channels) {
+        for (let i = 0; i < mono.length; i++) {
+          mono[i] += channel[i] / channels.length;
+        }
+      }
+    }
+
+    const samples = this.resampler.process(mono);
+    const encode = this.descriptor.encode;
+    for (let i = 0; i < samples.length; i++) {
+      // Convert float [-1.0, 1.0] to int16 [-32768, 32767]
+      const s = Math.max(-1, Math.min(1, samples[i]));
+      const sample = Math.round(s < 0 ? s * 0x8000 : s * 0x7FFF);
+      this.frame[this.frameLength++] = encode ? encode(sample) : sample;
+
+      if (this.frameLength === this.frameSize) {
+        this.onFrame(this.frame);
+        // The frame may have been transferred, always start a new one
+        this.frame = new this.descriptor.ArrayType(this.frameSize);
+        this.frameLength = 0;
+      }
+    }
+  }
+
+  /**
+   * Drop the partial frame and resampler history
+   */
+  reset() {
+    this.resampler.reset();
+    this.frameLength = 0;
+  }
+}
@@ -0,0 +1,238 @@
+import AudioFrameEncoder, { AUDIO_FORMATS } from './audioFrameEncoder.js';
+
+export default class AudioProcessor {
+  /**
+   * Microphone capture
+   * 
+   * Captures audio with an AudioWorklet (audioCaptureWorklet.js) that resamples
+   * and encodes it in the session's input format off the main thread: PCM16 at
+   * 24 kHz or G.711 µ-law/A-law at 8 kHz. Browsers without
+   * AudioWorklet support (or pages outside a secure context) fall back to a
+   * ScriptProcessor doing the same work on the main thread.
+   * 
+   * The audio context runs at the device's native rate: browsers such as
+   * Firefox refuse to connect a microphone to a context with a different rate.
+   * 
+   * @param {Function} onAudioData Called with each frame: an Int16Array for pcm16, a Uint8Array for G.711
+   * @param {Function} onVolumeChange Called with the input level (0-100)
+   * @param {Object} options Capture options
+   * @param {number} options.frameDurationMs Duration of each frame (default: 100 ms)
+   * @param {string} options.format Initial input format, see startRecording (default: 'pcm16')
+   * @param {boolean} options.useWorklet Set to false to force the ScriptProcessor fallback
+   */
+  constructor(onAudioData, onVolumeChange, options = {}) {
+    this.audioContext = null;
+    this.mediaStream = null;
+    this.mediaRecorder = null;
+    this.sourceNode = null;
+    this.analyserNode = null;
+    this.processor = null;
+    this.encoder = null;
+    this.captureMode = null; // 'worklet' or 'script-processor'
+    this.isRecording = false;
+    this.onAudioData = onAudioData;
+    this.onVolumeChange = onVolumeChange;
+    this.format = options.format || 'pcm16';
+    this.frameDurationMs = options.frameDurationMs || 100;
+    this.useWorklet = options.useWorklet !== false;
+  }
+
+  async initAudio() {
+    if (this.audioContext) return true;
+
+    try {
+      // Request microphone access
+      this.mediaStream = await navigator.mediaDevices.getUserMedia({
+        audio: {
+          channelCount: 1, // Mono audio
+        },
+        video: false
+      });
+
+      // Create audio context at the native rate, the capture path resamples
+      this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+
+      // Create audio graph nodes
+      this.sourceNode = this.audioContext.createMediaStreamSource(this.mediaStream);
+      this.analyserNode = this.audioContext.createAnalyser();
+      this.analyserNode.fftSize = 256;
+      
+      // Connect nodes
+      this.sourceNode.connect(this.analyserNode);
+      
+      // Create processor for audio data
+      if (this.useWorklet && this.audioContext.audioWorklet) {
+        try {
+          await this.createWorkletProcessor();
+        } catch (error) {
+          console.warn('AudioWorklet capture unavailable, falling back to ScriptProcessor:', error);
+        }
+      }
+      if (!this.processor) {
+        this.createScriptProcessor();
+      }
+      console.log(`Audio capture: ${this.captureMode}, native rate ${this.audioContext.sampleRate} Hz`);
+      
+      // Connect processor and start
+      this.analyserNode.connect(this.processor);
+      this.processor.connect(this.audioContext.destination);
+      
+      // Start volume meter
+      this.startVolumeMeter();
+      
+      return true;
+    } catch (error) {
+      console.error('Error initializing audio:', error);
+      this.closeAudio();
+      return false;
+    }
+  }
+
+  async createWorkletProcessor() {
+    await this.audioContext.audioWorklet.addModule(new URL('./audioCaptureWorklet.js', import.meta.url));
+    
+    this.processor = new AudioWorkletNode(this.audioContext, 'audio-capture', {
+      numberOfInputs: 1,
+      numberOfOutputs: 1,
+      channelCount: 1,
+      channelCountMode: 'explicit',
+      processorOptions: {
+        format: this.format,
+        frameDurationMs: this.frameDurationMs
+      }
+    });
+    this.processor.port.onmessage = (event) => {
+      this.handleFrame(new AUDIO_FORMATS[this.format].ArrayType(event.data));
+    };
+    this.captureMode = 'worklet';
+  }
+
+  createScriptProcessor() {
+    this.encoder = new AudioFrameEncoder(this.audioContext.sampleRate, this.format, this.frameDurationMs, this.handleFrame.bind(this));
+    this.processor = this.audioContext.createScriptProcessor(4096, 1, 1);
+    this.processor.onaudioprocess = this.handleAudioProcess.bind(this);
+    this.captureMode = 'script-processor';
+  }
+
+  /**
+   * @param {string} format The session's input_audio_format: 'pcm16', 'g711_ulaw' or 'g711_alaw'
+   * @returns {boolean} True if capture started
+   */
+  startRecording(format = this.format) {
+    if (!this.audioContext || this.isRecording) return false;
+    if (!AUDIO_FORMATS[format]) {
+      console.error(`Unsupported audio format: ${format}`);
+      return false;
+    }
+    this.isRecording = true;
+    
+    const formatChanged = format !== this.format;
+    this.format = format;
+    if (this.captureMode === 'worklet') {
+      this.processor.port.postMessage({ type: 'start', format: format });
+    } else if (formatChanged) {
+      this.encoder = new AudioFrameEncoder(this.audioContext.sampleRate, format, this.frameDurationMs, this.handleFrame.bind(this));
+    } else {
+      this.encoder.reset();
+    }
+    
+    // Contexts created before a user gesture start suspended
+    if (this.audioContext.state === 'suspended') {
+      this.audioContext.resume();
+    }
+    return true;
+  }
+
+  stopRecording() {
+    if (!this.isRecording) return;
+    this.isRecording = false;
+    
+    if (this.captureMode === 'worklet' && this.processor) {
+      this.processor.port.postMessage({ type: 'stop' });
+    }
+    
+    // We keep the audio context and stream alive for quick restart
+    // But we could close them here if needed
+  }
+
+  closeAudio() {
+    this.stopRecording();
+    
+    if (this.processor) {
+      this.processor.disconnect();
+      this.processor = null;
+    }
+    this.encoder = null;
+    this.captureMode = null;
+    
+    if (this.analyserNode) {
+      this.analyserNode.disconnect();
+      this.analyserNode = null;
+    }
+    
+    if (this.sourceNode) {
+      this.sourceNode.disconnect();
+      this.sourceNode = null;
+    }
+    
+    if (this.mediaStream) {
+      this.mediaStream.getTracks().forEach(track => track.stop());
+      this.mediaStream = null;
+    }
+    
+    if (this.audioContext) {
+      this.audioContext.close();
+      this.audioContext = null;
+    }
+    
+    this.isRecording = false;
+  }
+
+  // ScriptProcessor fallback: resample and encode on the main thread
+  handleAudioProcess(e) {
+    if (!this.isRecording) return;
+    
+    // Get audio data from the buffer
+    const inputData = e.inputBuffer.getChannelData(0);
+    this.encoder.process([inputData]);
+  }
+
+  /**
+   * @param {Int16Array|Uint8Array} audioData A frame in the current format
+   */
+  handleFrame(audioData) {
+    // Pass audio data to callback
+    if (this.onAudioData && this.isRecording) {
+      this.onAudioData(audioData);
+    }
+  }
+
+  startVolumeMeter() {
+    if (!this.analyserNode) return;
+    
+    const dataArray = new Uint8Array(this.analyserNode.frequencyBinCount);
+    
+    const updateVolume = () => {
+      if (!this.analyserNode) return;
+      
+      this.analyserNode.getByteFrequencyData(dataArray);
+      
+      // Calculate volume level (0-100)
+      let sum = 0;
+      for (let i = 0; i < dataArray.length; i++) {
+        sum += dataArray[i];
+      }
+      const average = sum / dataArray.length;
+      const volume = Math.min(100, average * 2); // Scale up for better visibility
+      
+      if (this.onVolumeChange) {
+        this.onVolumeChange(volume);
+      }
+      
+      // Continue updating
+      requestAnimationFrame(updateVolume);
+    };
+    
+    updateVolume();
+  }
+} 
\ No newline at end of file
@@ -0,0 +1,103 @@
+// The token survives page reloads, the server decides when it expires
+const TOKEN_STORAGE_KEY = 'transcription-demo.accessToken';
+
+export default class AuthClient {
+  /**
+   * Keeps the bearer token for the proxy's API and adds it to requests
+   *
+   * The token is either a session token from POST /api/auth/login or an API
+   * token pasted by the user. WebSockets don't carry it: the server hands out
+   * signed connection IDs to authenticated session requests instead.
+   *
+   * @param {Function} onAuthRequired Called when the server rejects the token (401)
+   */
+  constructor(onAuthRequired) {
+    this.onAuthRequired = onAuthRequired || (() => {});
+    this.token = localStorage.getItem(TOKEN_STORAGE_KEY);
+    this.user = null;
+  }
+
+  /**
+   * Ask the server whether authentication is required and who the token belongs to
+   * @returns {Promise<Object>} {enabled, methods, user, admin}
+   */
+  async getSession() {
+    const response = await this.fetch('/api/auth/session');
+    if (!response.ok) {
+      throw new Error(`Failed to check the login: ${response.status} ${response.statusText}`);
+    }
+    const session = await response.json();
+    this.user = session.user;
+    return session;
+  }
+
+  /**
+   * @param {string} username The user name
+   * @param {string} password The password
+   * @returns {Promise<string>} The logged in user
+   */
+  async login(username, password) {
+    const response = await fetch('/api/auth/login', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ username, password })
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(data.error || `${response.status} ${response.statusText}`);
+    }
+
+    this.setToken(data.token);
+    this.user = data.user;
+    return data.user;
+  }
+
+  /**
+   * Use an API token instead of a password login
+   * @param {string} token The API token
+   * @returns {Promise<string>} The user the token belongs to
+   */
+  async useToken(token) {
+    this.setToken(token);
+    const session = await this.getSession();
+    if (!session.user) {
+      this.logout();
+      throw new Error('Invalid access token');
+    }
+    return session.user;
+  }
+
+  logout() {
+    this.setToken(null);
+    this.user = null;
+  }
+
+  setToken(token) {
+    this.token = token;
+    if (token) {
+      localStorage.setItem(TOKEN_STORAGE_KEY, token);
+    } else {
+      localStorage.removeItem(TOKEN_STORAGE_KEY);
+    }
+  }
+
+  /**
+   * fetch() with the Authorization header
+   * @param {string} resource The URL
+   * @param {Object} options fetch options
+   * @returns {Promise<Response>} The response, a 401 also calls onAuthRequired
+   */
+  async fetch(resource, options = {}) {
+    const headers = new Headers(options.headers);
+    if (this.token) {
+      headers.set('Authorization', `Bearer ${this.token}`);
+    }
+
+    const response = await fetch(resource, { ...options, headers });
+    if (response.status === 401) {
+      this.logout();
+      this.onAuthRequired();
+    }
+    return response;
+  }
+}
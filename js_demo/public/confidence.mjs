@@ -0,0 +1,99 @@
+/**
+ * Word-level confidence from transcription logprobs
+ *
+ * With include: ['item.input_audio_transcription.logprobs'] the delta and
+ * completed events carry token logprobs: [{token, logprob, bytes}]. This
+ * module groups the tokens into words and turns them into probabilities.
+ * Shared by the browser (highlighting, filtering) and transcriptFormats.mjs
+ * (exports), so it is written as an ES module without DOM or Node dependencies.
+ */
+
+// Words below this probability are highlighted in the transcript view
+export const LOW_CONFIDENCE_THRESHOLD = 0.6;
+
+/**
+ * Group tokens into words
+ *
+ * A token that starts with whitespace starts a new word, punctuation stays
+ * attached to the word before it. The probability of a word is the joint
+ * probability of its tokens.
+ *
+ * @param {Array|null} logprobs Token logprobs from a delta or completed event
+ * @returns {Object[]} Words: {text, leadingSpace, probability, tokens: [{token, probability}], alternatives}
+ */
+export function wordsFromLogprobs(logprobs) {
+  if (!Array.isArray(logprobs)) return [];
+
+  const words = [];
+  let current = null;
+
+  for (const entry of logprobs) {
+    if (typeof entry?.token !== 'string' || !Number.isFinite(entry.logprob)) continue;
+
+    const startsWord = current === null || /^\s/.test(entry.token);
+    if (startsWord) {
+      current = {
+        text: '',
+        leadingSpace: entry.token.match(/^\s*/)[0],
+        logprob: 0,
+        tokens: [],
+        alternatives: []
+      };
+      words.push(current);
+    }
+
+    current.text += startsWord ? entry.token.trimStart() : entry.token;
+    current.logprob += entry.logprob;
+    current.tokens.push({ token: entry.token, probability: Math.exp(entry.logprob) });
+
+    // Only present when the API returns top_logprobs for a token
+    if (Array.isArray(entry.top_logprobs)) {
+      for (const alternative of entry.top_logprobs) {
+        if (alternative.token !== entry.token && Number.isFinite(alternative.logprob)) {
+          current.alternatives.push({ token: alternative.token.trim(), probability: Math.exp(alternative.logprob) });
+        }
+      }
+    }
+  }
+
+  return words
+    .filter(word => word.text.length > 0)
+    .map(({ logprob, ...word }) => ({ ...word, probability: Math.exp(logprob) }));
+}
+
+/**
+ * Overall confidence of a segment: the geometric mean of its token probabilities
+ * @param {Array|null} logprobs Token logprobs from the completed event
+ * @returns {number|null} Confidence between 0 and 1, or null without logprobs
+ */
+export function segmentConfidence(logprobs) {
+  if (!Array.isArray(logprobs)) return null;
+
+  const values = logprobs.map(entry => entry?.logprob).filter(Number.isFinite);
+  if (values.length === 0) return null;
+
+  return Math.exp(values.reduce((sum, value) => sum + value, 0) / values.length);
+}
+
+/**
+ * Check whether the words rebuilt from logprobs still match the segment text
+ *
+ * Edited segments, or transcripts the model normalized after streaming, no
+ * longer line up with their tokens and should be shown without word confidence.
+ *
+ * @param {Object[]} words Words from wordsFromLogprobs
+ * @param {string} text The segment text
+ * @returns {boolean} True if the words spell out the text
+ */
+export function wordsMatchText(words, text) {
+  const normalize = value => value.replace(/\s+/g, ' ').trim();
+  return words.length > 0 && normalize(words.map(word => word.leadingSpace + word.text).join('')) === normalize(text);
+}
+
+/**
+ * @param {number|null} probability A probability between 0 and 1
+ * @returns {string} The probability as a percentage, or '–' when unknown
+ */
+export function formatConfidence(probability) {
+  return probability === null || probability === undefined ? '–' : `${Math.round(probability * 100)}%`;
+}
@@ -0,0 +1,57 @@
+/**
+ * G.711 µ-law and A-law encoders for the capture pipeline
+ *
+ * Mirrors the encoders in libs/g711.js (the server's copy, which also decodes).
+ * Used inside the AudioWorklet, so it must not depend on DOM APIs.
+ */
+
+export const G711_SAMPLE_RATE = 8000;
+
+// Upper bounds of the eight segments (Sun reference implementation)
+const SEG_UEND = [0x3F, 0x7F, 0xFF, 0x1FF, 0x3FF, 0x7FF, 0xFFF, 0x1FFF];
+const SEG_AEND = [0x1F, 0x3F, 0x7F, 0xFF, 0x1FF, 0x3FF, 0x7FF, 0xFFF];
+const ULAW_BIAS = 0x84;
+const ULAW_CLIP = 8159;
+
+function segmentOf(value, table) {
+  for (let i = 0; i < table.length; i++) {
+    if (value <= table[i]) return i;
+  }
+  return table.length;
+}
+
+/**
+ * @param {number} sample 16-bit signed sample
+ * @returns {number} µ-law byte
+ */
+export function linearToMulaw(sample) {
+  let value = sample >> 2;
+  let mask = 0xFF;
+  if (value < 0) {
+    value = -value;
+    mask = 0x7F;
+  }
+  value = Math.min(value, ULAW_CLIP) + (ULAW_BIAS >> 2);
+
+  const segment = segmentOf(value, SEG_UEND);
+  if (segment >= 8) return 0x7F ^ mask;
+  return ((segment << 4) | ((value >> (segment + 1)) & 0x0F)) ^ mask;
+}
+
+/**
+ * @param {number} sample 16-bit signed sample
+ * @returns {number} A-law byte
+ */
+export function linearToAlaw(sample) {
+  let value = sample >> 3;
+  let mask = 0xD5;
+  if (value < 0) {
+    value = -value - 1;
+    mask = 0x55;
+  }
+
+  const segment = segmentOf(value, SEG_AEND);
+  if (segment >= 8) return 0x7F ^ mask;
+  const mantissa = segment < 2 ? (value >> 1) & 0x0F : (value >> segment) & 0x0F;
+  return ((segment << 4) | mantissa) ^ mask;
+}
@@ -0,0 +1,787 @@
+import TranscriptStore from './transcriptStore.js';
+
+// Audio kept while the connection is down, older audio is dropped beyond this
+const MAX_QUEUED_AUDIO_MS = 30000;
+
+export default class OpenAIClient {
+  /**
+   * OpenAI Real-time Transcription API Client
+   * 
+   * This class implements the complete workflow for the OpenAI Real-time Transcription API:
+   * 
+   * 1. Start a transcription session via our server (initialize)
+   * 2. Connect to a server-proxied WebSocket for the session (connectWebSocket)
+   * 3. Stream audio data for real-time transcription (sendAudio)
+   * 4. Process transcription results (handleWebSocketMessage)
+   * 5. Close connection when done (disconnect)
+   * 
+   * When the connection drops, audio and events are queued and the session is
+   * resumed through the server (resumeSession), which replays what was missed.
+   * 
+   * @param {Function} onTranscriptionUpdate Callback with the ordered transcript segments on every update
+   * @param {Function} onStatusChange Callback for client status changes
+   * @param {Function} onWebSocketStatusChange Callback for WebSocket status changes
+   * @param {Function} onErrorMessage Callback for error messages
+   * @param {Function} onBufferStateChange Callback with the input audio buffer state ({state, durationMs})
+   * @param {Function} onRateLimitsUpdate Callback with the upstream rate limits ([{name, limit, remaining, reset_seconds}])
+   * @param {AuthClient} authClient Adds the user's token to session requests (optional)
+   */
+  constructor(onTranscriptionUpdate, onStatusChange, onWebSocketStatusChange, onErrorMessage, onBufferStateChange, onRateLimitsUpdate, authClient) {
+    this.socket = null;
+    this.sessionId = null;
+    this.sessionConfig = null;
+    this.isConnected = false;
+    this.onTranscriptionUpdate = onTranscriptionUpdate;
+    this.onStatusChange = onStatusChange;
+    this.onWebSocketStatusChange = onWebSocketStatusChange || (() => {});
+    this.onErrorMessage = onErrorMessage || (() => {});
+    this.onBufferStateChange = onBufferStateChange || (() => {});
+    this.onRateLimitsUpdate = onRateLimitsUpdate || (() => {});
+    this.authClient = authClient || null;
+    // Audio appended since the last commit or clear, tracked for manual commits
+    this.bufferedAudioMs = 0;
+    this.eventIdCounter = 0;
+    this.transcriptStore = new TranscriptStore((segments) => this.onTranscriptionUpdate(segments));
+    this.connectionTimeoutId = null;
+    this.retryCount = 0;
+    this.maxRetries = 5;
+    this.reconnecting = false;
+    // Messages waiting for the connection to come back: {message, durationMs}
+    this.outgoingQueue = [];
+    this.queuedAudioMs = 0;
+    this.droppedAudioMs = 0;
+    // Set when the server announced a shutdown, its sessions cannot be resumed
+    this.serverShuttingDown = false;
+  }
+
+  /**
+   * STEP 1: Initialize a transcription session via our server
+   * 
+   * Instead of directly calling OpenAI's API, we'll request our server
+   * to create a session and return the WebSocket URL with proper authentication
+   * 
+   * @param {Object} sessionConfig Session settings (model, language, prompt, turn detection, ...)
+   * @returns {Promise<boolean>} True if session was successfully created
+   */
+  async initialize(sessionConfig = {}) {
+    return this.createSession('/api/transcription/create-session', {
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      // Send the session configuration to the server
+      body: JSON.stringify(sessionConfig)
+    });
+  }
+
+  /**
+   * Initialize a session that transcribes an audio file instead of the microphone
+   * 
+   * The server decodes and streams the file once the WebSocket connects, the
+   * transcript arrives through the same events as for live audio.
+   * 
+   * @param {File} file The WAV file to transcribe
+   * @param {Object} sessionConfig Session settings (model, language, prompt, turn detection, ...)
+   * @param {string} pacing 'realtime' to stream like live audio, 'fast' to stream as fast as possible
+   * @returns {Promise<boolean>} True if session was successfully created
+   */
+  async initializeFromFile(file, sessionConfig = {}, pacing = 'realtime') {
+    const params = new URLSearchParams({ pacing: pacing, config: JSON.stringify(sessionConfig) });
+    return this.createSession(`/api/transcription/file?${params}`, {
+      headers: {
+        'Content-Type': file.type || 'audio/wav'
+      },
+      body: file
+    });
+  }
+
+  /**
+   * Create a session through one of the server's session endpoints and connect to it
+   * @param {string} endpoint The server endpoint
+   * @param {Object} request Headers and body of the POST request
+   * @returns {Promise<boolean>} True if session was successfully created
+   */
+  async createSession(endpoint, request) {
+    try {
+      this.onStatusChange('Creating transcription session...');
+      
+      // Each session starts with an empty transcript
+      this.transcriptStore.clear();
+      
+      const options = { method: 'POST', ...request };
+      const response = this.authClient
+        ? await this.authClient.fetch(endpoint, options)
+        : await fetch(endpoint, options);
+      
+      if (!response.ok) {
+        // The server explains validation failures in the response body
+        const errorBody = await response.json().catch(() => ({}));
+        let error = `Error creating session: ${response.status} ${errorBody.error || response.statusText}`;
+        if (Array.isArray(errorBody.details) && errorBody.details.length > 0) {
+          error += `\n- ${errorBody.details.join('\n- ')}`;
+        }
+        throw new Error(error);
+      }
+      
+      const data = await response.json();
+      
+      // Save session info returned from our server
+      this.sessionId = data.sessionId;
+      this.wsUrl = data.wsUrl; // WebSocket URL with auth handled by server
+      this.sessionConfig = data.config; // Effective config after server-side defaults
+      this.serverShuttingDown = false;
+      
+      console.log('Session created with ID:', this.sessionId);
+      this.onStatusChange('Session created successfully');
+      
+      // Connect to the WebSocket provided by our server
+      return await this.connectWebSocket();
+    } catch (error) {
+      console.error('Failed to create session:', error);
+      this.onStatusChange(`Session creation failed`);
+      this.onErrorMessage(error.message);
+      return false;
+    }
+  }
+
+  /**
+   * STEP 2: Connect to the WebSocket provided by our server
+   * 
+   * Our server will properly handle authentication with OpenAI and provide
+   * a pre-authenticated WebSocket URL for us to connect to.
+   * 
+   * @returns {Promise<boolean>} True if WebSocket connection was successfully established
+   */
+  async connectWebSocket() {
+    if (!this.sessionId || !this.wsUrl) {
+      const error = 'Error: No session available';
+      this.onWebSocketStatusChange('error');
+      this.onStatusChange(error);
+      this.onErrorMessage(error);
+      return false;
+    }
+    
+    try {
+      this.onStatusChange('Preparing to connect...');
+      this.onWebSocketStatusChange('connecting');
+      
+      // Log connection details for debugging
+      console.log('Connection details:', {
+        sessionId: this.sessionId,
+        wsUrl: this.wsUrl.split('?')[0] + '?...',  // Don't log full URL with tokens
+        networkStatus: navigator.onLine ? 'Online' : 'Offline',
+        userAgent: navigator.userAgent,
+        timestamp: new Date().toISOString()
+      });
+      
+      console.log('Attempting WebSocket connection with session:', this.sessionId);
+      
+      // Clear any existing timeout
+      if (this.connectionTimeoutId) {
+        clearTimeout(this.connectionTimeoutId);
+      }
+      
+      // Set connection timeout (10 seconds)
+      this.connectionTimeoutId = setTimeout(() => {
+        if (!this.isConnected) {
+          console.error('WebSocket connection timeout after 10 seconds');
+          if (this.socket) {
+            this.socket.close();
+            this.socket = null;
+          }
+          this.onWebSocketStatusChange('error');
+          this.onStatusChange('Connection timeout');
+          this.onErrorMessage('WebSocket connection timeout after 10 seconds');
+          
+          // Try to reconnect if we haven't exceeded max retries
+          this.attemptReconnect();
+        }
+      }, 10000);
+      
+      // Create WebSocket connection to our server's WebSocket proxy
+      // No need to handle authentication here - our server takes care of it
+      const socket = new WebSocket(this.wsUrl);
+      this.socket = socket;
+      
+      // Monitor and log all readyState changes
+      const logReadyState = () => {
+        const states = ['CONNECTING', 'OPEN', 'CLOSING', 'CLOSED'];
+        console.log(`WebSocket readyState changed: ${states[socket.readyState]} (${socket.readyState})`);
+      };
+      
+      // Initial readyState
+      logReadyState();
+      
+      // Poll for readyState changes
+      const readyStateInterval = setInterval(() => {
+        logReadyState();
+        if (socket.readyState === WebSocket.CLOSED) {
+          clearInterval(readyStateInterval);
+        }
+      }, 500);
+      
+      /**
+       * Handle WebSocket open event
+       */
+      socket.onopen = () => {
+        console.log('WebSocket connection opened at:', new Date().toISOString());
+        logReadyState();
+        
+        // Update WebSocket status
+        this.isConnected = true;
+        this.onWebSocketStatusChange('connected');
+        this.onStatusChange('Connected and ready');
+        console.log('WebSocket connection opened');
+        
+        // Clear connection timeout
+        if (this.connectionTimeoutId) {
+          clearTimeout(this.connectionTimeoutId);
+          this.connectionTimeoutId = null;
+        }
+        
+        // Reset retry count on successful connection
+        this.retryCount = 0;
+        
+        this.flushOutgoingQueue();
+      };
+      
+      /**
+       * Handle WebSocket messages
+       */
+      socket.onmessage = (event) => {
+        console.log('WebSocket message received, size:', event.data.length);
+        this.handleWebSocketMessage(event);
+      };
+      
+      /**
+       * Handle WebSocket errors
+       */
+      socket.onerror = (error) => {
+        console.error('WebSocket error:', error);
+        // A socket replaced by a reconnect or closed by disconnect() no longer matters
+        if (this.socket !== socket) return;
+        logReadyState();
+        
+        // Extract more information from the error event
+        const errorDetails = {
+          type: error.type,
+          eventPhase: error.eventPhase,
+          timeStamp: error.timeStamp,
+          isTrusted: error.isTrusted,
+          target: {
+            url: error.target?.url,
+            readyState: error.target?.readyState,
+            protocol: error.target?.protocol,
+            extensions: error.target?.extensions || ''
+          }
+        };
+        
+        console.error('WebSocket error details:', JSON.stringify(errorDetails));
+        console.error('Network status at error time:', navigator.onLine ? 'Online' : 'Offline');
+        
+        this.onWebSocketStatusChange('error');
+        this.onStatusChange('WebSocket error occurred');
+        this.onErrorMessage(`WebSocket error: ${error.message || JSON.stringify(errorDetails) || 'Unknown WebSocket error'}`);
+        this.isConnected = false;
+        
+        clearInterval(readyStateInterval);
+      };
+      
+      /**
+       * Handle WebSocket close events
+       */
+      socket.onclose = (event) => {
+        clearInterval(readyStateInterval);
+        if (this.socket !== socket) return;
+        logReadyState();
+        
+        const closeInfo = {
+          code: event.code,
+          reason: event.reason,
+          wasClean: event.wasClean,
+          timestamp: new Date().toISOString()
+        };
+        console.log('WebSocket closed:', JSON.stringify(closeInfo));
+        
+        // Provide more context based on close codes
+        let closeMessage = event.reason || 'Connection closed';
+        let shouldReconnect = false;
+        
+        if (event.code === 1000 && event.reason) {
+          // Our server ended the session, e.g. an operator on the admin page
+          this.onErrorMessage(`Session closed: ${event.reason}`);
+        } else if (event.code === 1000) {
+          closeMessage = 'Normal closure';
+        } else if (event.code === 1001 && this.serverShuttingDown) {
+          // The server drained the session before it stopped, there is nothing to resume
+          closeMessage = 'Server restarted, start a new session';
+          this.onErrorMessage(closeMessage);
+        } else if (event.code === 1001) {
+          closeMessage = 'Endpoint going away';
+          shouldReconnect = true;
+        } else if (event.code === 1006) {
+          closeMessage = 'Abnormal closure - server may be unreachable';
+          shouldReconnect = true;
+        } else if (event.code === 1011) {
+          closeMessage = 'Server error occurred';
+          shouldReconnect = true;
+        } else if (event.code === 1012) {
+          closeMessage = 'Server restarting';
+          shouldReconnect = true;
+        } else if (event.code === 1013) {
+          closeMessage = 'Try again later';
+          shouldReconnect = true;
+        } else if (event.code === 1014) {
+          closeMessage = 'Bad gateway';
+          shouldReconnect = true;
+        } else if (event.code === 4429) {
+          // Sent by our server when the user's daily audio quota is used up
+          closeMessage = event.reason || 'Audio quota exceeded';
+          this.onErrorMessage(`Session closed: ${closeMessage}`);
+        }
+        
+        this.onWebSocketStatusChange('disconnected');
+        this.onStatusChange(`WebSocket disconnected: ${closeMessage} (code: ${event.code})`);
+        this.isConnected = false;
+        
+        // Clear connection timeout
+        if (this.connectionTimeoutId) {
+          clearTimeout(this.connectionTimeoutId);
+          this.connectionTimeoutId = null;
+        }
+        
+        // Attempt to reconnect if appropriate
+        if (shouldReconnect) {
+          this.attemptReconnect();
+        } else {
+          this.clearOutgoingQueue();
+        }
+      };
+      
+      return true;
+    } catch (error) {
+      console.error('Failed to connect WebSocket:', error);
+      console.error('Error stack:', error.stack);
+      this.onWebSocketStatusChange('error');
+      this.onStatusChange(`Connection error`);
+      this.onErrorMessage(`WebSocket connection error: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Attempt to reconnect to the WebSocket server
+   */
+  attemptReconnect() {
+    // Only attempt if not already reconnecting
+    if (this.reconnecting) {
+      return;
+    }
+    
+    this.reconnecting = true;
+    
+    // If we've exceeded max retries, don't attempt again
+    if (this.retryCount >= this.maxRetries) {
+      console.log(`Maximum retry attempts (${this.maxRetries}) reached, giving up`);
+      this.onStatusChange(`Connection failed after ${this.maxRetries} attempts`);
+      this.reconnecting = false;
+      this.retryCount = 0;
+      this.abandonSession();
+      return;
+    }
+    
+    this.retryCount++;
+    const backoffDelay = Math.min(1000 * Math.pow(2, this.retryCount - 1), 10000); // Exponential backoff, max 10 seconds
+    
+    console.log(`Attempting to reconnect (try ${this.retryCount}/${this.maxRetries}) in ${backoffDelay}ms...`);
+    this.onStatusChange(`Reconnecting in ${backoffDelay/1000} seconds... (attempt ${this.retryCount}/${this.maxRetries})`);
+    
+    setTimeout(async () => {
+      console.log(`Executing reconnection attempt ${this.retryCount}`);
+      
+      // Clean up existing socket if any
+      if (this.socket) {
+        this.socket.close();
+        this.socket = null;
+      }
+      
+      try {
+        await this.resumeSession();
+        this.reconnecting = false;
+      } catch (error) {
+        // The server may be restarting, try again with the next backoff
+        console.error('Failed to resume session:', error);
+        this.reconnecting = false;
+        this.attemptReconnect();
+      }
+    }, backoffDelay);
+  }
+
+  /**
+   * Ask the server for a new connection to the current session and connect to it
+   * 
+   * The server keeps a dropped session for a grace period, replays the events
+   * the client missed and creates a new upstream session if the old one closed.
+   * 
+   * @returns {Promise<boolean>} True if the WebSocket is connecting, false if the session is gone
+   * @throws {Error} If the server could not be reached or failed, the resume can be retried
+   */
+  async resumeSession() {
+    if (!this.sessionId || !this.wsUrl) {
+      return false;
+    }
+    
+    const endpoint = `/api/transcription/sessions/${encodeURIComponent(this.sessionId)}/resume`;
+    const options = { method: 'POST' };
+    const response = this.authClient
+      ? await this.authClient.fetch(endpoint, options)
+      : await fetch(endpoint, options);
+    
+    // Unknown, expired or ended: nothing left to resume
+    if (response.status === 404 || response.status === 401) {
+      this.onStatusChange('Session could not be resumed');
+      this.onErrorMessage('The session ended while the connection was down, start a new session');
+      this.abandonSession();
+      return false;
+    }
+    if (!response.ok) {
+      const errorBody = await response.json().catch(() => ({}));
+      throw new Error(`${response.status} ${errorBody.error || response.statusText}`);
+    }
+    
+    const data = await response.json();
+    this.wsUrl = data.wsUrl;
+    console.log('Resuming session:', this.sessionId);
+    return await this.connectWebSocket();
+  }
+
+  /**
+   * Create a read-only viewer link for the current session, or get the existing one
+   * @returns {Promise<Object>} {viewerUrl, wsUrl}
+   */
+  async shareSession() {
+    return this.requestShare('POST');
+  }
+  
+  /**
+   * Revoke the viewer link, the server disconnects everyone watching
+   * @returns {Promise<void>}
+   */
+  async revokeShare() {
+    await this.requestShare('DELETE');
+  }
+  
+  async requestShare(method) {
+    if (!this.sessionId) {
+      throw new Error('No active session');
+    }
+    
+    const endpoint = `/api/transcription/sessions/${encodeURIComponent(this.sessionId)}/share`;
+    const response = this.authClient
+      ? await this.authClient.fetch(endpoint, { method })
+      : await fetch(endpoint, { method });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(data.error || `${response.status} ${response.statusText}`);
+    }
+    return data;
+  }
+
+  /**
+   * Stop trying to resume the session, the queued audio is discarded
+   */
+  abandonSession() {
+    this.clearOutgoingQueue();
+    // Without a WebSocket URL, audio is no longer queued
+    this.wsUrl = null;
+    this.onWebSocketStatusChange('disconnected');
+  }
+
+  /**
+   * STEP 3: Process WebSocket messages
+   * 
+   * Handle messages from our proxied WebSocket connection
+   * @param {MessageEvent} event The WebSocket message event
+   */
+  handleWebSocketMessage(event) {
+    try {
+      const message = JSON.parse(event.data);
+      console.log('WS message received:', message.type, message);
+      
+      // Handle different message types
+      switch (message.type) {
+        case 'session.created':
+        case 'transcription_session.created':
+        case 'transcription_session.updated':
+          this.isConnected = true;
+          this.onWebSocketStatusChange('connected');
+          this.onStatusChange('Connected and ready');
+          console.log('WebSocket session created/updated successfully');
+          break;
+        
+        case 'error':
+          console.error('WebSocket error message:', message.error);
+          this.onWebSocketStatusChange('error');
+          this.onStatusChange(`Error: ${message.error.message}`);
+          this.onErrorMessage(`WebSocket error: ${message.error.message}`);
+          break;
+        
+        case 'conversation.item.input_audio_transcription.delta':
+          // Append the delta to this item's segment
+          if (message.delta) {
+            this.transcriptStore.appendDelta(message.item_id, message.delta, message.logprobs || null);
+          }
+          break;
+        
+        case 'conversation.item.input_audio_transcription.completed':
+          // Final transcript for this item's segment
+          this.transcriptStore.completeSegment(message.item_id, message.transcript || '', message.logprobs || null, message.original_transcript || null);
+          console.log('Transcription completed:', message.item_id, message.transcript);
+          break;
+          
+        case 'conversation.item.input_audio_transcription.failed':
+          console.error('Transcription failed for item:', message.item_id, message.error);
+          this.transcriptStore.failSegment(message.item_id, message.error?.message || 'Transcription failed');
+          this.onErrorMessage(`Transcription failed: ${message.error?.message || 'Unknown error'}`);
+          break;
+          
+        case 'conversation.item.translation.completed':
+          this.transcriptStore.setTranslation(message.item_id, message.language, message.text || '');
+          break;
+          
+        case 'conversation.item.translation.failed':
+          console.error('Translation failed for item:', message.item_id, message.language, message.error);
+          this.transcriptStore.setTranslation(message.item_id, message.language, '', message.error?.message || 'Translation failed');
+          break;
+          
+        case 'input_audio_buffer.speech_started':
+          this.onStatusChange('Speech detected');
+          console.log('Speech started detected by server');
+          if (message.item_id) {
+            this.transcriptStore.startSpeech(message.item_id, message.audio_start_ms);
+          }
+          break;
+          
+        case 'input_audio_buffer.speech_stopped':
+          this.onStatusChange('Speech ended, processing...');
+          console.log('Speech stopped detected by server');
+          if (message.item_id) {
+            this.transcriptStore.stopSpeech(message.item_id, message.audio_end_ms);
+          }
+          break;
+          
+        case 'input_audio_buffer.committed':
+          this.onStatusChange('Audio committed');
+          console.log('Audio buffer committed successfully');
+          this.bufferedAudioMs = 0;
+          this.onBufferStateChange({ state: 'committed', durationMs: 0 });
+          break;
+          
+        case 'input_audio_buffer.cleared':
+          this.onStatusChange('Audio buffer cleared');
+          console.log('Audio buffer cleared');
+          this.bufferedAudioMs = 0;
+          this.onBufferStateChange({ state: 'cleared', durationMs: 0 });
+          break;
+          
+        case 'conversation.created':
+          console.log('Conversation created:', message.conversation?.id);
+          break;
+          
+        case 'conversation.item.created':
+          console.log('Conversation item created:', message.item?.id);
+          if (message.item?.id) {
+            this.transcriptStore.addItem(message.item.id, message.previous_item_id);
+          }
+          break;
+          
+        case 'file_stream.progress':
+          // Sent by our server while it streams an uploaded file
+          this.onStatusChange(`Streaming file: ${(message.sent_ms / 1000).toFixed(0)}s of ${(message.duration_ms / 1000).toFixed(0)}s`);
+          break;
+          
+        case 'file_stream.completed':
+          this.onStatusChange('File sent, waiting for the last transcripts');
+          console.log('File stream completed:', message.duration_ms, 'ms');
+          break;
+          
+        case 'session.resumed':
+          // Sent by our server after a reconnect, the missed events came right before it
+          console.log(`Session resumed, ${message.replayed_events} events replayed`);
+          this.onStatusChange(message.upstream_recreated
+            ? 'Session resumed with a new upstream session'
+            : 'Session resumed');
+          break;
+          
+        case 'server.shutting_down':
+          // Sent by our server before it stops, the last transcripts follow within drain_ms
+          this.serverShuttingDown = true;
+          this.onStatusChange('Server is shutting down, waiting for the last transcripts');
+          break;
+          
+        case 'rate_limits.updated':
+          console.log('Rate limits updated:', message.rate_limits);
+          if (Array.isArray(message.rate_limits)) {
+            this.onRateLimitsUpdate(message.rate_limits);
+          }
+          break;
+        
+        default:
+          // For debugging
+          console.log('Received unknown message type:', message.type, message);
+      }
+    } catch (error) {
+      console.error('Error processing WebSocket message:', error, 'Raw data:', event.data);
+      this.onErrorMessage(`Error processing WebSocket message: ${error.message}`);
+    }
+  }
+
+  /**
+   * STEP 4: Send audio data for transcription
+   * 
+   * Audio goes out as raw binary frames, the server batches them into
+   * input_audio_buffer.append events for the upstream session.
+   * 
+   * @param {Int16Array|Uint8Array} audioData Audio in the session's input format (PCM16 or G.711)
+   * @returns {boolean} True if audio was successfully sent
+   */
+  sendAudio(audioData) {
+    try {
+      // PCM16 is 24 samples of 2 bytes per millisecond, G.711 8 samples of 1 byte
+      const bytesPerMs = this.sessionConfig?.inputAudioFormat?.startsWith('g711') ? 8 : 48;
+      const durationMs = audioData.byteLength / bytesPerMs;
+      
+      // Send the frame, or queue it while reconnecting
+      if (!this.sendOrQueue(audioData, durationMs)) {
+        return false;
+      }
+      
+      this.bufferedAudioMs += durationMs;
+      this.onBufferStateChange({ state: 'buffering', durationMs: this.bufferedAudioMs });
+      return true;
+    } catch (error) {
+      console.error('Error sending audio:', error);
+      this.onErrorMessage(`Error sending audio: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Commit the audio buffer so it is transcribed as one item
+   * 
+   * Only needed without turn detection (push-to-talk), server VAD commits on its own.
+   * The API rejects commits of less than 100 ms of audio, shorter buffers are cleared instead.
+   * 
+   * @returns {boolean} True if the commit (or clear) was sent
+   */
+  commitAudioBuffer() {
+    if (this.bufferedAudioMs < 100) {
+      console.log(`Only ${Math.round(this.bufferedAudioMs)}ms of audio buffered, clearing instead of committing`);
+      return this.clearAudioBuffer();
+    }
+    return this.sendEvent({ type: 'input_audio_buffer.commit' });
+  }
+
+  /**
+   * Discard the audio appended since the last commit
+   * @returns {boolean} True if the clear was sent
+   */
+  clearAudioBuffer() {
+    return this.sendEvent({ type: 'input_audio_buffer.clear' });
+  }
+
+  /**
+   * Send a client event to the session
+   * @param {Object} event The event without an event_id
+   * @returns {boolean} True if the event was sent
+   */
+  sendEvent(event) {
+    try {
+      return this.sendOrQueue(JSON.stringify({ ...event, event_id: `event_${this.eventIdCounter++}` }), 0);
+    } catch (error) {
+      console.error(`Error sending ${event.type}:`, error);
+      this.onErrorMessage(`Error sending ${event.type}: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Send a message, or queue it while the connection to a session is down
+   * 
+   * The queue holds at most MAX_QUEUED_AUDIO_MS of audio, the oldest audio is
+   * dropped first. Other events are always kept.
+   * 
+   * @param {string|ArrayBufferView} message A serialized client event or a binary audio frame
+   * @param {number} durationMs Duration of the audio in the message, 0 for other events
+   * @returns {boolean} True if the message was sent or queued
+   */
+  sendOrQueue(message, durationMs) {
+    if (this.isConnected && this.socket && this.socket.readyState === WebSocket.OPEN) {
+      this.socket.send(message);
+      return true;
+    }
+    // Nothing to queue for without a session that can be resumed
+    if (!this.sessionId || !this.wsUrl) {
+      return false;
+    }
+    
+    this.outgoingQueue.push({ message, durationMs });
+    this.queuedAudioMs += durationMs;
+    while (this.queuedAudioMs > MAX_QUEUED_AUDIO_MS) {
+      const index = this.outgoingQueue.findIndex(entry => entry.durationMs > 0);
+      const [dropped] = this.outgoingQueue.splice(index, 1);
+      this.queuedAudioMs -= dropped.durationMs;
+      this.droppedAudioMs += dropped.durationMs;
+    }
+    return true;
+  }
+
+  /**
+   * Send the messages queued while the connection was down
+   */
+  flushOutgoingQueue() {
+    const queue = this.outgoingQueue;
+    if (queue.length > 0) {
+      console.log(`Sending ${queue.length} queued messages (${Math.round(this.queuedAudioMs)}ms of audio)`);
+      queue.forEach(entry => this.socket.send(entry.message));
+    }
+    if (this.droppedAudioMs > 0) {
+      this.onErrorMessage(`${(this.droppedAudioMs / 1000).toFixed(1)} s of audio were lost while reconnecting`);
+    }
+    this.clearOutgoingQueue();
+  }
+
+  clearOutgoingQueue() {
+    this.outgoingQueue = [];
+    this.queuedAudioMs = 0;
+    this.droppedAudioMs = 0;
+  }
+
+  /**
+   * STEP 5: Disconnect from the WebSocket
+   */
+  disconnect() {
+    // Clear connection timeout if any
+    if (this.connectionTimeoutId) {
+      clearTimeout(this.connectionTimeoutId);
+      this.connectionTimeoutId = null;
+    }
+    
+    // Reset reconnection state
+    this.reconnecting = false;
+    this.retryCount = 0;
+    
+    // A normal closure tells the server not to keep the session for a resume
+    if (this.socket) {
+      this.socket.close(1000, 'Session stopped');
+      this.socket = null;
+    }
+    
+    this.clearOutgoingQueue();
+    this.isConnected = false;
+    this.bufferedAudioMs = 0;
+    this.sessionId = null;
+    this.sessionConfig = null;
+    this.wsUrl = null;
+    this.onWebSocketStatusChange('disconnected');
+  }
+} 
\ No newline at end of file
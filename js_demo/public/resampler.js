@@ -0,0 +1,115 @@
+// Zero crossings of the sinc kernel on each side of the output sample
+const DEFAULT_HALF_TAPS = 16;
+// Kernel table entries per input sample, values in between are interpolated
+const TABLE_RESOLUTION = 128;
+// Keep the passband slightly below Nyquist so the window's transition band doesn't alias
+const CUTOFF_MARGIN = 0.95;
+
+export default class Resampler {
+  /**
+   * Streaming windowed-sinc resampler for mono audio
+   *
+   * Keeps the tail of each block as history so consecutive calls to process()
+   * produce one continuous signal. When downsampling, the kernel's cutoff is
+   * lowered to the output Nyquist frequency, which also acts as the
+   * anti-aliasing filter. Used by the capture worklet and the ScriptProcessor
+   * fallback, so it must not depend on DOM APIs.
+   *
+   * @param {number} inputRate Sample rate of the input in Hz
+   * @param {number} outputRate Sample rate of the output in Hz
+   * @param {number} halfTaps Kernel half width in input samples (quality vs. CPU)
+   */
+  constructor(inputRate, outputRate, halfTaps = DEFAULT_HALF_TAPS) {
+    this.inputRate = inputRate;
+    this.outputRate = outputRate;
+    this.step = inputRate / outputRate;
+    this.halfTaps = halfTaps;
+    this.cutoff = Math.min(1, outputRate / inputRate) * CUTOFF_MARGIN;
+    this.table = this.buildKernelTable();
+    this.reset();
+  }
+
+  /**
+   * Precompute one side of the symmetric kernel: cutoff * sinc(cutoff * x) * blackman(x)
+   * @returns {Float32Array} Kernel values for x = i / TABLE_RESOLUTION
+   */
+  buildKernelTable() {
+    const size = this.halfTaps * TABLE_RESOLUTION + 2;
+    const table = new Float32Array(size);
+    for (let i = 0; i < size; i++) {
+      const x = i / TABLE_RESOLUTION;
+      if (x >= this.halfTaps) break;
+      const sincArg = Math.PI * this.cutoff * x;
+      const sinc = x === 0 ? 1 : Math.sin(sincArg) / sincArg;
+      const w = x / this.halfTaps;
+      const blackman = 0.42 + 0.5 * Math.cos(Math.PI * w) + 0.08 * Math.cos(2 * Math.PI * w);
+      table[i] = this.cutoff * sinc * blackman;
+    }
+    return table;
+  }
+
+  /**
+   * @param {number} distance Distance in input samples between a tap and the output position
+   * @returns {number} The kernel weight
+   */
+  kernel(distance) {
+    const index = Math.abs(distance) * TABLE_RESOLUTION;
+    const i = Math.floor(index);
+    if (i >= this.table.length - 1) return 0;
+    const fraction = index - i;
+    return this.table[i] + (this.table[i + 1] - this.table[i]) * fraction;
+  }
+
+  /**
+   * Forget the history, e.g. before a new recording
+   */
+  reset() {
+    // Start with halfTaps samples of silence so the first output can be centered on sample 0
+    this.buffer = new Float32Array(this.halfTaps * 4 + 128);
+    this.length = this.halfTaps;
+    this.position = this.halfTaps;
+  }
+
+  /**
+   * Resample the next block of input
+   * @param {Float32Array} input Mono samples at the input rate
+   * @returns {Float32Array} Mono samples at the output rate (the length varies per block)
+   */
+  process(input) {
+    if (this.inputRate === this.outputRate) {
+      return Float32Array.from(input);
+    }
+
+    // Append the input after the history
+    if (this.length + input.length > this.buffer.length) {
+      const grown = new Float32Array((this.length + input.length) * 2);
+      grown.set(this.buffer.subarray(0, this.length));
+      this.buffer = grown;
+    }
+    this.buffer.set(input, this.length);
+    this.length += input.length;
+
+    // An output sample needs halfTaps input samples on both sides
+    const available = this.length - this.halfTaps - this.position;
+    const output = new Float32Array(Math.max(0, Math.ceil(available / this.step)));
+    let count = 0;
+
+    while (count < output.length && Math.floor(this.position) + this.halfTaps < this.length) {
+      const center = Math.floor(this.position);
+      let sum = 0;
+      for (let k = center - this.halfTaps + 1; k <= center + this.halfTaps; k++) {
+        sum += this.buffer[k] * this.kernel(this.position - k);
+      }
+      output[count++] = sum;
+      this.position += this.step;
+    }
+
+    // Drop the samples no future output will reach
+    const drop = Math.max(0, Math.floor(this.position) - this.halfTaps + 1);
+    this.buffer.copyWithin(0, drop, this.length);
+    this.length -= drop;
+    this.position -= drop;
+
+    return output.subarray(0, count);
+  }
+}
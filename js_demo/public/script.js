@@ -0,0 +1,1065 @@
+import AudioProcessor from './audioProcessor.js';
+import OpenAIClient from './openaiClient.js';
+import AuthClient from './authClient.js';
+import { formatTranscript, filterByConfidence } from './transcriptFormats.mjs';
+import { LOW_CONFIDENCE_THRESHOLD, wordsFromLogprobs, segmentConfidence, wordsMatchText, formatConfidence } from './confidence.mjs';
+import { createTranslationsElement } from './translationView.js';
+
+class TranscriptionApp {
+  constructor() {
+    // UI Elements
+    this.startButton = document.getElementById('startButton');
+    this.stopButton = document.getElementById('stopButton');
+    this.talkButton = document.getElementById('talkButton');
+    this.usageStatusElement = document.getElementById('usageStatus');
+    this.rateLimitsStatusElement = document.getElementById('rateLimitsStatus');
+    this.bufferStatusElement = document.getElementById('bufferStatus');
+    this.statusElement = document.getElementById('status');
+    this.wsStatusElement = document.getElementById('wsStatus');
+    this.audioMeterElement = document.getElementById('audioMeter');
+    this.transcriptionElement = document.getElementById('transcription');
+    this.errorContainer = document.getElementById('errorContainer');
+    this.errorMessageElement = document.getElementById('errorMessage');
+    this.clearErrorButton = document.getElementById('clearErrorButton');
+    this.debugInfoElement = document.getElementById('debugInfo');
+    this.exportButtons = document.querySelectorAll('#exportControls .export-button');
+    this.shareButton = document.getElementById('shareButton');
+    this.shareLinkInput = document.getElementById('shareLinkInput');
+    this.revokeShareButton = document.getElementById('revokeShareButton');
+    this.confidenceFilter = document.getElementById('confidenceFilter');
+    this.dropZone = document.getElementById('dropZone');
+    this.fileInput = document.getElementById('fileInput');
+    this.pacingSelect = document.getElementById('pacingSelect');
+    this.settingsForm = document.getElementById('settingsForm');
+    this.profileSelect = document.getElementById('profileSelect');
+    this.providerSelect = document.getElementById('providerSelect');
+    this.modelSelect = document.getElementById('modelSelect');
+    this.languageInput = document.getElementById('languageInput');
+    this.promptInput = document.getElementById('promptInput');
+    this.translateToField = document.getElementById('translateToField');
+    this.translateToInput = document.getElementById('translateToInput');
+    this.inputFormatSelect = document.getElementById('inputFormatSelect');
+    this.noiseReductionSelect = document.getElementById('noiseReductionSelect');
+    this.turnDetectionSelect = document.getElementById('turnDetectionSelect');
+    this.vadThresholdInput = document.getElementById('vadThresholdInput');
+    this.prefixPaddingInput = document.getElementById('prefixPaddingInput');
+    this.silenceDurationInput = document.getElementById('silenceDurationInput');
+    this.eagernessSelect = document.getElementById('eagernessSelect');
+    this.logprobsCheckbox = document.getElementById('logprobsCheckbox');
+    this.recordCheckbox = document.getElementById('recordCheckbox');
+    this.recordingsPanel = document.getElementById('recordingsPanel');
+    this.recordingsInfoElement = document.getElementById('recordingsInfo');
+    this.recordingsListElement = document.getElementById('recordingsList');
+    this.refreshRecordingsButton = document.getElementById('refreshRecordingsButton');
+    this.authBar = document.getElementById('authBar');
+    this.authUserElement = document.getElementById('authUser');
+    this.logoutButton = document.getElementById('logoutButton');
+    this.loginForm = document.getElementById('loginForm');
+    this.usernameField = document.getElementById('usernameField');
+    this.passwordField = document.getElementById('passwordField');
+    this.usernameInput = document.getElementById('usernameInput');
+    this.passwordInput = document.getElementById('passwordInput');
+    this.tokenLabel = document.getElementById('tokenLabel');
+    this.tokenInput = document.getElementById('tokenInput');
+    this.loginError = document.getElementById('loginError');
+    
+    // App state
+    this.isRecording = false;
+    this.isTranscribingFile = false;
+    this.isManualMode = false;
+    this.isTalking = false;
+    this.debugMessages = [];
+    this.providers = [];
+    this.defaultProvider = null;
+    this.profiles = [];
+    this.editingItemId = null;
+    this.pendingSegments = null;
+    this.exportMeta = null;
+    this.recordingEnabled = true;
+    this.translationAvailable = false;
+    this.authMethods = ['token'];
+    
+    // Initialize components
+    this.authClient = new AuthClient(this.showLogin.bind(this));
+    
+    this.audioProcessor = new AudioProcessor(
+      this.handleAudioData.bind(this),
+      this.updateVolumeMeter.bind(this)
+    );
+    
+    this.openaiClient = new OpenAIClient(
+      this.updateTranscription.bind(this),
+      this.updateStatus.bind(this),
+      this.updateWebSocketStatus.bind(this),
+      this.showErrorMessage.bind(this),
+      this.updateBufferStatus.bind(this),
+      this.updateRateLimits.bind(this),
+      this.authClient
+    );
+    
+    // Setup event listeners
+    this.startButton.addEventListener('click', this.startRecording.bind(this));
+    this.stopButton.addEventListener('click', this.stopRecording.bind(this));
+    this.clearErrorButton.addEventListener('click', this.clearError.bind(this));
+    this.talkButton.addEventListener('pointerdown', (e) => {
+      e.preventDefault();
+      this.startTalking();
+    });
+    this.talkButton.addEventListener('pointerup', () => this.stopTalking(true));
+    // Sliding off the button cancels, like the Escape key
+    this.talkButton.addEventListener('pointerleave', () => this.stopTalking(false));
+    document.addEventListener('keydown', this.handlePushToTalkKey.bind(this));
+    document.addEventListener('keyup', this.handlePushToTalkKey.bind(this));
+    this.turnDetectionSelect.addEventListener('change', this.updateTurnDetectionFields.bind(this));
+    this.modelSelect.addEventListener('change', this.updateModelFields.bind(this));
+    this.providerSelect.addEventListener('change', this.updateProviderFields.bind(this));
+    this.profileSelect.addEventListener('change', this.applyProfile.bind(this));
+    this.settingsForm.addEventListener('submit', (e) => e.preventDefault());
+    this.fileInput.addEventListener('change', () => {
+      if (this.fileInput.files.length > 0) {
+        this.transcribeFile(this.fileInput.files[0]);
+      }
+      this.fileInput.value = '';
+    });
+    this.dropZone.addEventListener('dragover', (e) => {
+      e.preventDefault();
+      this.dropZone.classList.add('dragging');
+    });
+    this.dropZone.addEventListener('dragleave', () => this.dropZone.classList.remove('dragging'));
+    this.dropZone.addEventListener('drop', (e) => {
+      e.preventDefault();
+      this.dropZone.classList.remove('dragging');
+      if (e.dataTransfer.files.length > 0) {
+        this.transcribeFile(e.dataTransfer.files[0]);
+      }
+    });
+    this.loginForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.login();
+    });
+    this.logoutButton.addEventListener('click', () => {
+      this.authClient.logout();
+      this.showLogin();
+    });
+    this.refreshRecordingsButton.addEventListener('click', () => this.loadRecordings());
+    this.recordingsPanel.addEventListener('toggle', () => {
+      if (this.recordingsPanel.open) this.loadRecordings();
+    });
+    this.confidenceFilter.addEventListener('change', () => {
+      this.updateTranscription(this.openaiClient.transcriptStore.getSegments());
+    });
+    this.exportButtons.forEach(button => {
+      button.addEventListener('click', () => this.exportTranscript(button.dataset.format));
+    });
+    this.shareButton.addEventListener('click', () => this.shareSession());
+    this.revokeShareButton.addEventListener('click', () => this.revokeShare());
+    this.shareLinkInput.addEventListener('focus', () => this.shareLinkInput.select());
+    
+    this.updateTurnDetectionFields();
+    this.updateModelFields();
+    
+    // Initialize application
+    this.initializeApp();
+  }
+
+  async initializeApp() {
+    try {
+      this.updateStatus('Initializing application...');
+      this.addDebugMessage('Application initializing');
+      
+      // No need to validate API key here anymore since that happens on the server
+      const session = await this.authClient.getSession();
+      this.authMethods = session.methods;
+      if (session.enabled && !session.user) {
+        this.showLogin();
+        return;
+      }
+      this.showSignedIn(session.enabled ? session.user : null);
+      
+      await this.loadProviders();
+      await this.loadProfiles();
+      await this.loadRecordings();
+      await this.loadUsage();
+      
+      this.updateStatus('Ready to record');
+      this.addDebugMessage('Initialization complete, ready to record');
+    } catch (error) {
+      console.error('Error initializing app:', error);
+      this.updateStatus(`Error initializing app`);
+      this.showErrorMessage(`Initialization error: ${error.message}`);
+      this.startButton.disabled = true;
+    }
+  }
+
+  async startRecording() {
+    if (this.isRecording) return;
+    
+    try {
+      this.updateStatus('Initializing audio...');
+      this.addDebugMessage('Starting recording process');
+      
+      // Initialize audio
+      const audioInitialized = await this.audioProcessor.initAudio();
+      if (!audioInitialized) {
+        this.updateStatus('Failed to initialize audio');
+        this.showErrorMessage('Could not access microphone. Please check permissions and try again.');
+        return;
+      }
+      
+      this.addDebugMessage('Audio initialized successfully');
+      this.updateStatus('Creating OpenAI session...');
+      
+      // Initialize OpenAI session through our server
+      const sessionConfig = this.getSessionConfig();
+      this.addDebugMessage(`Session config: ${JSON.stringify(sessionConfig)}`);
+      const sessionInitialized = await this.openaiClient.initialize(sessionConfig);
+      if (!sessionInitialized) {
+        this.addDebugMessage('Failed to initialize OpenAI session');
+        return;
+      }
+      
+      // Session details for transcript exports
+      this.exportMeta = {
+        sessionId: this.openaiClient.sessionId,
+        provider: this.openaiClient.sessionConfig?.provider,
+        model: this.openaiClient.sessionConfig?.model,
+        language: this.openaiClient.sessionConfig?.language,
+        startedAt: new Date().toISOString()
+      };
+      
+      // Without turn detection audio is only sent while the user holds the talk button
+      this.isManualMode = this.openaiClient.sessionConfig?.turnDetection === null;
+      this.talkButton.classList.toggle('hidden', !this.isManualMode);
+      
+      // Start recording
+      // Capture in the format the server accepted for this session
+      this.audioProcessor.startRecording(this.openaiClient.sessionConfig?.inputAudioFormat || 'pcm16');
+      this.isRecording = true;
+      
+      // Update UI
+      this.startButton.disabled = true;
+      this.stopButton.disabled = false;
+      this.setSettingsLocked(true);
+      this.setShareAvailable(true);
+      this.updateStatus('Recording started');
+      this.addDebugMessage('Recording started successfully');
+    } catch (error) {
+      console.error('Error starting recording:', error);
+      this.updateStatus('Failed to start recording');
+      this.showErrorMessage(`Start recording error: ${error.message}`);
+    }
+  }
+
+  stopRecording() {
+    if (!this.isRecording && !this.isTranscribingFile) return;
+    
+    if (this.isRecording) {
+      // The session is closing, drop an unfinished push-to-talk turn
+      this.stopTalking(false);
+      this.audioProcessor.stopRecording();
+    }
+    this.openaiClient.disconnect();
+    this.isRecording = false;
+    this.isTranscribingFile = false;
+    this.isManualMode = false;
+    this.talkButton.classList.add('hidden');
+    this.updateBufferStatus({ state: 'empty', durationMs: 0 });
+    this.loadUsage();
+    
+    // Update UI
+    this.startButton.disabled = false;
+    this.stopButton.disabled = true;
+    this.dropZone.classList.remove('disabled');
+    this.setSettingsLocked(false);
+    this.setShareAvailable(false);
+    this.updateStatus('Recording stopped');
+    this.updateVolumeMeter(0);
+    this.addDebugMessage('Recording stopped');
+  }
+
+  /**
+   * Transcribe a WAV file with the current session settings
+   * @param {File} file The dropped or selected file
+   */
+  async transcribeFile(file) {
+    if (this.isRecording || this.isTranscribingFile) {
+      this.showErrorMessage('Stop the current session before transcribing a file');
+      return;
+    }
+    
+    try {
+      this.updateStatus(`Uploading ${file.name}...`);
+      const sessionConfig = this.getSessionConfig();
+      const pacing = this.pacingSelect.value;
+      this.addDebugMessage(`Transcribing file ${file.name} (${file.size} bytes, pacing: ${pacing})`);
+      
+      const sessionInitialized = await this.openaiClient.initializeFromFile(file, sessionConfig, pacing);
+      if (!sessionInitialized) {
+        this.addDebugMessage('Failed to initialize file session');
+        return;
+      }
+      
+      this.exportMeta = {
+        sessionId: this.openaiClient.sessionId,
+        provider: this.openaiClient.sessionConfig?.provider,
+        model: this.openaiClient.sessionConfig?.model,
+        language: this.openaiClient.sessionConfig?.language,
+        source: file.name,
+        startedAt: new Date().toISOString()
+      };
+      
+      // The stop button ends the file session like a recording
+      this.isTranscribingFile = true;
+      this.startButton.disabled = true;
+      this.stopButton.disabled = false;
+      this.dropZone.classList.add('disabled');
+      this.setSettingsLocked(true);
+      this.setShareAvailable(true);
+    } catch (error) {
+      console.error('Error transcribing file:', error);
+      this.updateStatus('Failed to transcribe file');
+      this.showErrorMessage(`File transcription error: ${error.message}`);
+    }
+  }
+
+  /**
+   * Show the login form, e.g. when the server rejected the stored token
+   */
+  showLogin() {
+    const hasPassword = this.authMethods.includes('password');
+    this.usernameField.classList.toggle('hidden', !hasPassword);
+    this.passwordField.classList.toggle('hidden', !hasPassword);
+    this.tokenLabel.textContent = hasPassword ? 'Or use an access token' : 'Access token';
+    this.loginForm.classList.remove('hidden');
+    this.authBar.classList.add('hidden');
+    
+    // Nothing works without a user, a running session ends on its own
+    if (!this.isRecording && !this.isTranscribingFile) {
+      this.startButton.disabled = true;
+      this.dropZone.classList.add('disabled');
+    }
+    this.updateStatus('Sign in to start');
+  }
+
+  /**
+   * @param {string|null} user The signed in user, null when the server has no authentication
+   */
+  showSignedIn(user) {
+    this.loginForm.classList.add('hidden');
+    this.loginError.textContent = '';
+    this.authBar.classList.toggle('hidden', !user);
+    this.authUserElement.textContent = user || '';
+    if (!this.isRecording && !this.isTranscribingFile) {
+      this.startButton.disabled = false;
+      this.dropZone.classList.remove('disabled');
+    }
+  }
+
+  /**
+   * Sign in with the password or the access token from the login form
+   */
+  async login() {
+    const token = this.tokenInput.value.trim();
+    try {
+      this.loginError.textContent = '';
+      const user = token
+        ? await this.authClient.useToken(token)
+        : await this.authClient.login(this.usernameInput.value.trim(), this.passwordInput.value);
+      this.passwordInput.value = '';
+      this.tokenInput.value = '';
+      this.addDebugMessage(`Signed in as ${user}`);
+      await this.initializeApp();
+    } catch (error) {
+      console.error('Error signing in:', error);
+      this.loginError.textContent = error.message;
+    }
+  }
+
+  /**
+   * Fetch the transcription providers configured on the server
+   */
+  async loadProviders() {
+    const response = await this.authClient.fetch('/api/providers');
+    if (!response.ok) {
+      throw new Error(`Failed to load providers: ${response.status} ${response.statusText}`);
+    }
+    
+    const data = await response.json();
+    this.providers = data.providers;
+    this.defaultProvider = data.defaultProvider;
+    
+    this.providerSelect.innerHTML = '';
+    this.providers.forEach(provider => {
+      const option = document.createElement('option');
+      option.value = provider.name;
+      option.textContent = provider.label;
+      option.selected = provider.name === data.defaultProvider;
+      this.providerSelect.appendChild(option);
+    });
+    
+    this.addDebugMessage(`Providers available: ${this.providers.map(p => p.name).join(', ')}`);
+    // Only offered when the server has a translation endpoint
+    this.translationAvailable = Boolean(data.translation);
+    this.translateToField.classList.toggle('hidden', !this.translationAvailable);
+    this.updateProviderFields();
+  }
+
+  async loadProfiles() {
+    const response = await this.authClient.fetch('/api/profiles');
+    if (!response.ok) {
+      throw new Error(`Failed to load profiles: ${response.status} ${response.statusText}`);
+    }
+    
+    const { profiles } = await response.json();
+    this.profiles = profiles;
+    const selected = this.profileSelect.value;
+    this.profileSelect.innerHTML = '<option value="">None</option>';
+    profiles.forEach(profile => {
+      const option = document.createElement('option');
+      option.value = profile.name;
+      option.textContent = profile.name;
+      option.title = profile.description || `${profile.terms.length} terms`;
+      this.profileSelect.appendChild(option);
+    });
+    this.profileSelect.value = profiles.some(profile => profile.name === selected) ? selected : '';
+    this.addDebugMessage(`Profiles available: ${profiles.map(p => p.name).join(', ') || 'none'}`);
+  }
+
+  /**
+   * Take the selected profile's language, provider and model into the settings. Its
+   * prompt and terms are added on the server, the prompt field adds to them.
+   */
+  applyProfile() {
+    const profile = this.profiles.find(p => p.name === this.profileSelect.value) || null;
+    this.promptInput.placeholder = profile
+      ? `Added to the prompt and ${profile.terms.length} terms of ${profile.name}`
+      : 'Optional context, names or jargon to help recognition';
+    if (!profile) return;
+    
+    if (profile.language !== null) {
+      this.languageInput.value = profile.language;
+    }
+    if (profile.provider || profile.model !== null) {
+      // The model is one of the profile's provider, the default provider if it names none
+      const providerName = profile.provider || this.defaultProvider;
+      if (this.providers.some(p => p.name === providerName)) {
+        this.providerSelect.value = providerName;
+      }
+      this.updateProviderFields();
+    }
+    if (profile.model !== null && this.getSelectedProvider()?.capabilities.models.includes(profile.model)) {
+      this.modelSelect.value = profile.model;
+      this.updateModelFields();
+    }
+  }
+
+  getSelectedProvider() {
+    return this.providers.find(provider => provider.name === this.providerSelect.value) || null;
+  }
+
+  /**
+   * Show only the settings the selected provider supports
+   */
+  updateProviderFields() {
+    const provider = this.getSelectedProvider();
+    if (!provider) return;
+    
+    const capabilities = provider.capabilities;
+    const previousModel = this.modelSelect.value;
+    this.modelSelect.innerHTML = '';
+    capabilities.models.forEach(model => {
+      const option = document.createElement('option');
+      option.value = model;
+      option.textContent = model;
+      this.modelSelect.appendChild(option);
+    });
+    this.modelSelect.value = capabilities.models.includes(previousModel) ? previousModel : capabilities.defaultModel;
+    
+    Array.from(this.inputFormatSelect.options).forEach(option => {
+      option.disabled = !capabilities.inputAudioFormats.includes(option.value);
+    });
+    if (this.inputFormatSelect.selectedOptions[0].disabled) {
+      this.inputFormatSelect.value = capabilities.inputAudioFormats[0];
+    }
+    Array.from(this.turnDetectionSelect.options).forEach(option => {
+      // Manual commits work with every provider
+      option.disabled = option.value !== 'none' && !capabilities.turnDetectionTypes.includes(option.value);
+    });
+    if (this.turnDetectionSelect.selectedOptions[0].disabled) {
+      this.turnDetectionSelect.value = capabilities.turnDetectionTypes[0];
+    }
+    
+    this.noiseReductionSelect.disabled = !capabilities.supportsNoiseReduction;
+    if (!capabilities.supportsNoiseReduction) {
+      this.noiseReductionSelect.value = 'none';
+    }
+    
+    this.updateTurnDetectionFields();
+    this.updateModelFields();
+  }
+
+  /**
+   * Build the session config from the settings panel
+   * @returns {Object} Session config for /api/transcription/create-session
+   */
+  getSessionConfig() {
+    const turnDetectionType = this.turnDetectionSelect.value;
+    const turnDetection = turnDetectionType === 'semantic_vad'
+      ? {
+          type: 'semantic_vad',
+          eagerness: this.eagernessSelect.value
+        }
+      : {
+          type: 'server_vad',
+          threshold: parseFloat(this.vadThresholdInput.value),
+          prefixPaddingMs: parseInt(this.prefixPaddingInput.value, 10),
+          silenceDurationMs: parseInt(this.silenceDurationInput.value, 10)
+        };
+    
+    return {
+      profile: this.profileSelect.value || null,
+      provider: this.providerSelect.value,
+      model: this.modelSelect.value,
+      language: this.languageInput.value.trim().toLowerCase(),
+      prompt: this.promptInput.value,
+      inputAudioFormat: this.inputFormatSelect.value,
+      noiseReduction: this.noiseReductionSelect.value,
+      turnDetection: turnDetectionType === 'none' ? null : turnDetection,
+      include: this.logprobsCheckbox.checked ? ['item.input_audio_transcription.logprobs'] : [],
+      record: this.recordCheckbox.checked,
+      translateTo: this.translationAvailable ? parseLanguageList(this.translateToInput.value) : []
+    };
+  }
+
+  updateTurnDetectionFields() {
+    const type = this.turnDetectionSelect.value;
+    this.settingsForm.querySelectorAll('[data-turn-detection]').forEach(field => {
+      field.classList.toggle('hidden', field.dataset.turnDetection !== type);
+    });
+  }
+
+  updateModelFields() {
+    // The provider lists the models that return logprobs (none for batch providers)
+    const provider = this.getSelectedProvider();
+    const supportsLogprobs = !provider || provider.capabilities.logprobsModels.includes(this.modelSelect.value);
+    this.logprobsCheckbox.disabled = !supportsLogprobs;
+    if (!supportsLogprobs) {
+      this.logprobsCheckbox.checked = false;
+    }
+  }
+
+  setSettingsLocked(locked) {
+    this.settingsForm.classList.toggle('locked', locked);
+    Array.from(this.settingsForm.elements).forEach(element => {
+      element.disabled = locked;
+    });
+    if (!locked) {
+      this.updateProviderFields();
+      this.recordCheckbox.disabled = !this.recordingEnabled;
+    }
+  }
+
+  handleAudioData(audioData) {
+    if (this.isRecording && (!this.isManualMode || this.isTalking)) {
+      this.openaiClient.sendAudio(audioData);
+    }
+  }
+
+  startTalking() {
+    if (!this.isRecording || !this.isManualMode || this.isTalking) return;
+    this.isTalking = true;
+    this.talkButton.classList.add('talking');
+    this.updateStatus('Listening...');
+  }
+
+  /**
+   * End a push-to-talk turn
+   * @param {boolean} commit True to transcribe the turn, false to discard it
+   */
+  stopTalking(commit) {
+    if (!this.isTalking) return;
+    this.isTalking = false;
+    this.talkButton.classList.remove('talking');
+    
+    if (commit) {
+      this.openaiClient.commitAudioBuffer();
+      this.addDebugMessage('Push-to-talk: buffer committed');
+    } else {
+      this.openaiClient.clearAudioBuffer();
+      this.updateStatus('Turn cancelled');
+      this.addDebugMessage('Push-to-talk: buffer cleared');
+    }
+  }
+
+  /**
+   * Hold Space to talk, press Escape while holding to cancel
+   * @param {KeyboardEvent} e The keydown or keyup event
+   */
+  handlePushToTalkKey(e) {
+    if (!this.isManualMode) return;
+    // Don't hijack typing in the settings or while editing a segment
+    const target = e.target;
+    if (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName)) return;
+    
+    if (e.code === 'Space') {
+      e.preventDefault();
+      if (e.type === 'keydown' && !e.repeat) {
+        this.startTalking();
+      } else if (e.type === 'keyup') {
+        this.stopTalking(true);
+      }
+    } else if (e.code === 'Escape' && e.type === 'keydown') {
+      this.stopTalking(false);
+    }
+  }
+
+  /**
+   * Render the transcript: one line per segment, finished ones first
+   * and the segment still being transcribed in a lighter style
+   * @param {Object[]} segments Ordered segments from the transcript store
+   */
+  updateTranscription(segments) {
+    // Don't replace the DOM under a segment the user is editing
+    if (this.editingItemId) {
+      this.pendingSegments = segments;
+      return;
+    }
+    
+    const store = this.openaiClient.transcriptStore;
+    const minConfidence = parseFloat(this.confidenceFilter.value);
+    this.transcriptionElement.innerHTML = '';
+    
+    segments.forEach(segment => {
+      // Edited segments were checked by the user, their logprobs no longer apply
+      const confidence = segment.edited ? null : segmentConfidence(segment.logprobs);
+      if (segment.status === 'completed' && confidence !== null && confidence < minConfidence) {
+        return;
+      }
+      
+      const segmentElement = document.createElement('div');
+      segmentElement.className = `segment segment-${segment.status}`;
+      segmentElement.dataset.itemId = segment.itemId;
+      
+      const textElement = document.createElement('span');
+      textElement.className = 'segment-text';
+      if (segment.status === 'failed') {
+        textElement.textContent = `[Transcription failed: ${segment.error}]`;
+      } else {
+        // Speech started but no text yet
+        this.renderSegmentText(textElement, segment, store.getSegmentText(segment) || '…');
+        if (segment.originalText && !segment.edited) {
+          textElement.title = `Before post-processing: ${segment.originalText}`;
+        }
+      }
+      segmentElement.appendChild(textElement);
+      
+      // Side by side with the source text
+      const translationsElement = createTranslationsElement(segment);
+      if (translationsElement) {
+        segmentElement.appendChild(translationsElement);
+      }
+      
+      if (confidence !== null && segment.status === 'completed') {
+        const badge = document.createElement('span');
+        badge.className = `segment-confidence${confidence < LOW_CONFIDENCE_THRESHOLD ? ' low' : ''}`;
+        badge.textContent = formatConfidence(confidence);
+        badge.title = 'Segment confidence (geometric mean of token probabilities)';
+        segmentElement.appendChild(badge);
+      }
+      
+      if (segment.status !== 'in_progress') {
+        const actions = document.createElement('span');
+        actions.className = 'segment-actions';
+        
+        if (segment.status === 'completed') {
+          const editButton = document.createElement('button');
+          editButton.className = 'segment-action';
+          editButton.textContent = 'Edit';
+          editButton.addEventListener('click', () => this.startEditingSegment(segment.itemId, textElement));
+          actions.appendChild(editButton);
+        }
+        
+        const deleteButton = document.createElement('button');
+        deleteButton.className = 'segment-action';
+        deleteButton.textContent = 'Delete';
+        deleteButton.addEventListener('click', () => store.deleteSegment(segment.itemId));
+        actions.appendChild(deleteButton);
+        
+        segmentElement.appendChild(actions);
+      }
+      
+      this.transcriptionElement.appendChild(segmentElement);
+    });
+    
+    this.transcriptionElement.scrollTop = this.transcriptionElement.scrollHeight;
+  }
+
+  /**
+   * Fill a segment's text element, one span per word when logprobs are available
+   * so low-confidence words can be highlighted with their details on hover
+   * @param {HTMLElement} textElement The segment text element
+   * @param {Object} segment The segment
+   * @param {string} text The text to show
+   */
+  renderSegmentText(textElement, segment, text) {
+    const words = segment.edited ? [] : wordsFromLogprobs(segment.logprobs);
+    if (!wordsMatchText(words, text)) {
+      textElement.textContent = text;
+      return;
+    }
+    
+    words.forEach(word => {
+      if (word.leadingSpace) {
+        textElement.appendChild(document.createTextNode(word.leadingSpace));
+      }
+      
+      const wordElement = document.createElement('span');
+      wordElement.className = `word${word.probability < LOW_CONFIDENCE_THRESHOLD ? ' word-low' : ''}`;
+      wordElement.textContent = word.text;
+      
+      const details = [`Confidence: ${formatConfidence(word.probability)}`];
+      if (word.tokens.length > 1) {
+        details.push(`Tokens: ${word.tokens.map(t => `"${t.token.trim()}" ${formatConfidence(t.probability)}`).join(', ')}`);
+      }
+      if (word.alternatives.length > 0) {
+        details.push(`Alternatives: ${word.alternatives.map(a => `${a.token} ${formatConfidence(a.probability)}`).join(', ')}`);
+      }
+      wordElement.title = details.join('\n');
+      
+      textElement.appendChild(wordElement);
+    });
+  }
+
+  /**
+   * Download the completed segments in the given format
+   * @param {string} format 'srt', 'vtt', 'json' or 'txt'
+   */
+  exportTranscript(format) {
+    // Export what the transcript view shows
+    const segments = filterByConfidence(
+      this.openaiClient.transcriptStore.getExportSegments(),
+      parseFloat(this.confidenceFilter.value)
+    );
+    if (segments.length === 0) {
+      this.showErrorMessage('Nothing to export yet: no completed segments');
+      return;
+    }
+    
+    try {
+      const { content, mimeType, extension } = formatTranscript(format, segments, this.exportMeta || {});
+      const blob = new Blob([content], { type: mimeType });
+      this.downloadBlob(blob, `transcript-${this.exportMeta?.sessionId || 'session'}.${extension}`);
+      this.addDebugMessage(`Exported ${segments.length} segments as ${format.toUpperCase()}`);
+    } catch (error) {
+      console.error('Error exporting transcript:', error);
+      this.showErrorMessage(`Export error: ${error.message}`);
+    }
+  }
+
+  /**
+   * Save a blob through a temporary download link
+   * @param {Blob} blob The content
+   * @param {string} filename The suggested file name
+   */
+  downloadBlob(blob, filename) {
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    // Give the browser a moment to start the download before releasing the blob
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+  }
+
+  /**
+   * @param {boolean} available Whether a session is running that can be shared
+   */
+  setShareAvailable(available) {
+    this.shareButton.disabled = !available;
+    if (!available) {
+      this.showShareLink(null);
+    }
+  }
+  
+  /**
+   * @param {string|null} viewerUrl The viewer link, null to hide it
+   */
+  showShareLink(viewerUrl) {
+    this.shareLinkInput.value = viewerUrl || '';
+    this.shareLinkInput.classList.toggle('hidden', !viewerUrl);
+    this.revokeShareButton.classList.toggle('hidden', !viewerUrl);
+  }
+  
+  /**
+   * Create a viewer link for the running session and copy it to the clipboard
+   */
+  async shareSession() {
+    try {
+      const { viewerUrl } = await this.openaiClient.shareSession();
+      this.showShareLink(viewerUrl);
+      this.addDebugMessage('Created a viewer link for the session');
+      await navigator.clipboard.writeText(viewerUrl)
+        .then(() => this.updateStatus('Viewer link copied to the clipboard'))
+        .catch(() => this.shareLinkInput.select());
+    } catch (error) {
+      console.error('Error sharing session:', error);
+      this.showErrorMessage(`Share error: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Revoke the viewer link, everyone watching is disconnected
+   */
+  async revokeShare() {
+    try {
+      await this.openaiClient.revokeShare();
+      this.showShareLink(null);
+      this.addDebugMessage('Revoked the viewer link');
+    } catch (error) {
+      console.error('Error revoking the viewer link:', error);
+      this.showErrorMessage(`Revoke error: ${error.message}`);
+    }
+  }
+
+  /**
+   * Fetch the recordings saved on the server and render the list
+   */
+  async loadRecordings() {
+    try {
+      const response = await this.authClient.fetch('/api/recordings');
+      if (!response.ok) {
+        throw new Error(`${response.status} ${response.statusText}`);
+      }
+      
+      const data = await response.json();
+      this.recordingEnabled = data.enabled;
+      this.recordCheckbox.disabled = !data.enabled || this.isRecording;
+      if (!data.enabled) {
+        this.recordCheckbox.checked = false;
+      }
+      
+      this.recordingsInfoElement.textContent = data.enabled
+        ? `${data.recordings.length} saved, kept for ${data.retentionHours} hours`
+        : 'Recording is disabled on this server';
+      this.renderRecordings(data.recordings);
+    } catch (error) {
+      console.error('Error loading recordings:', error);
+      this.addDebugMessage(`Failed to load recordings: ${error.message}`);
+    }
+  }
+
+  /**
+   * @param {Object[]} recordings Recording summaries from /api/recordings
+   */
+  renderRecordings(recordings) {
+    this.recordingsListElement.innerHTML = '';
+    
+    recordings.forEach(recording => {
+      const item = document.createElement('li');
+      item.className = 'recording-item';
+      
+      const details = document.createElement('span');
+      details.className = 'recording-details';
+      const seconds = (recording.durationMs / 1000).toFixed(1);
+      details.textContent = `${new Date(recording.startedAt).toLocaleString()} · ${seconds}s · ` +
+        `${recording.config.model} · ${recording.segmentCount} segments`;
+      item.appendChild(details);
+      
+      // Downloads go through fetch, plain links can't send the Authorization header
+      const download = document.createElement('button');
+      download.className = 'recording-action';
+      download.textContent = 'WAV';
+      download.addEventListener('click', () => this.downloadRecording(recording.id, 'wav'));
+      item.appendChild(download);
+      
+      const sidecar = document.createElement('button');
+      sidecar.className = 'recording-action';
+      sidecar.textContent = 'JSON';
+      sidecar.addEventListener('click', () => this.downloadRecording(recording.id, 'json'));
+      item.appendChild(sidecar);
+      
+      const deleteButton = document.createElement('button');
+      deleteButton.className = 'export-button';
+      deleteButton.textContent = 'Delete';
+      deleteButton.addEventListener('click', () => this.deleteRecording(recording.id));
+      item.appendChild(deleteButton);
+      
+      this.recordingsListElement.appendChild(item);
+    });
+  }
+
+  /**
+   * @param {string} recordingId The recording (session) ID
+   * @param {string} type 'wav' for the audio, 'json' for the sidecar
+   */
+  async downloadRecording(recordingId, type) {
+    try {
+      const path = `/api/recordings/${encodeURIComponent(recordingId)}${type === 'wav' ? '/audio' : ''}`;
+      const response = await this.authClient.fetch(path);
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || `${response.status} ${response.statusText}`);
+      }
+      this.downloadBlob(await response.blob(), `recording-${recordingId}.${type}`);
+    } catch (error) {
+      console.error('Error downloading recording:', error);
+      this.showErrorMessage(`Download recording error: ${error.message}`);
+    }
+  }
+
+  /**
+   * @param {string} recordingId The recording (session) ID
+   */
+  async deleteRecording(recordingId) {
+    try {
+      const response = await this.authClient.fetch(`/api/recordings/${encodeURIComponent(recordingId)}`, { method: 'DELETE' });
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || `${response.status} ${response.statusText}`);
+      }
+      this.addDebugMessage(`Recording ${recordingId} deleted`);
+      await this.loadRecordings();
+    } catch (error) {
+      console.error('Error deleting recording:', error);
+      this.showErrorMessage(`Delete recording error: ${error.message}`);
+    }
+  }
+
+  startEditingSegment(itemId, textElement) {
+    this.editingItemId = itemId;
+    textElement.contentEditable = 'true';
+    textElement.focus();
+    
+    const finishEditing = (save) => {
+      if (this.editingItemId !== itemId) return;
+      this.editingItemId = null;
+      textElement.contentEditable = 'false';
+      
+      const store = this.openaiClient.transcriptStore;
+      if (save) {
+        store.editSegment(itemId, textElement.textContent.trim());
+        this.addDebugMessage(`Segment ${itemId} edited`);
+      } else {
+        this.updateTranscription(this.pendingSegments || store.getSegments());
+      }
+      this.pendingSegments = null;
+    };
+    
+    textElement.addEventListener('blur', () => finishEditing(true), { once: true });
+    textElement.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        finishEditing(true);
+      } else if (e.key === 'Escape') {
+        finishEditing(false);
+      }
+    });
+  }
+
+  /**
+   * @param {{state: string, durationMs: number}} bufferState State reported by the client
+   */
+  updateBufferStatus({ state, durationMs }) {
+    const labels = {
+      empty: 'empty',
+      buffering: `${(durationMs / 1000).toFixed(1)}s buffered`,
+      committed: 'committed',
+      cleared: 'cleared'
+    };
+    this.bufferStatusElement.textContent = labels[state] || state;
+    this.bufferStatusElement.setAttribute('data-state', state);
+  }
+
+  /**
+   * Fetch the user's limits and usage from the server
+   */
+  async loadUsage() {
+    try {
+      const response = await this.authClient.fetch('/api/limits');
+      if (!response.ok) {
+        throw new Error(`${response.status} ${response.statusText}`);
+      }
+      
+      const { limits, usage } = await response.json();
+      const quota = limits.audioMinutesPerDay > 0 ? ` / ${limits.audioMinutesPerDay}` : '';
+      this.usageStatusElement.textContent = `Audio today: ${usage.audioMinutesToday.toFixed(1)}${quota} min`;
+      this.usageStatusElement.classList.toggle('exhausted',
+        limits.audioMinutesPerDay > 0 && usage.audioMinutesToday >= limits.audioMinutesPerDay);
+    } catch (error) {
+      console.error('Error loading usage:', error);
+      this.addDebugMessage(`Failed to load usage: ${error.message}`);
+    }
+  }
+
+  /**
+   * @param {Object[]} rateLimits Upstream rate limits: [{name, limit, remaining, reset_seconds}]
+   */
+  updateRateLimits(rateLimits) {
+    this.rateLimitsStatusElement.textContent = 'Upstream: ' + rateLimits
+      .map(({ name, limit, remaining, reset_seconds: resetSeconds }) =>
+        `${name} ${remaining}/${limit} (resets in ${Math.ceil(resetSeconds)}s)`)
+      .join(' · ');
+    this.rateLimitsStatusElement.classList.toggle('exhausted', rateLimits.some(limit => limit.remaining === 0));
+    this.addDebugMessage(`Rate limits: ${this.rateLimitsStatusElement.textContent}`);
+  }
+
+  updateStatus(message) {
+    this.statusElement.textContent = message;
+    console.log('Status:', message);
+  }
+
+  updateWebSocketStatus(status) {
+    this.wsStatusElement.textContent = status;
+    this.wsStatusElement.setAttribute('data-status', status);
+    this.addDebugMessage(`WebSocket status changed: ${status}`);
+  }
+
+  updateVolumeMeter(volume) {
+    this.audioMeterElement.style.setProperty('--volume', `${volume}%`);
+    // For browsers that don't support CSS custom properties
+    this.audioMeterElement.style.background = 
+      `linear-gradient(to right, #3498db ${volume}%, #eee ${volume}%)`;
+  }
+
+  showErrorMessage(message) {
+    this.errorMessageElement.textContent = message;
+    this.errorContainer.classList.add('visible');
+    this.addDebugMessage(`ERROR: ${message}`);
+  }
+
+  clearError() {
+    this.errorMessageElement.textContent = '';
+    this.errorContainer.classList.remove('visible');
+  }
+
+  addDebugMessage(message) {
+    const timestamp = new Date().toISOString();
+    const formattedMessage = `[${timestamp}] ${message}`;
+    this.debugMessages.push(formattedMessage);
+    
+    // Keep only the last 100 messages
+    if (this.debugMessages.length > 100) {
+      this.debugMessages.shift();
+    }
+    
+    // Update the debug info display
+    this.debugInfoElement.textContent = this.debugMessages.join('\n');
+    
+    // Auto-scroll to bottom
+    this.debugInfoElement.scrollTop = this.debugInfoElement.scrollHeight;
+  }
+}
+
+/**
+ * @param {string} value Language codes from the settings, e.g. "de, FR"
+ * @returns {string[]} The codes in lower case, empty entries dropped
+ */
+function parseLanguageList(value) {
+  return value.split(/[\s,]+/).map(code => code.trim().toLowerCase()).filter(Boolean);
+}
+
+// Initialize app when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+  new TranscriptionApp();
+}); 
\ No newline at end of file
@@ -0,0 +1,184 @@
+/**
+ * Transcript export formats
+ *
+ * Shared by the browser (transcript downloads) and server.js
+ * (GET /api/transcription/sessions/:id/transcript), so it is written as an
+ * ES module without any DOM or Node dependencies.
+ *
+ * Every formatter takes segments in this shape:
+ * {
+ *   itemId: string,
+ *   startMs: number|null,   // audio_start_ms from input_audio_buffer.speech_started
+ *   endMs: number|null,     // audio_end_ms from input_audio_buffer.speech_stopped
+ *   text: string,
+ *   originalText: string|null, // The model's text when the server's post-processing changed it
+ *   logprobs: Array|null,   // [{token, logprob, bytes}] from the completed event
+ *   edited: boolean
+ * }
+ */
+
+import { wordsFromLogprobs, segmentConfidence, wordsMatchText } from './confidence.mjs';
+
+export const EXPORT_FORMATS = {
+  srt: { mimeType: 'application/x-subrip', extension: 'srt' },
+  vtt: { mimeType: 'text/vtt', extension: 'vtt' },
+  json: { mimeType: 'application/json', extension: 'json' },
+  txt: { mimeType: 'text/plain', extension: 'txt' }
+};
+
+// Used to estimate the duration of segments without timings (e.g. manual commits)
+const MS_PER_WORD = 400;
+const MIN_SEGMENT_MS = 1000;
+
+/**
+ * Fill in missing start/end times so every segment can be placed on a timeline
+ * @param {Object[]} segments Segments in transcript order
+ * @returns {Object[]} Copies of the segments with numeric startMs/endMs
+ */
+export function resolveTimings(segments) {
+  let previousEndMs = 0;
+
+  return segments.map(segment => {
+    const startMs = Number.isFinite(segment.startMs) ? segment.startMs : previousEndMs;
+    const words = segment.text.trim().split(/\s+/).filter(Boolean).length;
+    const estimatedEndMs = startMs + Math.max(MIN_SEGMENT_MS, words * MS_PER_WORD);
+    const endMs = Number.isFinite(segment.endMs) && segment.endMs > startMs ? segment.endMs : estimatedEndMs;
+
+    previousEndMs = endMs;
+    return { ...segment, startMs, endMs };
+  });
+}
+
+/**
+ * Format milliseconds as HH:MM:SS<separator>mmm
+ * @param {number} ms Time in milliseconds
+ * @param {string} separator ',' for SRT, '.' for WebVTT
+ * @returns {string} The timestamp
+ */
+export function formatTimestamp(ms, separator) {
+  const total = Math.max(0, Math.round(ms));
+  const hours = Math.floor(total / 3600000);
+  const minutes = Math.floor((total % 3600000) / 60000);
+  const seconds = Math.floor((total % 60000) / 1000);
+  const millis = total % 1000;
+  const pad = (value, length) => String(value).padStart(length, '0');
+  return `${pad(hours, 2)}:${pad(minutes, 2)}:${pad(seconds, 2)}${separator}${pad(millis, 3)}`;
+}
+
+/**
+ * @param {Object[]} segments Segments in transcript order
+ * @returns {string} SubRip subtitles
+ */
+export function toSrt(segments) {
+  return resolveTimings(segments)
+    .map((segment, i) => [
+      String(i + 1),
+      `${formatTimestamp(segment.startMs, ',')} --> ${formatTimestamp(segment.endMs, ',')}`,
+      segment.text.trim()
+    ].join('\n'))
+    .join('\n\n') + '\n';
+}
+
+/**
+ * @param {Object[]} segments Segments in transcript order
+ * @returns {string} WebVTT subtitles
+ */
+export function toVtt(segments) {
+  const cues = resolveTimings(segments)
+    .map(segment => [
+      segment.itemId,
+      `${formatTimestamp(segment.startMs, '.')} --> ${formatTimestamp(segment.endMs, '.')}`,
+      // "-->" is not allowed inside a cue payload
+      segment.text.trim().replace(/-->/g, '->')
+    ].join('\n'));
+  return ['WEBVTT', ...cues].join('\n\n') + '\n';
+}
+
+/**
+ * Confidence of a segment and its words, null for edited segments or without logprobs
+ * @param {Object} segment A segment in the export shape
+ * @returns {{confidence: number|null, words: Object[]|null}} Rounded probabilities
+ */
+export function confidenceOf(segment) {
+  if (segment.edited) {
+    return { confidence: null, words: null };
+  }
+
+  const round = value => Math.round(value * 1000) / 1000;
+  const confidence = segmentConfidence(segment.logprobs);
+  const words = wordsFromLogprobs(segment.logprobs);
+  return {
+    confidence: confidence === null ? null : round(confidence),
+    words: wordsMatchText(words, segment.text)
+      ? words.map(word => ({ text: word.text, confidence: round(word.probability) }))
+      : null
+  };
+}
+
+/**
+ * Keep segments at or above a confidence level
+ * @param {Object[]} segments Segments in the export shape
+ * @param {number} minConfidence Minimum confidence between 0 and 1 (0 keeps everything)
+ * @returns {Object[]} Matching segments; segments without a confidence (edited or no logprobs) are kept
+ */
+export function filterByConfidence(segments, minConfidence) {
+  if (!minConfidence) return segments;
+  return segments.filter(segment => {
+    const { confidence } = confidenceOf(segment);
+    return confidence === null || confidence >= minConfidence;
+  });
+}
+
+/**
+ * @param {Object[]} segments Segments in transcript order
+ * @param {Object} meta Session details to include (sessionId, model, language, ...)
+ * @returns {string} Structured JSON with timings, confidence and logprobs
+ */
+export function toJson(segments, meta = {}) {
+  return JSON.stringify({
+    ...meta,
+    exportedAt: new Date().toISOString(),
+    segments: resolveTimings(segments).map(segment => ({
+      itemId: segment.itemId,
+      startMs: segment.startMs,
+      endMs: segment.endMs,
+      text: segment.text,
+      // Only when the server's post-processing changed the model's text
+      ...(segment.originalText ? { originalText: segment.originalText } : {}),
+      edited: Boolean(segment.edited),
+      ...confidenceOf(segment),
+      logprobs: segment.logprobs || null
+    }))
+  }, null, 2);
+}
+
+/**
+ * @param {Object[]} segments Segments in transcript order
+ * @returns {string} Plain text, one segment per line
+ */
+export function toText(segments) {
+  return segments.map(segment => segment.text.trim()).filter(Boolean).join('\n') + '\n';
+}
+
+/**
+ * Render a transcript in one of the EXPORT_FORMATS
+ * @param {string} format 'srt', 'vtt', 'json' or 'txt'
+ * @param {Object[]} segments Segments in transcript order
+ * @param {Object} meta Session details for the JSON format
+ * @returns {{content: string, mimeType: string, extension: string}} The rendered transcript
+ */
+export function formatTranscript(format, segments, meta = {}) {
+  const descriptor = EXPORT_FORMATS[format];
+  if (!descriptor) {
+    throw new Error(`Unsupported export format: ${format}. Use one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+  }
+
+  const renderers = {
+    srt: () => toSrt(segments),
+    vtt: () => toVtt(segments),
+    json: () => toJson(segments, meta),
+    txt: () => toText(segments)
+  };
+
+  return { content: renderers[format](), ...descriptor };
+}
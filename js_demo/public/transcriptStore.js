@@ -0,0 +1,286 @@
+export default class TranscriptStore {
+  /**
+   * Ordered transcript segments, one per conversation item
+   *
+   * The realtime API transcribes each committed audio buffer as its own
+   * conversation item. Deltas and the final transcript for an item carry its
+   * item_id, and conversation.item.created links items together through
+   * previous_item_id. This store keeps one segment per item in conversation
+   * order, so later utterances never overwrite earlier ones.
+   *
+   * Segment shape:
+   * {
+   *   itemId, previousItemId,
+   *   interimText,   // Accumulated deltas
+   *   finalText,     // Transcript from the completed event (or a user edit)
+   *   originalText,  // The model's transcript when the server's post-processing changed it
+   *   status,        // 'in_progress' | 'completed' | 'failed'
+   *   edited,        // True once finalText was changed through editSegment
+   *   error,         // Error message for failed segments
+   *   startMs,       // audio_start_ms from speech_started (null without VAD)
+   *   endMs,         // audio_end_ms from speech_stopped (null without VAD)
+   *   logprobs,      // Token logprobs, from the deltas until the completed event replaces them
+   *   translations,  // Language code -> {text, error}, for sessions with translateTo
+   *   createdAt, updatedAt
+   * }
+   *
+   * @param {Function} onChange Called with the ordered segments whenever they change
+   */
+  constructor(onChange) {
+    this.onChange = onChange || (() => {});
+    this.segments = new Map();
+    this.order = [];
+    // Late events for deleted items must not bring them back
+    this.deletedItemIds = new Set();
+  }
+
+  /**
+   * Create a segment, or return the existing one for this item
+   * @param {string} itemId The conversation item ID
+   * @returns {Object} The segment
+   */
+  ensureSegment(itemId) {
+    let segment = this.segments.get(itemId);
+    if (!segment) {
+      const now = Date.now();
+      segment = {
+        itemId: itemId,
+        previousItemId: null,
+        interimText: '',
+        finalText: null,
+        originalText: null,
+        status: 'in_progress',
+        edited: false,
+        error: null,
+        startMs: null,
+        endMs: null,
+        logprobs: null,
+        translations: {},
+        createdAt: now,
+        updatedAt: now
+      };
+      this.segments.set(itemId, segment);
+      this.order.push(itemId);
+    }
+    return segment;
+  }
+
+  /**
+   * Place an item in conversation order (conversation.item.created)
+   * @param {string} itemId The conversation item ID
+   * @param {string|null} previousItemId The ID of the preceding item
+   */
+  addItem(itemId, previousItemId) {
+    if (this.deletedItemIds.has(itemId)) return;
+    const segment = this.ensureSegment(itemId);
+    segment.previousItemId = previousItemId || null;
+
+    // Move the segment right after its predecessor when we know it,
+    // otherwise it stays where it was first seen (end of the transcript)
+    if (previousItemId && this.segments.has(previousItemId)) {
+      this.order.splice(this.order.indexOf(itemId), 1);
+      this.order.splice(this.order.indexOf(previousItemId) + 1, 0, itemId);
+    }
+
+    this.notify();
+  }
+
+  /**
+   * Record where speech for an item starts in the session audio
+   * @param {string} itemId The conversation item ID
+   * @param {number} audioStartMs audio_start_ms from input_audio_buffer.speech_started
+   */
+  startSpeech(itemId, audioStartMs) {
+    if (this.deletedItemIds.has(itemId)) return;
+    const segment = this.ensureSegment(itemId);
+    segment.startMs = audioStartMs;
+    this.notify();
+  }
+
+  /**
+   * Record where speech for an item ends in the session audio
+   * @param {string} itemId The conversation item ID
+   * @param {number} audioEndMs audio_end_ms from input_audio_buffer.speech_stopped
+   */
+  stopSpeech(itemId, audioEndMs) {
+    if (this.deletedItemIds.has(itemId)) return;
+    const segment = this.ensureSegment(itemId);
+    segment.endMs = audioEndMs;
+    this.notify();
+  }
+
+  /**
+   * Append a transcription delta to a segment
+   * @param {string} itemId The conversation item ID
+   * @param {string} delta The text delta
+   * @param {Array|null} logprobs Token logprobs of the delta, if the session includes them
+   */
+  appendDelta(itemId, delta, logprobs = null) {
+    if (this.deletedItemIds.has(itemId)) return;
+    const segment = this.ensureSegment(itemId);
+    if (segment.status !== 'in_progress') return;
+
+    segment.interimText += delta;
+    if (Array.isArray(logprobs)) {
+      segment.logprobs = (segment.logprobs || []).concat(logprobs);
+    }
+    segment.updatedAt = Date.now();
+    this.notify();
+  }
+
+  /**
+   * Set the final transcript of a segment
+   * @param {string} itemId The conversation item ID
+   * @param {string} transcript The final transcript
+   * @param {Array|null} logprobs Token logprobs, if the session includes them
+   * @param {string|null} originalText The model's transcript if the server post-processed it
+   */
+  completeSegment(itemId, transcript, logprobs = null, originalText = null) {
+    if (this.deletedItemIds.has(itemId)) return;
+    const segment = this.ensureSegment(itemId);
+    // Keep the accumulated delta logprobs if the completed event has none
+    segment.logprobs = logprobs || segment.logprobs;
+    segment.originalText = originalText;
+    // A correction made by the user wins over the model's transcript
+    if (segment.edited) {
+      this.notify();
+      return;
+    }
+
+    segment.finalText = transcript;
+    segment.status = 'completed';
+    segment.updatedAt = Date.now();
+    this.notify();
+  }
+
+  /**
+   * Mark a segment as failed
+   * @param {string} itemId The conversation item ID
+   * @param {string} message The error message
+   */
+  failSegment(itemId, message) {
+    if (this.deletedItemIds.has(itemId)) return;
+    const segment = this.ensureSegment(itemId);
+    segment.status = 'failed';
+    segment.error = message;
+    segment.updatedAt = Date.now();
+    this.notify();
+  }
+
+  /**
+   * Set the translation of a segment into one language
+   * @param {string} itemId The conversation item ID
+   * @param {string} language ISO-639-1 code of the translation
+   * @param {string} text The translated text, empty if it failed
+   * @param {string|null} error The error message if the translation failed
+   */
+  setTranslation(itemId, language, text, error = null) {
+    if (this.deletedItemIds.has(itemId)) return;
+    const segment = this.ensureSegment(itemId);
+    segment.translations[language] = { text, error };
+    segment.updatedAt = Date.now();
+    this.notify();
+  }
+
+  /**
+   * @param {string} itemId The conversation item ID
+   * @returns {Object|null} The segment, or null if it does not exist
+   */
+  getSegment(itemId) {
+    return this.segments.get(itemId) || null;
+  }
+
+  /**
+   * @returns {Object[]} All segments in conversation order
+   */
+  getSegments() {
+    return this.order.map(itemId => this.segments.get(itemId));
+  }
+
+  /**
+   * @returns {Object[]} Completed segments in conversation order
+   */
+  getCompletedSegments() {
+    return this.getSegments().filter(segment => segment.status === 'completed');
+  }
+
+  /**
+   * Text of a segment: the final transcript once available, the deltas so far otherwise
+   * @param {Object} segment The segment
+   * @returns {string} The segment text
+   */
+  getSegmentText(segment) {
+    return segment.finalText !== null ? segment.finalText : segment.interimText;
+  }
+
+  /**
+   * @param {boolean} includeInProgress Whether to include segments still being transcribed
+   * @returns {string} The transcript as plain text, one segment per line
+   */
+  getText(includeInProgress = false) {
+    return this.getSegments()
+      .filter(segment => segment.status === 'completed' || (includeInProgress && segment.status === 'in_progress'))
+      .map(segment => this.getSegmentText(segment).trim())
+      .filter(Boolean)
+      .join('\n');
+  }
+
+  /**
+   * Completed segments in the shape expected by transcriptFormats.mjs
+   * @returns {Object[]} Segments with itemId, startMs, endMs, text, originalText, logprobs and edited
+   */
+  getExportSegments() {
+    return this.getCompletedSegments().map(segment => ({
+      itemId: segment.itemId,
+      startMs: segment.startMs,
+      endMs: segment.endMs,
+      text: segment.finalText,
+      originalText: segment.originalText,
+      logprobs: segment.logprobs,
+      edited: segment.edited
+    }));
+  }
+
+  /**
+   * Replace the text of a segment
+   * @param {string} itemId The conversation item ID
+   * @param {string} text The corrected text
+   * @returns {boolean} True if the segment exists and was updated
+   */
+  editSegment(itemId, text) {
+    const segment = this.segments.get(itemId);
+    if (!segment) return false;
+
+    segment.finalText = text;
+    segment.status = 'completed';
+    segment.edited = true;
+    segment.updatedAt = Date.now();
+    this.notify();
+    return true;
+  }
+
+  /**
+   * Remove a segment from the transcript
+   * @param {string} itemId The conversation item ID
+   * @returns {boolean} True if the segment existed
+   */
+  deleteSegment(itemId) {
+    if (!this.segments.delete(itemId)) return false;
+
+    this.deletedItemIds.add(itemId);
+    this.order.splice(this.order.indexOf(itemId), 1);
+    this.notify();
+    return true;
+  }
+
+  clear() {
+    this.segments.clear();
+    this.order = [];
+    this.deletedItemIds.clear();
+    this.notify();
+  }
+
+  notify() {
+    this.onChange(this.getSegments());
+  }
+}
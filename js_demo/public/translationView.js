@@ -0,0 +1,33 @@
+/**
+ * Translations of a segment, shown next to its text
+ *
+ * Sessions created with translateTo get conversation.item.translation.completed
+ * and .failed events from the server, one per segment and target language.
+ * The transcript store keeps them in segment.translations.
+ */
+
+/**
+ * @param {Object} segment A segment from the transcript store
+ * @returns {HTMLElement|null} The translations column, null if the segment has none
+ */
+export function createTranslationsElement(segment) {
+  const languages = Object.keys(segment.translations || {}).sort();
+  if (languages.length === 0) return null;
+
+  const container = document.createElement('div');
+  container.className = 'segment-translations';
+  languages.forEach(language => {
+    const { text, error } = segment.translations[language];
+    const line = document.createElement('div');
+    line.className = `segment-translation${error ? ' failed' : ''}`;
+    line.lang = language;
+
+    const label = document.createElement('span');
+    label.className = 'segment-translation-language';
+    label.textContent = language;
+    line.appendChild(label);
+    line.appendChild(document.createTextNode(error ? `[Translation failed: ${error}]` : text));
+    container.appendChild(line);
+  });
+  return container;
+}
@@ -0,0 +1,185 @@
+import TranscriptStore from './transcriptStore.js';
+import { createTranslationsElement } from './translationView.js';
+
+// Reconnect attempts after the connection dropped, with a growing delay
+const MAX_RECONNECTS = 5;
+const RECONNECT_DELAY_MS = 1000;
+
+// Close codes after which reconnecting is pointless (see libs/viewers.js)
+const FINAL_CLOSE_REASONS = {
+  1000: 'The session ended',
+  1013: 'Too many viewers, try again later',
+  4403: 'The share link was revoked',
+  4404: 'The session ended or the share link is no longer valid'
+};
+
+/**
+ * Viewer page: follows a shared session read-only through /ws/watch/:sessionId
+ *
+ * The link carries the session ID and the share token (?session=...&token=...).
+ * The server sends a transcript.snapshot first, then the transcript events.
+ */
+class WatchApp {
+  constructor() {
+    this.statusElement = document.getElementById('status');
+    this.sessionInfoElement = document.getElementById('sessionInfo');
+    this.transcriptionElement = document.getElementById('transcription');
+
+    const params = new URLSearchParams(location.search);
+    this.sessionId = params.get('session');
+    this.token = params.get('token');
+    this.reconnects = 0;
+    // Rendering waits until the whole snapshot is in the store
+    this.loadingSnapshot = false;
+    this.transcriptStore = new TranscriptStore(this.render.bind(this));
+
+    if (!this.sessionId || !this.token) {
+      this.setStatus('This link is incomplete, ask for a new one');
+      return;
+    }
+    this.connect();
+  }
+
+  connect() {
+    const protocol = location.protocol === 'https:' ? 'wss' : 'ws';
+    const socket = new WebSocket(`${protocol}://${location.host}/ws/watch/${encodeURIComponent(this.sessionId)}?token=${encodeURIComponent(this.token)}`);
+
+    socket.onopen = () => {
+      this.reconnects = 0;
+      this.setStatus('Watching');
+    };
+    socket.onmessage = (event) => {
+      try {
+        this.handleEvent(JSON.parse(event.data));
+      } catch (error) {
+        console.error('Error processing message:', error);
+      }
+    };
+    socket.onclose = (event) => {
+      const finalReason = FINAL_CLOSE_REASONS[event.code];
+      if (finalReason) {
+        this.setStatus(finalReason);
+        return;
+      }
+      // A failed upgrade (e.g. a revoked link) also ends up here, with 1006
+      if (this.reconnects >= MAX_RECONNECTS) {
+        this.setStatus('Connection lost');
+        return;
+      }
+      this.reconnects++;
+      this.setStatus(`Connection lost, reconnecting (${this.reconnects}/${MAX_RECONNECTS})...`);
+      setTimeout(() => this.connect(), RECONNECT_DELAY_MS * this.reconnects);
+    };
+  }
+
+  /**
+   * @param {Object} message An event from the server
+   */
+  handleEvent(message) {
+    const store = this.transcriptStore;
+    switch (message.type) {
+      case 'transcript.snapshot': {
+        // Sent on every (re)connect, it replaces what the page has
+        const { session, segments } = message;
+        this.sessionInfoElement.textContent = `${session.model} · ${session.language || 'auto'} · since ${new Date(session.createdAt).toLocaleTimeString()}`;
+        this.loadingSnapshot = true;
+        store.clear();
+        segments.forEach(segment => {
+          store.addItem(segment.itemId, null);
+          if (segment.startMs !== null) store.startSpeech(segment.itemId, segment.startMs);
+          if (segment.endMs !== null) store.stopSpeech(segment.itemId, segment.endMs);
+          if (segment.status === 'completed') {
+            store.completeSegment(segment.itemId, segment.text);
+          } else if (segment.status === 'failed') {
+            // The snapshot leaves out why a segment failed
+            store.failSegment(segment.itemId, 'Transcription failed');
+          } else if (segment.text) {
+            store.appendDelta(segment.itemId, segment.text);
+          }
+          for (const [language, translation] of Object.entries(segment.translations || {})) {
+            store.setTranslation(segment.itemId, language, translation.text, translation.error);
+          }
+        });
+        this.loadingSnapshot = false;
+        this.render(store.getSegments());
+        break;
+      }
+
+      case 'input_audio_buffer.speech_started':
+        store.startSpeech(message.item_id, message.audio_start_ms);
+        break;
+
+      case 'input_audio_buffer.speech_stopped':
+        store.stopSpeech(message.item_id, message.audio_end_ms);
+        break;
+
+      case 'conversation.item.created':
+        if (message.item?.id) {
+          store.addItem(message.item.id, message.previous_item_id);
+        }
+        break;
+
+      case 'conversation.item.input_audio_transcription.delta':
+        store.appendDelta(message.item_id, message.delta || '');
+        break;
+
+      case 'conversation.item.input_audio_transcription.completed':
+        store.completeSegment(message.item_id, message.transcript || '');
+        break;
+
+      case 'conversation.item.input_audio_transcription.failed':
+        store.failSegment(message.item_id, message.error?.message || 'Transcription failed');
+        break;
+
+      case 'conversation.item.translation.completed':
+        store.setTranslation(message.item_id, message.language, message.text || '');
+        break;
+
+      case 'conversation.item.translation.failed':
+        store.setTranslation(message.item_id, message.language, '', message.error?.message || 'Translation failed');
+        break;
+
+      case 'session.ended':
+        this.setStatus('The session ended');
+        break;
+    }
+  }
+
+  /**
+   * @param {Object[]} segments The transcript segments in conversation order
+   */
+  render(segments) {
+    if (this.loadingSnapshot) return;
+    // Follow the transcript unless the viewer scrolled up
+    const atBottom = window.innerHeight + window.scrollY >= document.body.scrollHeight - 40;
+    this.transcriptionElement.innerHTML = '';
+
+    segments.forEach(segment => {
+      const segmentElement = document.createElement('div');
+      segmentElement.className = `segment segment-${segment.status}`;
+      const textElement = document.createElement('span');
+      textElement.className = 'segment-text';
+      textElement.textContent = segment.status === 'failed'
+        ? `[Transcription failed: ${segment.error}]`
+        : this.transcriptStore.getSegmentText(segment) || '…';
+      segmentElement.appendChild(textElement);
+      const translationsElement = createTranslationsElement(segment);
+      if (translationsElement) {
+        segmentElement.appendChild(translationsElement);
+      }
+      this.transcriptionElement.appendChild(segmentElement);
+    });
+
+    if (atBottom) {
+      window.scrollTo(0, document.body.scrollHeight);
+    }
+  }
+
+  setStatus(text) {
+    this.statusElement.textContent = text;
+  }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  new WatchApp();
+});
@@ -1,338 +1,2198 @@
 require('dotenv').config();
 const http = require('http');
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
 const WebSocket = require('ws');
 const url = require('url');
-const openaiApi = require('./libs/openai');
+const providers = require('./libs/providers');
+const { validateSessionConfig } = require('./libs/sessionConfig');
+const { createMockUpstream, mockOptionsFromEnv } = require('./libs/mockUpstream');
+const { TranscriptCollector } = require('./libs/transcriptCollector');
+const recordings = require('./libs/recordings');
+const { PACING_MODES, prepareWavUpload, AudioFileStream } = require('./libs/fileStream');
+const { Authenticator, authOptionsFromEnv } = require('./libs/auth');
+const { UsageLedger, summarizeUsage, usageToCsv, isValidDay, pricesFromEnv } = require('./libs/ledger');
+const { QUOTA_EXCEEDED_CLOSE_CODE, LimitExceededError, UsageLimiter, audioDurationMs, limitsFromEnv } = require('./libs/limits');
+const { logger, configureLogging, loggingOptionsFromEnv } = require('./libs/logger');
+const { CONTENT_TYPE: METRICS_CONTENT_TYPE, MetricsRegistry } = require('./libs/metrics');
+const { StaticFiles, staticOptionsFromEnv } = require('./libs/staticFiles');
+const { ViewerGroup } = require('./libs/viewers');
+const { Translator, translationOptionsFromEnv } = require('./libs/translation');
+const { postProcessingFromEnv } = require('./libs/postProcessing');
+const { ProfileError, ProfileStore, applyProfile } = require('./libs/profiles');
 
 const PORT = process.env.PORT || 3000;
+const MOCK_UPSTREAM = process.env.MOCK_UPSTREAM === 'true';
+const MOCK_PORT = process.env.MOCK_PORT || 4010;
+
+// Run the bundled mock upstream in-process so the whole flow works offline
+if (MOCK_UPSTREAM) {
+  process.env.OPENAI_BASE_URL = `http://127.0.0.1:${MOCK_PORT}/v1`;
+  process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'mock';
+}
+
 const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
+const DEFAULT_PROVIDER = process.env.TRANSCRIPTION_PROVIDER || (OPENAI_API_KEY ? 'openai' : 'groq');
+
+// Session recordings (WAV + JSON sidecar), deleted after the retention period. Off unless
+// RECORDINGS_ENABLED=true, sessions then opt in with record.
+const RECORDINGS_ENABLED = process.env.RECORDINGS_ENABLED === 'true';
+const RECORDINGS_DIR = process.env.RECORDINGS_DIR || path.join(__dirname, 'recordings');
+const RECORDING_RETENTION_HOURS = Number(process.env.RECORDING_RETENTION_HOURS) || 72;
+
+// File uploads (POST /api/transcription/file)
+const MAX_UPLOAD_BYTES = Number(process.env.MAX_UPLOAD_BYTES) || 100 * 1024 * 1024;
+// Checked against the WAV header, decoding a long file takes a lot of memory
+const MAX_UPLOAD_DURATION_MS = (Number(process.env.MAX_UPLOAD_SECONDS) || 60 * 60) * 1000;
+const UPLOAD_TRAILING_SILENCE_MS = 2000;
+
+// A client that drops without a clean close can resume its session within the grace
+// period (POST /api/transcription/sessions/:id/resume), 0 turns resumption off
+const SESSION_RESUME_GRACE_MS = (process.env.SESSION_RESUME_GRACE_SECONDS !== undefined
+  ? Number(process.env.SESSION_RESUME_GRACE_SECONDS) : 30) * 1000;
+// Binary audio frames from the client are sent upstream in append events of about this length
+const BINARY_AUDIO_BATCH_MS = 100;
+// Upstream events kept for a detached client, and client messages kept while the upstream connects
+const MAX_PENDING_CLIENT_EVENTS = 1000;
+const MAX_UPSTREAM_QUEUE = 600;
+
+// On SIGTERM (or Ctrl+C) sessions get this long to receive their last transcripts
+const SHUTDOWN_DRAIN_MS = (process.env.SHUTDOWN_DRAIN_SECONDS !== undefined
+  ? Number(process.env.SHUTDOWN_DRAIN_SECONDS) : 10) * 1000;
+// GET /readyz checks the upstream at most this often, and gives up on it after the timeout
+const UPSTREAM_CHECK_TTL_MS = 30 * 1000;
+const UPSTREAM_CHECK_TIMEOUT_MS = 5000;
+
+// The browser app, nothing outside this directory is served
+const PUBLIC_DIR = path.join(__dirname, 'public');
+// Methods of the API, for CORS preflights
+const API_METHODS = 'GET, POST, PUT, DELETE, OPTIONS';
+
+// Usage ledger (one JSON line per finished session) for GET /api/usage
+const USAGE_LEDGER_PATH = process.env.USAGE_LEDGER_PATH || path.join(__dirname, 'data', 'usage-ledger.jsonl');
+// Where the access token generated without AUTH_USERS and AUTH_TOKENS is written (mode 0600)
+const GENERATED_TOKEN_PATH = process.env.GENERATED_TOKEN_PATH || path.join(__dirname, 'data', 'access-token');
+// Vocabulary and prompt profiles for /api/profiles
+const PROFILES_PATH = process.env.PROFILES_PATH || path.join(__dirname, 'data', 'profiles.json');
+
+// Request IDs passed in X-Request-Id are used if they look like one
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._-]{1,64}$/;
+
+// Login request bodies are tiny, anything bigger is not a login
+const MAX_LOGIN_BODY_BYTES = 10 * 1024;
+// A profile with the maximum prompt and terms fits comfortably, and so does a session config
+const MAX_PROFILE_BODY_BYTES = 64 * 1024;
+const MAX_SESSION_BODY_BYTES = 64 * 1024;
+
+// Close codes 1005 and 1006 are reserved for reporting and cannot be sent,
+// map them (and anything else out of range) to a generic server error
+function toClientCloseCode(code) {
+  const isSendable = (code >= 1000 && code <= 1003) || (code >= 1007 && code <= 1014) || (code >= 3000 && code <= 4999);
+  return isSendable ? code : 1011;
+}
+
+// Read a JSON request body of at most maxBytes, an empty body is {}.
+// Rejects with an error carrying the status to respond with (400 or 413).
+function readJsonBody(req, maxBytes) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    let done = false;
+    req.on('data', (chunk) => {
+      if (done) return;
+      size += chunk.length;
+      if (size > maxBytes) {
+        done = true;
+        reject(Object.assign(new Error('Request body too large'), { statusCode: 413 }));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      if (done) return;
+      done = true;
+      try {
+        resolve(size > 0 ? JSON.parse(Buffer.concat(chunks).toString()) : {});
+      } catch (e) {
+        reject(Object.assign(new Error('Request body must be valid JSON'), { statusCode: 400 }));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+// Helper function to send a JSON response
+function sendJson(res, statusCode, data) {
+  res.writeHead(statusCode, {
+    'Content-Type': 'application/json'
+  });
+  res.end(JSON.stringify(data));
+}
+
+// Decode a segment of the URL path, null when it has a malformed percent escape
+function decodePathSegment(segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch (error) {
+    if (error instanceof URIError) return null;
+    throw error;
+  }
+}
+
+// Decode a route parameter, answering 400 and returning null when it is malformed
+function decodeRouteParam(res, segment) {
+  const value = decodePathSegment(segment);
+  if (value === null) {
+    sendJson(res, 400, { error: 'Malformed URL path' });
+  }
+  return value;
+}
+
+// Log level, format and redaction (see libs/logger.js for the variables)
+// Users and API tokens allowed to use the proxy (see libs/auth.js for the variables)
+// Per-user session and audio limits (see libs/limits.js for the variables)
+// Caching of the browser app (see libs/staticFiles.js for the variables)
+// Translation of completed segments (see libs/translation.js for the variables)
+// Transcript post-processing pipeline (see libs/postProcessing.js for the variables)
+let auth;
+let limiter;
+let usagePrices;
+let staticFiles;
+let translator;
+let postProcessing;
+try {
+  configureLogging(loggingOptionsFromEnv(process.env));
+  auth = new Authenticator(authOptionsFromEnv(process.env));
+  limiter = new UsageLimiter(limitsFromEnv(process.env));
+  usagePrices = pricesFromEnv(process.env);
+  staticFiles = new StaticFiles(PUBLIC_DIR, {
+    aliases: { '/': 'index.html', '/admin': 'admin.html', '/watch': 'watch.html' },
+    ...staticOptionsFromEnv(process.env)
+  });
+  const translationOptions = translationOptionsFromEnv(process.env);
+  translator = translationOptions ? new Translator(translationOptions) : null;
+  postProcessing = postProcessingFromEnv(process.env);
+} catch (error) {
+  logger.error(`Invalid configuration: ${error.message}`);
+  process.exit(1);
+}
+
+// Credentials never show up in the logs, the generated access token is only written to
+// GENERATED_TOKEN_PATH and the terminal (see showGeneratedToken)
+logger.addSecrets([
+  process.env.OPENAI_API_KEY,
+  process.env.GROQ_API_KEY,
+  process.env.TRANSLATION_API_KEY,
+  process.env.POST_PROCESSING_API_KEY,
+  process.env.AUTH_SECRET,
+  ...auth.users.map(user => user.secret),
+  ...auth.tokens.map(token => token.secret)
+]);
+
+// Hand the generated access token to whoever started the server, outside the logs:
+// in a file only the server's user can read, and on the terminal if there is one
+function showGeneratedToken() {
+  try {
+    fs.mkdirSync(path.dirname(GENERATED_TOKEN_PATH), { recursive: true });
+    fs.writeFileSync(GENERATED_TOKEN_PATH, `${auth.generatedToken}\n`, { mode: 0o600 });
+    // The mode only applies to new files
+    fs.chmodSync(GENERATED_TOKEN_PATH, 0o600);
+    logger.warn(`No AUTH_USERS or AUTH_TOKENS configured, generated an access token for this run in ${GENERATED_TOKEN_PATH}`);
+  } catch (error) {
+    logger.error(`Cannot write the generated access token to ${GENERATED_TOKEN_PATH}: ${error.message}`);
+  }
+  if (process.stdout.isTTY) {
+    process.stdout.write(`\nAccess token for this run: ${auth.generatedToken}\n\n`);
+  }
+}
+
+// Sessions, transcripts, recordings and usage are their owner's, admins can get at everyone's
+function canAccess(req, owner) {
+  return req.user.admin || owner === req.user.name;
+}
+
+// Limits apply per user, or per IP address when authentication is disabled
+function getLimitKey(req) {
+  return req.user.method === 'none' ? `ip:${req.socket.remoteAddress}` : `user:${req.user.name}`;
+}
+
+const usageLedger = new UsageLedger(USAGE_LEDGER_PATH);
+
+// Respond with 429, telling the client when to retry if that is known
+function sendLimitExceeded(res, error) {
+  if (error.retryAfterSeconds !== null) {
+    res.setHeader('Retry-After', String(error.retryAfterSeconds));
+  }
+  sendJson(res, 429, { error: error.message, limit: error.limit, retryAfterSeconds: error.retryAfterSeconds });
+}
+
+// Prometheus metrics for GET /metrics
+const metrics = new MetricsRegistry();
+metrics.gauge({
+  name: 'transcription_active_sessions',
+  help: 'Sessions in activeConnections: pending (not connected yet), connected or detached (waiting for a resume)',
+  labelNames: ['provider', 'state'],
+  collect: () => {
+    const counts = new Map();
+    for (const connection of activeConnections.values()) {
+      const key = `${connection.config.provider}\n${getConnectionState(connection)}`;
+      counts.set(key, (counts.get(key) || 0) + 1);
+    }
+    return Array.from(counts, ([key, value]) => {
+      const [provider, state] = key.split('\n');
+      return { labels: { provider, state }, value };
+    });
+  }
+});
+const sessionsCreated = metrics.counter({
+  name: 'transcription_sessions_created_total',
+  help: 'Sessions created with the upstream provider',
+  labelNames: ['provider']
+});
+const sessionsFailed = metrics.counter({
+  name: 'transcription_sessions_failed_total',
+  help: 'Session requests that failed: invalid_config, rate_limited or upstream_error',
+  labelNames: ['provider', 'reason']
+});
+const upstreamCloses = metrics.counter({
+  name: 'transcription_upstream_closes_total',
+  help: 'Upstream WebSocket closes by close code',
+  labelNames: ['provider', 'code']
+});
+const relayedBytes = metrics.counter({
+  name: 'transcription_relayed_bytes_total',
+  help: 'WebSocket message bytes relayed to_upstream and to_client',
+  labelNames: ['provider', 'direction']
+});
+const relayedAudioSeconds = metrics.counter({
+  name: 'transcription_relayed_audio_seconds_total',
+  help: 'Seconds of audio relayed, only to_upstream carries audio',
+  labelNames: ['provider', 'direction']
+});
+const sessionReadySeconds = metrics.histogram({
+  name: 'transcription_session_ready_seconds',
+  help: 'Time from creating an upstream session to its transcription_session.created event',
+  labelNames: ['provider'],
+  buckets: [0.1, 0.25, 0.5, 1, 2.5, 5, 10]
+});
+const transcriptionLatencySeconds = metrics.histogram({
+  name: 'transcription_latency_seconds',
+  help: 'Time from input_audio_buffer.speech_stopped to the completed transcript of the item',
+  labelNames: ['provider'],
+  buckets: [0.1, 0.25, 0.5, 1, 2, 4, 8, 15]
+});
+const postProcessingSeconds = metrics.histogram({
+  name: 'transcription_post_processing_seconds',
+  help: 'Time the post-processing pipeline took for a completed segment'
+});
+const translationsTotal = metrics.counter({
+  name: 'transcription_translations_total',
+  help: 'Segment translations by result: completed or failed',
+  labelNames: ['result']
+});
+const translationLatencySeconds = metrics.histogram({
+  name: 'transcription_translation_latency_seconds',
+  help: 'Time from the completed transcript of an item to one of its translations'
+});
+
+// Register the transcription providers that have an API key configured
+providers.registerDefaultProviders(process.env);
+
+if (providers.listProviders().length === 0) {
+  logger.error('No transcription provider is configured');
+  logger.error('Set OPENAI_API_KEY and/or GROQ_API_KEY in environment variables or .env file and restart the server');
+  process.exit(1);
+}
+
+// A profile's model has to be one of its provider's (the default provider if it names none).
+// Looked up on use, providers with an invalid key are dropped after startup.
+const profileStore = new ProfileStore(PROFILES_PATH, {
+  resolveModels: name => {
+    const provider = providers.getProvider(name === null ? DEFAULT_PROVIDER : name);
+    return provider ? provider.capabilities.models : null;
+  }
+});
+
+// Start the mock upstream first when enabled, the providers validate their keys against it
+function startMockUpstream() {
+  if (!MOCK_UPSTREAM) {
+    return Promise.resolve();
+  }
+  const mockUpstream = createMockUpstream(mockOptionsFromEnv(process.env));
+  return mockUpstream.listen(MOCK_PORT).then(baseUrl => {
+    logger.info(`Mock upstream running at ${baseUrl}`);
+  });
+}
+
+// Validate provider API keys on startup, dropping providers with invalid keys
+startMockUpstream()
+  .then(() => {
+    logger.info('Starting API key validation...');
+    return Promise.all(providers.listProviders().map(provider =>
+      provider.validateApiKey().then(isValid => ({ provider, isValid }))
+    ));
+  })
+  .then(results => {
+    for (const { provider, isValid } of results) {
+      if (isValid) {
+        logger.info(`API key for provider ${provider.name} validated successfully`);
+      } else {
+        logger.warn(`The API key for provider ${provider.name} is invalid, disabling it`);
+        providers.unregisterProvider(provider.name);
+      }
+    }
+    
+    if (!providers.getProvider(DEFAULT_PROVIDER)) {
+      logger.error(`Default provider ${DEFAULT_PROVIDER} is not available`);
+      logger.error('Please check the API keys or TRANSCRIPTION_PROVIDER and restart the server');
+      process.exit(1);
+    }
+    
+    // Start server only if the default provider is usable
+    startServer();
+  })
+  .catch(error => {
+    logger.error(`Error validating API keys: ${error.message}`);
+    logger.error('Please check your internet connection and restart the server');
+    process.exit(1);
+  });
+
+// Store active WebSocket connections
+const activeConnections = new Map();
+
+// Set on SIGTERM, see shutdown() in startServer
+const startedAt = Date.now();
+let shuttingDown = false;
+
+// Transcripts of finished sessions, kept for export (24 hour ttl)
+const finishedSessions = new Map();
+const FINISHED_SESSION_TTL = 24 * 60 * 60 * 1000;
+
+// Move a closed connection's transcript to the finished sessions
+// Resolves once the recording and the usage are written
+function archiveSession(connection) {
+  connection.releaseSession();
+  if (finishedSessions.has(connection.sessionId)) return Promise.resolve();
+  const recordingSaved = connection.recorder ? finishRecording(connection) : null;
+  finishedSessions.set(connection.sessionId, {
+    sessionId: connection.sessionId,
+    user: connection.user,
+    config: connection.config,
+    transcript: connection.transcript,
+    created: connection.created,
+    finished: Date.now()
+  });
+  connection.logger.info('Archived transcript');
+  return Promise.all([recordingSaved, recordUsage(connection)]);
+}
+
+// Add a finished session to the usage ledger
+function recordUsage(connection) {
+  const segments = connection.transcript.getSegments();
+  return usageLedger.record({
+    sessionId: connection.sessionId,
+    user: connection.user,
+    provider: connection.config.provider,
+    model: connection.config.model,
+    language: connection.config.language,
+    source: connection.upload ? 'file' : 'microphone',
+    connectedAt: new Date(connection.connectedAt).toISOString(),
+    disconnectedAt: new Date().toISOString(),
+    audioSeconds: Math.round(connection.audioMs) / 1000,
+    segmentCount: segments.filter(segment => segment.status === 'completed').length,
+    errorCount: connection.errorCount
+  }).catch(error => {
+    connection.logger.error(`Error writing usage: ${error.message}`);
+  });
+}
+
+// Cached result of the upstream check for GET /readyz, shared by concurrent probes
+let upstreamCheck = null;
+
+// Check that the providers' APIs can be reached with the configured keys
+function checkUpstreams() {
+  if (upstreamCheck && (upstreamCheck.pending || Date.now() - upstreamCheck.checkedAt < UPSTREAM_CHECK_TTL_MS)) {
+    return upstreamCheck.result;
+  }
+  
+  const check = { pending: true, checkedAt: 0 };
+  check.result = Promise.all(providers.listProviders().map(provider => {
+    const timeout = new Promise(resolve => setTimeout(resolve, UPSTREAM_CHECK_TIMEOUT_MS, false).unref());
+    return Promise.race([provider.validateApiKey().catch(() => false), timeout])
+      .then(reachable => [provider.name, reachable]);
+  })).then(entries => {
+    const reachable = Object.fromEntries(entries);
+    check.pending = false;
+    check.checkedAt = Date.now();
+    // The other providers are optional, the default one has to work
+    return { ok: reachable[DEFAULT_PROVIDER] === true, providers: reachable, checkedAt: new Date(check.checkedAt).toISOString() };
+  });
+  upstreamCheck = check;
+  return check.result;
+}
+
+// pending: not connected yet, connected, or detached: waiting for a resume
+function getConnectionState(connection) {
+  return !connection.connectedAt ? 'pending' : connection.clientWs ? 'connected' : 'detached';
+}
+
+// A live session for GET /api/sessions, with more details for GET /api/sessions/:id
+function describeConnection(connection, detailed = false) {
+  const now = Date.now();
+  const summary = {
+    sessionId: connection.sessionId,
+    user: connection.user,
+    state: getConnectionState(connection),
+    provider: connection.config.provider,
+    model: connection.config.model,
+    language: connection.config.language,
+    source: connection.upload ? 'file' : 'microphone',
+    createdAt: new Date(connection.created).toISOString(),
+    connectedAt: connection.connectedAt ? new Date(connection.connectedAt).toISOString() : null,
+    ageSeconds: Math.round((now - connection.created) / 1000),
+    audioSeconds: Math.round(connection.audioMs) / 1000,
+    segmentCount: connection.transcript.getSegments().filter(segment => segment.status === 'completed').length,
+    errorCount: connection.errorCount
+  };
+  if (!detailed) return summary;
+  
+  return {
+    ...summary,
+    config: connection.config,
+    recording: Boolean(connection.recorder),
+    upload: connection.upload ? { durationMs: connection.upload.durationMs, pacing: connection.upload.pacing } : null,
+    clients: connection.clientCount,
+    upstreamConnected: isUpstreamUsable(connection),
+    upstreamRecreated: connection.upstreamRecreated,
+    pendingTranscripts: connection.pendingItems.size,
+    pendingTranslations: connection.pendingTranslations,
+    shared: connection.viewers.isShared,
+    viewers: connection.viewers.size,
+    resumableUntil: connection.detachedAt ? new Date(connection.detachedAt + SESSION_RESUME_GRACE_MS).toISOString() : null
+  };
+}
+
+// Drop sessions whose connection ID expired before the client connected, they can never be used
+function removeAbandonedConnections() {
+  let count = 0;
+  for (const [connectionId, connection] of activeConnections.entries()) {
+    if (!connection.connectedAt && !auth.verifyConnectionId(connectionId)) {
+      connection.logger.info('Removing abandoned connection');
+      connection.releaseSession();
+      activeConnections.delete(connectionId);
+      count++;
+    }
+  }
+  return count;
+}
+
+// Count relayed audio against the user's daily quota, closing the session once it is used up
+function countAudio(connection, audio) {
+  const durationMs = audioDurationMs(audio.length, connection.config.inputAudioFormat);
+  connection.audioMs += durationMs;
+  connection.uncommittedAudioMs += durationMs;
+  relayedAudioSeconds.inc({ provider: connection.config.provider, direction: 'to_upstream' }, durationMs / 1000);
+  if (limiter.addAudio(connection.limitKey, durationMs)) {
+    return true;
+  }
+  connection.logger.warn(`Daily audio quota used up for ${connection.limitKey}, closing session`);
+  endSession(connection, QUOTA_EXCEEDED_CLOSE_CODE, 'Daily audio quota exceeded');
+  return false;
+}
+
+// Write the final WAV header and the transcript sidecar of a recorded session
+function finishRecording(connection) {
+  return connection.recorder.finish(connection.transcript.getExportSegments())
+    .then(sidecar => {
+      connection.logger.info(`Saved recording (${sidecar.durationMs} ms)`);
+    })
+    .catch(error => {
+      connection.logger.error(`Error saving recording: ${error.message}`);
+    });
+}
+
+// Delete recordings older than the retention period
+function pruneRecordings() {
+  recordings.pruneRecordings(RECORDINGS_DIR, RECORDING_RETENTION_HOURS * 60 * 60 * 1000)
+    .then(count => {
+      if (count > 0) {
+        logger.info(`Deleted ${count} expired recordings`);
+      }
+    })
+    .catch(error => {
+      logger.error(`Error pruning recordings: ${error.message}`);
+    });
+}
+
+function getWsUrl(req, connectionId) {
+  return `ws://${req.headers.host}/ws/transcription/${connectionId}`;
+}
+
+// The viewer page and the viewers' WebSocket for a shared session
+function getShareUrls(req, connection) {
+  const sessionId = encodeURIComponent(connection.sessionId);
+  const token = encodeURIComponent(connection.viewers.token);
+  return {
+    viewerUrl: `http://${req.headers.host}/watch?session=${sessionId}&token=${token}`,
+    wsUrl: `ws://${req.headers.host}/ws/watch/${sessionId}?token=${token}`
+  };
+}
+
+// The live (not finished) connection of a session
+function findSession(sessionId) {
+  return Array.from(activeConnections.values()).find(c => c.sessionId === sessionId && !c.finished) || null;
+}
+
+// The transcript so far, the first event a viewer gets
+function createViewerSnapshot(connection) {
+  return {
+    type: 'transcript.snapshot',
+    session: {
+      sessionId: connection.sessionId,
+      model: connection.config.model,
+      language: connection.config.language,
+      createdAt: new Date(connection.created).toISOString()
+    },
+    segments: connection.transcript.getSegments().map(segment => ({
+      itemId: segment.itemId,
+      startMs: segment.startMs,
+      endMs: segment.endMs,
+      text: segment.text,
+      status: segment.status,
+      translations: segment.translations
+    }))
+  };
+}
+
+// Validate a session request, create the upstream session and register the connection.
+// Responds with 400 and resolves to null when the request is invalid, otherwise resolves
+// to the response data for the client ({sessionId, wsUrl, config}). prepare(config) runs
+// once the request passed the checks and before the upstream session is created, it
+// resolves to extra connection state, or to null when it responded itself.
+async function createConnection(requestData, req, res, prepare = null) {
+  // Fill in the provider, language, model and prompt of the selected profile
+  if (requestData && requestData.profile !== undefined && requestData.profile !== null) {
+    const profile = typeof requestData.profile === 'string' ? await profileStore.get(requestData.profile) : null;
+    if (!profile) {
+      req.logger.warn(`Rejected session request for unknown profile: ${requestData.profile}`);
+      // The profile would have picked the provider
+      sessionsFailed.inc({ provider: 'unknown', reason: 'invalid_config' });
+      sendJson(res, 400, { error: 'Invalid session config', details: [`Unknown profile: ${requestData.profile}`] });
+      return null;
+    }
+    requestData = applyProfile(requestData, profile);
+  }
+  
+  // Pick the transcription provider for this session
+  const providerName = requestData && requestData.provider !== undefined ? requestData.provider : DEFAULT_PROVIDER;
+  const provider = providers.getProvider(providerName);
+  if (!provider) {
+    const available = providers.listProviders().map(p => p.name).join(', ');
+    req.logger.warn(`Rejected session request for unknown provider: ${providerName}`);
+    // Provider names from requests are not used as labels
+    sessionsFailed.inc({ provider: 'unknown', reason: 'invalid_config' });
+    sendJson(res, 400, { error: 'Invalid session config', details: [`provider must be one of: ${available}`] });
+    return null;
+  }
+  
+  // Validate the session config and fill in defaults
+  const { config, errors } = validateSessionConfig(requestData, provider);
+  if (errors.length > 0) {
+    req.logger.warn(`Rejected session config: ${errors.join('; ')}`);
+    sessionsFailed.inc({ provider: provider.name, reason: 'invalid_config' });
+    sendJson(res, 400, { error: 'Invalid session config', details: errors });
+    return null;
+  }
+  
+  if (config.record && !RECORDINGS_ENABLED) {
+    req.logger.warn('Rejected session config: recording is disabled');
+    sessionsFailed.inc({ provider: provider.name, reason: 'invalid_config' });
+    sendJson(res, 400, { error: 'Invalid session config', details: ['record is disabled on this server'] });
+    return null;
+  }
+  
+  if (config.translateTo.length > 0 && !translator) {
+    req.logger.warn('Rejected session config: translation is not configured');
+    sessionsFailed.inc({ provider: provider.name, reason: 'invalid_config' });
+    sendJson(res, 400, { error: 'Invalid session config', details: ['translateTo is not available, translation is not configured on this server'] });
+    return null;
+  }
+  
+  // Count the session before spending an upstream session on it
+  const limitKey = getLimitKey(req);
+  removeAbandonedConnections();
+  let releaseSession;
+  try {
+    releaseSession = limiter.startSession(limitKey);
+  } catch (error) {
+    if (!(error instanceof LimitExceededError)) throw error;
+    req.logger.warn(`Rejected session request from ${limitKey}: ${error.message}`);
+    sessionsFailed.inc({ provider: provider.name, reason: 'rate_limited' });
+    sendLimitExceeded(res, error);
+    return null;
+  }
+  
+  let extra = {};
+  if (prepare) {
+    try {
+      extra = await prepare(config);
+    } catch (error) {
+      releaseSession();
+      throw error;
+    }
+    if (!extra) {
+      releaseSession();
+      return null;
+    }
+  }
+  
+  req.logger.info('Creating transcription session', { config });
+  // Create a session with the selected provider
+  let session;
+  const upstreamStartedAt = Date.now();
+  try {
+    session = await provider.createSession(config);
+  } catch (error) {
+    releaseSession();
+    sessionsFailed.inc({ provider: provider.name, reason: error.statusCode === 429 ? 'rate_limited' : 'upstream_error' });
+    throw error;
+  }
+  sessionsCreated.inc({ provider: provider.name });
+  
+  // Signed and short-lived, the WebSocket upgrade is rejected for anything else
+  const connectionId = auth.createConnectionId();
+  req.logger.info('Created transcription session', { sessionId: session.sessionId });
+  
+  // Store the session info for when the WebSocket connects
+  activeConnections.set(connectionId, {
+    sessionId: session.sessionId,
+    // Every line about the session carries its ID
+    logger: logger.child({ sessionId: session.sessionId }),
+    user: req.user.name,
+    limitKey: limitKey,
+    releaseSession: releaseSession,
+    // Usage for the ledger
+    audioMs: 0,
+    errorCount: 0,
+    // Relay state, see attachClient and connectUpstream
+    connectionId: connectionId,
+    pendingConnectionId: connectionId,
+    clientWs: null,
+    upstreamWs: null,
+    upstreamQueue: [],
+    pendingClientEvents: [],
+    detachedAt: null,
+    graceTimer: null,
+    clientCount: 0,
+    upstreamRecreated: false,
+    // For the metrics: when the upstream session was requested, and item ID -> speech_stopped time
+    upstreamStartedAt: upstreamStartedAt,
+    speechStoppedAt: new Map(),
+    // Audio not committed yet and committed items still waiting for a transcript,
+    // a draining session is done when both are gone (see drainConnection)
+    uncommittedAudioMs: 0,
+    pendingItems: new Set(),
+    awaitingCommit: false,
+    // Translations requested and not answered yet, see translateSegment
+    pendingTranslations: 0,
+    draining: false,
+    // Binary audio from the client waiting to be sent upstream, see queueBinaryAudio
+    binaryAudio: [],
+    binaryAudioMs: 0,
+    binaryAudioTimer: null,
+    finishOnClose: false,
+    finished: false,
+    clientSecret: session.clientSecret,
+    config: config,
+    transcript: new TranscriptCollector(),
+    // Rewrites deltas and completed segments before they are relayed, see libs/postProcessing.js
+    postProcessor: postProcessing ? postProcessing.createSession() : null,
+    // Post-processed events are relayed one after the other, see queueUpstreamEvent
+    relayQueue: Promise.resolve(),
+    // Read-only subscribers through a share link, see libs/viewers.js
+    viewers: new ViewerGroup(),
+    created: Date.now(),
+    ...extra
+  });
+  
+  // Create WebSocket URL with connection ID
+  const wsUrl = getWsUrl(req, connectionId);
+  
+  // Return session info and WebSocket URL to the client
+  const responseData = {
+    sessionId: session.sessionId,
+    wsUrl: wsUrl,
+    config: config
+  };
+  return responseData;
+}
+
+// Send an uploaded file into the upstream session and report progress to the client
+function startFileStream(connection) {
+  const upload = connection.upload;
+  const { turnDetection } = connection.config;
+  // With VAD, trailing silence lets the last utterance end on its own
+  upload.stream = new AudioFileStream(upload.audio, {
+    format: connection.config.inputAudioFormat,
+    pacing: upload.pacing,
+    trailingSilenceMs: turnDetection ? (turnDetection.silenceDurationMs || 0) + UPLOAD_TRAILING_SILENCE_MS : 0
+  });
+  
+  upload.stream.on('progress', ({ sentMs, durationMs }) => {
+    sendToClient(connection, JSON.stringify({ type: 'file_stream.progress', sent_ms: sentMs, duration_ms: durationMs }));
+  });
+  
+  upload.stream.on('end', ({ durationMs }) => {
+    upload.audio = null;
+    // Without turn detection nothing is transcribed until the buffer is committed
+    if (!turnDetection) {
+      sendToUpstream(connection, JSON.stringify({ type: 'input_audio_buffer.commit' }));
+    }
+    connection.logger.info(`Finished streaming ${durationMs} ms file upload`);
+    sendToClient(connection, JSON.stringify({ type: 'file_stream.completed', duration_ms: durationMs }));
+  });
+  
+  connection.logger.info(`Streaming ${upload.durationMs} ms file upload (pacing: ${upload.pacing})`);
+  upload.stream.start((chunk) => {
+    if (!isUpstreamUsable(connection) || !countAudio(connection, chunk)) {
+      upload.stream.stop();
+      return;
+    }
+    if (connection.recorder) {
+      connection.recorder.write(chunk);
+    }
+    sendToUpstream(connection, JSON.stringify({ type: 'input_audio_buffer.append', audio: chunk.toString('base64') }));
+  });
+}
+
+function isUpstreamUsable(connection) {
+  const upstreamWs = connection.upstreamWs;
+  return Boolean(upstreamWs) && (upstreamWs.readyState === WebSocket.OPEN || upstreamWs.readyState === WebSocket.CONNECTING);
+}
+
+// Forward a message to the client, keeping it for replay while the client is detached
+function sendToClient(connection, message) {
+  const ws = connection.clientWs;
+  if (ws && ws.readyState === WebSocket.OPEN) {
+    ws.send(message);
+    return true;
+  }
+  if (connection.detachedAt) {
+    if (connection.pendingClientEvents.length >= MAX_PENDING_CLIENT_EVENTS) {
+      connection.pendingClientEvents.shift();
+    }
+    connection.pendingClientEvents.push(message);
+    return true;
+  }
+  return false;
+}
+
+function countRelayedBytes(connection, direction, message) {
+  const bytes = typeof message === 'string' ? Buffer.byteLength(message) : message.length;
+  relayedBytes.inc({ provider: connection.config.provider, direction }, bytes);
+}
+
+// Observe the session and transcription latency metrics for an upstream event
+function observeUpstreamEvent(connection, event) {
+  const labels = { provider: connection.config.provider };
+  const now = Date.now();
+  if ((event.type === 'transcription_session.created' || event.type === 'session.created') && connection.upstreamStartedAt) {
+    sessionReadySeconds.observe(labels, (now - connection.upstreamStartedAt) / 1000);
+    connection.upstreamStartedAt = null;
+  } else if (event.type === 'input_audio_buffer.speech_stopped' && event.item_id) {
+    connection.speechStoppedAt.set(event.item_id, now);
+  } else if (event.type === 'conversation.item.input_audio_transcription.completed' && connection.speechStoppedAt.has(event.item_id)) {
+    transcriptionLatencySeconds.observe(labels, (now - connection.speechStoppedAt.get(event.item_id)) / 1000);
+    connection.speechStoppedAt.delete(event.item_id);
+  } else if (event.type === 'conversation.item.input_audio_transcription.failed') {
+    connection.speechStoppedAt.delete(event.item_id);
+  }
+}
+
+// Follow the turns of a session, so a shutdown knows which transcripts are still to come
+function trackPendingTranscripts(connection, event) {
+  switch (event.type) {
+    case 'input_audio_buffer.committed':
+      connection.uncommittedAudioMs = 0;
+      connection.awaitingCommit = false;
+      connection.pendingItems.add(event.item_id);
+      break;
+    case 'input_audio_buffer.cleared':
+      connection.uncommittedAudioMs = 0;
+      break;
+    case 'conversation.item.input_audio_transcription.completed':
+    case 'conversation.item.input_audio_transcription.failed':
+      connection.pendingItems.delete(event.item_id);
+      break;
+    case 'error':
+      // Most likely the commit was rejected, e.g. for too little audio
+      connection.awaitingCommit = false;
+      break;
+  }
+}
+
+// Update the session from an upstream event and forward the message to the client
+function relayUpstreamEvent(connection, event, message) {
+  if (event) {
+    connection.transcript.handleEvent(event);
+    connection.viewers.broadcast(event);
+    observeUpstreamEvent(connection, event);
+    trackPendingTranscripts(connection, event);
+    if (event.type === 'conversation.item.input_audio_transcription.completed') {
+      translateSegment(connection, event);
+    }
+    if (event.type === 'error' || event.type === 'conversation.item.input_audio_transcription.failed') {
+      connection.errorCount++;
+    }
+  }
+  
+  if (!sendToClient(connection, message)) {
+    connection.logger.warn('Cannot forward message, client WebSocket not open');
+  }
+}
+
+// Run transcription deltas and completed segments through the post-processing pipeline.
+// Resolves to the event and message to relay, or null while a delta is held back until
+// its word is complete. Other events (and binary messages) are passed on unchanged.
+async function postProcessUpstreamEvent(connection, event, message) {
+  const processor = connection.postProcessor;
+  switch (event && event.type) {
+    case 'conversation.item.input_audio_transcription.delta': {
+      const processed = processor.processDelta(event);
+      return processed ? { event: processed, message: JSON.stringify(processed) } : null;
+    }
+    
+    case 'conversation.item.input_audio_transcription.completed': {
+      const startedAt = Date.now();
+      let processed;
+      try {
+        processed = await processor.processCompleted(event);
+      } catch (error) {
+        connection.logger.error(`Post-processing of item ${event.item_id} failed: ${error.message}`);
+        processed = event;
+      }
+      postProcessingSeconds.observe({}, (Date.now() - startedAt) / 1000);
+      return { event: processed, message: processed === event ? message : JSON.stringify(processed) };
+    }
+    
+    case 'conversation.item.input_audio_transcription.failed':
+      processor.discard(event.item_id);
+      break;
+  }
+  return { event, message };
+}
+
+// Relay an upstream event of a post-processed session. The events are queued per session:
+// a completed segment waiting for the pipeline (e.g. an llm processor) holds back the events
+// after it, so the client gets everything in the upstream's order.
+function queueUpstreamEvent(connection, event, message) {
+  connection.relayQueue = connection.relayQueue
+    .then(() => postProcessUpstreamEvent(connection, event, message))
+    .then(relay => {
+      // The session may have ended while the pipeline ran
+      if (relay && !connection.finished) {
+        relayUpstreamEvent(connection, relay.event, relay.message);
+      }
+    })
+    .catch(error => {
+      connection.logger.error(`Error relaying post-processed ${event ? event.type : 'binary message'}: ${error.message}`);
+    });
+}
+
+// Translate a completed segment into the session's target languages. The results
+// reach the client and the viewers as translation events after the completed event.
+function translateSegment(connection, event) {
+  const text = typeof event.transcript === 'string' ? event.transcript.trim() : '';
+  if (!translator || connection.finished || connection.config.translateTo.length === 0 || !text) return;
+  
+  const startedAt = Date.now();
+  for (const language of connection.config.translateTo) {
+    connection.pendingTranslations++;
+    translator.translate(text, language, connection.config.language)
+      .then(translation => {
+        translationsTotal.inc({ result: 'completed' });
+        translationLatencySeconds.observe({}, (Date.now() - startedAt) / 1000);
+        relayTranslationEvent(connection, {
+          type: 'conversation.item.translation.completed',
+          item_id: event.item_id,
+          language: language,
+          text: translation
+        });
+      })
+      .catch(error => {
+        connection.logger.error(`Translation of item ${event.item_id} into ${language} failed: ${error.message}`);
+        translationsTotal.inc({ result: 'failed' });
+        relayTranslationEvent(connection, {
+          type: 'conversation.item.translation.failed',
+          item_id: event.item_id,
+          language: language,
+          error: {
+            type: 'translation_error',
+            message: error.statusCode ? `Translation request failed with status ${error.statusCode}` : error.message
+          }
+        });
+      })
+      .finally(() => {
+        connection.pendingTranslations--;
+      });
+  }
+}
+
+// Deliver a translation event like an upstream event, unless the session ended meanwhile
+function relayTranslationEvent(connection, event) {
+  if (connection.finished) return;
+  connection.transcript.handleEvent(event);
+  connection.viewers.broadcast(event);
+  const message = JSON.stringify(event);
+  countRelayedBytes(connection, 'to_client', message);
+  sendToClient(connection, message);
+}
+
+// Forward a message upstream, queueing it while the upstream is still connecting
+function sendToUpstream(connection, message) {
+  const upstreamWs = connection.upstreamWs;
+  if (upstreamWs && upstreamWs.readyState === WebSocket.OPEN) {
+    upstreamWs.send(message);
+    countRelayedBytes(connection, 'to_upstream', message);
+    return true;
+  }
+  if (upstreamWs && upstreamWs.readyState === WebSocket.CONNECTING && connection.upstreamQueue.length < MAX_UPSTREAM_QUEUE) {
+    connection.upstreamQueue.push(message);
+    return true;
+  }
+  return false;
+}
+
+// Open the upstream WebSocket of a session and relay its events to the client
+function connectUpstream(connection) {
+  const provider = providers.getProvider(connection.config.provider);
+  const upstreamWs = provider.connect(connection);
+  connection.upstreamWs = upstreamWs;
+  connection.upstreamQueue = [];
+  
+  upstreamWs.on('open', () => {
+    const queued = connection.upstreamQueue;
+    connection.upstreamQueue = [];
+    queued.forEach(message => {
+      upstreamWs.send(message);
+      countRelayedBytes(connection, 'to_upstream', message);
+    });
+    if (queued.length > 0) {
+      connection.logger.info(`Sent ${queued.length} queued messages to ${provider.name}`);
+    }
+    // Uploaded files are streamed by the server once the upstream is ready
+    if (connection.upload && !connection.upload.stream) {
+      startFileStream(connection);
+    }
+  });
+  
+  // Handle messages from OpenAI and forward to client
+  upstreamWs.on('message', (data, isBinary) => {
+    try {
+      const message = isBinary ? data : data.toString();
+      countRelayedBytes(connection, 'to_client', message);
+      
+      let parsed = null;
+      if (typeof message === 'string') {
+        // Only parse if it looks like JSON
+        if (message.startsWith('{') || message.startsWith('[')) {
+          try {
+            parsed = JSON.parse(message);
+            // Transcript text in the event is redacted by the logger
+            connection.logger.debug(`Received ${parsed.type} from ${provider.name}`, { event: parsed });
+          } catch (e) {
+            connection.logger.error(`Error parsing ${provider.name} message as JSON: ${e.message}`);
+          }
+        }
+      } else {
+        connection.logger.debug(`Received binary message from ${provider.name}, size: ${message.length} bytes`);
+      }
+      
+      if (connection.postProcessor) {
+        queueUpstreamEvent(connection, parsed, message);
+        return;
+      }
+      relayUpstreamEvent(connection, parsed, message);
+    } catch (error) {
+      connection.logger.error(`Error processing ${provider.name} WebSocket message: ${error.message}`);
+    }
+  });
+  
+  upstreamWs.on('error', (error) => {
+    connection.logger.error(`${provider.name} WebSocket error: ${error.message}`);
+    sendToClient(connection, JSON.stringify({
+      type: 'error',
+      event_id: 'server_error',
+      error: {
+        type: 'server_error',
+        message: `Server proxy error: ${error.message}`
+      }
+    }));
+  });
+  
+  upstreamWs.on('close', (code, reason) => {
+    connection.logger.info(`${provider.name} WebSocket closed: ${code} ${reason}`);
+    upstreamCloses.inc({ provider: provider.name, code: String(code) });
+    if (connection.upstreamWs !== upstreamWs || connection.finished) return;
+    
+    // A clean close ends the session, after anything else the client can resume
+    // it and gets a new upstream session
+    if (code === 1000) {
+      connection.finishOnClose = true;
+    }
+    const ws = connection.clientWs;
+    if (ws && ws.readyState === WebSocket.OPEN) {
+      ws.close(toClientCloseCode(code), reason);
+      connection.logger.info(`Closed client WebSocket due to ${provider.name} WebSocket closure`);
+    } else if (connection.finishOnClose) {
+      finishConnection(connection);
+    }
+  });
+}
+
+// Replace a closed upstream session with a new one with the same config
+async function recreateUpstream(connection) {
+  const provider = providers.getProvider(connection.config.provider);
+  const upstreamStartedAt = Date.now();
+  let session;
+  try {
+    session = await provider.createSession(connection.config);
+  } catch (error) {
+    sessionsFailed.inc({ provider: provider.name, reason: error.statusCode === 429 ? 'rate_limited' : 'upstream_error' });
+    throw error;
+  }
+  sessionsCreated.inc({ provider: provider.name });
+  connection.upstreamStartedAt = upstreamStartedAt;
+  connection.clientSecret = session.clientSecret;
+  connection.upstreamRecreated = true;
+  connection.logger.info('Recreated upstream session', { upstreamSessionId: session.sessionId });
+  connectUpstream(connection);
+}
+
+// Collect a binary audio frame from the client, the frames are sent upstream in batches
+function queueBinaryAudio(connection, frame) {
+  connection.binaryAudio.push(frame);
+  connection.binaryAudioMs += audioDurationMs(frame.length, connection.config.inputAudioFormat);
+  if (connection.binaryAudioMs >= BINARY_AUDIO_BATCH_MS) {
+    flushBinaryAudio(connection);
+  } else if (!connection.binaryAudioTimer) {
+    connection.binaryAudioTimer = setTimeout(() => flushBinaryAudio(connection), BINARY_AUDIO_BATCH_MS);
+  }
+}
+
+// Send the collected binary audio upstream as one input_audio_buffer.append event
+function flushBinaryAudio(connection) {
+  clearTimeout(connection.binaryAudioTimer);
+  connection.binaryAudioTimer = null;
+  if (connection.binaryAudio.length === 0) return;
+  
+  const audio = Buffer.concat(connection.binaryAudio);
+  connection.binaryAudio = [];
+  connection.binaryAudioMs = 0;
+  if (!countAudio(connection, audio)) return;
+  if (connection.recorder) {
+    connection.recorder.write(audio);
+  }
+  if (!sendToUpstream(connection, JSON.stringify({ type: 'input_audio_buffer.append', audio: audio.toString('base64') }))) {
+    connection.logger.warn(`Cannot forward ${audio.length} bytes of audio, upstream WebSocket not open`);
+  }
+}
+
+// Parse a text frame from the client, null unless it is a JSON object with a type
+function parseClientEvent(message) {
+  try {
+    const parsed = JSON.parse(message);
+    return parsed && typeof parsed === 'object' && typeof parsed.type === 'string' ? parsed : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Tell the client an event it sent was dropped
+function rejectClientEvent(connection, message) {
+  sendToClient(connection, JSON.stringify({
+    type: 'error',
+    event_id: 'invalid_client_event',
+    error: {
+      type: 'invalid_request_error',
+      message: message
+    }
+  }));
+}
+
+// Relay a client WebSocket to the session, replaying what it missed if it resumes the session
+function attachClient(connection, ws) {
+  const isResume = Boolean(connection.detachedAt);
+  clearTimeout(connection.graceTimer);
+  connection.graceTimer = null;
+  connection.detachedAt = null;
+  connection.clientWs = ws;
+  // Numbered per session, a resumed session continues with the next number
+  connection.clientCount++;
+  const clientLogger = connection.logger.child({ client: connection.clientCount });
+  clientLogger.info(isResume ? 'Client reconnected' : 'Client connected');
+  
+  // Handle messages from client and forward to OpenAI
+  ws.on('message', (data, isBinary) => {
+    try {
+      // The client was asked to stop, whatever it sends now would not be transcribed in time
+      if (connection.draining) return;
+      
+      // Binary frames are raw audio in the session's input format
+      if (isBinary) {
+        clientLogger.sampled('audio', 'Received binary audio from client', { bytes: data.length });
+        queueBinaryAudio(connection, data);
+        return;
+      }
+      
+      // Audio sent before this event has to reach the upstream first
+      flushBinaryAudio(connection);
+      
+      // ws delivers text frames as Buffers too. Every event is parsed, whatever isn't
+      // one is dropped rather than passed upstream past the quota and the recorder
+      const message = data.toString();
+      const parsed = parseClientEvent(message);
+      if (!parsed) {
+        clientLogger.warn('Dropped a text frame that is not a JSON event', { bytes: message.length });
+        rejectClientEvent(connection, 'Expected a JSON event with a type');
+        return;
+      }
+      
+      // Appended audio goes the way of binary frames, so it is counted and recorded once
+      if (parsed.type === 'input_audio_buffer.append') {
+        if (typeof parsed.audio !== 'string') {
+          clientLogger.warn('Dropped input_audio_buffer.append without audio');
+          rejectClientEvent(connection, 'input_audio_buffer.append needs base64 audio');
+          return;
+        }
+        const audio = Buffer.from(parsed.audio, 'base64');
+        clientLogger.sampled('audio', 'Received audio from client', { bytes: audio.length });
+        queueBinaryAudio(connection, audio);
+        return;
+      }
+      
+      clientLogger.debug(`Received ${parsed.type} from client`, { event: parsed });
+      if (!sendToUpstream(connection, message)) {
+        clientLogger.warn(`Cannot forward message, upstream WebSocket not open (state: ${connection.upstreamWs ? connection.upstreamWs.readyState : 'none'})`);
+      }
+    } catch (error) {
+      clientLogger.error(`Error processing WebSocket message: ${error.message}`);
+    }
+  });
+  
+  // Handle client connection close
+  ws.on('close', (code) => {
+    clientLogger.info(`Client WebSocket closed: ${code}`);
+    // A resumed connection has already replaced this one
+    if (connection.clientWs !== ws) return;
+    flushBinaryAudio(connection);
+    
+    // 1000 and 1005 are what the browser sends when the user stops the session
+    const isResumable = SESSION_RESUME_GRACE_MS > 0 && !connection.finishOnClose && code !== 1000 && code !== 1005;
+    if (isResumable) {
+      detachClient(connection);
+    } else {
+      finishConnection(connection);
+    }
+  });
+  
+  // Handle client connection errors, 'close' follows
+  ws.on('error', (error) => {
+    clientLogger.error(`Client WebSocket error: ${error.message}`);
+  });
+  
+  if (!isUpstreamUsable(connection)) {
+    connectUpstream(connection);
+  }
+  
+  if (isResume) {
+    const pending = connection.pendingClientEvents;
+    connection.pendingClientEvents = [];
+    pending.forEach(message => ws.send(message));
+    ws.send(JSON.stringify({
+      type: 'session.resumed',
+      session_id: connection.sessionId,
+      replayed_events: pending.length,
+      upstream_recreated: connection.upstreamRecreated
+    }));
+    connection.upstreamRecreated = false;
+    clientLogger.info(`Resumed session, replayed ${pending.length} events`);
+  }
+}
+
+// Keep a session whose client dropped for the resume grace period
+function detachClient(connection) {
+  connection.clientWs = null;
+  connection.detachedAt = Date.now();
+  connection.logger.info(`Client dropped, resumable for ${SESSION_RESUME_GRACE_MS / 1000} s`);
+  connection.graceTimer = setTimeout(() => {
+    connection.logger.info('Session was not resumed in time');
+    finishConnection(connection);
+  }, SESSION_RESUME_GRACE_MS);
+}
+
+// End a session on the server's side, e.g. when the user's quota is used up
+function endSession(connection, code, reason) {
+  connection.finishOnClose = true;
+  const ws = connection.clientWs;
+  if (ws && ws.readyState === WebSocket.OPEN) {
+    ws.close(code, reason);
+  } else {
+    finishConnection(connection);
+  }
+}
+
+// Tell the client the server is going away and commit the audio it sent so far,
+// the session is closed once its last transcripts arrived (see isDrained)
+function drainConnection(connection) {
+  connection.draining = true;
+  if (connection.upload && connection.upload.stream) {
+    connection.upload.stream.stop();
+  }
+  flushBinaryAudio(connection);
+  sendToClient(connection, JSON.stringify({ type: 'server.shutting_down', drain_ms: SHUTDOWN_DRAIN_MS }));
+  // The API rejects commits of less than 100 ms of audio
+  if (connection.uncommittedAudioMs >= 100 && sendToUpstream(connection, JSON.stringify({ type: 'input_audio_buffer.commit' }))) {
+    connection.awaitingCommit = true;
+  }
+}
+
+function isDrained(connection) {
+  if (connection.finished) return true;
+  // Translations of the last segments are waited for even when the upstream is gone
+  if (connection.pendingTranslations > 0) return false;
+  return !isUpstreamUsable(connection) || (!connection.awaitingCommit && connection.pendingItems.size === 0);
+}
+
+// Close the upstream, keep the transcript for export and forget the connection.
+// Resolves once the recording and the usage are written.
+function finishConnection(connection) {
+  if (connection.finished) return Promise.resolve();
+  connection.finished = true;
+  clearTimeout(connection.graceTimer);
+  clearTimeout(connection.binaryAudioTimer);
+  
+  if (isUpstreamUsable(connection)) {
+    connection.upstreamWs.close();
+    connection.logger.info(`Closed ${connection.config.provider} WebSocket`);
+  }
+  if (connection.upload && connection.upload.stream) {
+    connection.upload.stream.stop();
+  }
+  if (connection.viewers.size > 0) {
+    connection.viewers.send({ type: 'session.ended' });
+    connection.viewers.close(1000, 'Session ended');
+  }
+  const archived = archiveSession(connection);
+  activeConnections.delete(connection.connectionId);
+  connection.logger.info('Removed connection from active connections');
+  return archived;
+}
+
+function startServer() {
+  const server = http.createServer((req, res) => {
+    // Correlate the lines of a request, a proxy in front may pass its own ID
+    const forwardedId = req.headers['x-request-id'];
+    const requestId = typeof forwardedId === 'string' && REQUEST_ID_PATTERN.test(forwardedId)
+      ? forwardedId
+      : crypto.randomBytes(8).toString('hex');
+    res.setHeader('X-Request-Id', requestId);
+    req.logger = logger.child({ requestId });
+    req.logger.info(`${req.method} ${req.url}`);
+    const pathname = url.parse(req.url).pathname;
+    
+    // The API can be called from ALLOWED_ORIGINS (or the same origin) with CORS
+    if (pathname.startsWith('/api/')) {
+      res.setHeader('Vary', 'Origin');
+      const origin = req.headers.origin;
+      if (origin && auth.isOriginAllowed(origin, req.headers.host)) {
+        res.setHeader('Access-Control-Allow-Origin', origin);
+        res.setHeader('Access-Control-Expose-Headers', 'Content-Disposition, Retry-After, X-Request-Id');
+      }
+    }
+    
+    // Preflights carry no credentials, so they are answered before the auth check
+    if (req.method === 'OPTIONS') {
+      handleOptionsRequest(req, res, pathname);
+      return;
+    }
+    
+    // Keep-alive connections are not reused while the server shuts down
+    if (shuttingDown) {
+      res.setHeader('Connection', 'close');
+    }
+    
+    // Probes for load balancers and orchestrators, without authentication
+    if (req.method === 'GET' && pathname === '/healthz') {
+      sendJson(res, 200, { status: 'ok', uptimeSeconds: Math.round((Date.now() - startedAt) / 1000) });
+      return;
+    }
+    if (req.method === 'GET' && pathname === '/readyz') {
+      handleReadinessRequest(req, res);
+      return;
+    }
+    
+    // Everything under /api/ except the auth endpoints, and /metrics, needs a user
+    if (pathname.startsWith('/api/auth/')) {
+      handleAuthRequest(req, res, pathname);
+      return;
+    }
+    if (pathname.startsWith('/api/') || pathname === '/metrics') {
+      req.user = auth.authenticate(req);
+      if (!req.user) {
+        res.setHeader('WWW-Authenticate', 'Bearer');
+        sendJson(res, 401, { error: 'Authentication required' });
+        return;
+      }
+    }
+    
+    // New sessions, uploads and resumes are refused while the server drains
+    if (shuttingDown && req.method === 'POST' && pathname.startsWith('/api/transcription/')) {
+      sendJson(res, 503, { error: 'The server is shutting down, try again shortly' });
+      return;
+    }
+    
+    // Handle POST requests
+    if (req.method === 'POST') {
+      // New endpoint to create a transcription session
+      if (pathname === '/api/transcription/create-session') {
+        handleCreateSessionRequest(req, res);
+        return;
+      }
+      
+      // Transcribe an uploaded WAV file through a regular session
+      if (url.parse(req.url).pathname === '/api/transcription/file') {
+        handleFileUpload(req, res);
+        return;
+      }
+    }
+    
+    // Prometheus scrape endpoint, authenticated like the API (use an API token)
+    if (req.method === 'GET' && pathname === '/metrics') {
+      res.writeHead(200, { 'Content-Type': METRICS_CONTENT_TYPE });
+      res.end(metrics.render());
+      return;
+    }
+    
+    // List the available transcription providers and what they support
+    if (req.method === 'GET' && pathname === '/api/providers') {
+      sendJson(res, 200, {
+        defaultProvider: DEFAULT_PROVIDER,
+        providers: providers.listProviders().map(providers.describeProvider),
+        // Whether sessions may ask for translateTo
+        translation: translator ? { model: translator.model } : null,
+        // Processor types applied to every transcript, in order
+        postProcessing: postProcessing ? postProcessing.describe() : []
+      });
+      return;
+    }
+    
+    // Resume a session after the client's connection dropped
+    const resumeMatch = req.method === 'POST' && pathname.match(/^\/api\/transcription\/sessions\/([^/]+)\/resume$/);
+    if (resumeMatch) {
+      const sessionId = decodeRouteParam(res, resumeMatch[1]);
+      if (sessionId !== null) {
+        handleResumeRequest(req, res, sessionId);
+      }
+      return;
+    }
+    
+    // Share a session with read-only viewers, or revoke the link
+    const shareMatch = pathname.match(/^\/api\/transcription\/sessions\/([^/]+)\/share$/);
+    if (shareMatch) {
+      const sessionId = decodeRouteParam(res, shareMatch[1]);
+      if (sessionId !== null) {
+        handleShareRequest(req, res, sessionId);
+      }
+      return;
+    }
+    
+    // Live sessions, for the admin page: everyone's for admins, the caller's own otherwise
+    if (req.method === 'GET' && pathname === '/api/sessions') {
+      const sessions = Array.from(activeConnections.values())
+        .filter(connection => !connection.finished && canAccess(req, connection.user))
+        .sort((a, b) => a.created - b.created)
+        .map(connection => describeConnection(connection));
+      sendJson(res, 200, { sessions });
+      return;
+    }
+    
+    // Get or end a live session
+    const sessionMatch = pathname.match(/^\/api\/sessions\/([^/]+)$/);
+    if (sessionMatch) {
+      const sessionId = decodeRouteParam(res, sessionMatch[1]);
+      if (sessionId !== null) {
+        handleSessionRequest(req, res, sessionId);
+      }
+      return;
+    }
+    
+    // Vocabulary and prompt profiles
+    if (pathname === '/api/profiles' || pathname.startsWith('/api/profiles/')) {
+      handleProfileRequest(req, res, pathname);
+      return;
+    }
+    
+    // The caller's limits and current usage
+    if (req.method === 'GET' && pathname === '/api/limits') {
+      sendJson(res, 200, limiter.describe(getLimitKey(req)));
+      return;
+    }
+    
+    // Usage by day, user and model with estimated costs, as JSON or CSV
+    if (req.method === 'GET' && pathname === '/api/usage') {
+      handleUsageRequest(req, res);
+      return;
+    }
+    
+    // Export the transcript of a finished session
+    const transcriptMatch = req.method === 'GET' && url.parse(req.url).pathname.match(/^\/api\/transcription\/sessions\/([^/]+)\/transcript$/);
+    if (transcriptMatch) {
+      const sessionId = decodeRouteParam(res, transcriptMatch[1]);
+      if (sessionId === null) return;
+      const query = url.parse(req.url, true).query;
+      const format = query.format || 'json';
+      const minConfidence = query.minConfidence === undefined ? 0 : Number(query.minConfidence);
+      if (!(minConfidence >= 0 && minConfidence <= 1)) {
+        sendJson(res, 400, { error: 'minConfidence must be a number between 0 and 1' });
+        return;
+      }
+      // Other users' sessions are reported as unknown
+      const isActive = Array.from(activeConnections.values()).some(c => c.sessionId === sessionId && canAccess(req, c.user));
+      const archived = finishedSessions.get(sessionId);
+      const finished = archived && canAccess(req, archived.user) ? archived : null;
+      
+      if (!finished) {
+        sendJson(res, isActive ? 409 : 404, {
+          error: isActive ? 'Session is still active' : `Unknown session: ${sessionId}`
+        });
+        return;
+      }
+      
+      import('./public/transcriptFormats.mjs')
+        .then(({ formatTranscript, filterByConfidence }) => {
+          const segments = filterByConfidence(finished.transcript.getExportSegments(), minConfidence);
+          const { content, mimeType, extension } = formatTranscript(format, segments, {
+            sessionId: finished.sessionId,
+            provider: finished.config.provider,
+            model: finished.config.model,
+            language: finished.config.language,
+            startedAt: new Date(finished.created).toISOString(),
+            finishedAt: new Date(finished.finished).toISOString()
+          });
+          res.writeHead(200, {
+            'Content-Type': `${mimeType}; charset=utf-8`,
+            'Content-Disposition': `attachment; filename="transcript-${sessionId}.${extension}"`
+          });
+          res.end(content);
+        })
+        .catch(error => {
+          req.logger.error(`Error exporting transcript for session ${sessionId}: ${error.message}`);
+          sendJson(res, 400, { error: error.message });
+        });
+      return;
+    }
+    
+    // List recorded sessions, everyone's for admins and the caller's own otherwise
+    if (req.method === 'GET' && url.parse(req.url).pathname === '/api/recordings') {
+      recordings.listRecordings(RECORDINGS_DIR)
+        .then(list => {
+          sendJson(res, 200, {
+            enabled: RECORDINGS_ENABLED,
+            retentionHours: RECORDING_RETENTION_HOURS,
+            recordings: list.filter(recording => canAccess(req, recording.user))
+          });
+        })
+        .catch(error => {
+          req.logger.error(`Error listing recordings: ${error.message}`);
+          sendJson(res, 500, { error: error.message });
+        });
+      return;
+    }
+    
+    // Get, download or delete a single recording
+    const recordingMatch = url.parse(req.url).pathname.match(/^\/api\/recordings\/([^/]+?)(\/audio)?$/);
+    if (recordingMatch) {
+      const recordingId = decodeRouteParam(res, recordingMatch[1]);
+      if (recordingId !== null) {
+        handleRecordingRequest(req, res, recordingId, Boolean(recordingMatch[2]));
+      }
+      return;
+    }
+    
+    // Everything else is the browser app
+    staticFiles.serve(req, res, req.logger);
+  });
 
-// Enable more detailed logging
-const DEBUG = true;
+  // GET /api/auth/session tells the browser whether and how to log in (and who it is),
+  // POST /api/auth/login exchanges a username and password for a session token
+  function handleAuthRequest(req, res, pathname) {
+    if (pathname === '/api/auth/session' && req.method === 'GET') {
+      const user = auth.authenticate(req);
+      sendJson(res, 200, { ...auth.describe(), user: user ? user.name : null, admin: Boolean(user && user.admin) });
+      return;
+    }
+    
+    if (pathname !== '/api/auth/login') {
+      sendJson(res, 404, { error: `Unknown auth endpoint: ${pathname}` });
+      return;
+    }
+    if (req.method !== 'POST') {
+      sendJson(res, 405, { error: `Method ${req.method} not allowed` });
+      return;
+    }
+    
+    let body = '';
+    let tooLarge = false;
+    req.on('data', (chunk) => {
+      if (tooLarge) return;
+      body += chunk.toString();
+      if (body.length > MAX_LOGIN_BODY_BYTES) {
+        tooLarge = true;
+        res.setHeader('Connection', 'close');
+        sendJson(res, 413, { error: 'Request body too large' });
+      }
+    });
+    
+    req.on('end', () => {
+      if (tooLarge) return;
+      
+      let credentials;
+      try {
+        credentials = JSON.parse(body);
+      } catch (e) {
+        sendJson(res, 400, { error: 'Request body must be valid JSON' });
+        return;
+      }
+      if (!credentials || typeof credentials.username !== 'string' || typeof credentials.password !== 'string') {
+        sendJson(res, 400, { error: 'username and password are required' });
+        return;
+      }
+      
+      const session = auth.login(credentials.username, credentials.password);
+      if (!session) {
+        req.logger.warn(`Failed login for user ${JSON.stringify(credentials.username)}`);
+        sendJson(res, 401, { error: 'Invalid username or password' });
+        return;
+      }
+      req.logger.info(`User ${session.user} logged in`);
+      sendJson(res, 200, session);
+    });
+  }
 
-// Helper function for logging with timestamps
-function log(message, level = 'info') {
-  const timestamp = new Date().toISOString();
-  const prefix = level.toUpperCase() === 'ERROR' ? '[ERROR]' : '[INFO]';
-  console.log(`[${timestamp}] ${prefix} ${message}`);
-}
+  // POST /api/transcription/create-session with the session config as the JSON body
+  async function handleCreateSessionRequest(req, res) {
+    let requestData;
+    try {
+      requestData = await readJsonBody(req, MAX_SESSION_BODY_BYTES);
+    } catch (error) {
+      req.logger.warn(`Rejected session request: ${error.message}`);
+      // The rest of a body that is too large is not read
+      if (error.statusCode === 413) res.setHeader('Connection', 'close');
+      sendJson(res, error.statusCode || 400, { error: error.message });
+      return;
+    }
+    
+    try {
+      const responseData = await createConnection(requestData, req, res);
+      if (responseData) {
+        sendJson(res, 200, responseData);
+      }
+    } catch (error) {
+      req.logger.error(`Error creating session: ${error.message}`, { error });
+      // Pass the upstream's rate limiting on to the client
+      sendJson(res, error.statusCode === 429 ? 429 : 500, { error: error.message });
+    }
+  }
 
-// Check if API key is set
-if (!OPENAI_API_KEY) {
-  log('OPENAI_API_KEY is not set in environment variables or .env file', 'error');
-  log('Please set it and restart the server', 'error');
-  process.exit(1);
-}
+  // POST /api/transcription/file?pacing=realtime|fast&config=<JSON session config>
+  // The body is the WAV file. The response is the same as create-session, the file
+  // starts streaming once the client connects to the returned WebSocket URL.
+  async function handleFileUpload(req, res) {
+    const query = url.parse(req.url, true).query;
+    const pacing = query.pacing || 'realtime';
+    if (!PACING_MODES.includes(pacing)) {
+      sendJson(res, 400, { error: `pacing must be one of: ${PACING_MODES.join(', ')}` });
+      return;
+    }
+    
+    let requestData;
+    try {
+      requestData = query.config ? JSON.parse(query.config) : {};
+    } catch (e) {
+      req.logger.warn(`Invalid JSON in upload config: ${e.message}`);
+      sendJson(res, 400, { error: 'config must be valid JSON' });
+      return;
+    }
+    
+    // The file is only read once the config and the user's limits allow the session,
+    // a request rejected before that is answered without reading the rest of it
+    res.setHeader('Connection', 'close');
+    let upload = null;
+    try {
+      const responseData = await createConnection(requestData, req, res, async (config) => {
+        upload = await readWavUpload(req, res, config.inputAudioFormat);
+        return upload && { upload: { audio: upload.audio, durationMs: upload.durationMs, pacing: pacing, stream: null } };
+      });
+      if (responseData) {
+        res.removeHeader('Connection');
+        sendJson(res, 200, {
+          ...responseData,
+          file: { durationMs: upload.durationMs, pacing: pacing, ...upload.source }
+        });
+      }
+    } catch (error) {
+      req.logger.error(`Error creating session for file upload: ${error.message}`);
+      if (!res.headersSent) {
+        sendJson(res, error.statusCode === 429 ? 429 : 500, { error: error.message });
+      }
+    }
+  }
+  
+  // Read the WAV file of an upload and encode it in the session's input format.
+  // Responds with 413 or 400 and resolves to null when the file is not accepted.
+  function readWavUpload(req, res, format) {
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      let size = 0;
+      let tooLarge = false;
+      
+      req.on('data', (chunk) => {
+        if (tooLarge) return;
+        size += chunk.length;
+        if (size > MAX_UPLOAD_BYTES) {
+          tooLarge = true;
+          req.logger.warn(`Rejected file upload larger than ${MAX_UPLOAD_BYTES} bytes`);
+          sendJson(res, 413, { error: `File is larger than ${MAX_UPLOAD_BYTES} bytes` });
+          resolve(null);
+          return;
+        }
+        chunks.push(chunk);
+      });
+      
+      req.on('end', () => {
+        if (tooLarge) return;
+        try {
+          const upload = prepareWavUpload(Buffer.concat(chunks), format, MAX_UPLOAD_DURATION_MS);
+          req.logger.info(`Received ${size} byte WAV upload (${upload.source.sampleRate} Hz, ${upload.source.channels} channels, ${upload.source.encoding}, ${upload.durationMs} ms)`);
+          resolve(upload);
+        } catch (error) {
+          req.logger.warn(`Rejected file upload: ${error.message}`);
+          sendJson(res, 400, { error: `Invalid WAV file: ${error.message}` });
+          resolve(null);
+        }
+      });
+      
+      // The client gave up before sending the whole file
+      req.on('close', () => {
+        if (!req.complete) reject(new Error('File upload aborted'));
+      });
+    });
+  }
 
-// Validate API key on startup
-log('Starting API key validation...');
-openaiApi.validateApiKey(OPENAI_API_KEY)
-  .then(isValid => {
-    if (!isValid) {
-      log('The provided OpenAI API key is invalid', 'error');
-      log('Please check the key and restart the server', 'error');
-      process.exit(1);
+  // OPTIONS: CORS preflight for the API, or the methods a resource supports
+  function handleOptionsRequest(req, res, pathname) {
+    const isApi = pathname.startsWith('/api/');
+    const allow = isApi ? API_METHODS : 'GET, HEAD, OPTIONS';
+    if (!req.headers.origin || !req.headers['access-control-request-method']) {
+      res.writeHead(204, { 'Allow': allow });
+      res.end();
+      return;
     }
     
-    log('API key validated successfully');
-    // Start server only if API key is valid
-    startServer();
-  })
-  .catch(error => {
-    log(`Error validating API key: ${error.message}`, 'error');
-    log('Please check your internet connection and restart the server', 'error');
-    process.exit(1);
-  });
+    if (!isApi || !res.hasHeader('Access-Control-Allow-Origin')) {
+      req.logger.warn(`Rejected CORS preflight from origin ${req.headers.origin}`);
+      res.writeHead(403, { 'Content-Type': 'text/plain' });
+      res.end('403 Forbidden');
+      return;
+    }
+    res.writeHead(204, {
+      'Allow': allow,
+      'Access-Control-Allow-Methods': API_METHODS,
+      'Access-Control-Allow-Headers': 'Authorization, Content-Type, X-Request-Id',
+      'Access-Control-Max-Age': '600'
+    });
+    res.end();
+  }
 
-// Store active WebSocket connections
-const activeConnections = new Map();
+  // GET /api/sessions/:id describes a live session, DELETE ends it: the client is
+  // closed with 1000 and the reason, which closes the upstream and archives the session.
+  // Only admins can end sessions, other users can describe their own.
+  function handleSessionRequest(req, res, sessionId) {
+    const connection = findSession(sessionId);
+    // Other users' sessions are reported as unknown
+    if (!connection || !canAccess(req, connection.user)) {
+      sendJson(res, 404, { error: `Unknown session: ${sessionId}` });
+      return;
+    }
+    
+    if (req.method === 'GET') {
+      sendJson(res, 200, describeConnection(connection, true));
+      return;
+    }
+    
+    if (req.method === 'DELETE') {
+      if (!req.user.admin) {
+        sendJson(res, 403, { error: 'Ending sessions requires the admin role' });
+        return;
+      }
+      connection.logger.info(`Session ended by ${req.user.name}`);
+      if (!connection.connectedAt) {
+        // Nothing is connected yet, the connection ID just stops working
+        connection.releaseSession();
+        activeConnections.delete(connection.connectionId);
+      } else {
+        endSession(connection, 1000, 'Session ended by an operator');
+      }
+      sendJson(res, 200, { ended: sessionId });
+      return;
+    }
+    
+    sendJson(res, 405, { error: `Method ${req.method} not allowed` });
+  }
 
-function startServer() {
-  const MIME_TYPES = {
-    '.html': 'text/html',
-    '.css': 'text/css',
-    '.js': 'text/javascript',
-    '.json': 'application/json',
-    '.png': 'image/png',
-    '.jpg': 'image/jpg',
-    '.gif': 'image/gif',
-    '.svg': 'image/svg+xml',
-    '.ico': 'image/x-icon',
-  };
+  // GET and POST /api/profiles list and create profiles,
+  // GET, PUT and DELETE /api/profiles/:name read, replace and delete one (its owner or an admin)
+  async function handleProfileRequest(req, res, pathname) {
+    try {
+      if (pathname === '/api/profiles') {
+        if (req.method === 'GET') {
+          sendJson(res, 200, { profiles: await profileStore.list() });
+        } else if (req.method === 'POST') {
+          const profile = await profileStore.create(await readJsonBody(req, MAX_PROFILE_BODY_BYTES), req.user.name);
+          req.logger.info(`Profile ${profile.name} created by ${req.user.name}`);
+          sendJson(res, 201, profile);
+        } else {
+          sendJson(res, 405, { error: `Method ${req.method} not allowed` });
+        }
+        return;
+      }
+      
+      const name = decodeURIComponent(pathname.slice('/api/profiles/'.length));
+      if (req.method === 'GET') {
+        const profile = await profileStore.get(name);
+        if (profile) {
+          sendJson(res, 200, profile);
+        } else {
+          sendJson(res, 404, { error: `Unknown profile: ${name}` });
+        }
+      } else if (req.method === 'PUT') {
+        const profile = await profileStore.update(name, await readJsonBody(req, MAX_PROFILE_BODY_BYTES), req.user.name, req.user.admin);
+        req.logger.info(`Profile ${name} updated by ${req.user.name}`);
+        sendJson(res, 200, profile);
+      } else if (req.method === 'DELETE') {
+        await profileStore.remove(name, req.user.name, req.user.admin);
+        req.logger.info(`Profile ${name} deleted by ${req.user.name}`);
+        sendJson(res, 200, { deleted: name });
+      } else {
+        sendJson(res, 405, { error: `Method ${req.method} not allowed` });
+      }
+    } catch (error) {
+      if (error instanceof URIError) {
+        sendJson(res, 400, { error: 'Invalid profile name' });
+      } else if (error instanceof ProfileError) {
+        sendJson(res, error.statusCode, error.details.length > 0 ? { error: error.message, details: error.details } : { error: error.message });
+      } else if (error.statusCode === 400 || error.statusCode === 413) {
+        // From readJsonBody, the rest of a body that is too large is not read
+        if (error.statusCode === 413) res.setHeader('Connection', 'close');
+        sendJson(res, error.statusCode, { error: error.message });
+      } else {
+        req.logger.error(`Error handling profile request: ${error.message}`);
+        sendJson(res, 500, { error: 'Failed to access profiles' });
+      }
+    }
+  }
+  
+  // GET /readyz: ready when the configuration is usable, the default provider's
+  // API can be reached and the server is not shutting down
+  async function handleReadinessRequest(req, res) {
+    const checks = {
+      configuration: { ok: Boolean(providers.getProvider(DEFAULT_PROVIDER)), defaultProvider: DEFAULT_PROVIDER },
+      upstream: await checkUpstreams(),
+      shutdown: { ok: !shuttingDown }
+    };
+    const ready = Object.values(checks).every(check => check.ok);
+    sendJson(res, ready ? 200 : 503, { status: ready ? 'ready' : 'not_ready', checks });
+  }
 
-  const server = http.createServer((req, res) => {
-    log(`${req.method} ${req.url}`);
+  // POST /api/transcription/sessions/:id/resume issues a new connection ID for a session
+  // whose client dropped, recreating the upstream session if it closed in the meantime
+  async function handleResumeRequest(req, res, sessionId) {
+    const connection = Array.from(activeConnections.values())
+      .find(c => c.sessionId === sessionId && c.connectedAt && !c.finished && !c.finishOnClose);
+    // Other users' sessions are reported as unknown
+    if (!connection || connection.user !== req.user.name || SESSION_RESUME_GRACE_MS === 0) {
+      sendJson(res, 404, { error: `No resumable session: ${sessionId}` });
+      return;
+    }
     
-    // Handle POST requests
-    if (req.method === 'POST') {
-      // New endpoint to create a transcription session
-      if (req.url === '/api/transcription/create-session') {
-        log('Received request to create transcription session');
-        let body = '';
-        
-        req.on('data', (chunk) => {
-          body += chunk.toString();
-        });
-        
-        req.on('end', async () => {
-          try {
-            // Parse the request body
-            log(`Request body: ${body}`);
-            const requestData = JSON.parse(body);
-            const language = requestData.language || 'en';
-            
-            log(`Creating transcription session with language: ${language}`);
-            // Create a session with OpenAI
-            const session = await openaiApi.createTranscriptionSession(OPENAI_API_KEY, language);
-            
-            // Generate a unique connection ID
-            const connectionId = Math.random().toString(36).substring(2, 15);
-            log(`Generated connection ID: ${connectionId}`);
-            
-            // Store the session info for when the WebSocket connects
-            activeConnections.set(connectionId, {
-              sessionId: session.sessionId,
-              clientSecret: session.clientSecret,
-              created: Date.now()
-            });
-            
-            // Create WebSocket URL with connection ID
-            const wsUrl = `ws://${req.headers.host}/ws/transcription/${connectionId}`;
-            log(`WebSocket URL created: ${wsUrl}`);
-            
-            // Return session info and WebSocket URL to the client
-            const responseData = {
-              sessionId: session.sessionId,
-              wsUrl: wsUrl
-            };
-            log(`Sending response: ${JSON.stringify(responseData)}`);
-            
-            res.writeHead(200, { 
-              'Content-Type': 'application/json',
-              'Access-Control-Allow-Origin': '*'
-            });
-            
-            res.end(JSON.stringify(responseData));
-          } catch (error) {
-            log(`Error creating session: ${error.message}`, 'error');
-            log(error.stack, 'error');
-            res.writeHead(500, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify({ error: error.message }));
-          }
-        });
-        
+    // The server may not have noticed that the old connection dropped
+    if (connection.clientWs) {
+      const staleWs = connection.clientWs;
+      detachClient(connection);
+      staleWs.terminate();
+    }
+    
+    if (!isUpstreamUsable(connection)) {
+      try {
+        await recreateUpstream(connection);
+      } catch (error) {
+        req.logger.error(`Error recreating the upstream session: ${error.message}`, { sessionId });
+        sendJson(res, error.statusCode === 429 ? 429 : 502, { error: `Cannot recreate the upstream session: ${error.message}` });
         return;
       }
     }
-    
-    // API endpoint to securely provide the OpenAI key to client (deprecated - kept for compatibility)
-    if (req.url === '/api/config') {
-      log('Received request for API config');
-      res.writeHead(200, { 
-        'Content-Type': 'application/json',
-        'Access-Control-Allow-Origin': '*'
-      });
-      res.end(JSON.stringify({ 
-        apiKey: OPENAI_API_KEY 
-      }));
+    // The grace period may have run out while the upstream session was created
+    if (connection.finished) {
+      sendJson(res, 404, { error: `No resumable session: ${sessionId}` });
       return;
     }
     
-    // Parse the URL
-    let filepath = req.url;
+    const connectionId = auth.createConnectionId();
+    activeConnections.delete(connection.connectionId);
+    connection.connectionId = connectionId;
+    connection.pendingConnectionId = connectionId;
+    activeConnections.set(connectionId, connection);
+    req.logger.info('Issued a new connection ID to resume the session', { sessionId });
     
-    // Default to index.html for root path
-    if (filepath === '/') {
-      filepath = '/index.html';
+    sendJson(res, 200, {
+      sessionId: sessionId,
+      wsUrl: getWsUrl(req, connectionId),
+      config: connection.config,
+      resumed: true
+    });
+  }
+
+  // POST /api/transcription/sessions/:id/share creates the viewer link of a session (or
+  // returns the existing one), DELETE revokes it and disconnects the viewers
+  function handleShareRequest(req, res, sessionId) {
+    const connection = findSession(sessionId);
+    // Only the owner can share, other users' sessions are reported as unknown
+    if (!connection || connection.user !== req.user.name) {
+      sendJson(res, 404, { error: `Unknown session: ${sessionId}` });
+      return;
     }
     
-    // Get the full path
-    const fullPath = path.join(__dirname, filepath);
+    if (req.method === 'POST') {
+      if (!connection.connectedAt) {
+        sendJson(res, 409, { error: 'Session is not connected yet' });
+        return;
+      }
+      if (!connection.viewers.isShared) {
+        connection.viewers.share();
+        connection.logger.info('Shared session with viewers');
+      }
+      sendJson(res, 200, { sessionId, ...getShareUrls(req, connection) });
+      return;
+    }
     
-    // Get the file extension
-    const ext = path.extname(fullPath).toLowerCase();
+    if (req.method === 'DELETE') {
+      connection.logger.info(`Revoked the share link, disconnecting ${connection.viewers.size} viewers`);
+      connection.viewers.revoke();
+      sendJson(res, 200, { revoked: sessionId });
+      return;
+    }
     
-    // Check if the file exists
-    fs.access(fullPath, fs.constants.F_OK, (err) => {
-      if (err) {
-        log(`File not found: ${fullPath}`, 'error');
-        res.writeHead(404, { 'Content-Type': 'text/plain' });
-        res.end('404 Not Found');
+    sendJson(res, 405, { error: `Method ${req.method} not allowed` });
+  }
+
+  // GET /api/usage?from=YYYY-MM-DD&to=YYYY-MM-DD&user=<name>&format=json|csv
+  // Users without the admin role only get their own usage
+  function handleUsageRequest(req, res) {
+    const query = url.parse(req.url, true).query;
+    if (!req.user.admin) {
+      if (query.user !== undefined && query.user !== req.user.name) {
+        sendJson(res, 403, { error: 'The usage of other users requires the admin role' });
         return;
       }
-      
-      // Read and serve the file
-      fs.readFile(fullPath, (err, data) => {
-        if (err) {
-          log(`Error reading file: ${err}`, 'error');
-          res.writeHead(500, { 'Content-Type': 'text/plain' });
-          res.end('500 Internal Server Error');
+      query.user = req.user.name;
+    }
+    const format = query.format || 'json';
+    if (format !== 'json' && format !== 'csv') {
+      sendJson(res, 400, { error: 'format must be json or csv' });
+      return;
+    }
+    for (const name of ['from', 'to']) {
+      if (query[name] !== undefined && !isValidDay(query[name])) {
+        sendJson(res, 400, { error: `${name} must be a date (YYYY-MM-DD)` });
+        return;
+      }
+    }
+    
+    usageLedger.read({ from: query.from, to: query.to, user: query.user })
+      .then(entries => {
+        const summary = summarizeUsage(entries, usagePrices);
+        if (format === 'csv') {
+          res.writeHead(200, {
+            'Content-Type': 'text/csv; charset=utf-8',
+            'Content-Disposition': `attachment; filename="usage-${query.from || 'all'}-${query.to || 'all'}.csv"`
+          });
+          res.end(usageToCsv(summary.groups));
           return;
         }
-        
-        // Set MIME type
-        const contentType = MIME_TYPES[ext] || 'application/octet-stream';
-        
-        // Set CORS headers for development
-        res.writeHead(200, {
-          'Content-Type': contentType,
-          'Access-Control-Allow-Origin': '*',
-          'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-          'Access-Control-Allow-Headers': 'Content-Type'
+        sendJson(res, 200, {
+          from: query.from || null,
+          to: query.to || null,
+          currency: 'USD',
+          pricesPerMinute: usagePrices,
+          ...summary
         });
+      })
+      .catch(error => {
+        req.logger.error(`Error reading the usage ledger: ${error.message}`);
+        sendJson(res, 500, { error: error.message });
+      });
+  }
+
+  // GET /api/recordings/:id returns the sidecar, GET /api/recordings/:id/audio the WAV file,
+  // DELETE /api/recordings/:id removes both. Other users' recordings are reported as unknown.
+  function handleRecordingRequest(req, res, recordingId, isAudio) {
+    const isDelete = req.method === 'DELETE' && !isAudio;
+    if (req.method !== 'GET' && !isDelete) {
+      sendJson(res, 405, { error: `Method ${req.method} not allowed` });
+      return;
+    }
+    
+    const isRecording = Array.from(activeConnections.values())
+      .some(c => c.recorder && c.sessionId === recordingId && canAccess(req, c.user));
+    if (isRecording) {
+      sendJson(res, 409, { error: 'Session is still being recorded' });
+      return;
+    }
+    
+    recordings.getRecording(RECORDINGS_DIR, recordingId)
+      .then(async recording => {
+        // Recordings made before sidecars had a user are only available to admins
+        if (!recording || !canAccess(req, recording.user)) {
+          sendJson(res, 404, { error: `Unknown recording: ${recordingId}` });
+          return;
+        }
+        if (isDelete) {
+          await recordings.deleteRecording(RECORDINGS_DIR, recordingId);
+          req.logger.info(`Deleted recording ${recordingId}`);
+          sendJson(res, 200, { deleted: recordingId });
+          return;
+        }
+        if (!isAudio) {
+          sendJson(res, 200, recording);
+          return;
+        }
         
-        res.end(data);
+        const audioPath = recordings.getRecordingAudioPath(RECORDINGS_DIR, recordingId);
+        fs.stat(audioPath, (err, stats) => {
+          if (err) {
+            req.logger.error(`Recording audio missing for ${recordingId}: ${err.message}`);
+            sendJson(res, 404, { error: `Audio for recording ${recordingId} not found` });
+            return;
+          }
+          res.writeHead(200, {
+            'Content-Type': 'audio/wav',
+            'Content-Length': stats.size,
+            'Content-Disposition': `attachment; filename="recording-${recordingId}.wav"`
+          });
+          fs.createReadStream(audioPath).pipe(res);
+        });
+      })
+      .catch(error => {
+        req.logger.error(`Error ${isDelete ? 'deleting' : 'reading'} recording ${recordingId}: ${error.message}`);
+        sendJson(res, 500, { error: error.message });
       });
-    });
-  });
+  }
 
-  // Setup WebSocket server
-  const wss = new WebSocket.Server({ server });
-  log('WebSocket server created');
+  // Setup WebSocket server, rejecting foreign origins and forged or expired connection IDs
+  // before the upgrade completes
+  const wss = new WebSocket.Server({
+    server,
+    verifyClient: ({ origin, req }, done) => {
+      if (shuttingDown) {
+        done(false, 503, 'Server is shutting down');
+        return;
+      }
+      if (!auth.isOriginAllowed(origin, req.headers.host)) {
+        logger.warn(`Rejected WebSocket upgrade from origin ${origin}`);
+        done(false, 403, 'Origin not allowed');
+        return;
+      }
+      const pathname = url.parse(req.url).pathname;
+      if (pathname.startsWith('/ws/transcription/') && !auth.verifyConnectionId(pathname.split('/').pop())) {
+        logger.warn('Rejected WebSocket upgrade with an invalid or expired connection ID');
+        done(false, 401, 'Invalid or expired connection ID');
+        return;
+      }
+      // Viewers authenticate with the share token of the session
+      if (pathname.startsWith('/ws/watch/')) {
+        const sessionId = decodePathSegment(pathname.split('/').pop());
+        if (sessionId === null) {
+          logger.warn('Rejected viewer with a malformed session ID');
+          done(false, 400, 'Malformed session ID');
+          return;
+        }
+        const connection = findSession(sessionId);
+        if (!connection || !connection.viewers.isTokenValid(url.parse(req.url, true).query.token)) {
+          logger.warn('Rejected viewer with an unknown session or an invalid share token');
+          done(false, 404, 'Unknown session or revoked share link');
+          return;
+        }
+      }
+      done(true);
+    }
+  });
+  logger.info('WebSocket server created');
   
   // Handle WebSocket connections
   wss.on('connection', (ws, req) => {
     const pathname = url.parse(req.url).pathname;
-    log(`WebSocket connection received: ${pathname}`);
     
     // Handle transcription WebSocket connections
     if (pathname.startsWith('/ws/transcription/')) {
       const connectionId = pathname.split('/').pop();
-      log(`WebSocket connection attempt for connection ID: ${connectionId}`);
       const connection = activeConnections.get(connectionId);
       
       if (!connection) {
-        log(`Invalid connection ID: ${connectionId}`, 'error');
+        logger.warn('WebSocket connection with an unknown connection ID');
         ws.close(4000, 'Invalid connection ID');
         return;
       }
       
-      log(`WebSocket connection established for session: ${connection.sessionId}`);
-      
-      // Create connection to OpenAI using our OpenAI API module
-      const openaiWs = openaiApi.createOpenAIWebSocketConnection(connection.clientSecret, ws);
-      
-      // Handle messages from client and forward to OpenAI
-      ws.on('message', (message) => {
-        try {
-          // Binary data handling - don't try to log or parse binary data
-          if (typeof message === 'string') {
-            log(`Received text message from client: ${message.substring(0, 100)}${message.length > 100 ? '...' : ''}`);
-            // Only parse if it's a string and looks like JSON
-            if (message.startsWith('{') || message.startsWith('[')) {
-              try {
-                const parsed = JSON.parse(message);
-                log(`Parsed message: ${JSON.stringify(parsed).substring(0, 100)}${JSON.stringify(parsed).length > 100 ? '...' : ''}`);
-              } catch (e) {
-                log(`Error parsing message as JSON: ${e.message}`, 'error');
-              }
-            }
-          } else {
-            log(`Received binary message from client, size: ${message.length} bytes`);
-          }
-          
-          if (openaiWs.readyState === WebSocket.OPEN) {
-            openaiWs.send(message);
-            log('Message forwarded to OpenAI');
-          } else {
-            log(`Cannot forward message, OpenAI WebSocket not open (state: ${openaiWs.readyState})`, 'error');
-          }
-        } catch (error) {
-          log(`Error processing WebSocket message: ${error.message}`, 'error');
-        }
-      });
+      // Each connection ID opens or resumes the session once
+      if (connection.pendingConnectionId !== connectionId) {
+        connection.logger.warn('Connection ID was already used');
+        ws.close(4000, 'Connection ID already used');
+        return;
+      }
+      connection.pendingConnectionId = null;
       
-      // Handle messages from OpenAI and forward to client
-      openaiWs.on('message', (message) => {
-        try {
-          if (typeof message === 'string') {
-            log(`Received text message from OpenAI: ${message.substring(0, 100)}${message.length > 100 ? '...' : ''}`);
-            // Only parse if it's a string and looks like JSON
-            if (message.startsWith('{') || message.startsWith('[')) {
-              try {
-                const parsed = JSON.parse(message);
-                log(`Parsed OpenAI message: ${JSON.stringify(parsed).substring(0, 100)}${JSON.stringify(parsed).length > 100 ? '...' : ''}`);
-              } catch (e) {
-                log(`Error parsing OpenAI message as JSON: ${e.message}`, 'error');
-              }
-            }
-          } else {
-            log(`Received binary message from OpenAI, size: ${message.length} bytes`);
-          }
-          
-          if (ws.readyState === WebSocket.OPEN) {
-            ws.send(message);
-            log('Message forwarded to client');
-          } else {
-            log(`Cannot forward message, client WebSocket not open (state: ${ws.readyState})`, 'error');
+      if (!connection.connectedAt) {
+        connection.connectedAt = Date.now();
+        
+        if (connection.config.record && !connection.recorder) {
+          try {
+            connection.recorder = new recordings.SessionRecorder(RECORDINGS_DIR, connection.sessionId, connection.config, connection.user);
+            connection.logger.info(`Recording session to ${connection.recorder.audioPath}`);
+          } catch (error) {
+            connection.logger.error(`Cannot record session: ${error.message}`);
           }
-        } catch (error) {
-          log(`Error processing OpenAI WebSocket message: ${error.message}`, 'error');
-        }
-      });
-      
-      // Handle OpenAI connection close
-      openaiWs.on('close', (code, reason) => {
-        log(`OpenAI WebSocket closed for session ${connection.sessionId}: ${code} ${reason}`);
-        // Close client connection too if still open
-        if (ws.readyState === WebSocket.OPEN) {
-          ws.close(code, reason);
-          log(`Closed client WebSocket due to OpenAI WebSocket closure`);
-        }
-      });
-      
-      // Handle client connection close
-      ws.on('close', () => {
-        log(`Client WebSocket closed for session ${connection.sessionId}`);
-        // Close OpenAI connection too if still open
-        if (openaiWs.readyState === WebSocket.OPEN) {
-          openaiWs.close();
-          log(`Closed OpenAI WebSocket due to client WebSocket closure`);
         }
-        // Clean up connection
-        activeConnections.delete(connectionId);
-        log(`Removed connection ${connectionId} from active connections`);
-      });
+      }
       
-      // Handle client connection errors
-      ws.on('error', (error) => {
-        log(`Client WebSocket error for session ${connection.sessionId}: ${error.message}`, 'error');
-        // Close OpenAI connection
-        if (openaiWs.readyState === WebSocket.OPEN) {
-          openaiWs.close();
-          log(`Closed OpenAI WebSocket due to client WebSocket error`);
-        }
-        // Clean up connection
-        activeConnections.delete(connectionId);
-        log(`Removed connection ${connectionId} from active connections`);
-      });
+      attachClient(connection, ws);
+    }
+    
+    // Read-only viewers of a shared session
+    if (pathname.startsWith('/ws/watch/')) {
+      // verifyClient already turned away session IDs that don't decode
+      const connection = findSession(decodePathSegment(pathname.split('/').pop()));
+      // The session may have ended or been revoked during the upgrade
+      if (!connection || !connection.viewers.isTokenValid(url.parse(req.url, true).query.token)) {
+        ws.close(4404, 'Unknown session or revoked share link');
+        return;
+      }
+      if (!connection.viewers.add(ws, createViewerSnapshot(connection))) {
+        connection.logger.warn('Rejected viewer, the session has too many viewers');
+        ws.close(1013, 'Too many viewers');
+        return;
+      }
+      connection.logger.info(`Viewer connected (${connection.viewers.size} watching)`);
     }
   });
   
-  // Clean up expired connections periodically (30 min ttl)
+  // Clean up expired connections periodically (30 min ttl). Only connections that never
+  // connected or already finished expire, live sessions run as long as their client stays.
   setInterval(() => {
     const now = Date.now();
     const maxAge = 30 * 60 * 1000; // 30 minutes
-    let count = 0;
+    
+    let count = removeAbandonedConnections();
     
     for (const [connectionId, connection] of activeConnections.entries()) {
-      if (now - connection.created > maxAge) {
-        log(`Removing expired connection: ${connectionId}, session: ${connection.sessionId}`);
+      if ((!connection.connectedAt || connection.finished) && now - connection.created > maxAge) {
+        connection.logger.info('Removing expired connection');
+        connection.releaseSession();
         activeConnections.delete(connectionId);
         count++;
       }
     }
     
     if (count > 0) {
-      log(`Cleaned up ${count} expired connections`);
+      logger.info(`Cleaned up ${count} expired connections`);
+    }
+    
+    for (const [sessionId, finished] of finishedSessions.entries()) {
+      if (now - finished.finished > FINISHED_SESSION_TTL) {
+        finishedSessions.delete(sessionId);
+      }
     }
+    
+    limiter.prune();
+    pruneRecordings();
   }, 5 * 60 * 1000); // Check every 5 minutes
+  
+  pruneRecordings();
+
+  // Drain the sessions and exit: no new sessions, clients are told the server is
+  // going away, pending audio is committed and its transcripts are awaited
+  async function shutdown(signal) {
+    if (shuttingDown) {
+      logger.warn(`Received ${signal} again, exiting without draining`);
+      process.exit(1);
+    }
+    shuttingDown = true;
+    logger.info(`Received ${signal}, draining ${activeConnections.size} sessions for up to ${SHUTDOWN_DRAIN_MS / 1000} s`);
+    server.close();
+    server.closeIdleConnections();
+    
+    const draining = [];
+    for (const connection of Array.from(activeConnections.values())) {
+      if (!connection.connectedAt) {
+        // Never connected, nothing to archive
+        connection.releaseSession();
+        activeConnections.delete(connection.connectionId);
+      } else if (!connection.clientWs) {
+        // Detached, a resume is no longer possible
+        finishConnection(connection);
+      } else {
+        drainConnection(connection);
+        draining.push(connection);
+      }
+    }
+    
+    const deadline = Date.now() + SHUTDOWN_DRAIN_MS;
+    while (draining.some(connection => !isDrained(connection)) && Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+    const undrained = draining.filter(connection => !isDrained(connection)).length;
+    if (undrained > 0) {
+      logger.warn(`${undrained} sessions did not receive all transcripts in time`);
+    }
+    
+    // 1001: going away
+    const writes = draining.map(connection => {
+      connection.finishOnClose = true;
+      if (connection.clientWs && connection.clientWs.readyState === WebSocket.OPEN) {
+        connection.clientWs.close(1001, 'Server shutting down');
+      }
+      return finishConnection(connection);
+    });
+    await Promise.allSettled(writes);
+    wss.close();
+    logger.info('Shutdown complete');
+    process.exit(0);
+  }
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+  process.on('SIGINT', () => shutdown('SIGINT'));
 
   server.listen(PORT, () => {
-    log(`Server running at http://localhost:${PORT}/`);
-    log(`WebSocket server running at ws://localhost:${PORT}/ws/`);
-    log(`API Key from environment: Valid ✓`);
+    logger.info(`Server running at http://localhost:${PORT}/`);
+    logger.info(`WebSocket server running at ws://localhost:${PORT}/ws/`);
+    logger.info(`API Key from environment: Valid ✓`);
+    if (postProcessing) {
+      logger.info(`Transcripts are post-processed by: ${postProcessing.describe().join(', ')}`);
+    }
+    if (!auth.enabled) {
+      logger.warn('Authentication is disabled (AUTH_ENABLED=false), anyone who can reach this server can use it');
+    } else if (auth.generatedToken) {
+      showGeneratedToken();
+    }
   });
 } 
\ No newline at end of file
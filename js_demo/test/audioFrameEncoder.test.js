@@ -0,0 +1,98 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+
+// The browser modules are ES modules, loaded the way the page loads them
+let Resampler;
+let AudioFrameEncoder;
+before(async () => {
+  Resampler = (await import('../public/resampler.js')).default;
+  AudioFrameEncoder = (await import('../public/audioFrameEncoder.js')).default;
+});
+
+function tone(frequency, sampleRate, length, offset = 0) {
+  return Float32Array.from({ length }, (_, i) => Math.sin(2 * Math.PI * frequency * (i + offset) / sampleRate));
+}
+
+// Feed one second of a tone in 100 ms blocks
+function resample(resampler, frequency) {
+  const block = resampler.inputRate / 10;
+  const output = [];
+  for (let i = 0; i < 10; i++) {
+    output.push(...resampler.process(tone(frequency, resampler.inputRate, block, i * block)));
+  }
+  return output;
+}
+
+function peak(samples) {
+  return samples.reduce((max, sample) => Math.max(max, Math.abs(sample)), 0);
+}
+
+describe('Resampler', () => {
+  it('produces the output rate across blocks', () => {
+    for (const [inputRate, outputRate] of [[48000, 24000], [44100, 24000], [48000, 8000], [24000, 24000]]) {
+      const output = resample(new Resampler(inputRate, outputRate), 1000);
+      assert.ok(Math.abs(output.length - outputRate) <= 16, `${inputRate} -> ${outputRate} gave ${output.length} samples`);
+    }
+  });
+
+  it('keeps tones in the passband', () => {
+    const output = resample(new Resampler(48000, 8000), 1000);
+    assert.ok(peak(output.slice(output.length / 2)) > 0.95);
+  });
+
+  it('filters tones above the output Nyquist frequency', () => {
+    const output = resample(new Resampler(48000, 8000), 10000);
+    assert.ok(peak(output.slice(output.length / 2)) < 0.01);
+  });
+});
+
+describe('AudioFrameEncoder', () => {
+  function encode(format, channels) {
+    const frames = [];
+    const encoder = new AudioFrameEncoder(48000, format, 100, frame => frames.push(frame));
+    for (let i = 0; i < 10; i++) {
+      encoder.process(channels.map(frequency => tone(frequency, 48000, 4800, i * 4800)));
+    }
+    return frames;
+  }
+
+  it('emits pcm16 frames at 24 kHz', () => {
+    const frames = encode('pcm16', [440]);
+    assert.ok(frames.length >= 9);
+    for (const frame of frames) {
+      assert.ok(frame instanceof Int16Array);
+      assert.equal(frame.length, 2400);
+    }
+    assert.ok(peak(frames[5]) > 30000);
+  });
+
+  it('emits G.711 frames at 8 kHz', () => {
+    for (const format of ['g711_ulaw', 'g711_alaw']) {
+      const frames = encode(format, [440]);
+      assert.ok(frames.length >= 9);
+      assert.ok(frames.every(frame => frame instanceof Uint8Array && frame.length === 800));
+    }
+  });
+
+  it('mixes channels down to mono', () => {
+    const frames = [];
+    const encoder = new AudioFrameEncoder(24000, 'pcm16', 100, frame => frames.push(frame));
+    const signal = tone(440, 24000, 24000);
+    encoder.process([signal, signal.map(sample => -sample)]);
+    assert.ok(frames.length >= 9);
+    assert.ok(peak(frames[5]) < 10);
+  });
+
+  it('drops the partial frame on reset', () => {
+    const frames = [];
+    const encoder = new AudioFrameEncoder(24000, 'pcm16', 100, frame => frames.push(frame));
+    encoder.process([tone(440, 24000, 2000)]);
+    encoder.reset();
+    assert.equal(encoder.frameLength, 0);
+    assert.equal(frames.length, 0);
+  });
+
+  it('rejects unknown formats', () => {
+    assert.throws(() => new AudioFrameEncoder(48000, 'opus', 100, () => {}), /Unsupported audio format: opus/);
+  });
+});
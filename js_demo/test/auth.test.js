@@ -0,0 +1,106 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { Authenticator, authOptionsFromEnv } = require('../libs/auth');
+
+const request = token => ({ headers: token ? { authorization: `Bearer ${token}` } : {} });
+
+describe('Authenticator', () => {
+  const auth = new Authenticator({
+    users: [{ name: 'alice', secret: 'alice-pw' }],
+    tokens: [{ name: 'ci', secret: 'ci-token' }, { name: 'ops', secret: 'ops-token' }],
+    admins: ['ops'],
+    secret: 'test-secret'
+  });
+
+  it('resolves API tokens to their user and role', () => {
+    assert.deepEqual(auth.verifyToken('ci-token'), { name: 'ci', method: 'token', admin: false });
+    assert.deepEqual(auth.authenticate(request('ops-token')), { name: 'ops', method: 'token', admin: true });
+    assert.equal(auth.verifyToken('wrong'), null);
+    assert.equal(auth.authenticate(request()), null);
+  });
+
+  it('issues session tokens for correct passwords only', () => {
+    assert.equal(auth.login('alice', 'wrong'), null);
+    assert.equal(auth.login('bob', 'alice-pw'), null);
+
+    const session = auth.login('alice', 'alice-pw');
+    assert.equal(session.user, 'alice');
+    assert.deepEqual(auth.verifyToken(session.token), { name: 'alice', method: 'password', admin: false });
+  });
+
+  it('rejects tampered, foreign and expired session tokens', () => {
+    const { token } = auth.login('alice', 'alice-pw');
+    const signature = token.split('.')[1];
+    const forged = Buffer.from(JSON.stringify({ sub: 'ops', exp: Date.now() + 60000 })).toString('base64url');
+    assert.equal(auth.verifyToken(`${forged}.${signature}`), null);
+
+    const other = new Authenticator({ users: [{ name: 'alice', secret: 'alice-pw' }], secret: 'other-secret' });
+    assert.equal(other.verifyToken(token), null);
+
+    const expiring = new Authenticator({ users: [{ name: 'alice', secret: 'alice-pw' }], secret: 'test-secret', sessionTtlMs: -1 });
+    assert.equal(expiring.verifyToken(expiring.login('alice', 'alice-pw').token), null);
+  });
+
+  it('drops session tokens of users removed from the configuration', () => {
+    const { token } = auth.login('alice', 'alice-pw');
+    const without = new Authenticator({ users: [{ name: 'carol', secret: 'pw' }], secret: 'test-secret' });
+    assert.equal(without.verifyToken(token), null);
+  });
+
+  it('signs connection IDs and lets them expire', () => {
+    const id = auth.createConnectionId();
+    assert.equal(auth.verifyConnectionId(id), true);
+    assert.equal(auth.verifyConnectionId(`${id}x`), false);
+    assert.equal(auth.verifyConnectionId('a.b'), false);
+
+    const expiring = new Authenticator({ tokens: [{ name: 'ci', secret: 'ci-token' }], connectionIdTtlMs: -1 });
+    assert.equal(expiring.verifyConnectionId(expiring.createConnectionId()), false);
+  });
+
+  it('checks WebSocket origins', () => {
+    assert.equal(auth.isOriginAllowed(undefined, 'localhost:3000'), true);
+    assert.equal(auth.isOriginAllowed('http://localhost:3000', 'localhost:3000'), true);
+    assert.equal(auth.isOriginAllowed('https://evil.example', 'localhost:3000'), false);
+    assert.equal(auth.isOriginAllowed('not a url', 'localhost:3000'), false);
+
+    const listed = new Authenticator({ tokens: [{ name: 'ci', secret: 't' }], allowedOrigins: ['https://app.example'] });
+    assert.equal(listed.isOriginAllowed('https://app.example', 'localhost:3000'), true);
+    assert.equal(listed.isOriginAllowed('http://localhost:3000', 'localhost:3000'), false);
+    assert.equal(listed.isOriginAllowed(undefined, 'localhost:3000'), false);
+  });
+
+  it('generates an admin token when no credentials are configured', () => {
+    const generated = new Authenticator({});
+    assert.ok(generated.generatedToken);
+    assert.deepEqual(generated.verifyToken(generated.generatedToken), { name: 'admin', method: 'token', admin: true });
+  });
+
+  it('lets everyone through as an admin when disabled', () => {
+    const disabled = new Authenticator({ enabled: false });
+    assert.equal(disabled.generatedToken, null);
+    assert.deepEqual(disabled.authenticate(request()), { name: 'anonymous', method: 'none', admin: true });
+    assert.deepEqual(disabled.describe(), { enabled: false, methods: [] });
+  });
+});
+
+describe('authOptionsFromEnv', () => {
+  it('parses users, tokens and admins', () => {
+    const options = authOptionsFromEnv({
+      AUTH_USERS: 'alice:pw',
+      AUTH_TOKENS: 'ci:tok, ops:secret:with:colons',
+      ADMIN_USERS: 'alice, ops',
+      AUTH_SESSION_HOURS: '2'
+    });
+    assert.equal(options.enabled, true);
+    assert.deepEqual(options.users, [{ name: 'alice', secret: 'pw' }]);
+    assert.deepEqual(options.tokens, [{ name: 'ci', secret: 'tok' }, { name: 'ops', secret: 'secret:with:colons' }]);
+    assert.deepEqual(options.admins, ['alice', 'ops']);
+    assert.equal(options.sessionTtlMs, 2 * 60 * 60 * 1000);
+  });
+
+  it('rejects malformed entries and unknown admins', () => {
+    assert.throws(() => authOptionsFromEnv({ AUTH_TOKENS: 'tok' }), /AUTH_TOKENS entries must look like name:secret/);
+    assert.throws(() => authOptionsFromEnv({ AUTH_TOKENS: 'ci:tok', ADMIN_USERS: 'root' }),
+      /ADMIN_USERS names unknown users or tokens: root/);
+  });
+});
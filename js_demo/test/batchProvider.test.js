@@ -0,0 +1,129 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createBatchProvider } = require('../libs/batchProvider');
+const { validateSessionConfig } = require('../libs/sessionConfig');
+
+const SAMPLE_RATE = 24000;
+
+// PCM16 at 24 kHz, a 440 Hz tone or silence
+function audio(ms, amplitude) {
+  const samples = SAMPLE_RATE * ms / 1000;
+  const pcm = Buffer.alloc(samples * 2);
+  for (let i = 0; i < samples; i++) {
+    pcm.writeInt16LE(Math.round(amplitude * 32767 * Math.sin(2 * Math.PI * 440 * i / SAMPLE_RATE)), i * 2);
+  }
+  return pcm;
+}
+
+function append(pcm) {
+  return JSON.stringify({ type: 'input_audio_buffer.append', audio: pcm.toString('base64') });
+}
+
+// A session whose uploads are answered by transcribe() instead of an API
+async function openSession(input, transcribe) {
+  const provider = createBatchProvider({ name: 'groq', label: 'Groq', baseUrl: 'http://localhost:1', apiKey: 'test', models: ['whisper-large-v3'] });
+  const uploads = [];
+  provider.transcribe = (wav, config) => {
+    uploads.push(wav);
+    return transcribe(wav, config);
+  };
+  const { config } = validateSessionConfig(input, provider);
+  const socket = provider.connect({ sessionId: 'sess_test', config });
+  const events = [];
+  socket.on('message', data => events.push(JSON.parse(data)));
+  await new Promise(resolve => socket.once('open', resolve));
+  return { socket, events, uploads };
+}
+
+const types = events => events.map(event => event.type);
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+describe('BatchTranscriptionSocket', () => {
+  it('announces the session when it opens', async () => {
+    const { events } = await openSession({}, async () => '');
+    assert.deepEqual(types(events), ['transcription_session.created']);
+    assert.equal(events[0].session.id, 'sess_test');
+  });
+
+  it('cuts a segment at the end of speech and transcribes it', async () => {
+    const { socket, events, uploads } = await openSession({}, async () => 'hello there');
+    socket.send(append(audio(400, 0)));
+    socket.send(append(audio(1000, 0.5)));
+    socket.send(append(audio(600, 0)));
+    await settle();
+
+    assert.deepEqual(types(events).slice(1), [
+      'input_audio_buffer.speech_started',
+      'input_audio_buffer.speech_stopped',
+      'input_audio_buffer.committed',
+      'conversation.item.created',
+      'conversation.item.input_audio_transcription.delta',
+      'conversation.item.input_audio_transcription.completed'
+    ]);
+    const [started, stopped] = events.slice(1, 3);
+    // The segment starts with the prefix padding before the speech
+    assert.equal(started.audio_start_ms, 100);
+    assert.equal(stopped.audio_end_ms, 1900);
+    assert.equal(events[6].transcript, 'hello there');
+    assert.equal(events[6].item_id, started.item_id);
+
+    // Prefix padding, speech and the silence until the end of the turn, as a WAV file
+    assert.equal(uploads.length, 1);
+    assert.equal(uploads[0].toString('ascii', 0, 4), 'RIFF');
+    assert.equal(uploads[0].length - 44, 1800 * SAMPLE_RATE / 1000 * 2);
+  });
+
+  it('commits manually without turn detection', async () => {
+    const { socket, events, uploads } = await openSession({ turnDetection: null }, async () => 'manual');
+    socket.send(append(audio(50, 0.5)));
+    socket.send(JSON.stringify({ type: 'input_audio_buffer.commit' }));
+    assert.equal(events.at(-1).error.code, 'input_audio_buffer_commit_empty');
+
+    socket.send(append(audio(500, 0.5)));
+    socket.send(JSON.stringify({ type: 'input_audio_buffer.commit' }));
+    await settle();
+    assert.equal(uploads.length, 1);
+    assert.equal(events.at(-1).type, 'conversation.item.input_audio_transcription.completed');
+    assert.equal(events.at(-1).transcript, 'manual');
+  });
+
+  it('cuts turns and uncommitted audio at 60 seconds', async () => {
+    const second = append(audio(1000, 0.5));
+    const segmentMs = upload => (upload.length - 44) / 2 / SAMPLE_RATE * 1000;
+
+    const vad = await openSession({}, async () => 'long');
+    for (let i = 0; i < 61; i++) vad.socket.send(second);
+    vad.socket.send(append(audio(600, 0)));
+    await settle();
+    assert.equal(vad.uploads.length, 2);
+    assert.ok(segmentMs(vad.uploads[0]) <= 60000);
+    assert.ok(segmentMs(vad.uploads[0]) + segmentMs(vad.uploads[1]) >= 61000);
+
+    const manual = await openSession({ turnDetection: null }, async () => 'long');
+    for (let i = 0; i < 61; i++) manual.socket.send(second);
+    await settle();
+    assert.equal(manual.uploads.length, 1);
+    assert.equal(segmentMs(manual.uploads[0]), 60000);
+  });
+
+  it('reports failed uploads as failed transcriptions', async () => {
+    const { socket, events } = await openSession({ turnDetection: null }, async () => {
+      throw new Error('Transcription request failed: 500');
+    });
+    socket.send(append(audio(500, 0.5)));
+    socket.send(JSON.stringify({ type: 'input_audio_buffer.commit' }));
+    await settle();
+    assert.equal(events.at(-1).type, 'conversation.item.input_audio_transcription.failed');
+    assert.equal(events.at(-1).error.message, 'Transcription request failed: 500');
+  });
+
+  it('rejects invalid and unsupported client events', async () => {
+    const { socket, events } = await openSession({}, async () => '');
+    socket.send('not json');
+    socket.send(JSON.stringify({ type: 'transcription_session.update' }));
+    assert.deepEqual(events.slice(1).map(event => event.error.code), ['invalid_json', 'unsupported_event']);
+
+    socket.close();
+    assert.throws(() => socket.send(append(audio(20, 0))), /not open/);
+  });
+});
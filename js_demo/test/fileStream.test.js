@@ -0,0 +1,70 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { prepareWavUpload, AudioFileStream } = require('../libs/fileStream');
+const { encodeWav } = require('../libs/wav');
+
+describe('prepareWavUpload', () => {
+  it('converts to 24 kHz mono PCM16', () => {
+    // 500 ms of 16 kHz stereo
+    const upload = prepareWavUpload(encodeWav(Buffer.alloc(16000 * 2 * 2 / 2), 16000, 2));
+    assert.equal(upload.durationMs, 500);
+    assert.equal(upload.audio.length, 24000 * 2 / 2);
+    assert.deepEqual(upload.source, { sampleRate: 16000, channels: 2, encoding: 'pcm16' });
+  });
+
+  it('encodes G.711 sessions at 8 kHz', () => {
+    const upload = prepareWavUpload(encodeWav(Buffer.alloc(24000 * 2 / 2)), 'g711_ulaw');
+    assert.equal(upload.durationMs, 500);
+    assert.equal(upload.audio.length, 4000);
+    assert.ok(upload.audio.every((byte) => byte === 0xFF));
+  });
+
+  it('rejects a file without audio', () => {
+    assert.throws(() => prepareWavUpload(encodeWav(Buffer.alloc(0))), /contains no audio/);
+  });
+
+  it('rejects a file longer than the maximum duration', () => {
+    // 500 ms of 24 kHz audio
+    const file = encodeWav(Buffer.alloc(24000));
+    assert.equal(prepareWavUpload(file, 'pcm16', 500).durationMs, 500);
+    assert.throws(() => prepareWavUpload(file, 'pcm16', 400), /longer than 0.4 s/);
+  });
+});
+
+describe('AudioFileStream', () => {
+  it('sends 100 ms chunks and trailing silence in fast mode', async () => {
+    const stream = new AudioFileStream(Buffer.alloc(24000 * 2 * 1.25), { pacing: 'fast', trailingSilenceMs: 200 });
+    const chunks = [];
+    const progress = [];
+    stream.on('progress', (event) => progress.push(event.sentMs));
+    const ended = new Promise((resolve) => stream.once('end', resolve));
+    stream.start((chunk) => chunks.push(chunk.length));
+
+    assert.deepEqual(await ended, { durationMs: 1250 });
+    assert.equal(chunks.length, 15);
+    assert.ok(chunks.slice(0, 14).every((length) => length === 4800));
+    assert.equal(chunks[14], 2400);
+    assert.deepEqual(progress, [1000, 1250]);
+  });
+
+  it('pads G.711 audio with encoded silence', async () => {
+    const stream = new AudioFileStream(Buffer.alloc(800, 0x55), { format: 'g711_alaw', pacing: 'fast', trailingSilenceMs: 100 });
+    const chunks = [];
+    const ended = new Promise((resolve) => stream.once('end', resolve));
+    stream.start((chunk) => chunks.push(chunk));
+
+    assert.deepEqual(await ended, { durationMs: 100 });
+    assert.equal(chunks.length, 2);
+    assert.ok(chunks[1].length === 800 && chunks[1].every((byte) => byte === 0xD5));
+  });
+
+  it('stops sending after stop()', async () => {
+    const stream = new AudioFileStream(Buffer.alloc(24000 * 2), { pacing: 'realtime' });
+    let sent = 0;
+    stream.on('end', () => assert.fail('stream should not end'));
+    stream.start(() => sent++);
+    stream.stop();
+    await new Promise((resolve) => setTimeout(resolve, 250));
+    assert.equal(sent, 1);
+  });
+});
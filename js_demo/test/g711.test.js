@@ -0,0 +1,65 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const g711 = require('../libs/g711');
+
+// Every 16-bit sample value, in steps that hit both ends of each segment
+const SAMPLES = Array.from({ length: 65536 / 4 }, (_, i) => i * 4 - 32768).concat(32767);
+
+describe('G.711', () => {
+  it('encodes the reference silence and full-scale values', () => {
+    assert.equal(g711.linearToMulaw(0), 0xFF);
+    assert.equal(g711.linearToMulaw(32767), 0x80);
+    assert.equal(g711.linearToMulaw(-32768), 0x00);
+    assert.equal(g711.linearToAlaw(0), 0xD5);
+    assert.equal(g711.linearToAlaw(32767), 0xAA);
+    assert.equal(g711.linearToAlaw(-32768), 0x2A);
+  });
+
+  it('round-trips within the companding error', () => {
+    for (const sample of SAMPLES) {
+      // The quantization step doubles with each segment, 1/16 of the magnitude bounds it
+      const tolerance = Math.max(16, Math.abs(sample) / 16);
+      assert.ok(Math.abs(g711.mulawToLinear(g711.linearToMulaw(sample)) - sample) <= tolerance, `µ-law ${sample}`);
+      assert.ok(Math.abs(g711.alawToLinear(g711.linearToAlaw(sample)) - sample) <= tolerance, `A-law ${sample}`);
+    }
+  });
+
+  it('decodes every byte back to the same byte', () => {
+    for (let byte = 0; byte < 256; byte++) {
+      // 0x7F is µ-law negative zero, which encodes as positive zero
+      if (byte !== 0x7F) {
+        assert.equal(g711.linearToMulaw(g711.mulawToLinear(byte)), byte);
+      }
+      assert.equal(g711.linearToAlaw(g711.alawToLinear(byte)), byte);
+    }
+  });
+
+  it('encodes and decodes buffers', () => {
+    const pcm = Buffer.alloc(6);
+    [0, 1000, -1000].forEach((value, i) => pcm.writeInt16LE(value, i * 2));
+    for (const format of g711.G711_FORMATS) {
+      const encoded = g711.encodeG711(pcm, format);
+      assert.equal(encoded.length, 3);
+      const decoded = g711.decodeG711(encoded, format);
+      assert.equal(decoded.length, 6);
+      assert.ok(Math.abs(decoded.readInt16LE(2) - 1000) < 64);
+    }
+    assert.ok(g711.isG711('g711_alaw'));
+    assert.ok(!g711.isG711('pcm16'));
+  });
+
+  describe('browser encoders', () => {
+    let browser;
+    before(async () => {
+      browser = await import('../public/g711.js');
+    });
+
+    it('match the server encoders', () => {
+      assert.equal(browser.G711_SAMPLE_RATE, g711.G711_SAMPLE_RATE);
+      for (const sample of SAMPLES) {
+        assert.equal(browser.linearToMulaw(sample), g711.linearToMulaw(sample));
+        assert.equal(browser.linearToAlaw(sample), g711.linearToAlaw(sample));
+      }
+    });
+  });
+});
@@ -0,0 +1,61 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { LimitExceededError, UsageLimiter, audioDurationMs, limitsFromEnv } = require('../libs/limits');
+
+const rejection = limit => error => error instanceof LimitExceededError && error.limit === limit;
+
+describe('UsageLimiter', () => {
+  it('limits concurrent sessions per key', () => {
+    const limiter = new UsageLimiter({ maxConcurrentSessions: 2, sessionsPerMinute: 0 });
+    const release = limiter.startSession('alice');
+    limiter.startSession('alice');
+    assert.throws(() => limiter.startSession('alice'), rejection('concurrent_sessions'));
+    limiter.startSession('bob');
+
+    // Releasing twice frees one slot, not two
+    release();
+    release();
+    limiter.startSession('alice');
+    assert.throws(() => limiter.startSession('alice'), rejection('concurrent_sessions'));
+  });
+
+  it('limits session creations per minute', () => {
+    const limiter = new UsageLimiter({ maxConcurrentSessions: 0, sessionsPerMinute: 2 });
+    limiter.startSession('alice')();
+    limiter.startSession('alice')();
+    assert.throws(() => limiter.startSession('alice'), error =>
+      rejection('sessions_per_minute')(error) && error.retryAfterSeconds > 0 && error.retryAfterSeconds <= 60);
+    assert.equal(limiter.describe('alice').usage.sessionsLastMinute, 2);
+  });
+
+  it('stops sessions once the daily audio quota is used up', () => {
+    const limiter = new UsageLimiter({ audioMinutesPerDay: 1 });
+    assert.equal(limiter.addAudio('alice', 30000), true);
+    assert.equal(limiter.addAudio('alice', 30000), true);
+    assert.equal(limiter.addAudio('alice', 1), false);
+    assert.throws(() => limiter.startSession('alice'), rejection('audio_minutes_per_day'));
+    assert.equal(limiter.addAudio('bob', 1000), true);
+  });
+
+  it('disables a limit with 0', () => {
+    const limiter = new UsageLimiter({ maxConcurrentSessions: 0, sessionsPerMinute: 0, audioMinutesPerDay: 0 });
+    for (let i = 0; i < 20; i++) limiter.startSession('alice');
+    assert.equal(limiter.addAudio('alice', 24 * 60 * 60 * 1000), true);
+    assert.equal(limiter.describe('alice').usage.activeSessions, 20);
+  });
+});
+
+describe('audioDurationMs', () => {
+  it('depends on the input format', () => {
+    assert.equal(audioDurationMs(4800, 'pcm16'), 100);
+    assert.equal(audioDurationMs(800, 'g711_ulaw'), 100);
+  });
+});
+
+describe('limitsFromEnv', () => {
+  it('reads numbers and rejects anything else', () => {
+    assert.deepEqual(limitsFromEnv({ MAX_CONCURRENT_SESSIONS: '5', AUDIO_MINUTES_PER_DAY: '0', SESSIONS_PER_MINUTE: '' }),
+      { maxConcurrentSessions: 5, audioMinutesPerDay: 0 });
+    assert.throws(() => limitsFromEnv({ SESSIONS_PER_MINUTE: '-1' }), /SESSIONS_PER_MINUTE must be a number >= 0/);
+  });
+});
@@ -0,0 +1,139 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const WebSocket = require('ws');
+const { createMockUpstream, mockOptionsFromEnv } = require('../libs/mockUpstream');
+
+describe('mock upstream', () => {
+  const script = ['First line of the script.', 'Second line.'];
+  let mock;
+  let baseUrl;
+
+  before(async () => {
+    mock = createMockUpstream({ apiKey: 'mock-key', script, utteranceMs: 500, latencyMs: 0, deltaIntervalMs: 0 });
+    baseUrl = await mock.listen(0);
+  });
+
+  after(() => mock.close());
+
+  async function api(method, pathname, body, apiKey = 'mock-key') {
+    const res = await fetch(baseUrl.replace(/\/v1$/, '') + pathname, {
+      method,
+      headers: { Authorization: `Bearer ${apiKey}`, 'Content-Type': 'application/json' },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    return { status: res.status, body: await res.json() };
+  }
+
+  // Create a session and connect to it, resolving once it is announced
+  async function connect(payload) {
+    const { body: session } = await api('POST', '/v1/realtime/transcription_sessions', payload);
+    const ws = new WebSocket(`${baseUrl.replace(/^http/, 'ws')}/realtime?intent=transcription`, {
+      headers: { Authorization: `Bearer ${session.client_secret.value}` }
+    });
+    const events = [];
+    ws.on('message', data => events.push(JSON.parse(data)));
+    const waitFor = type => new Promise((resolve, reject) => {
+      const deadline = setTimeout(() => reject(new Error(`No ${type} event`)), 5000);
+      const check = () => {
+        const event = events.find(candidate => candidate.type === type);
+        if (!event) return setTimeout(check, 10);
+        clearTimeout(deadline);
+        resolve(event);
+      };
+      check();
+    });
+    await waitFor('transcription_session.created');
+    return { ws, events, waitFor, session };
+  }
+
+  const append = (ws, bytes) => ws.send(JSON.stringify({ type: 'input_audio_buffer.append', audio: Buffer.alloc(bytes).toString('base64') }));
+
+  it('only listens on the loopback interface', () => {
+    assert.equal(mock.server.address().address, '127.0.0.1');
+    assert.match(baseUrl, /^http:\/\/127\.0\.0\.1:\d+\/v1$/);
+  });
+
+  it('checks the API key', async () => {
+    assert.equal((await api('GET', '/v1/models', undefined, 'wrong')).status, 401);
+    const { status, body } = await api('GET', '/v1/models');
+    assert.equal(status, 200);
+    assert.ok(body.data.some(model => model.id === 'gpt-4o-transcribe'));
+  });
+
+  it('only accepts WebSockets with a session client secret', async () => {
+    const ws = new WebSocket(`${baseUrl.replace(/^http/, 'ws')}/realtime?intent=transcription`, {
+      headers: { Authorization: 'Bearer mock-key' }
+    });
+    const error = await new Promise(resolve => ws.once('error', resolve));
+    assert.match(error.message, /401/);
+  });
+
+  it('transcribes a server_vad turn with the next line of the script', async () => {
+    const { ws, events, waitFor } = await connect({
+      turn_detection: { type: 'server_vad' },
+      include: ['item.input_audio_transcription.logprobs']
+    });
+    // 500 ms of pcm16 at 24 kHz ends the turn
+    append(ws, 24000);
+    const completed = await waitFor('conversation.item.input_audio_transcription.completed');
+    ws.close();
+
+    assert.equal(completed.transcript, script[0]);
+    assert.equal(completed.logprobs.map(logprob => logprob.token).join(''), script[0]);
+    const deltas = events.filter(event => event.type === 'conversation.item.input_audio_transcription.delta');
+    assert.equal(deltas.map(event => event.delta).join(''), script[0]);
+    assert.deepEqual(events.slice(1, 5).map(event => event.type), [
+      'input_audio_buffer.speech_started',
+      'input_audio_buffer.speech_stopped',
+      'input_audio_buffer.committed',
+      'conversation.item.created'
+    ]);
+    assert.equal(events[2].audio_end_ms, 500);
+  });
+
+  it('waits for a commit without turn detection', async () => {
+    const { ws, events, waitFor } = await connect({ turn_detection: null });
+    append(ws, 2400);
+    ws.send(JSON.stringify({ type: 'input_audio_buffer.commit' }));
+    assert.equal((await waitFor('error')).error.code, 'input_audio_buffer_commit_empty');
+
+    append(ws, 9600);
+    ws.send(JSON.stringify({ type: 'input_audio_buffer.commit' }));
+    const completed = await waitFor('conversation.item.input_audio_transcription.completed');
+    ws.close();
+    assert.equal(completed.transcript, script[0]);
+    assert.ok(!events.some(event => event.type === 'input_audio_buffer.speech_started'));
+  });
+
+  it('simulates failures set through /__mock/config', async () => {
+    const { body: options } = await api('POST', '/__mock/config', { failEvery: 1 });
+    assert.equal(options.failEvery, 1);
+    try {
+      const { ws, waitFor } = await connect({ turn_detection: null });
+      append(ws, 9600);
+      ws.send(JSON.stringify({ type: 'input_audio_buffer.commit' }));
+      const failed = await waitFor('conversation.item.input_audio_transcription.failed');
+      ws.close();
+      assert.equal(failed.error.code, 'mock_failure');
+    } finally {
+      await api('POST', '/__mock/config', { failEvery: 0 });
+    }
+  });
+
+  it('pushes events and disconnects through its control endpoints', async () => {
+    const { ws, waitFor } = await connect({ turn_detection: null });
+    const closed = new Promise(resolve => ws.once('close', code => resolve(code)));
+
+    assert.equal((await api('POST', '/__mock/emit', { type: 'rate_limits.updated', rate_limits: [] })).body.sent, 1);
+    await waitFor('rate_limits.updated');
+    assert.equal((await api('POST', '/__mock/disconnect', { code: 4001, reason: 'test' })).body.disconnected, 1);
+    assert.equal(await closed, 4001);
+  });
+});
+
+describe('mockOptionsFromEnv', () => {
+  it('reads numbers and the API key', () => {
+    assert.deepEqual(mockOptionsFromEnv({ MOCK_LATENCY_MS: '10', MOCK_FAIL_EVERY: '3', MOCK_API_KEY: 'key', MOCK_UTTERANCE_MS: '' }),
+      { latencyMs: 10, failEvery: 3, apiKey: 'key' });
+  });
+});
@@ -0,0 +1,85 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { PostProcessingPipeline, createProcessor } = require('../libs/postProcessing');
+
+function pipeline(...definitions) {
+  return new PostProcessingPipeline(definitions.map(definition => createProcessor(definition, {})));
+}
+
+function delta(itemId, text) {
+  return { type: 'conversation.item.input_audio_transcription.delta', item_id: itemId, delta: text };
+}
+
+describe('processors', () => {
+  it('regex applies its rules in order', () => {
+    const processor = createProcessor({ type: 'regex', rules: [{ pattern: '\\bum+\\b,? ?', flags: 'i', replacement: '' }] }, {});
+    assert.equal(processor.process('Um, so umm we ship'), 'so we ship');
+  });
+
+  it('vocabulary fixes capitalization and spelling, longest phrase first', () => {
+    const processor = createProcessor({
+      type: 'vocabulary',
+      terms: ['Kubernetes'],
+      replacements: { 'post gres': 'Postgres', 'post gres sql': 'PostgreSQL' }
+    }, {});
+    assert.equal(processor.process('kubernetes talks to post  gres sql, not post gres'),
+      'Kubernetes talks to PostgreSQL, not Postgres');
+    assert.equal(processor.process('kuberneteses'), 'kuberneteses');
+  });
+
+  it('profanity masks whole words and prefixes', () => {
+    const processor = createProcessor({ type: 'profanity', words: ['darn*', 'heck'] }, {});
+    assert.equal(processor.process('Darned heck, heckle'), 'D***** h***, heckle');
+  });
+
+  it('numbers converts number words and dates', () => {
+    const processor = createProcessor({ type: 'numbers', minValue: 10 }, {});
+    assert.equal(processor.process('two hundred and forty-five tickets for one team'), '245 tickets for one team');
+    assert.equal(processor.process('twenty one and thirty two'), '21 and 32');
+    assert.equal(processor.process('on March 5th, 2024 and the 31st of February 2024'), 'on 2024-03-05 and the 31st of February 2024');
+  });
+
+  it('rejects invalid definitions', () => {
+    assert.throws(() => createProcessor({ type: 'spellcheck' }, {}), /processor type must be one of/);
+    assert.throws(() => createProcessor({ type: 'regex', rules: [{ pattern: '(', replacement: '' }] }, {}), /regex rule 0 is invalid/);
+    assert.throws(() => createProcessor({ type: 'vocabulary' }, {}), /needs terms or replacements/);
+    assert.throws(() => createProcessor({ type: 'numbers', minValue: -1 }, {}), /minValue/);
+  });
+});
+
+describe('TranscriptProcessor', () => {
+  it('relays processed deltas up to the last complete word', () => {
+    const session = pipeline({ type: 'vocabulary', terms: ['PostgreSQL'] }).createSession();
+    assert.equal(session.processDelta(delta('item1', 'We')), null);
+    assert.equal(session.processDelta(delta('item1', ' use post')).delta, 'We use');
+    assert.equal(session.processDelta(delta('item1', 'gresql')), null);
+    assert.equal(session.processDelta(delta('item1', ' daily.')).delta, ' PostgreSQL');
+  });
+
+  it('holds logprobs back with their text', () => {
+    const session = pipeline({ type: 'regex', rules: [{ pattern: 'x', replacement: 'y' }] }).createSession();
+    assert.equal(session.processDelta({ ...delta('item1', 'one'), logprobs: [{ token: 'one' }] }), null);
+    const event = session.processDelta({ ...delta('item1', ' two '), logprobs: [{ token: ' two' }] });
+    assert.equal(event.delta, 'one two');
+    assert.deepEqual(event.logprobs, [{ token: 'one' }, { token: ' two' }]);
+  });
+
+  it('stops deltas when a processor rewrites text that was sent', () => {
+    const session = pipeline({ type: 'numbers', minValue: 10 }).createSession();
+    assert.equal(session.processDelta(delta('item1', 'We need twenty ')).delta, 'We need 20');
+    assert.equal(session.processDelta(delta('item1', 'five ')), null);
+    assert.equal(session.processDelta(delta('item1', 'servers ')), null);
+  });
+
+  it('keeps the original transcript of changed completed events', async () => {
+    const session = pipeline({ type: 'numbers' }, { type: 'profanity' }).createSession();
+    const completed = { type: 'conversation.item.input_audio_transcription.completed', item_id: 'item1' };
+
+    const changed = await session.processCompleted({ ...completed, transcript: 'fifty shit servers' });
+    assert.equal(changed.transcript, '50 s*** servers');
+    assert.equal(changed.original_transcript, 'fifty shit servers');
+
+    const unchanged = { ...completed, transcript: 'all good' };
+    assert.equal(await session.processCompleted(unchanged), unchanged);
+  });
+});
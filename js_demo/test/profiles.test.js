@@ -0,0 +1,151 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ProfileError, ProfileStore, applyProfile, composePrompt, validateProfile } = require('../libs/profiles');
+
+const MODELS = {
+  openai: ['gpt-4o-transcribe', 'whisper-1'],
+  groq: ['whisper-large-v3']
+};
+// The default provider is openai
+const resolveModels = name => MODELS[name === null ? 'openai' : name] || null;
+
+const rejection = statusCode => error => error instanceof ProfileError && error.statusCode === statusCode;
+
+describe('validateProfile', () => {
+  it('normalizes a profile', () => {
+    const { profile, errors } = validateProfile({ name: 'standup', terms: [' Kubernetes ', 'kubernetes', '', 'Post  gres'] });
+    assert.deepEqual(errors, []);
+    assert.deepEqual(profile, {
+      name: 'standup',
+      description: '',
+      prompt: '',
+      terms: ['Kubernetes', 'Post gres'],
+      language: null,
+      provider: null,
+      model: null
+    });
+  });
+
+  it('rejects invalid fields', () => {
+    assert.deepEqual(validateProfile(null).errors, ['Profile must be a JSON object']);
+    const { errors } = validateProfile({ name: 'Stand Up', terms: 'Kubernetes', language: 'english' });
+    assert.equal(errors.length, 3);
+  });
+
+  it('checks the model against the profile provider', () => {
+    assert.deepEqual(validateProfile({ name: 'p', model: 'whisper-1' }, resolveModels).errors, []);
+    assert.deepEqual(validateProfile({ name: 'p', provider: 'groq', model: 'whisper-large-v3' }, resolveModels).errors, []);
+    assert.deepEqual(validateProfile({ name: 'p', model: 'whisper-large-v3' }, resolveModels).errors,
+      ['model must be null or one of the models of the default provider: gpt-4o-transcribe, whisper-1']);
+    assert.deepEqual(validateProfile({ name: 'p', provider: 'groq', model: 'whisper-1' }, resolveModels).errors,
+      ['model must be null or one of the models of provider groq: whisper-large-v3']);
+    assert.deepEqual(validateProfile({ name: 'p', provider: 'azure' }, resolveModels).errors, ['Unknown provider: azure']);
+  });
+});
+
+describe('composePrompt and applyProfile', () => {
+  const profile = {
+    name: 'clinic',
+    prompt: 'Clinical rounds.',
+    terms: ['metoprolol', 'apixaban'],
+    language: 'en',
+    provider: 'groq',
+    model: 'whisper-large-v3'
+  };
+
+  it('joins the profile prompt, its terms and the request prompt', () => {
+    assert.equal(composePrompt(profile, ' Ward 3 '), 'Clinical rounds.\nVocabulary: metoprolol, apixaban.\nWard 3');
+    assert.equal(composePrompt({ prompt: '', terms: [] }, ''), '');
+  });
+
+  it('fills in what the request leaves out', () => {
+    assert.deepEqual(applyProfile({}, profile), {
+      profile: 'clinic',
+      language: 'en',
+      provider: 'groq',
+      model: 'whisper-large-v3',
+      prompt: 'Clinical rounds.\nVocabulary: metoprolol, apixaban.'
+    });
+  });
+
+  it('takes provider and model only when the request sets neither', () => {
+    const config = applyProfile({ language: 'de', model: 'whisper-1' }, profile);
+    assert.equal(config.language, 'de');
+    assert.equal(config.model, 'whisper-1');
+    assert.equal(config.provider, undefined);
+  });
+});
+
+describe('ProfileStore', () => {
+  let directory;
+  let filePath;
+  let store;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'profiles-test-'));
+    filePath = path.join(directory, 'data', 'profiles.json');
+    store = new ProfileStore(filePath, { resolveModels });
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('creates, lists, updates and removes profiles', async () => {
+    await store.create({ name: 'standup', terms: ['Kubernetes'] }, 'alice');
+    await store.create({ name: 'clinic' }, 'bob');
+    assert.deepEqual((await store.list()).map(profile => profile.name), ['clinic', 'standup']);
+
+    const updated = await store.update('standup', { prompt: 'Daily standup.' }, 'alice');
+    assert.equal(updated.prompt, 'Daily standup.');
+    assert.deepEqual(updated.terms, []);
+    assert.equal(updated.createdBy, 'alice');
+
+    await store.remove('clinic', 'bob');
+    assert.equal(await store.get('clinic'), null);
+
+    // A new store reads what the first one wrote
+    const reloaded = new ProfileStore(filePath);
+    assert.deepEqual((await reloaded.list()).map(profile => profile.name), ['standup']);
+  });
+
+  it('rejects invalid, duplicate, unknown and renamed profiles', async () => {
+    await store.create({ name: 'standup' }, 'alice');
+    await assert.rejects(store.create({ name: 'Standup!' }, 'alice'), rejection(400));
+    await assert.rejects(store.create({ name: 'standup' }, 'bob'), rejection(409));
+    await assert.rejects(store.update('retro', {}, 'alice'), rejection(404));
+    await assert.rejects(store.update('standup', { name: 'retro' }, 'alice'), rejection(400));
+    await assert.rejects(store.remove('retro', 'alice'), rejection(404));
+  });
+
+  it('only lets the owner or an admin change a profile', async () => {
+    await store.create({ name: 'standup' }, 'alice');
+    await assert.rejects(store.update('standup', { prompt: 'Mine now.' }, 'bob'), rejection(403));
+    await assert.rejects(store.remove('standup', 'bob'), rejection(403));
+
+    const updated = await store.update('standup', { prompt: 'Checked.' }, 'ops', true);
+    assert.equal(updated.updatedBy, 'ops');
+    assert.equal(updated.createdBy, 'alice');
+    await store.remove('standup', 'ops', true);
+    assert.deepEqual(await store.list(), []);
+  });
+
+  it('keeps concurrent changes', async () => {
+    await Promise.all(['a', 'b', 'c', 'd'].map(name => store.create({ name }, 'alice')));
+    const stored = JSON.parse(fs.readFileSync(filePath, 'utf8')).profiles;
+    assert.deepEqual(stored.map(profile => profile.name).sort(), ['a', 'b', 'c', 'd']);
+  });
+
+  it('leaves the profiles unchanged when saving fails', async () => {
+    await store.create({ name: 'standup' }, 'alice');
+    // A directory in place of the file makes the next write fail
+    fs.rmSync(filePath);
+    fs.mkdirSync(filePath);
+    await assert.rejects(store.create({ name: 'retro' }, 'alice'));
+    assert.equal(await store.get('retro'), null);
+    assert.deepEqual((await store.list()).map(profile => profile.name), ['standup']);
+  });
+});
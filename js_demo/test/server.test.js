@@ -0,0 +1,269 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const WebSocket = require('ws');
+const { encodeWav } = require('../libs/wav');
+
+// The server with the mock upstream, three token users of which ops is an admin
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.once('error', reject);
+    server.listen(0, () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+async function poll(check) {
+  const deadline = Date.now() + 5000;
+  while (Date.now() < deadline) {
+    if (await check()) return;
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+  throw new Error('Timed out');
+}
+
+describe('auth scoping', () => {
+  let child;
+  let output = '';
+  let directory;
+  let baseUrl;
+
+  async function api(method, pathname, token, body) {
+    const headers = token ? { Authorization: `Bearer ${token}` } : {};
+    if (body !== undefined) headers['Content-Type'] = 'application/json';
+    const res = await fetch(baseUrl + pathname, { method, headers, body: body === undefined ? undefined : JSON.stringify(body) });
+    const text = await res.text();
+    return { status: res.status, body: text && res.headers.get('content-type').startsWith('application/json') ? JSON.parse(text) : text };
+  }
+
+  async function waitForServer() {
+    const deadline = Date.now() + 10000;
+    while (Date.now() < deadline) {
+      if (child.exitCode !== null) break;
+      try {
+        if ((await fetch(`${baseUrl}/healthz`)).ok) return;
+      } catch (e) {
+        // Not listening yet
+      }
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+    throw new Error(`The server did not start:\n${output}`);
+  }
+
+  function connect(wsUrl) {
+    const ws = new WebSocket(wsUrl);
+    return new Promise((resolve, reject) => {
+      ws.once('open', () => resolve(ws));
+      ws.once('error', reject);
+    });
+  }
+
+  // Record a short session as the given user and wait until it is archived
+  async function recordSession(token) {
+    const created = await api('POST', '/api/transcription/create-session', token, { record: true });
+    assert.equal(created.status, 200);
+    const ws = await connect(created.body.wsUrl);
+    ws.send(JSON.stringify({ type: 'input_audio_buffer.append', audio: Buffer.alloc(4800).toString('base64') }));
+    ws.close();
+    await poll(async () => (await api('GET', '/api/recordings', token)).body.recordings.length > 0);
+    return created.body.sessionId;
+  }
+
+  before(async () => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'server-test-'));
+    const port = await freePort();
+    baseUrl = `http://localhost:${port}`;
+
+    child = spawn(process.execPath, [path.join(__dirname, '..', 'server.js')], {
+      cwd: directory,
+      env: {
+        PATH: process.env.PATH,
+        PORT: String(port),
+        MOCK_UPSTREAM: 'true',
+        MOCK_PORT: String(await freePort()),
+        AUTH_TOKENS: 'alice:alice-token,bob:bob-token,ops:ops-token',
+        ADMIN_USERS: 'ops',
+        PROFILES_PATH: path.join(directory, 'profiles.json'),
+        USAGE_LEDGER_PATH: path.join(directory, 'usage-ledger.jsonl'),
+        RECORDINGS_ENABLED: 'true',
+        RECORDINGS_DIR: path.join(directory, 'recordings'),
+        SHUTDOWN_DRAIN_SECONDS: '0'
+      },
+      stdio: ['ignore', 'pipe', 'pipe']
+    });
+    child.stdout.on('data', chunk => { output += chunk; });
+    child.stderr.on('data', chunk => { output += chunk; });
+    await waitForServer();
+  });
+
+  after(async () => {
+    if (child && child.exitCode === null) {
+      const exited = new Promise(resolve => child.once('exit', resolve));
+      child.kill('SIGTERM');
+      const timer = setTimeout(() => child.kill('SIGKILL'), 5000);
+      await exited;
+      clearTimeout(timer);
+    }
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('requires a token', async () => {
+    assert.equal((await api('GET', '/api/sessions')).status, 401);
+    assert.equal((await api('GET', '/api/sessions', 'wrong-token')).status, 401);
+  });
+
+  it('reports the admin role', async () => {
+    assert.equal((await api('GET', '/api/auth/session', 'alice-token')).body.admin, false);
+    assert.equal((await api('GET', '/api/auth/session', 'ops-token')).body.admin, true);
+  });
+
+  it('shows live sessions to their owner and admins only', async () => {
+    const created = await api('POST', '/api/transcription/create-session', 'alice-token', {});
+    assert.equal(created.status, 200);
+    const { sessionId } = created.body;
+    const ids = async token => (await api('GET', '/api/sessions', token)).body.sessions.map(session => session.sessionId);
+
+    assert.ok((await ids('alice-token')).includes(sessionId));
+    assert.ok((await ids('ops-token')).includes(sessionId));
+    assert.ok(!(await ids('bob-token')).includes(sessionId));
+
+    assert.equal((await api('GET', `/api/sessions/${sessionId}`, 'alice-token')).status, 200);
+    assert.equal((await api('GET', `/api/sessions/${sessionId}`, 'bob-token')).status, 404);
+    assert.equal((await api('DELETE', `/api/sessions/${sessionId}`, 'bob-token')).status, 404);
+    assert.equal((await api('DELETE', `/api/sessions/${sessionId}`, 'alice-token')).status, 403);
+    assert.equal((await api('DELETE', `/api/sessions/${sessionId}`, 'ops-token')).status, 200);
+    assert.ok(!(await ids('ops-token')).includes(sessionId));
+  });
+
+  it('keeps transcripts and recordings to their owner and admins', async () => {
+    const sessionId = await recordSession('alice-token');
+
+    assert.equal((await api('GET', `/api/transcription/sessions/${sessionId}/transcript`, 'alice-token')).status, 200);
+    assert.equal((await api('GET', `/api/transcription/sessions/${sessionId}/transcript`, 'bob-token')).status, 404);
+    assert.equal((await api('GET', `/api/transcription/sessions/${sessionId}/transcript`, 'ops-token')).status, 200);
+
+    const recordings = (await api('GET', '/api/recordings', 'alice-token')).body.recordings;
+    assert.deepEqual(recordings.map(recording => [recording.id, recording.user]), [[sessionId, 'alice']]);
+    assert.deepEqual((await api('GET', '/api/recordings', 'bob-token')).body.recordings, []);
+    assert.equal((await api('GET', `/api/recordings/${sessionId}`, 'bob-token')).status, 404);
+    assert.equal((await api('GET', `/api/recordings/${sessionId}`, 'ops-token')).status, 200);
+    assert.equal((await api('DELETE', `/api/recordings/${sessionId}`, 'bob-token')).status, 404);
+    assert.equal((await api('DELETE', `/api/recordings/${sessionId}`, 'alice-token')).status, 200);
+  });
+
+  it('answers 400 to malformed escapes in route parameters', async () => {
+    const malformed = '%E0%A4%A';
+    assert.equal((await api('GET', `/api/transcription/sessions/${malformed}/transcript`, 'alice-token')).status, 400);
+    assert.equal((await api('GET', `/api/recordings/${malformed}`, 'alice-token')).status, 400);
+    assert.equal((await api('GET', `/api/recordings/${malformed}/audio`, 'alice-token')).status, 400);
+    assert.equal((await api('POST', `/api/transcription/sessions/${malformed}/resume`, 'alice-token')).status, 400);
+    assert.equal((await api('GET', `/api/sessions/${malformed}`, 'alice-token')).status, 400);
+    assert.equal((await api('POST', `/api/transcription/sessions/${malformed}/share`, 'alice-token')).status, 400);
+
+    const viewer = new WebSocket(`${baseUrl.replace('http', 'ws')}/ws/watch/${malformed}?token=x`);
+    viewer.on('error', () => {});
+    const response = await new Promise(resolve => viewer.once('unexpected-response', (req, res) => resolve(res)));
+    assert.equal(response.statusCode, 400);
+    viewer.terminate();
+    assert.equal((await api('GET', '/api/sessions', 'alice-token')).status, 200);
+  });
+
+  it('keeps usage to the caller unless they are an admin', async () => {
+    assert.equal((await api('GET', '/api/usage?user=alice', 'bob-token')).status, 403);
+    assert.equal((await api('GET', '/api/usage?user=alice', 'alice-token')).status, 200);
+    assert.equal((await api('GET', '/api/usage?user=alice', 'ops-token')).status, 200);
+    const users = async token => (await api('GET', '/api/usage', token)).body.groups.map(group => group.user);
+    assert.deepEqual(await users('alice-token'), ['alice']);
+    assert.deepEqual(await users('bob-token'), []);
+  });
+
+  it('lets the owner share a session with viewers and revoke the link', async () => {
+    const created = await api('POST', '/api/transcription/create-session', 'alice-token', {});
+    const { sessionId } = created.body;
+    const owner = await connect(created.body.wsUrl);
+
+    assert.equal((await api('POST', `/api/transcription/sessions/${sessionId}/share`, 'bob-token')).status, 404);
+    const shared = await api('POST', `/api/transcription/sessions/${sessionId}/share`, 'alice-token');
+    assert.equal(shared.status, 200);
+
+    const viewer = new WebSocket(shared.body.wsUrl);
+    const snapshot = await new Promise((resolve, reject) => {
+      viewer.once('message', data => resolve(JSON.parse(data)));
+      viewer.once('error', reject);
+    });
+    assert.equal(snapshot.type, 'transcript.snapshot');
+    assert.equal(snapshot.session.sessionId, sessionId);
+
+    const closed = new Promise(resolve => viewer.once('close', resolve));
+    assert.equal((await api('DELETE', `/api/transcription/sessions/${sessionId}/share`, 'alice-token')).status, 200);
+    assert.equal(await closed, 4403);
+
+    // The old link no longer upgrades
+    const rejected = new WebSocket(shared.body.wsUrl);
+    rejected.on('error', () => {});
+    const response = await new Promise(resolve => rejected.once('unexpected-response', (req, res) => resolve(res)));
+    assert.equal(response.statusCode, 404);
+    rejected.terminate();
+    owner.close();
+  });
+
+  it('only lets the owner or an admin change a profile', async () => {
+    assert.equal((await api('POST', '/api/profiles', 'alice-token', { name: 'standup' })).status, 201);
+    assert.equal((await api('GET', '/api/profiles/standup', 'bob-token')).status, 200);
+    assert.equal((await api('PUT', '/api/profiles/standup', 'bob-token', { prompt: 'Mine now.' })).status, 403);
+    assert.equal((await api('DELETE', '/api/profiles/standup', 'bob-token')).status, 403);
+    assert.equal((await api('PUT', '/api/profiles/standup', 'ops-token', { prompt: 'Checked.' })).status, 200);
+    assert.equal((await api('DELETE', '/api/profiles/standup', 'alice-token')).status, 200);
+  });
+
+  it('drops text frames from the client that are not JSON events', async () => {
+    const created = await api('POST', '/api/transcription/create-session', 'alice-token', {});
+    const ws = await connect(created.body.wsUrl);
+    const errors = [];
+    const received = new Promise(resolve => ws.on('message', data => {
+      const event = JSON.parse(data);
+      if (event.event_id === 'invalid_client_event') errors.push(event.error.message);
+      if (errors.length === 3) resolve();
+    }));
+
+    ws.send('not json');
+    ws.send(JSON.stringify([{ type: 'input_audio_buffer.commit' }]));
+    ws.send(JSON.stringify({ type: 'input_audio_buffer.append', audio: 42 }));
+    await received;
+    assert.deepEqual(errors, [
+      'Expected a JSON event with a type',
+      'Expected a JSON event with a type',
+      'input_audio_buffer.append needs base64 audio'
+    ]);
+    ws.close();
+  });
+
+  it('checks an upload\'s session config before reading its file', async () => {
+    const upload = (config, body) => fetch(`${baseUrl}/api/transcription/file?pacing=fast&config=${encodeURIComponent(JSON.stringify(config))}`, {
+      method: 'POST',
+      headers: { Authorization: 'Bearer ops-token', 'Content-Type': 'audio/wav' },
+      body
+    });
+
+    const invalid = await upload({ provider: 'nope' }, Buffer.alloc(64 * 1024));
+    assert.equal(invalid.status, 400);
+    assert.equal(invalid.headers.get('connection'), 'close');
+    assert.equal((await invalid.json()).error, 'Invalid session config');
+
+    const lowRate = await upload({}, encodeWav(Buffer.alloc(400), 4000));
+    assert.equal(lowRate.status, 400);
+    assert.match((await lowRate.json()).error, /Unsupported sample rate 4000 Hz/);
+
+    const accepted = await upload({}, encodeWav(Buffer.alloc(4800)));
+    assert.equal(accepted.status, 200);
+    assert.equal((await accepted.json()).file.durationMs, 100);
+  });
+});
@@ -0,0 +1,90 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_SESSION_CONFIG, validateSessionConfig, toSessionPayload } = require('../libs/sessionConfig');
+const { createBatchProvider } = require('../libs/batchProvider');
+
+const batchProvider = createBatchProvider({
+  name: 'groq',
+  label: 'Groq',
+  baseUrl: 'http://localhost:1',
+  apiKey: 'test',
+  models: ['whisper-large-v3']
+});
+
+describe('validateSessionConfig', () => {
+  it('fills in the defaults', () => {
+    const { config, errors } = validateSessionConfig({});
+    assert.deepEqual(errors, []);
+    assert.equal(config.provider, 'openai');
+    assert.equal(config.model, DEFAULT_SESSION_CONFIG.model);
+    assert.equal(config.noiseReduction, 'near_field');
+    assert.deepEqual(config.turnDetection, DEFAULT_SESSION_CONFIG.turnDetection);
+    assert.deepEqual(config.include, ['item.input_audio_transcription.logprobs']);
+  });
+
+  it('rejects anything but an object', () => {
+    for (const input of [null, [], 'model', 3]) {
+      assert.deepEqual(validateSessionConfig(input).errors, ['Session config must be a JSON object']);
+    }
+  });
+
+  it('leaves logprobs out by default for models without them', () => {
+    const { config, errors } = validateSessionConfig({ model: 'whisper-1' });
+    assert.deepEqual(errors, []);
+    assert.deepEqual(config.include, []);
+  });
+
+  it('rejects logprobs for whisper-1', () => {
+    assert.deepEqual(validateSessionConfig({ model: 'whisper-1', include: ['item.input_audio_transcription.logprobs'] }).errors,
+      ['include is not supported with the whisper-1 model']);
+  });
+
+  it('uses the provider defaults and checks against its capabilities', () => {
+    const { config, errors } = validateSessionConfig({}, batchProvider);
+    assert.deepEqual(errors, []);
+    assert.equal(config.provider, 'groq');
+    assert.equal(config.model, 'whisper-large-v3');
+    assert.equal(config.noiseReduction, null);
+    assert.deepEqual(config.include, []);
+
+    assert.deepEqual(validateSessionConfig({ noiseReduction: 'far_field' }, batchProvider).errors,
+      ['noiseReduction is not supported by the groq provider']);
+    assert.deepEqual(validateSessionConfig({ include: ['item.input_audio_transcription.logprobs'] }, batchProvider).errors,
+      ['include is not supported by the groq provider']);
+    assert.match(validateSessionConfig({ model: 'gpt-4o-transcribe' }, batchProvider).errors[0], /^model must be one of/);
+  });
+
+  it('reports every invalid field', () => {
+    const { errors } = validateSessionConfig({
+      model: 'gpt-5',
+      language: 'english',
+      prompt: 'x'.repeat(4001),
+      inputAudioFormat: 'mp3',
+      noiseReduction: 'studio'
+    });
+    assert.equal(errors.length, 5);
+  });
+
+  it('validates turn detection', () => {
+    assert.equal(validateSessionConfig({ turnDetection: null }).config.turnDetection, null);
+    assert.deepEqual(validateSessionConfig({ turnDetection: { type: 'semantic_vad' } }).config.turnDetection,
+      { type: 'semantic_vad', eagerness: 'auto' });
+    assert.deepEqual(validateSessionConfig({ turnDetection: { threshold: 2, silenceDurationMs: 1.5 } }).errors, [
+      'turnDetection.threshold must be a number between 0 and 1',
+      'turnDetection.silenceDurationMs must be an integer between 0 and 10000'
+    ]);
+  });
+});
+
+describe('toSessionPayload', () => {
+  it('converts a config to the transcription session request', () => {
+    const { config } = validateSessionConfig({ language: '', prompt: 'Standup' });
+    assert.deepEqual(toSessionPayload(config), {
+      input_audio_format: 'pcm16',
+      input_audio_transcription: { model: 'gpt-4o-transcribe', prompt: 'Standup' },
+      turn_detection: { type: 'server_vad', threshold: 0.5, prefix_padding_ms: 300, silence_duration_ms: 500 },
+      input_audio_noise_reduction: { type: 'near_field' },
+      include: ['item.input_audio_transcription.logprobs']
+    });
+  });
+});
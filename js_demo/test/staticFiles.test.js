@@ -0,0 +1,142 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { StaticFiles, parseAcceptEncoding, staticOptionsFromEnv } = require('../libs/staticFiles');
+
+describe('StaticFiles', () => {
+  let directory;
+  let publicDir;
+  let staticFiles;
+  let server;
+  let port;
+
+  // http.request rather than fetch, which would decode the body and send its own Accept-Encoding
+  function request(pathname, headers = {}, method = 'GET') {
+    return new Promise((resolve, reject) => {
+      const req = http.request({ port, path: pathname, method, headers }, res => {
+        const chunks = [];
+        res.on('data', chunk => chunks.push(chunk));
+        res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks) }));
+      });
+      req.on('error', reject);
+      req.end();
+    });
+  }
+
+  before(async () => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'static-test-'));
+    publicDir = path.join(directory, 'public');
+    fs.mkdirSync(publicDir);
+    fs.writeFileSync(path.join(publicDir, 'index.html'), '<h1>Hello</h1>');
+    fs.writeFileSync(path.join(publicDir, 'app.js'), `console.log(${JSON.stringify('x'.repeat(4000))});\n`);
+    fs.writeFileSync(path.join(publicDir, '.env'), 'SECRET=1');
+    fs.writeFileSync(path.join(directory, 'secret.txt'), 'outside');
+    fs.symlinkSync(path.join(directory, 'secret.txt'), path.join(publicDir, 'escape.txt'));
+
+    staticFiles = new StaticFiles(publicDir, { maxAgeSeconds: 600 });
+    server = http.createServer((req, res) => staticFiles.serve(req, res));
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    port = server.address().port;
+  });
+
+  after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('only resolves paths inside the public directory', () => {
+    assert.equal(staticFiles.resolvePath('/'), path.join(publicDir, 'index.html'));
+    assert.equal(staticFiles.resolvePath('/app.js'), path.join(publicDir, 'app.js'));
+    for (const pathname of ['/../secret.txt', '/%2e%2e/secret.txt', '/..%2fsecret.txt', '/.env', '/a%00.js', '/%E0%A4%A']) {
+      assert.equal(staticFiles.resolvePath(pathname), null, pathname);
+    }
+  });
+
+  it('refuses traversal, dotfiles and symlinks out of the directory', async () => {
+    for (const pathname of ['/%2e%2e/secret.txt', '/.env', '/escape.txt', '/missing.js']) {
+      assert.equal((await request(pathname)).status, 404, pathname);
+    }
+    assert.equal((await request('/', {}, 'POST')).status, 405);
+  });
+
+  it('serves files with validators and cache headers', async () => {
+    const html = await request('/');
+    assert.equal(html.status, 200);
+    assert.equal(html.body.toString(), '<h1>Hello</h1>');
+    assert.equal(html.headers['content-type'], 'text/html; charset=utf-8');
+    assert.equal(html.headers['cache-control'], 'no-cache');
+    assert.ok(html.headers.etag);
+
+    const script = await request('/app.js');
+    assert.equal(script.headers['cache-control'], 'public, max-age=600');
+
+    const head = await request('/app.js', {}, 'HEAD');
+    assert.equal(head.status, 200);
+    assert.equal(head.body.length, 0);
+  });
+
+  it('answers 304 when the file did not change', async () => {
+    const { headers } = await request('/');
+    assert.equal((await request('/', { 'If-None-Match': headers.etag })).status, 304);
+    assert.equal((await request('/', { 'If-None-Match': `W/${headers.etag}` })).status, 304);
+    assert.equal((await request('/', { 'If-Modified-Since': headers['last-modified'] })).status, 304);
+    assert.equal((await request('/', { 'If-None-Match': '"other"' })).status, 200);
+  });
+
+  it('rereads files that changed', async () => {
+    const file = path.join(publicDir, 'index.html');
+    const before = await request('/');
+    fs.writeFileSync(file, '<h1>Changed page</h1>');
+    fs.utimesSync(file, new Date(), new Date(Date.now() + 5000));
+
+    const after = await request('/', { 'If-None-Match': before.headers.etag });
+    assert.equal(after.status, 200);
+    assert.equal(after.body.toString(), '<h1>Changed page</h1>');
+    assert.notEqual(after.headers.etag, before.headers.etag);
+  });
+
+  it('compresses larger text files', async () => {
+    const plain = await request('/app.js');
+    assert.equal(plain.headers['content-encoding'], undefined);
+    assert.equal(plain.headers.vary, 'Accept-Encoding');
+
+    const brotli = await request('/app.js', { 'Accept-Encoding': 'gzip, br' });
+    assert.equal(brotli.headers['content-encoding'], 'br');
+    assert.deepEqual(zlib.brotliDecompressSync(brotli.body), plain.body);
+    assert.notEqual(brotli.headers.etag, plain.headers.etag);
+
+    const gzip = await request('/app.js', { 'Accept-Encoding': 'gzip, br;q=0' });
+    assert.equal(gzip.headers['content-encoding'], 'gzip');
+    assert.deepEqual(zlib.gunzipSync(gzip.body), plain.body);
+
+    // Too small to be worth it
+    assert.equal((await request('/', { 'Accept-Encoding': 'gzip' })).headers['content-encoding'], undefined);
+  });
+
+  it('sends files too large to cache uncompressed', async () => {
+    fs.writeFileSync(path.join(publicDir, 'large.js'), `// ${'x'.repeat(1024 * 1024)}\n`);
+    const large = await request('/large.js', { 'Accept-Encoding': 'gzip, br' });
+    assert.equal(large.status, 200);
+    assert.equal(large.headers['content-encoding'], undefined);
+    assert.equal(large.body.length, 1024 * 1024 + 4);
+  });
+});
+
+describe('parseAcceptEncoding', () => {
+  it('skips encodings with q=0', () => {
+    assert.deepEqual(Array.from(parseAcceptEncoding('gzip;q=0.5, br;q=0, Deflate')), ['gzip', 'deflate']);
+    assert.equal(parseAcceptEncoding(undefined).size, 0);
+  });
+});
+
+describe('staticOptionsFromEnv', () => {
+  it('reads the max age', () => {
+    assert.deepEqual(staticOptionsFromEnv({}), {});
+    assert.deepEqual(staticOptionsFromEnv({ STATIC_MAX_AGE_SECONDS: '3600' }), { maxAgeSeconds: 3600 });
+    assert.throws(() => staticOptionsFromEnv({ STATIC_MAX_AGE_SECONDS: '1.5' }), /STATIC_MAX_AGE_SECONDS must be a whole number >= 0/);
+  });
+});
@@ -0,0 +1,93 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+const WebSocket = require('ws');
+const { VIEWER_CLOSE_CODES, ViewerGroup, toViewerEvent } = require('../libs/viewers');
+
+// Just enough of a WebSocket for the group
+class FakeSocket extends EventEmitter {
+  constructor() {
+    super();
+    this.readyState = WebSocket.OPEN;
+    this.bufferedAmount = 0;
+    this.sent = [];
+    this.closedWith = null;
+  }
+
+  send(message) {
+    this.sent.push(JSON.parse(message));
+  }
+
+  close(code, reason) {
+    this.readyState = WebSocket.CLOSED;
+    this.closedWith = { code, reason };
+    this.emit('close');
+  }
+}
+
+describe('toViewerEvent', () => {
+  it('passes transcript events without logprobs', () => {
+    const event = { type: 'conversation.item.input_audio_transcription.completed', item_id: 'item_1', transcript: 'Hi.', logprobs: [] };
+    assert.deepEqual(toViewerEvent(event), { type: event.type, item_id: 'item_1', transcript: 'Hi.' });
+  });
+
+  it('drops everything else', () => {
+    assert.equal(toViewerEvent({ type: 'session.created', session: {} }), null);
+    assert.equal(toViewerEvent({ type: 'error', error: { message: 'secret' } }), null);
+    assert.equal(toViewerEvent(null), null);
+  });
+
+  it('keeps only the message of failures', () => {
+    const event = toViewerEvent({ type: 'conversation.item.input_audio_transcription.failed', item_id: 'item_1', error: { message: 'Bad audio', code: 'x', param: 'y' } });
+    assert.deepEqual(event.error, { message: 'Bad audio' });
+  });
+});
+
+describe('ViewerGroup', () => {
+  it('accepts the share token until it is revoked', () => {
+    const viewers = new ViewerGroup();
+    assert.equal(viewers.isShared, false);
+    assert.equal(viewers.isTokenValid(undefined), false);
+
+    const token = viewers.share();
+    assert.equal(viewers.share(), token);
+    assert.equal(viewers.isTokenValid(token), true);
+    assert.equal(viewers.isTokenValid(`${token}x`), false);
+
+    viewers.revoke();
+    assert.equal(viewers.isTokenValid(token), false);
+    assert.notEqual(viewers.share(), token);
+  });
+
+  it('sends the snapshot, then transcript events', () => {
+    const viewers = new ViewerGroup();
+    const ws = new FakeSocket();
+    assert.equal(viewers.add(ws, { type: 'transcript.snapshot', segments: [] }), true);
+    viewers.broadcast({ type: 'input_audio_buffer.append', audio: 'AAAA' });
+    viewers.broadcast({ type: 'conversation.item.input_audio_transcription.delta', item_id: 'item_1', delta: 'Hi' });
+    assert.deepEqual(ws.sent.map(event => event.type), ['transcript.snapshot', 'conversation.item.input_audio_transcription.delta']);
+  });
+
+  it('closes viewers on revoke and drops slow ones', () => {
+    const viewers = new ViewerGroup();
+    const slow = new FakeSocket();
+    const fast = new FakeSocket();
+    viewers.add(slow, {});
+    viewers.add(fast, {});
+
+    slow.bufferedAmount = 2 * 1024 * 1024;
+    viewers.send({ type: 'x' });
+    assert.equal(slow.closedWith.code, VIEWER_CLOSE_CODES.tooSlow);
+    assert.equal(viewers.size, 1);
+
+    viewers.revoke();
+    assert.equal(fast.closedWith.code, VIEWER_CLOSE_CODES.revoked);
+    assert.equal(viewers.size, 0);
+  });
+
+  it('limits the number of viewers', () => {
+    const viewers = new ViewerGroup({ maxViewers: 1 });
+    assert.equal(viewers.add(new FakeSocket(), {}), true);
+    assert.equal(viewers.add(new FakeSocket(), {}), false);
+  });
+});
@@ -0,0 +1,120 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { WAV_HEADER_SIZE, encodeWav, decodeWav, resample, floatToPcm16 } = require('../libs/wav');
+
+// A WAV file with an arbitrary fmt chunk, for encodings encodeWav doesn't write
+function wavFile({ audioFormat, channels, sampleRate, bitsPerSample, data, dataSize = data.length }) {
+  const fmt = Buffer.alloc(24);
+  fmt.write('fmt ', 0, 'ascii');
+  fmt.writeUInt32LE(16, 4);
+  fmt.writeUInt16LE(audioFormat, 8);
+  fmt.writeUInt16LE(channels, 10);
+  fmt.writeUInt32LE(sampleRate, 12);
+  fmt.writeUInt32LE(sampleRate * channels * bitsPerSample / 8, 16);
+  fmt.writeUInt16LE(channels * bitsPerSample / 8, 20);
+  fmt.writeUInt16LE(bitsPerSample, 22);
+  const dataHeader = Buffer.alloc(8);
+  dataHeader.write('data', 0, 'ascii');
+  dataHeader.writeUInt32LE(dataSize, 4);
+  const riff = Buffer.alloc(12);
+  riff.write('RIFF', 0, 'ascii');
+  riff.writeUInt32LE(4 + fmt.length + dataHeader.length + data.length, 4);
+  riff.write('WAVE', 8, 'ascii');
+  return Buffer.concat([riff, fmt, dataHeader, data]);
+}
+
+describe('encodeWav', () => {
+  it('writes a 44-byte PCM16 header', () => {
+    const wav = encodeWav(Buffer.alloc(480), 16000, 1);
+    assert.equal(wav.length, WAV_HEADER_SIZE + 480);
+    assert.equal(wav.toString('ascii', 0, 4), 'RIFF');
+    assert.equal(wav.readUInt32LE(24), 16000);
+    assert.equal(wav.readUInt32LE(40), 480);
+  });
+});
+
+describe('decodeWav', () => {
+  it('round-trips PCM16', () => {
+    const pcm = Buffer.alloc(8);
+    [0, 16384, -16384, 32767].forEach((value, i) => pcm.writeInt16LE(value, i * 2));
+    const decoded = decodeWav(encodeWav(pcm, 24000));
+    assert.equal(decoded.sampleRate, 24000);
+    assert.equal(decoded.encoding, 'pcm16');
+    assert.deepEqual(Array.from(decoded.samples), [0, 0.5, -0.5, 32767 / 32768]);
+  });
+
+  it('mixes stereo down to mono', () => {
+    const pcm = Buffer.alloc(4);
+    pcm.writeInt16LE(16384, 0);
+    pcm.writeInt16LE(0, 2);
+    const decoded = decodeWav(encodeWav(pcm, 48000, 2));
+    assert.equal(decoded.channels, 2);
+    assert.deepEqual(Array.from(decoded.samples), [0.25]);
+  });
+
+  it('decodes 8-bit PCM and IEEE float', () => {
+    const pcm8 = decodeWav(wavFile({ audioFormat: 1, channels: 1, sampleRate: 8000, bitsPerSample: 8, data: Buffer.from([128, 192, 64]) }));
+    assert.equal(pcm8.encoding, 'pcm8');
+    assert.deepEqual(Array.from(pcm8.samples), [0, 0.5, -0.5]);
+
+    const data = Buffer.alloc(8);
+    data.writeFloatLE(0.25, 0);
+    data.writeFloatLE(-1, 4);
+    const float = decodeWav(wavFile({ audioFormat: 3, channels: 1, sampleRate: 44100, bitsPerSample: 32, data }));
+    assert.equal(float.encoding, 'float32');
+    assert.deepEqual(Array.from(float.samples), [0.25, -1]);
+  });
+
+  it('reads to the end when a streamed file leaves the data size unset', () => {
+    const decoded = decodeWav(wavFile({ audioFormat: 1, channels: 1, sampleRate: 24000, bitsPerSample: 16, data: Buffer.alloc(20), dataSize: 0xffffffff }));
+    assert.equal(decoded.samples.length, 10);
+  });
+
+  it('rejects files it cannot decode', () => {
+    assert.throws(() => decodeWav(Buffer.from('not a wav file at all')), /missing RIFF\/WAVE/);
+    assert.throws(() => decodeWav(wavFile({ audioFormat: 2, channels: 1, sampleRate: 8000, bitsPerSample: 4, data: Buffer.alloc(4) })), /Unsupported WAV encoding/);
+    assert.throws(() => decodeWav(wavFile({ audioFormat: 1, channels: 0, sampleRate: 8000, bitsPerSample: 16, data: Buffer.alloc(4) })), /invalid channel count/);
+    assert.throws(() => decodeWav(encodeWav(Buffer.alloc(4)).subarray(0, 36)), /no data chunk/);
+  });
+
+  it('rejects sample rates out of range before decoding', () => {
+    assert.throws(() => decodeWav(encodeWav(Buffer.alloc(4), 1)), /Unsupported sample rate 1 Hz/);
+    assert.throws(() => decodeWav(encodeWav(Buffer.alloc(4), 384000)), /Unsupported sample rate 384000 Hz/);
+  });
+
+  it('rejects audio longer than maxDurationMs', () => {
+    // One second at 8 kHz
+    const file = encodeWav(Buffer.alloc(16000), 8000);
+    assert.equal(decodeWav(file, { maxDurationMs: 1000 }).samples.length, 8000);
+    assert.throws(() => decodeWav(file, { maxDurationMs: 999 }), /longer than 0.999 s/);
+  });
+});
+
+describe('resample', () => {
+  it('returns the input when the rates match', () => {
+    const samples = new Float32Array([0.1, 0.2]);
+    assert.equal(resample(samples, 24000, 24000), samples);
+  });
+
+  it('averages when downsampling', () => {
+    const output = resample(new Float32Array([0, 1, 0.5, 0.5]), 48000, 24000);
+    assert.deepEqual(Array.from(output), [0.5, 0.5]);
+  });
+
+  it('interpolates when upsampling', () => {
+    const output = resample(new Float32Array([0, 1]), 12000, 24000);
+    assert.deepEqual(Array.from(output), [0, 0.5, 1, 1]);
+  });
+
+  it('rejects sample rates out of range', () => {
+    assert.throws(() => resample(new Float32Array(2), 1, 24000), /Cannot resample from 1 Hz/);
+    assert.throws(() => resample(new Float32Array(2), 24000, 0), /Cannot resample/);
+  });
+});
+
+describe('floatToPcm16', () => {
+  it('scales and clips samples', () => {
+    const pcm = floatToPcm16(new Float32Array([1, -1, 2, -2, 0]));
+    assert.deepEqual([0, 2, 4, 6, 8].map((offset) => pcm.readInt16LE(offset)), [32767, -32768, 32767, -32768, 0]);
+  });
+});